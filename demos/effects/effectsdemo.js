@@ -1,7 +1,7 @@
 function changeParameter(event) {
    if (window.currentEffect != 'Doppler') {
       event.target.title = event.target.value;
-      const effectOptions = { [event.target.name]: event.target.name == 'shape' ? event.target.value : Number(event.target.value) };
+      const effectOptions = { [event.target.name]: (event.target.tagName == 'SELECT') ? event.target.value : Number(event.target.value) };
       window.audioAPI.updateTrackEffect('defaultTrack', window.currentEffect, effectOptions);
    }
 }
@@ -138,8 +138,8 @@ function changeEffect(effectType) {
       applyButton.textContent = 'Apply';
       applyButton.onclick = function() {
          const effectOptions = {};
-         for (const target of document.querySelectorAll('input')) {
-            effectOptions[target.name] = Number(target.value);
+         for (const target of effectOptionsContainer.querySelectorAll('input, select')) {
+            effectOptions[target.name] = (target.tagName == 'SELECT') ? target.value : Number(target.value);
             target.title = target.value;
          }
          window.audioAPI.updateTrackEffect('defaultTrack', window.currentEffect, effectOptions);
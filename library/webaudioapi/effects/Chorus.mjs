@@ -167,6 +167,15 @@ export class Chorus extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         rate: [{ audioParam: this.#lfoNode.frequency }],
+         delay: [{ audioParam: this.#wetDelayNode.delayTime }],
+         feedback: [{ audioParam: this.#feedbackLeft.gain }, { audioParam: this.#feedbackRight.gain }],
+         intensity: [{ audioParam: this.#lfoGainNode.gain, toParamValue: value => 0.001 * value }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          rate: this.#lfoNode.frequency.value,
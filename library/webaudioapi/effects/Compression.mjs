@@ -114,6 +114,15 @@ export class Compression extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         threshold: [{ audioParam: this.#compressorNode.threshold }],
+         attack: [{ audioParam: this.#compressorNode.attack }],
+         release: [{ audioParam: this.#compressorNode.release }],
+         intensity: [{ audioParam: this.#compressorNode.ratio, toParamValue: value => 1.0 + (value * 19.0) }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          threshold: this.#compressorNode.threshold.value,
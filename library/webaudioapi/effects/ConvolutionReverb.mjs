@@ -0,0 +1,247 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Pending or completed impulse response downloads, keyed by URL
+const downloadedImpulses = new Map();
+
+// Number of seconds over which a trimmed impulse response is faded out
+const trimFadeSeconds = 0.005;
+
+// Private function to fetch and decode an impulse response from a URL or Blob
+async function decodeImpulse(audioContext, impulse) {
+   if (impulse instanceof AudioBuffer)
+      return impulse;
+   else if (impulse instanceof Blob)
+      return audioContext.decodeAudioData(await impulse.arrayBuffer());
+   if (!downloadedImpulses.has(impulse))
+      downloadedImpulses.set(impulse, fetch(impulse).then(response => {
+         if (!response.ok)
+            throw new WebAudioApiErrors.WebAudioTargetError(`Unable to load the impulse response at "${impulse}"`);
+         return response.arrayBuffer();
+      }));
+   try {
+      return await audioContext.decodeAudioData((await downloadedImpulses.get(impulse)).slice(0));
+   }
+   catch (err) {
+      downloadedImpulses.delete(impulse);
+      throw err;
+   }
+}
+
+// Private function to generate a default synthetic impulse response
+function synthesizeImpulse(audioContext) {
+   const length = 2 * audioContext.sampleRate;
+   const impulse = new AudioBuffer({ numberOfChannels: 2, length, sampleRate: audioContext.sampleRate });
+   for (let channel = 0; channel < 2; ++channel) {
+      const data = impulse.getChannelData(channel);
+      for (let i = 0; i < length; ++i)
+         data[i] = ((Math.random() * 2) - 1) * Math.pow(1 - (i / length), 6);
+   }
+   return impulse;
+}
+
+// Private function to resample, trim, stretch, and damp a source impulse response
+function processImpulse(audioContext, source, trim, stretch, damping) {
+   const sampleRate = audioContext.sampleRate, step = source.sampleRate / (sampleRate * stretch);
+   const length = Math.max(Math.round(source.length * trim / step), 1);
+   const fadeLength = Math.min(Math.round(trimFadeSeconds * sampleRate), length);
+   const numberOfChannels = Math.min(source.numberOfChannels, 2);
+   const impulse = new AudioBuffer({ numberOfChannels, length, sampleRate });
+   for (let channel = 0; channel < numberOfChannels; ++channel) {
+      const sourceData = source.getChannelData(channel), data = impulse.getChannelData(channel);
+      let filteredSample = 0.0;
+      for (let i = 0; i < length; ++i) {
+         const position = i * step, index = Math.floor(position), fraction = position - index;
+         const sample = (index + 1 < sourceData.length) ?
+            (sourceData[index] + (fraction * (sourceData[index + 1] - sourceData[index]))) : (sourceData[index] || 0.0);
+         const coefficient = Math.exp(-5.0 * damping * i / length);
+         filteredSample += coefficient * (sample - filteredSample);
+         data[i] = filteredSample * Math.min((length - i) / fadeLength, 1.0);
+      }
+   }
+   return impulse;
+}
+
+/**
+ * Class representing a Convolution Reverb effect.
+ *
+ * A Convolution Reverb effect reproduces the acoustic characteristics of a real space by
+ * convolving an audio signal with a recorded impulse response of that space. Impulse responses
+ * may be loaded from a URL or supplied directly as an `AudioBuffer` or `Blob`, and may be
+ * trimmed, stretched, and damped to further shape the resulting reverberation. Until an impulse
+ * response is loaded, a synthetic impulse response is used.
+ *
+ * @extends EffectBase
+ */
+export class ConvolutionReverb extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {ConvolverNode} */
+   #convolutionNode;
+   /** @type {DelayNode} */
+   #preDelayNode;
+   /** @type {GainNode} */
+   #inputNode; #outputNode;
+   /** @type {GainNode} */
+   #dryGainNode; #wetGainNode;
+   /** @type {AudioBuffer} */
+   #sourceImpulse;
+   /** @type {string} */
+   #impulseLocation = '';
+   /** @type {number} */
+   #trim = 1; #stretch = 1; #damping = 0;
+
+   // Parameter limits
+   static minPreDelay = 0;
+   static maxPreDelay = 1;
+   static minTrim = 0.01;
+   static maxTrim = 1;
+   static minStretch = 0.25;
+   static maxStretch = 4;
+   static minDamping = 0;
+   static maxDamping = 1;
+   static minIntensity = 0;
+   static maxIntensity = 1;
+
+   /**
+    * Constructs a new {@link ConvolutionReverb} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      this.#convolutionNode = new ConvolverNode(audioContext);
+      this.#preDelayNode = new DelayNode(audioContext, { maxDelayTime: ConvolutionReverb.maxPreDelay, delayTime: 0 });
+      this.#dryGainNode = new GainNode(audioContext, { gain: 1 });
+      this.#wetGainNode = new GainNode(audioContext, { gain: 0 });
+      this.#inputNode = new GainNode(audioContext, { gain: 1 });
+      this.#outputNode = new GainNode(audioContext, { gain: 1 });
+      this.#inputNode.connect(this.#dryGainNode).connect(this.#outputNode);
+      this.#inputNode.connect(this.#preDelayNode).connect(this.#convolutionNode).connect(this.#wetGainNode).connect(this.#outputNode);
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'impulse', type: 'string', validValues: [], defaultValue: '' },
+         { name: 'preDelay', type: 'number', validValues: [ConvolutionReverb.minPreDelay, ConvolutionReverb.maxPreDelay], defaultValue: 0 },
+         { name: 'trim', type: 'number', validValues: [ConvolutionReverb.minTrim, ConvolutionReverb.maxTrim], defaultValue: 1 },
+         { name: 'stretch', type: 'number', validValues: [ConvolutionReverb.minStretch, ConvolutionReverb.maxStretch], defaultValue: 1 },
+         { name: 'damping', type: 'number', validValues: [ConvolutionReverb.minDamping, ConvolutionReverb.maxDamping], defaultValue: 0 },
+         { name: 'intensity', type: 'number', validValues: [ConvolutionReverb.minIntensity, ConvolutionReverb.maxIntensity], defaultValue: 0 }
+      ];
+   }
+
+   async load() {
+      this.#sourceImpulse = synthesizeImpulse(this.audioContext);
+      this.#convolutionNode.buffer = processImpulse(this.audioContext, this.#sourceImpulse, this.#trim, this.#stretch, this.#damping);
+   }
+
+   /**
+    * Updates the {@link ConvolutionReverb} effect according to the specified parameters at the
+    * specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. Changes to the `impulse`, `trim`, `stretch`, and `damping`
+    * parameters always take effect as soon as the resulting impulse response is ready.
+    *
+    * @param {string|AudioBuffer|Blob} impulse - URL of an impulse response audio file, or an `AudioBuffer` or `Blob` containing the impulse response
+    * @param {number} preDelay - Number of seconds before the reverberated signal begins between [0, 1]
+    * @param {number} trim - Proportion of the impulse response to keep, measured from its start, between [0.01, 1]
+    * @param {number} stretch - Factor by which to lengthen or shorten the impulse response between [0.25, 4]
+    * @param {number} damping - Rate at which high frequencies decay faster than low frequencies between [0, 1]
+    * @param {number} intensity - Ratio of reverbed-to-original sound as a percentage between [0, 1]
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ impulse, preDelay, trim, stretch, damping, intensity }, updateTime, timeConstant) {
+      if ((impulse == null) && (preDelay == null) && (trim == null) && (stretch == null) && (damping == null) && (intensity == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the ConvolutionReverb effect without at least one of the following parameters: "impulse, preDelay, trim, stretch, damping, intensity"');
+      if (preDelay != null) {
+         if (preDelay < ConvolutionReverb.minPreDelay)
+            throw new WebAudioApiErrors.WebAudioValueError(`Pre-delay value cannot be less than ${ConvolutionReverb.minPreDelay}`);
+         else if (preDelay > ConvolutionReverb.maxPreDelay)
+            throw new WebAudioApiErrors.WebAudioValueError(`Pre-delay value cannot be greater than ${ConvolutionReverb.maxPreDelay}`);
+      }
+      if (trim != null) {
+         if (trim < ConvolutionReverb.minTrim)
+            throw new WebAudioApiErrors.WebAudioValueError(`Trim value cannot be less than ${ConvolutionReverb.minTrim}`);
+         else if (trim > ConvolutionReverb.maxTrim)
+            throw new WebAudioApiErrors.WebAudioValueError(`Trim value cannot be greater than ${ConvolutionReverb.maxTrim}`);
+      }
+      if (stretch != null) {
+         if (stretch < ConvolutionReverb.minStretch)
+            throw new WebAudioApiErrors.WebAudioValueError(`Stretch value cannot be less than ${ConvolutionReverb.minStretch}`);
+         else if (stretch > ConvolutionReverb.maxStretch)
+            throw new WebAudioApiErrors.WebAudioValueError(`Stretch value cannot be greater than ${ConvolutionReverb.maxStretch}`);
+      }
+      if (damping != null) {
+         if (damping < ConvolutionReverb.minDamping)
+            throw new WebAudioApiErrors.WebAudioValueError(`Damping value cannot be less than ${ConvolutionReverb.minDamping}`);
+         else if (damping > ConvolutionReverb.maxDamping)
+            throw new WebAudioApiErrors.WebAudioValueError(`Damping value cannot be greater than ${ConvolutionReverb.maxDamping}`);
+      }
+      if (intensity != null) {
+         if (intensity < ConvolutionReverb.minIntensity)
+            throw new WebAudioApiErrors.WebAudioValueError(`Intensity value cannot be less than ${ConvolutionReverb.minIntensity}`);
+         else if (intensity > ConvolutionReverb.maxIntensity)
+            throw new WebAudioApiErrors.WebAudioValueError(`Intensity value cannot be greater than ${ConvolutionReverb.maxIntensity}`);
+      }
+      if (impulse != null) {
+         if (impulse === '') {
+            this.#sourceImpulse = synthesizeImpulse(this.audioContext);
+            this.#impulseLocation = '';
+         }
+         else {
+            this.#sourceImpulse = await decodeImpulse(this.audioContext, impulse);
+            this.#impulseLocation = (typeof impulse == 'string') ? impulse : '';
+         }
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+      if (preDelay != null)
+         this.#preDelayNode.delayTime.setTargetAtTime(preDelay, timeToUpdate, timeConstantTarget);
+      if (intensity != null) {
+         this.#wetGainNode.gain.setTargetAtTime(intensity, timeToUpdate, timeConstantTarget);
+         this.#dryGainNode.gain.setTargetAtTime(1 - intensity, timeToUpdate, timeConstantTarget);
+      }
+      if ((impulse != null) || (trim != null) || (stretch != null) || (damping != null)) {
+         this.#trim = (trim == null) ? this.#trim : trim;
+         this.#stretch = (stretch == null) ? this.#stretch : stretch;
+         this.#damping = (damping == null) ? this.#damping : damping;
+         this.#convolutionNode.buffer = processImpulse(this.audioContext, this.#sourceImpulse, this.#trim, this.#stretch, this.#damping);
+      }
+      return true;
+   }
+
+   getAudioParamTargets(parameterName) {
+      return {
+         preDelay: [{ audioParam: this.#preDelayNode.delayTime }],
+         intensity: [{ audioParam: this.#wetGainNode.gain }, { audioParam: this.#dryGainNode.gain, toParamValue: value => 1 - value }]
+      }[parameterName] || [];
+   }
+
+   currentParameterValues() {
+      return {
+         impulse: this.#impulseLocation,
+         preDelay: this.#preDelayNode.delayTime.value,
+         trim: this.#trim,
+         stretch: this.#stretch,
+         damping: this.#damping,
+         intensity: this.#wetGainNode.gain.value
+      };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
@@ -97,6 +97,13 @@ export class Delay extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         delay: [{ audioParam: this.#delayNode.delayTime }],
+         attenuation: [{ audioParam: this.#gainNode.gain, toParamValue: value => 1.0 - value }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          delay: this.#delayNode.delayTime.value,
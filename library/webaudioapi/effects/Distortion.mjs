@@ -101,6 +101,12 @@ export class Distortion extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         tone: [{ audioParam: this.#preBandpassNode.frequency }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          tone: this.#preBandpassNode.frequency.value,
@@ -6,6 +6,9 @@ import { EffectBase } from './EffectBase.mjs';
  * Class representing a Doppler effect.
  * 
  * A Doppler effect performs a linear change in frequency over a specified period of time.
+ *
+ * The frequency change is carried out by an internal {@link PitchShift} effect, whose
+ * processing engine may be selected using the `engine` parameter.
  * 
  * @extends EffectBase
  */
@@ -49,7 +52,8 @@ export class Doppler extends EffectBase {
          { name: 'initDistance', type: 'number', validValues: [Doppler.minDistance, Doppler.maxDistance], defaultValue: 100 },
          { name: 'finalDistance', type: 'number', validValues: [Doppler.minDistance, Doppler.maxDistance], defaultValue: 100 },
          { name: 'missDistance', type: 'number', validValues: [Doppler.minDistance, Doppler.maxDistance], defaultValue: 14 },
-         { name: 'duration', type: 'number', validValues: [Doppler.minDuration, Doppler.maxDuration], defaultValue: 10 }
+         { name: 'duration', type: 'number', validValues: [Doppler.minDuration, Doppler.maxDuration], defaultValue: 10 },
+         { name: 'engine', type: 'string', validValues: ['delay', 'worklet'], defaultValue: 'delay' }
       ];
    }
 
@@ -67,17 +71,26 @@ export class Doppler extends EffectBase {
     * specified time.
     * 
     * Note that the `updateTime` parameter can be omitted to immediately cause the requested
-    * changes to take effect.
+    * changes to take effect. The `engine` parameter may be updated on its own, in which case any
+    * frequency sweep already in progress continues on the newly selected engine, but all other
+    * parameters must be specified together.
     * 
     * @param {number} initDistance - Starting distance in meters between an audio source and an observer
     * @param {number} finalDistance - Final distance in meters between an audio source and an observer
     * @param {number} missDistance - Distance in meters by which the audio source misses the observer
     * @param {number} duration - Duration in seconds required for the audio source to travel from its starting to final location
+    * @param {string} engine - Pitch shifting engine to use from ['delay', 'worklet']
     * @param {number} [updateTime] - Global API time at which to update the effect
     * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
     * @returns {Promise<boolean>} Whether the effect update was successfully applied
     */
-   async update({ initDistance, finalDistance, missDistance, duration }, updateTime) {
+   async update({ initDistance, finalDistance, missDistance, duration, engine }, updateTime) {
+      if (engine != null) {
+         if (!['delay', 'worklet'].includes(engine))
+            throw new WebAudioApiErrors.WebAudioValueError('Engine value must be one of: ["delay", "worklet"]');
+         else if ((initDistance == null) && (finalDistance == null) && (missDistance == null) && (duration == null))
+            return this.#pitchShifter.update({ engine }, updateTime);
+      }
       if ((initDistance == null) || (finalDistance == null) || (missDistance == null) || (duration == null))
          throw new WebAudioApiErrors.WebAudioValueError('Cannot update the Doppler effect without all of the following parameters: "initDistance, finalDistance, missDistance, duration"');
       else if (initDistance < Doppler.minDistance)
@@ -100,6 +113,8 @@ export class Doppler extends EffectBase {
          throw new WebAudioApiErrors.WebAudioValueError('Initial distance cannot be less than the miss distance');
       else if (finalDistance < missDistance)
          throw new WebAudioApiErrors.WebAudioValueError('Final distance cannot be less than the miss distance');
+      if (engine != null)
+         await this.#pitchShifter.update({ engine }, updateTime);
       const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
       const approachingDistance = Math.sqrt(initDistance**2 - missDistance**2);
       const departingDistance = Math.sqrt(finalDistance**2 - missDistance**2);
@@ -124,12 +139,17 @@ export class Doppler extends EffectBase {
       return true;
    }
 
+   getLatency() {
+      return this.#pitchShifter.getLatency();
+   }
+
    currentParameterValues() {
       return {
          initDistance: this.#initDistance,
          finalDistance: this.#finalDistance,
          missDistance: this.#missDistance,
-         duration: this.#duration
+         duration: this.#duration,
+         engine: this.#pitchShifter.currentParameterValues().engine
       };
    }
 
@@ -98,6 +98,13 @@ export class Echo extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         echoTime: [{ audioParam: this.#delayNode.delayTime }],
+         intensity: [{ audioParam: this.#feedbackNode.gain }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          echoTime: this.#delayNode.delayTime.value,
@@ -42,6 +42,36 @@ export class EffectBase {
     */
    async update(effectOptions, updateTime, timeConstant) { return false; }
 
+   /**
+    * Returns the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioParam AudioParams}
+    * which directly implement the specified numeric effect parameter, allowing the parameter to
+    * be automated or modulated at audio rate. Parameters which can only be changed by calling
+    * {@link EffectBase#update update()} return an empty list.
+    * 
+    * @param {string} parameterName - Name of the numeric effect parameter
+    * @returns {AudioParamTarget[]} List of AudioParams implementing the effect parameter
+    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioParam AudioParam}
+    */
+   getAudioParamTargets(parameterName) { return []; }
+
+   /**
+    * Returns the number of seconds by which the effect currently delays its processed output
+    * relative to its input, allowing an unprocessed signal to be aligned with it.
+    * 
+    * @returns {number} Processing latency of the effect in seconds
+    */
+   getLatency() { return 0; }
+
+   /**
+    * Returns the combined frequency response of the effect at each of the specified frequencies,
+    * or `null` if the effect does not have a fixed linear frequency response.
+    * 
+    * @param {Float32Array} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object|null} Object containing `magnitudes` and `phases` arrays, or `null` if unsupported
+    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/BiquadFilterNode/getFrequencyResponse getFrequencyResponse()}
+    */
+   getFrequencyResponse(frequencies) { return null; }
+
    /**
     * Returns a reference to the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
     * to which all source {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNodes}
@@ -148,6 +148,14 @@ export class Flanger extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         rate: [{ audioParam: this.#lfoNode.frequency }],
+         delay: [{ audioParam: this.#delayNode.delayTime }],
+         feedback: [{ audioParam: this.#feedbackNode.gain }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          rate: this.#lfoNode.frequency.value,
@@ -0,0 +1,235 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { loadAudioWorkletProcessor } from '../modules/Worklet.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Audio worklet processor which delays its input and applies just enough gain reduction to keep all peaks below a ceiling
+const processorSource = `
+class LimiterProcessor extends AudioWorkletProcessor {
+   static get parameterDescriptors() {
+      return [
+         { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+         { name: 'release', defaultValue: 0.1, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' },
+         { name: 'oversampling', defaultValue: 4, minValue: 1, maxValue: 8, automationRate: 'k-rate' }
+      ];
+   }
+   constructor(options) {
+      super();
+      this.windowLength = Math.max(Math.round(options.processorOptions.lookahead * sampleRate), 1);
+      this.delayLength = this.windowLength + 4;
+      this.delayLines = [];
+      this.delayIndex = this.time = 0;
+      this.minimumValues = new Float32Array(this.windowLength + 2);
+      this.minimumTimes = new Float64Array(this.windowLength + 2);
+      this.minimumStart = this.minimumSize = 0;
+      this.averageValues = new Float32Array(this.windowLength).fill(1.0);
+      this.averageSum = this.windowLength;
+      this.averageIndex = 0;
+      this.envelope = 1.0;
+      this.oversampling = 0;
+      this.phaseCoefficients = [];
+   }
+   updateOversampling(oversampling) {
+      this.oversampling = oversampling;
+      this.phaseCoefficients = [];
+      for (let phase = 1; phase < oversampling; ++phase) {
+         const coefficients = new Float32Array(8);
+         for (let tap = 0; tap < 8; ++tap) {
+            const offset = tap - 3 - (phase / oversampling);
+            coefficients[tap] = (0.5 + (0.5 * Math.cos(Math.PI * offset / 4.0))) * Math.sin(Math.PI * offset) / (Math.PI * offset);
+         }
+         const sum = coefficients.reduce((total, coefficient) => total + coefficient, 0.0);
+         this.phaseCoefficients.push(coefficients.map(coefficient => coefficient / sum));
+      }
+   }
+   process(inputs, outputs, parameters) {
+      const input = inputs[0], output = outputs[0], windowLength = this.windowLength, delayLength = this.delayLength;
+      const ceiling = Math.pow(10.0, parameters.ceiling[0] / 20.0), releaseCoeff = Math.exp(-1.0 / (parameters.release[0] * sampleRate));
+      if (Math.round(parameters.oversampling[0]) != this.oversampling)
+         this.updateOversampling(Math.round(parameters.oversampling[0]));
+      while (this.delayLines.length < output.length)
+         this.delayLines.push(new Float32Array(delayLength));
+      for (let i = 0; i < output[0].length; ++i) {
+         const index = this.delayIndex;
+         let peak = 0.0;
+         for (let channel = 0; channel < output.length; ++channel) {
+            const delayLine = this.delayLines[channel];
+            delayLine[index] = input.length ? input[Math.min(channel, input.length - 1)][i] : 0.0;
+            peak = Math.max(peak, Math.abs(delayLine[(index + delayLength - 4) % delayLength]), Math.abs(delayLine[(index + delayLength - 3) % delayLength]));
+            for (const coefficients of this.phaseCoefficients) {
+               let interpolated = 0.0;
+               for (let tap = 0; tap < 8; ++tap)
+                  interpolated += coefficients[tap] * delayLine[(index + delayLength - 7 + tap) % delayLength];
+               peak = Math.max(peak, Math.abs(interpolated));
+            }
+         }
+         const requiredGain = (peak > ceiling) ? (ceiling / peak) : 1.0, capacity = this.minimumValues.length;
+         while (this.minimumSize && (this.minimumValues[(this.minimumStart + this.minimumSize - 1) % capacity] >= requiredGain))
+            --this.minimumSize;
+         const back = (this.minimumStart + this.minimumSize++) % capacity;
+         this.minimumValues[back] = requiredGain;
+         this.minimumTimes[back] = this.time;
+         if (this.minimumTimes[this.minimumStart] <= this.time - windowLength - 1) {
+            this.minimumStart = (this.minimumStart + 1) % capacity;
+            --this.minimumSize;
+         }
+         const heldGain = this.minimumValues[this.minimumStart];
+         this.envelope = (heldGain < this.envelope) ? heldGain : (heldGain + ((this.envelope - heldGain) * releaseCoeff));
+         this.averageSum += this.envelope - this.averageValues[this.averageIndex];
+         this.averageValues[this.averageIndex] = this.envelope;
+         this.averageIndex = (this.averageIndex + 1) % windowLength;
+         if (!this.averageIndex)
+            this.averageSum = this.averageValues.reduce((total, value) => total + value, 0.0);
+         const gain = Math.min(this.averageSum / windowLength, 1.0), outputIndex = (index + 1) % delayLength;
+         for (let channel = 0; channel < output.length; ++channel)
+            output[channel][i] = Math.min(Math.max(gain * this.delayLines[channel][outputIndex], -ceiling), ceiling);
+         this.delayIndex = outputIndex;
+         ++this.time;
+      }
+      return true;
+   }
+}
+registerProcessor('lookahead-limiter', LimiterProcessor);
+`;
+
+/**
+ * Class representing a Limiter effect.
+ *
+ * A Limiter is a lookahead brickwall limiter which guarantees that the level of an audio signal
+ * never exceeds a specified ceiling. The signal is delayed by a short lookahead window so that
+ * gain reduction can be smoothly applied before each peak arrives, after which the gain recovers
+ * according to the release time. When oversampling is enabled, peaks occurring between samples
+ * (true peaks) are also detected, preventing clipping after digital-to-analog conversion or
+ * lossy encoding.
+ *
+ * Note that this effect delays its output by a fixed lookahead time of 5 milliseconds.
+ *
+ * @extends EffectBase
+ */
+export class Limiter extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {GainNode} */
+   #inputNode;
+   /** @type {AudioWorkletNode} */
+   #limiterNode;
+   /** @type {GainNode} */
+   #outputNode;
+
+   // Parameter limits
+   static lookaheadTime = 0.005;
+   static minCeiling = -24;
+   static maxCeiling = 0;
+   static minRelease = 0.001;
+   static maxRelease = 2;
+   static minOversampling = 1;
+   static maxOversampling = 8;
+
+   /**
+    * Constructs a new {@link Limiter} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      this.#inputNode = new GainNode(audioContext);
+      this.#outputNode = new GainNode(audioContext);
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'ceiling', type: 'number', validValues: [Limiter.minCeiling, Limiter.maxCeiling], defaultValue: -1 },
+         { name: 'release', type: 'number', validValues: [Limiter.minRelease, Limiter.maxRelease], defaultValue: 0.1 },
+         { name: 'oversampling', type: 'number', validValues: [Limiter.minOversampling, Limiter.maxOversampling], defaultValue: 4 }
+      ];
+   }
+
+   async load() {
+      await loadAudioWorkletProcessor(this.audioContext, 'lookahead-limiter', processorSource);
+      this.#limiterNode = new AudioWorkletNode(this.audioContext, 'lookahead-limiter', {
+         numberOfInputs: 1, numberOfOutputs: 1, outputChannelCount: [2],
+         processorOptions: { lookahead: Limiter.lookaheadTime },
+         parameterData: { ceiling: -1, release: 0.1, oversampling: 4 }
+      });
+      this.#inputNode.connect(this.#limiterNode).connect(this.#outputNode);
+   }
+
+   /**
+    * Updates the {@link Limiter} effect according to the specified parameters at the
+    * specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. The `oversampling` parameter is always rounded to the nearest
+    * integer and never transitions gradually.
+    *
+    * @param {number} ceiling - Decibel level which the output signal will never exceed between [-24, 0]
+    * @param {number} release - Number of seconds required for the gain to recover after a peak between [0.001, 2]
+    * @param {number} oversampling - Oversampling factor used to detect true peaks, or 1 to only detect sample peaks, between [1, 8]
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ ceiling, release, oversampling }, updateTime, timeConstant) {
+      if ((ceiling == null) && (release == null) && (oversampling == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the Limiter effect without at least one of the following parameters: "ceiling, release, oversampling"');
+      if (ceiling != null) {
+         if (ceiling < Limiter.minCeiling)
+            throw new WebAudioApiErrors.WebAudioValueError(`Ceiling value cannot be less than ${Limiter.minCeiling}`);
+         else if (ceiling > Limiter.maxCeiling)
+            throw new WebAudioApiErrors.WebAudioValueError(`Ceiling value cannot be greater than ${Limiter.maxCeiling}`);
+      }
+      if (release != null) {
+         if (release < Limiter.minRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be less than ${Limiter.minRelease}`);
+         else if (release > Limiter.maxRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be greater than ${Limiter.maxRelease}`);
+      }
+      if (oversampling != null) {
+         if (oversampling < Limiter.minOversampling)
+            throw new WebAudioApiErrors.WebAudioValueError(`Oversampling value cannot be less than ${Limiter.minOversampling}`);
+         else if (oversampling > Limiter.maxOversampling)
+            throw new WebAudioApiErrors.WebAudioValueError(`Oversampling value cannot be greater than ${Limiter.maxOversampling}`);
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+      if (ceiling != null)
+         this.#limiterNode.parameters.get('ceiling').setTargetAtTime(ceiling, timeToUpdate, timeConstantTarget);
+      if (release != null)
+         this.#limiterNode.parameters.get('release').setTargetAtTime(release, timeToUpdate, timeConstantTarget);
+      if (oversampling != null)
+         this.#limiterNode.parameters.get('oversampling').setValueAtTime(Math.round(oversampling), timeToUpdate);
+      return true;
+   }
+
+   getAudioParamTargets(parameterName) {
+      return {
+         ceiling: [{ audioParam: this.#limiterNode.parameters.get('ceiling') }],
+         release: [{ audioParam: this.#limiterNode.parameters.get('release') }]
+      }[parameterName] || [];
+   }
+
+   getLatency() {
+      // The delay line holds the lookahead window plus the interpolation taps used for true-peak detection
+      return (Math.max(Math.round(Limiter.lookaheadTime * this.audioContext.sampleRate), 1) + 3) / this.audioContext.sampleRate;
+   }
+
+   currentParameterValues() {
+      return {
+         ceiling: this.#limiterNode.parameters.get('ceiling').value,
+         release: this.#limiterNode.parameters.get('release').value,
+         oversampling: this.#limiterNode.parameters.get('oversampling').value
+      };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
@@ -85,6 +85,13 @@ export class LowPassFilter extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         cutoffFrequency: [{ audioParam: this.#filterNode.frequency }],
+         resonance: [{ audioParam: this.#filterNode.Q }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          cutoffFrequency: this.#filterNode.frequency.value,
@@ -0,0 +1,238 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Butterworth resonance of each crossover filter stage, which is specified in dB for low-pass and high-pass filters
+const butterworthResonance = 20.0 * Math.log10(Math.SQRT1_2);
+
+// Private function to route an input through the crossover filters into the requested number of band processors
+function connectBands(inputNode, crossovers, allPassNodes, bandInputNodes, numBands) {
+   inputNode.disconnect();
+   for (const { lowPassNodes, highPassNodes } of crossovers)
+      for (const filterNode of [...lowPassNodes, ...highPassNodes])
+         filterNode.disconnect();
+   for (const filterNode of allPassNodes.flat())
+      filterNode.disconnect();
+   let sourceNode = inputNode;
+   for (let band = 0; band < numBands; ++band) {
+      let bandNode = sourceNode;
+      if (band < numBands - 1) {
+         const { lowPassNodes, highPassNodes } = crossovers[band];
+         bandNode = sourceNode.connect(lowPassNodes[0]).connect(lowPassNodes[1]);
+         sourceNode = sourceNode.connect(highPassNodes[0]).connect(highPassNodes[1]);
+      }
+      for (let crossover = band + 1; crossover < numBands - 1; ++crossover)
+         bandNode = bandNode.connect(allPassNodes[band][crossover]);
+      bandNode.connect(bandInputNodes[band]);
+   }
+}
+
+/**
+ * Class representing a Multiband Compression effect.
+ *
+ * A Multiband Compression effect splits an audio signal into three or four frequency bands
+ * using Linkwitz-Riley crossover filters and applies independent dynamic range compression to
+ * each band before recombining them. This allows, for example, the low end of a mix to be
+ * controlled without causing audible pumping in the high frequencies. Any band may be soloed
+ * to audition its contribution to the overall output.
+ *
+ * All band-specific parameters are specified as arrays containing one value per band, ordered
+ * from the lowest to the highest frequency band.
+ *
+ * @extends EffectBase
+ */
+export class MultibandCompression extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {GainNode} */
+   #inputNode; #outputNode;
+   /** @type {Object[]} */
+   #crossovers;
+   /** @type {BiquadFilterNode[][]} */
+   #allPassNodes;
+   /** @type {DynamicsCompressorNode[]} */
+   #compressorNodes;
+   /** @type {GainNode[]} */
+   #makeupNodes; #soloNodes;
+   /** @type {number[]} */
+   #solos = [0, 0, 0, 0];
+   /** @type {number} */
+   #numBands = 3;
+
+   // Parameter limits
+   static minBands = 3;
+   static maxBands = 4;
+   static minCrossover = 20;
+   static maxCrossover = 20000;
+   static minThreshold = -100;
+   static maxThreshold = 0;
+   static minRatio = 1;
+   static maxRatio = 20;
+   static minAttack = 0;
+   static maxAttack = 1;
+   static minRelease = 0;
+   static maxRelease = 1;
+   static minMakeupGain = -24;
+   static maxMakeupGain = 24;
+   static minSolo = 0;
+   static maxSolo = 1;
+
+   /**
+    * Constructs a new {@link MultibandCompression} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      const defaultCrossovers = [200, 2000, 8000];
+      this.#inputNode = new GainNode(audioContext);
+      this.#outputNode = new GainNode(audioContext);
+      this.#crossovers = defaultCrossovers.map(frequency => ({
+         lowPassNodes: [0, 1].map(() => new BiquadFilterNode(audioContext, { type: 'lowpass', frequency, Q: butterworthResonance })),
+         highPassNodes: [0, 1].map(() => new BiquadFilterNode(audioContext, { type: 'highpass', frequency, Q: butterworthResonance }))
+      }));
+      this.#allPassNodes = defaultCrossovers.map(() => defaultCrossovers.map(frequency => new BiquadFilterNode(audioContext, { type: 'allpass', frequency, Q: Math.SQRT1_2 })));
+      this.#compressorNodes = [];
+      this.#makeupNodes = [];
+      this.#soloNodes = [];
+      for (let band = 0; band < MultibandCompression.maxBands; ++band) {
+         this.#compressorNodes.push(new DynamicsCompressorNode(audioContext, { threshold: -24, ratio: 1, attack: 0.003, release: 0.25 }));
+         this.#makeupNodes.push(new GainNode(audioContext, { gain: 1 }));
+         this.#soloNodes.push(new GainNode(audioContext, { gain: 1 }));
+      }
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'crossoverFrequencies', type: 'Array<number>', validValues: [MultibandCompression.minCrossover, MultibandCompression.maxCrossover], defaultValue: [200, 2000] },
+         { name: 'thresholds', type: 'Array<number>', validValues: [MultibandCompression.minThreshold, MultibandCompression.maxThreshold], defaultValue: [-24, -24, -24] },
+         { name: 'ratios', type: 'Array<number>', validValues: [MultibandCompression.minRatio, MultibandCompression.maxRatio], defaultValue: [1, 1, 1] },
+         { name: 'attacks', type: 'Array<number>', validValues: [MultibandCompression.minAttack, MultibandCompression.maxAttack], defaultValue: [0.003, 0.003, 0.003] },
+         { name: 'releases', type: 'Array<number>', validValues: [MultibandCompression.minRelease, MultibandCompression.maxRelease], defaultValue: [0.25, 0.25, 0.25] },
+         { name: 'makeupGains', type: 'Array<number>', validValues: [MultibandCompression.minMakeupGain, MultibandCompression.maxMakeupGain], defaultValue: [0, 0, 0] },
+         { name: 'solos', type: 'Array<number>', validValues: [MultibandCompression.minSolo, MultibandCompression.maxSolo], defaultValue: [0, 0, 0] }
+      ];
+   }
+
+   async load() {
+      for (let band = 0; band < MultibandCompression.maxBands; ++band)
+         this.#compressorNodes[band].connect(this.#makeupNodes[band]).connect(this.#soloNodes[band]).connect(this.#outputNode);
+      connectBands(this.#inputNode, this.#crossovers, this.#allPassNodes, this.#compressorNodes, this.#numBands);
+   }
+
+   /**
+    * Updates the {@link MultibandCompression} effect according to the specified parameters at
+    * the specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. Changes to the number of bands and to the `solos` parameter always
+    * take effect immediately. Every specified band-specific array must contain exactly one value
+    * per band, where the number of bands is one greater than the number of crossover frequencies.
+    *
+    * @param {number[]} crossoverFrequencies - Two or three ascending frequencies in Hz separating adjacent bands between [20, 20000]
+    * @param {number[]} thresholds - Decibel loudness of each band above which its compressor kicks in between [-100, 0]
+    * @param {number[]} ratios - Compression ratio applied to each band above its threshold between [1, 20]
+    * @param {number[]} attacks - Number of seconds required to reduce the gain of each band by 10 dB between [0, 1]
+    * @param {number[]} releases - Number of seconds required to increase the gain of each band by 10 dB between [0, 1]
+    * @param {number[]} makeupGains - Decibel gain applied to each band after compression between [-24, 24]
+    * @param {number[]} solos - Whether each band is soloed, such that only soloed bands are heard, as a value of 0 or 1
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ crossoverFrequencies, thresholds, ratios, attacks, releases, makeupGains, solos }, updateTime, timeConstant) {
+      if ((crossoverFrequencies == null) && (thresholds == null) && (ratios == null) && (attacks == null) && (releases == null) && (makeupGains == null) && (solos == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the MultibandCompression effect without at least one of the following parameters: "crossoverFrequencies, thresholds, ratios, attacks, releases, makeupGains, solos"');
+      if (crossoverFrequencies != null) {
+         if ((crossoverFrequencies.length < MultibandCompression.minBands - 1) || (crossoverFrequencies.length > MultibandCompression.maxBands - 1))
+            throw new WebAudioApiErrors.WebAudioValueError(`Crossover frequency array must contain between ${MultibandCompression.minBands - 1} and ${MultibandCompression.maxBands - 1} values`);
+         for (const [index, frequency] of crossoverFrequencies.entries()) {
+            if (frequency < MultibandCompression.minCrossover)
+               throw new WebAudioApiErrors.WebAudioValueError(`Crossover frequency value cannot be less than ${MultibandCompression.minCrossover}`);
+            else if (frequency > MultibandCompression.maxCrossover)
+               throw new WebAudioApiErrors.WebAudioValueError(`Crossover frequency value cannot be greater than ${MultibandCompression.maxCrossover}`);
+            else if (index && (frequency <= crossoverFrequencies[index - 1]))
+               throw new WebAudioApiErrors.WebAudioValueError('Crossover frequency values must be in ascending order');
+         }
+      }
+      const numBands = (crossoverFrequencies == null) ? this.#numBands : (crossoverFrequencies.length + 1);
+      const bandParameters = [
+         ['Threshold', thresholds, MultibandCompression.minThreshold, MultibandCompression.maxThreshold],
+         ['Ratio', ratios, MultibandCompression.minRatio, MultibandCompression.maxRatio],
+         ['Attack', attacks, MultibandCompression.minAttack, MultibandCompression.maxAttack],
+         ['Release', releases, MultibandCompression.minRelease, MultibandCompression.maxRelease],
+         ['Makeup gain', makeupGains, MultibandCompression.minMakeupGain, MultibandCompression.maxMakeupGain],
+         ['Solo', solos, MultibandCompression.minSolo, MultibandCompression.maxSolo]
+      ];
+      for (const [label, values, minValue, maxValue] of bandParameters) {
+         if (values != null) {
+            if (values.length != numBands)
+               throw new WebAudioApiErrors.WebAudioValueError(`${label} array must contain exactly one value for each of the ${numBands} bands`);
+            for (const value of values) {
+               if (value < minValue)
+                  throw new WebAudioApiErrors.WebAudioValueError(`${label} value cannot be less than ${minValue}`);
+               else if (value > maxValue)
+                  throw new WebAudioApiErrors.WebAudioValueError(`${label} value cannot be greater than ${maxValue}`);
+            }
+         }
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+      if (crossoverFrequencies != null) {
+         for (const [crossover, frequency] of crossoverFrequencies.entries()) {
+            const { lowPassNodes, highPassNodes } = this.#crossovers[crossover];
+            for (const filterNode of [...lowPassNodes, ...highPassNodes, ...this.#allPassNodes.map(bandNodes => bandNodes[crossover])])
+               filterNode.frequency.setTargetAtTime(frequency, timeToUpdate, timeConstantTarget);
+         }
+         if (numBands != this.#numBands) {
+            this.#numBands = numBands;
+            connectBands(this.#inputNode, this.#crossovers, this.#allPassNodes, this.#compressorNodes, numBands);
+         }
+      }
+      for (let band = 0; band < numBands; ++band) {
+         if (thresholds != null)
+            this.#compressorNodes[band].threshold.setTargetAtTime(thresholds[band], timeToUpdate, timeConstantTarget);
+         if (ratios != null)
+            this.#compressorNodes[band].ratio.setTargetAtTime(ratios[band], timeToUpdate, timeConstantTarget);
+         if (attacks != null)
+            this.#compressorNodes[band].attack.setTargetAtTime(attacks[band], timeToUpdate, timeConstantTarget);
+         if (releases != null)
+            this.#compressorNodes[band].release.setTargetAtTime(releases[band], timeToUpdate, timeConstantTarget);
+         if (makeupGains != null)
+            this.#makeupNodes[band].gain.setTargetAtTime(Math.pow(10.0, makeupGains[band] / 20.0), timeToUpdate, timeConstantTarget);
+         if (solos != null)
+            this.#solos[band] = Math.round(solos[band]);
+      }
+      if ((solos != null) || (crossoverFrequencies != null)) {
+         const isAnySoloed = this.#solos.slice(0, numBands).some(solo => solo);
+         for (let band = 0; band < MultibandCompression.maxBands; ++band)
+            this.#soloNodes[band].gain.setValueAtTime((!isAnySoloed || this.#solos[band]) ? 1 : 0, timeToUpdate);
+      }
+      return true;
+   }
+
+   currentParameterValues() {
+      const bands = this.#compressorNodes.slice(0, this.#numBands);
+      return {
+         crossoverFrequencies: this.#crossovers.slice(0, this.#numBands - 1).map(crossover => crossover.lowPassNodes[0].frequency.value),
+         thresholds: bands.map(compressorNode => compressorNode.threshold.value),
+         ratios: bands.map(compressorNode => compressorNode.ratio.value),
+         attacks: bands.map(compressorNode => compressorNode.attack.value),
+         releases: bands.map(compressorNode => compressorNode.release.value),
+         makeupGains: this.#makeupNodes.slice(0, this.#numBands).map(makeupNode => 20.0 * Math.log10(makeupNode.gain.value)),
+         solos: this.#solos.slice(0, this.#numBands)
+      };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
@@ -0,0 +1,248 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { loadAudioWorkletProcessor } from '../modules/Worklet.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Audio worklet processor which attenuates its input whenever the input level falls below a threshold
+const processorSource = `
+class NoiseGateProcessor extends AudioWorkletProcessor {
+   static get parameterDescriptors() {
+      return [
+         { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+         { name: 'ratio', defaultValue: 20, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+         { name: 'attack', defaultValue: 0.001, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+         { name: 'hold', defaultValue: 0.05, minValue: 0, maxValue: 2, automationRate: 'k-rate' },
+         { name: 'release', defaultValue: 0.1, minValue: 0, maxValue: 4, automationRate: 'k-rate' },
+         { name: 'range', defaultValue: -80, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+         { name: 'sidechainCutoff', defaultValue: 0, minValue: 0, maxValue: 5000, automationRate: 'k-rate' }
+      ];
+   }
+   constructor() {
+      super();
+      this.level = this.holdRemaining = 0.0;
+      this.reduction = 80.0;
+      this.detectorDecay = Math.exp(-1.0 / (0.01 * sampleRate));
+      this.cutoff = 0.0;
+      this.filterCoefficients = [1.0, 0.0, 0.0, 0.0, 0.0];
+      this.filterStates = [];
+   }
+   updateFilter(cutoff) {
+      this.cutoff = cutoff;
+      if (cutoff <= 0.0)
+         this.filterCoefficients = [1.0, 0.0, 0.0, 0.0, 0.0];
+      else {
+         const omega = 2.0 * Math.PI * Math.min(cutoff, 0.45 * sampleRate) / sampleRate;
+         const alpha = Math.sin(omega) / (2.0 * Math.SQRT1_2), cosOmega = Math.cos(omega), a0 = 1.0 + alpha;
+         this.filterCoefficients = [(1.0 + cosOmega) / (2.0 * a0), -(1.0 + cosOmega) / a0, (1.0 + cosOmega) / (2.0 * a0), (-2.0 * cosOmega) / a0, (1.0 - alpha) / a0];
+      }
+   }
+   process(inputs, outputs, parameters) {
+      const input = inputs[0], output = outputs[0];
+      const threshold = parameters.threshold[0], slope = parameters.ratio[0] - 1.0, maxReduction = -parameters.range[0];
+      const attackCoeff = (parameters.attack[0] > 0) ? Math.exp(-1.0 / (parameters.attack[0] * sampleRate)) : 0.0;
+      const releaseCoeff = (parameters.release[0] > 0) ? Math.exp(-1.0 / (parameters.release[0] * sampleRate)) : 0.0;
+      const holdSamples = parameters.hold[0] * sampleRate;
+      if (parameters.sidechainCutoff[0] != this.cutoff)
+         this.updateFilter(parameters.sidechainCutoff[0]);
+      while (this.filterStates.length < input.length)
+         this.filterStates.push([0.0, 0.0, 0.0, 0.0]);
+      const [b0, b1, b2, a1, a2] = this.filterCoefficients;
+      for (let i = 0; i < output[0].length; ++i) {
+         let inputLevel = 0.0;
+         for (let channel = 0; channel < input.length; ++channel) {
+            const state = this.filterStates[channel], x = input[channel][i];
+            const y = (b0 * x) + (b1 * state[0]) + (b2 * state[1]) - (a1 * state[2]) - (a2 * state[3]);
+            state[1] = state[0]; state[0] = x; state[3] = state[2]; state[2] = y;
+            inputLevel = Math.max(inputLevel, Math.abs(y));
+         }
+         this.level = Math.max(inputLevel, this.detectorDecay * this.level);
+         const undershoot = threshold - (20.0 * Math.log10(Math.max(this.level, 1e-6)));
+         let targetReduction = 0.0;
+         if (undershoot <= 0.0)
+            this.holdRemaining = holdSamples;
+         else if (this.holdRemaining > 0.0)
+            --this.holdRemaining;
+         else
+            targetReduction = Math.min(undershoot * slope, maxReduction);
+         const coeff = (targetReduction < this.reduction) ? attackCoeff : releaseCoeff;
+         this.reduction = (coeff * this.reduction) + ((1.0 - coeff) * targetReduction);
+         const gain = Math.pow(10.0, -this.reduction / 20.0);
+         for (let channel = 0; channel < output.length; ++channel)
+            output[channel][i] = input.length ? (gain * input[Math.min(channel, input.length - 1)][i]) : 0.0;
+      }
+      return true;
+   }
+}
+registerProcessor('noise-gate', NoiseGateProcessor);
+`;
+
+/**
+ * Class representing a Noise Gate effect.
+ *
+ * A Noise Gate attenuates an audio signal whenever its loudness falls below a threshold, making
+ * it possible to remove room noise, hum, or bleed from between the useful portions of a signal
+ * such as live microphone input. At high ratios the effect behaves as a gate, silencing the
+ * signal entirely, while lower ratios produce a gentler downward expander. An optional
+ * high-pass filter may be applied to the signal used to detect the input level so that
+ * low-frequency rumble or hum does not cause the gate to open.
+ *
+ * @extends EffectBase
+ */
+export class NoiseGate extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {GainNode} */
+   #inputNode;
+   /** @type {AudioWorkletNode} */
+   #gateNode;
+   /** @type {GainNode} */
+   #outputNode;
+
+   // Parameter limits
+   static minThreshold = -100;
+   static maxThreshold = 0;
+   static minRatio = 1;
+   static maxRatio = 20;
+   static minAttack = 0;
+   static maxAttack = 1;
+   static minHold = 0;
+   static maxHold = 2;
+   static minRelease = 0;
+   static maxRelease = 4;
+   static minRange = -100;
+   static maxRange = 0;
+   static minSidechainCutoff = 0;
+   static maxSidechainCutoff = 5000;
+
+   /**
+    * Constructs a new {@link NoiseGate} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      this.#inputNode = new GainNode(audioContext);
+      this.#outputNode = new GainNode(audioContext);
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'threshold', type: 'number', validValues: [NoiseGate.minThreshold, NoiseGate.maxThreshold], defaultValue: -50 },
+         { name: 'ratio', type: 'number', validValues: [NoiseGate.minRatio, NoiseGate.maxRatio], defaultValue: 20 },
+         { name: 'attack', type: 'number', validValues: [NoiseGate.minAttack, NoiseGate.maxAttack], defaultValue: 0.001 },
+         { name: 'hold', type: 'number', validValues: [NoiseGate.minHold, NoiseGate.maxHold], defaultValue: 0.05 },
+         { name: 'release', type: 'number', validValues: [NoiseGate.minRelease, NoiseGate.maxRelease], defaultValue: 0.1 },
+         { name: 'range', type: 'number', validValues: [NoiseGate.minRange, NoiseGate.maxRange], defaultValue: -80 },
+         { name: 'sidechainCutoff', type: 'number', validValues: [NoiseGate.minSidechainCutoff, NoiseGate.maxSidechainCutoff], defaultValue: 0 }
+      ];
+   }
+
+   async load() {
+      await loadAudioWorkletProcessor(this.audioContext, 'noise-gate', processorSource);
+      this.#gateNode = new AudioWorkletNode(this.audioContext, 'noise-gate', {
+         numberOfInputs: 1, numberOfOutputs: 1, outputChannelCount: [2],
+         parameterData: { threshold: -50, ratio: 20, attack: 0.001, hold: 0.05, release: 0.1, range: -80, sidechainCutoff: 0 }
+      });
+      this.#inputNode.connect(this.#gateNode).connect(this.#outputNode);
+   }
+
+   /**
+    * Updates the {@link NoiseGate} effect according to the specified parameters at the
+    * specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    *
+    * @param {number} threshold - Decibel loudness below which the gate begins attenuating the signal between [-100, 0]
+    * @param {number} ratio - Downward expansion ratio applied below the threshold, where higher values approach a hard gate, between [1, 20]
+    * @param {number} attack - Number of seconds required for the gate to open once the threshold is exceeded between [0, 1]
+    * @param {number} hold - Number of seconds for which the gate remains open after the signal falls below the threshold between [0, 2]
+    * @param {number} release - Number of seconds required for the gate to close once the hold time has elapsed between [0, 4]
+    * @param {number} range - Maximum decibel attenuation applied while the gate is closed between [-100, 0]
+    * @param {number} sidechainCutoff - Cutoff frequency of a high-pass filter applied to the level detector, or 0 to disable, between [0, 5000]
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ threshold, ratio, attack, hold, release, range, sidechainCutoff }, updateTime, timeConstant) {
+      if ((threshold == null) && (ratio == null) && (attack == null) && (hold == null) && (release == null) && (range == null) && (sidechainCutoff == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the NoiseGate effect without at least one of the following parameters: "threshold, ratio, attack, hold, release, range, sidechainCutoff"');
+      if (threshold != null) {
+         if (threshold < NoiseGate.minThreshold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Threshold value cannot be less than ${NoiseGate.minThreshold}`);
+         else if (threshold > NoiseGate.maxThreshold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Threshold value cannot be greater than ${NoiseGate.maxThreshold}`);
+      }
+      if (ratio != null) {
+         if (ratio < NoiseGate.minRatio)
+            throw new WebAudioApiErrors.WebAudioValueError(`Ratio value cannot be less than ${NoiseGate.minRatio}`);
+         else if (ratio > NoiseGate.maxRatio)
+            throw new WebAudioApiErrors.WebAudioValueError(`Ratio value cannot be greater than ${NoiseGate.maxRatio}`);
+      }
+      if (attack != null) {
+         if (attack < NoiseGate.minAttack)
+            throw new WebAudioApiErrors.WebAudioValueError(`Attack value cannot be less than ${NoiseGate.minAttack}`);
+         else if (attack > NoiseGate.maxAttack)
+            throw new WebAudioApiErrors.WebAudioValueError(`Attack value cannot be greater than ${NoiseGate.maxAttack}`);
+      }
+      if (hold != null) {
+         if (hold < NoiseGate.minHold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Hold value cannot be less than ${NoiseGate.minHold}`);
+         else if (hold > NoiseGate.maxHold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Hold value cannot be greater than ${NoiseGate.maxHold}`);
+      }
+      if (release != null) {
+         if (release < NoiseGate.minRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be less than ${NoiseGate.minRelease}`);
+         else if (release > NoiseGate.maxRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be greater than ${NoiseGate.maxRelease}`);
+      }
+      if (range != null) {
+         if (range < NoiseGate.minRange)
+            throw new WebAudioApiErrors.WebAudioValueError(`Range value cannot be less than ${NoiseGate.minRange}`);
+         else if (range > NoiseGate.maxRange)
+            throw new WebAudioApiErrors.WebAudioValueError(`Range value cannot be greater than ${NoiseGate.maxRange}`);
+      }
+      if (sidechainCutoff != null) {
+         if (sidechainCutoff < NoiseGate.minSidechainCutoff)
+            throw new WebAudioApiErrors.WebAudioValueError(`Sidechain cutoff value cannot be less than ${NoiseGate.minSidechainCutoff}`);
+         else if (sidechainCutoff > NoiseGate.maxSidechainCutoff)
+            throw new WebAudioApiErrors.WebAudioValueError(`Sidechain cutoff value cannot be greater than ${NoiseGate.maxSidechainCutoff}`);
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+      for (const [name, value] of Object.entries({ threshold, ratio, attack, hold, release, range, sidechainCutoff }))
+         if (value != null)
+            this.#gateNode.parameters.get(name).setTargetAtTime(value, timeToUpdate, timeConstantTarget);
+      return true;
+   }
+
+   getAudioParamTargets(parameterName) {
+      const audioParam = this.#gateNode.parameters.get(parameterName);
+      return audioParam ? [{ audioParam }] : [];
+   }
+
+   currentParameterValues() {
+      return {
+         threshold: this.#gateNode.parameters.get('threshold').value,
+         ratio: this.#gateNode.parameters.get('ratio').value,
+         attack: this.#gateNode.parameters.get('attack').value,
+         hold: this.#gateNode.parameters.get('hold').value,
+         release: this.#gateNode.parameters.get('release').value,
+         range: this.#gateNode.parameters.get('range').value,
+         sidechainCutoff: this.#gateNode.parameters.get('sidechainCutoff').value
+      };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
@@ -71,6 +71,12 @@ export class Panning extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         leftToRightRatio: [{ audioParam: this.#panningNode.pan, toParamValue: value => 2.0 * (value - 0.5) }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          leftToRightRatio: (0.5 * this.#panningNode.pan.value) + 0.5
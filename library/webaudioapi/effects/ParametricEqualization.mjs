@@ -0,0 +1,248 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { EqualizerBandType } from '../modules/Constants.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Default settings for a newly added equalizer band
+const defaultBand = { type: EqualizerBandType.Bell, frequency: 1000, gain: 0, Q: Math.SQRT1_2, slope: 12 };
+
+/**
+ * Returns the resonance in dB of a single second-order stage within a cascade of Butterworth
+ * high-pass or low-pass filters, with the final stage scaled to realize the requested Q.
+ *
+ * @param {number} numStages - Total number of second-order stages in the cascade
+ * @param {number} stage - Index of the stage for which to return the resonance
+ * @param {number} Q - Requested quality factor of the complete filter
+ * @returns {number} Resonance in dB for use as the `Q` parameter of a high-pass or low-pass BiquadFilterNode
+ */
+function getStageResonance(numStages, stage, Q) {
+   const butterworthQ = 1.0 / (2.0 * Math.cos(Math.PI * ((2 * stage) + 1) / (4 * numStages)));
+   return 20.0 * Math.log10((stage == numStages - 1) ? (butterworthQ * Q / Math.SQRT1_2) : butterworthQ);
+}
+
+/**
+ * Creates the list of BiquadFilterNodes needed to realize the specified equalizer band.
+ *
+ * @param {AudioContext} audioContext - Reference to the global browser AudioContext
+ * @param {Object} band - Equalizer band containing `type`, `frequency`, `gain`, `Q`, and `slope` values
+ * @returns {BiquadFilterNode[]} List of filter nodes which must be connected in series
+ */
+function createBandFilters(audioContext, band) {
+   const { type, frequency, gain, Q, slope } = band;
+   if ((type == EqualizerBandType.HighPass) || (type == EqualizerBandType.LowPass)) {
+      const filterType = (type == EqualizerBandType.HighPass) ? 'highpass' : 'lowpass', numStages = slope / 12, filterNodes = [];
+      for (let stage = 0; stage < numStages; ++stage)
+         filterNodes.push(new BiquadFilterNode(audioContext, { type: filterType, frequency, Q: getStageResonance(numStages, stage, Q) }));
+      return filterNodes;
+   }
+   else if (type == EqualizerBandType.LowShelf)
+      return [new BiquadFilterNode(audioContext, { type: 'lowshelf', frequency, gain })];
+   else if (type == EqualizerBandType.HighShelf)
+      return [new BiquadFilterNode(audioContext, { type: 'highshelf', frequency, gain })];
+   else if (type == EqualizerBandType.Notch)
+      return [new BiquadFilterNode(audioContext, { type: 'notch', frequency, Q })];
+   return [new BiquadFilterNode(audioContext, { type: 'peaking', frequency, gain, Q })];
+}
+
+/**
+ * Class representing a Parametric Equalization effect.
+ *
+ * A Parametric Equalizer shapes the frequency content of an audio signal using any number of
+ * independently configurable bands. Each band has its own filter type, center or cutoff
+ * frequency, gain, and quality factor (Q), and high-pass and low-pass bands additionally have
+ * a selectable slope in dB per octave.
+ *
+ * Note that gain is ignored by notch, high-pass, and low-pass bands, and Q is ignored by shelf
+ * bands.
+ *
+ * @extends EffectBase
+ */
+export class ParametricEqualization extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {GainNode} */
+   #inputNode;
+   /** @type {GainNode} */
+   #outputNode;
+   /** @type {Object[]} */
+   #bands = [];
+
+   // Parameter limits
+   static maxBands = 16;
+   static minBandType = 1;
+   static maxBandType = 6;
+   static minFrequency = 20;
+   static maxFrequency = 20000;
+   static minGain = -40;
+   static maxGain = 40;
+   static minQ = 0.1;
+   static maxQ = 30;
+   static minSlope = 12;
+   static maxSlope = 48;
+
+   /**
+    * Constructs a new {@link ParametricEqualization} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      this.#inputNode = new GainNode(audioContext);
+      this.#outputNode = new GainNode(audioContext);
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'bandTypes', type: 'Array<number>', validValues: [ParametricEqualization.minBandType, ParametricEqualization.maxBandType], defaultValue: EqualizerBandType.Bell },
+         { name: 'bandFrequencies', type: 'Array<number>', validValues: [ParametricEqualization.minFrequency, ParametricEqualization.maxFrequency], defaultValue: 1000 },
+         { name: 'bandGains', type: 'Array<number>', validValues: [ParametricEqualization.minGain, ParametricEqualization.maxGain], defaultValue: 0 },
+         { name: 'bandQs', type: 'Array<number>', validValues: [ParametricEqualization.minQ, ParametricEqualization.maxQ], defaultValue: Math.SQRT1_2 },
+         { name: 'bandSlopes', type: 'Array<number>', validValues: [ParametricEqualization.minSlope, ParametricEqualization.maxSlope], defaultValue: 12 }
+      ];
+   }
+
+   async load() {
+      this.#inputNode.connect(this.#outputNode);
+   }
+
+   /**
+    * Updates the {@link ParametricEqualization} effect according to the specified parameters at the
+    * specified time.
+    *
+    * The number of equalizer bands is determined by the length of the `bandTypes` array, and all
+    * other specified arrays must contain one value per band. If `bandTypes` is omitted, the current
+    * number of bands is retained. Band types are specified using the {@link EqualizerBandType}
+    * constants, and band slopes are rounded to the nearest multiple of 12 dB/octave.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. Changes to the number of bands, or to the type or slope of any band,
+    * always take effect immediately without transitioning.
+    *
+    * @param {number[]} bandTypes - Filter type of each equalizer band as an {@link EqualizerBandType} value
+    * @param {number[]} bandFrequencies - Center or cutoff frequency in Hz of each band between [20, 20000]
+    * @param {number[]} bandGains - Gain in dB of each bell or shelf band between [-40, 40]
+    * @param {number[]} bandQs - Quality factor of each bell, notch, high-pass, or low-pass band between [0.1, 30]
+    * @param {number[]} bandSlopes - Slope in dB/octave of each high-pass or low-pass band between [12, 48]
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ bandTypes, bandFrequencies, bandGains, bandQs, bandSlopes }, updateTime, timeConstant) {
+      if ((bandTypes == null) && (bandFrequencies == null) && (bandGains == null) && (bandQs == null) && (bandSlopes == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the ParametricEqualization effect without at least one of the following parameters: "bandTypes, bandFrequencies, bandGains, bandQs, bandSlopes"');
+      const numBands = (bandTypes == null) ? this.#bands.length : bandTypes.length;
+      if (numBands > ParametricEqualization.maxBands)
+         throw new WebAudioApiErrors.WebAudioValueError(`Number of equalizer bands cannot be greater than ${ParametricEqualization.maxBands}`);
+      const bandParameters = [
+         ['Band type', bandTypes, ParametricEqualization.minBandType, ParametricEqualization.maxBandType],
+         ['Band frequency', bandFrequencies, ParametricEqualization.minFrequency, ParametricEqualization.maxFrequency],
+         ['Band gain', bandGains, ParametricEqualization.minGain, ParametricEqualization.maxGain],
+         ['Band Q', bandQs, ParametricEqualization.minQ, ParametricEqualization.maxQ],
+         ['Band slope', bandSlopes, ParametricEqualization.minSlope, ParametricEqualization.maxSlope]
+      ];
+      for (const [name, values, minValue, maxValue] of bandParameters) {
+         if (values == null)
+            continue;
+         if (values.length != numBands)
+            throw new WebAudioApiErrors.WebAudioValueError(`${name} array must contain exactly one value for each of the ${numBands} equalizer bands`);
+         for (const value of values) {
+            if (value < minValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be less than ${minValue}`);
+            else if (value > maxValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be greater than ${maxValue}`);
+         }
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+
+      // Determine the new settings for each equalizer band
+      let chainChanged = (numBands != this.#bands.length);
+      const updatedBands = [];
+      for (let i = 0; i < numBands; ++i) {
+         const band = (i < this.#bands.length) ? this.#bands[i] : { ...defaultBand, filterNodes: null };
+         const updatedBand = {
+            type: (bandTypes == null) ? band.type : Math.round(bandTypes[i]),
+            frequency: (bandFrequencies == null) ? band.frequency : bandFrequencies[i],
+            gain: (bandGains == null) ? band.gain : bandGains[i],
+            Q: (bandQs == null) ? band.Q : bandQs[i],
+            slope: (bandSlopes == null) ? band.slope : (12 * Math.round(bandSlopes[i] / 12)),
+            filterNodes: band.filterNodes
+         };
+         if (!updatedBand.filterNodes || (updatedBand.type != band.type) || (updatedBand.slope != band.slope)) {
+            updatedBand.filterNodes = createBandFilters(this.audioContext, updatedBand);
+            chainChanged = true;
+         }
+         else {
+            updatedBand.filterNodes.forEach((filterNode, stage) => {
+               filterNode.frequency.setTargetAtTime(updatedBand.frequency, timeToUpdate, timeConstantTarget);
+               filterNode.gain.setTargetAtTime(updatedBand.gain, timeToUpdate, timeConstantTarget);
+               if ((updatedBand.type == EqualizerBandType.HighPass) || (updatedBand.type == EqualizerBandType.LowPass))
+                  filterNode.Q.setTargetAtTime(getStageResonance(updatedBand.filterNodes.length, stage, updatedBand.Q), timeToUpdate, timeConstantTarget);
+               else
+                  filterNode.Q.setTargetAtTime(updatedBand.Q, timeToUpdate, timeConstantTarget);
+            });
+         }
+         updatedBands.push(updatedBand);
+      }
+
+      // Reconnect the filter chain if any of its nodes have changed
+      if (chainChanged) {
+         this.#inputNode.disconnect();
+         for (const band of this.#bands)
+            band.filterNodes.forEach(filterNode => filterNode.disconnect());
+         let previousNode = this.#inputNode;
+         for (const band of updatedBands)
+            for (const filterNode of band.filterNodes)
+               previousNode = previousNode.connect(filterNode);
+         previousNode.connect(this.#outputNode);
+      }
+      this.#bands = updatedBands;
+      return true;
+   }
+
+   currentParameterValues() {
+      return {
+         bandTypes: this.#bands.map(band => band.type),
+         bandFrequencies: this.#bands.map(band => band.filterNodes[0].frequency.value),
+         bandGains: this.#bands.map(band => band.filterNodes[0].gain.value),
+         bandQs: this.#bands.map(band => band.Q),
+         bandSlopes: this.#bands.map(band => band.slope)
+      };
+   }
+
+   /**
+    * Returns the combined frequency response of all equalizer bands at each of the specified
+    * frequencies, suitable for drawing an equalization curve.
+    *
+    * @param {Float32Array} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing linear `magnitudes` and `phases` in radians as Float32Arrays
+    */
+   getFrequencyResponse(frequencies) {
+      const magnitudes = new Float32Array(frequencies.length).fill(1.0), phases = new Float32Array(frequencies.length);
+      const filterMagnitudes = new Float32Array(frequencies.length), filterPhases = new Float32Array(frequencies.length);
+      for (const band of this.#bands) {
+         for (const filterNode of band.filterNodes) {
+            filterNode.getFrequencyResponse(frequencies, filterMagnitudes, filterPhases);
+            for (let i = 0; i < frequencies.length; ++i) {
+               magnitudes[i] *= filterMagnitudes[i];
+               phases[i] += filterPhases[i];
+            }
+         }
+      }
+      for (let i = 0; i < phases.length; ++i)
+         phases[i] = Math.atan2(Math.sin(phases[i]), Math.cos(phases[i]));
+      return { magnitudes, phases };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
@@ -158,6 +158,15 @@ export class Phaser extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         rate: [{ audioParam: this.#lfoNode.frequency }],
+         frequency: this.#filterNodes.map((filterNode, i) => ({ audioParam: filterNode.frequency, toParamValue: value => value + ((22050 - value) / (1 + Phaser.numPoles)) * i })),
+         feedback: [{ audioParam: this.#feedbackNode.gain }],
+         intensity: [{ audioParam: this.#lfoGainNode.gain, toParamValue: value => 1000 * value }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          rate: this.#lfoNode.frequency.value,
@@ -1,11 +1,188 @@
 import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { loadAudioWorkletProcessor } from '../modules/Worklet.mjs';
 import { EffectBase } from './EffectBase.mjs';
 
+// Audio worklet processor which shifts pitch using a phase vocoder with optional formant preservation
+const processorSource = `
+class PitchShifterProcessor extends AudioWorkletProcessor {
+   static get parameterDescriptors() {
+      return [
+         { name: 'shift', defaultValue: 0, minValue: -2400, maxValue: 2400, automationRate: 'k-rate' },
+         { name: 'formant', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+      ];
+   }
+   constructor() {
+      super();
+      this.frameSize = 1024;  // Output is delayed by one frame, which must match PitchShift.workletLatency
+      this.hopSize = this.frameSize / 4;
+      this.latency = this.frameSize - this.hopSize;
+      this.numBins = (this.frameSize / 2) + 1;
+      this.envelopeWidth = 8;
+      this.window = new Float32Array(this.frameSize);
+      for (let i = 0; i < this.frameSize; ++i)
+         this.window[i] = 0.5 - (0.5 * Math.cos(2.0 * Math.PI * i / this.frameSize));
+      this.bitReversal = new Uint32Array(this.frameSize);
+      for (let i = 0, bits = Math.log2(this.frameSize); i < this.frameSize; ++i)
+         for (let b = 0; b < bits; ++b)
+            this.bitReversal[i] |= ((i >> b) & 1) << (bits - 1 - b);
+      this.twiddleReal = new Float32Array(this.frameSize / 2);
+      this.twiddleImag = new Float32Array(this.frameSize / 2);
+      for (let i = 0; i < this.frameSize / 2; ++i) {
+         this.twiddleReal[i] = Math.cos(2.0 * Math.PI * i / this.frameSize);
+         this.twiddleImag[i] = -Math.sin(2.0 * Math.PI * i / this.frameSize);
+      }
+      this.real = new Float32Array(this.frameSize);
+      this.imag = new Float32Array(this.frameSize);
+      this.shiftedReal = new Float32Array(this.numBins);
+      this.shiftedImag = new Float32Array(this.numBins);
+      this.magnitude = new Float32Array(this.numBins);
+      this.logEnvelope = new Float32Array(this.numBins);
+      this.logPrefixSum = new Float64Array(this.numBins + 1);
+      this.peaks = new Uint32Array(this.numBins);
+      this.channels = [];
+      this.rover = this.latency;
+   }
+   createChannel() {
+      return {
+         inputFifo: new Float32Array(this.frameSize), outputFifo: new Float32Array(this.hopSize),
+         outputAccumulator: new Float32Array(this.frameSize), lastPhase: new Float32Array(this.numBins),
+         rotation: new Float32Array(this.numBins), nextRotation: new Float32Array(this.numBins)
+      };
+   }
+   fft(inverse) {
+      const real = this.real, imag = this.imag, n = this.frameSize;
+      for (let i = 0; i < n; ++i) {
+         const j = this.bitReversal[i];
+         if (j > i) {
+            let temp = real[i]; real[i] = real[j]; real[j] = temp;
+            temp = imag[i]; imag[i] = imag[j]; imag[j] = temp;
+         }
+      }
+      for (let size = 2; size <= n; size *= 2) {
+         const halfSize = size / 2, step = n / size;
+         for (let start = 0; start < n; start += size)
+            for (let k = 0; k < halfSize; ++k) {
+               const wr = this.twiddleReal[k * step], wi = inverse ? -this.twiddleImag[k * step] : this.twiddleImag[k * step];
+               const even = start + k, odd = even + halfSize;
+               const tr = (wr * real[odd]) - (wi * imag[odd]), ti = (wr * imag[odd]) + (wi * real[odd]);
+               real[odd] = real[even] - tr; imag[odd] = imag[even] - ti;
+               real[even] += tr; imag[even] += ti;
+            }
+      }
+   }
+   processFrame(channel, ratio, formant) {
+      const expectedPhase = 2.0 * Math.PI * this.hopSize / this.frameSize;
+      for (let i = 0; i < this.frameSize; ++i) {
+         this.real[i] = channel.inputFifo[i] * this.window[i];
+         this.imag[i] = 0.0;
+      }
+      this.fft(false);
+      let numPeaks = 0, maxMagnitude = 0.0;
+      for (let k = 0; k < this.numBins; ++k) {
+         this.magnitude[k] = Math.sqrt((this.real[k] * this.real[k]) + (this.imag[k] * this.imag[k]));
+         maxMagnitude = Math.max(maxMagnitude, this.magnitude[k]);
+      }
+      for (let k = 1; k < this.numBins - 1; ++k)
+         if ((this.magnitude[k] > this.magnitude[k - 1]) && (this.magnitude[k] >= this.magnitude[k + 1]) && (this.magnitude[k] > 1e-6 * maxMagnitude))
+            this.peaks[numPeaks++] = k;
+      if (formant > 0.0) {
+         for (let k = 0; k < this.numBins; ++k)
+            this.logPrefixSum[k + 1] = this.logPrefixSum[k] + Math.log(this.magnitude[k] + 1e-9);
+         for (let k = 0; k < this.numBins; ++k) {
+            const low = Math.max(k - this.envelopeWidth, 0), high = Math.min(k + this.envelopeWidth + 1, this.numBins);
+            this.logEnvelope[k] = (this.logPrefixSum[high] - this.logPrefixSum[low]) / (high - low);
+         }
+      }
+      this.shiftedReal.fill(0.0);
+      this.shiftedImag.fill(0.0);
+      channel.nextRotation.fill(0.0);
+      for (let p = 0; p < numPeaks; ++p) {
+         const peak = this.peaks[p], phase = Math.atan2(this.imag[peak], this.real[peak]);
+         let delta = phase - channel.lastPhase[peak] - (peak * expectedPhase);
+         delta -= 2.0 * Math.PI * Math.round(delta / (2.0 * Math.PI));
+         const trueFrequency = peak + (delta / expectedPhase);
+         let rotation = channel.rotation[peak] + ((ratio - 1.0) * trueFrequency * expectedPhase);
+         rotation -= 2.0 * Math.PI * Math.round(rotation / (2.0 * Math.PI));
+         const rotationReal = Math.cos(rotation), rotationImag = Math.sin(rotation);
+         const low = p ? (((this.peaks[p - 1] + peak) >> 1) + 1) : 0;
+         const high = (p < numPeaks - 1) ? ((peak + this.peaks[p + 1]) >> 1) : (this.numBins - 1);
+         const offset = Math.round(peak * ratio) - peak;
+         for (let k = low; k <= high; ++k) {
+            channel.nextRotation[k] = rotation;
+            const target = k + offset;
+            if ((target >= 0) && (target < this.numBins)) {
+               const correction = (formant > 0.0) ? Math.exp(formant * (this.logEnvelope[target] - this.logEnvelope[k])) : 1.0;
+               this.shiftedReal[target] += correction * ((this.real[k] * rotationReal) - (this.imag[k] * rotationImag));
+               this.shiftedImag[target] += correction * ((this.real[k] * rotationImag) + (this.imag[k] * rotationReal));
+            }
+         }
+      }
+      for (let k = 0; k < this.numBins; ++k)
+         channel.lastPhase[k] = Math.atan2(this.imag[k], this.real[k]);
+      [channel.rotation, channel.nextRotation] = [channel.nextRotation, channel.rotation];
+      for (let k = 0; k < this.numBins; ++k) {
+         this.real[k] = this.shiftedReal[k];
+         this.imag[k] = this.shiftedImag[k];
+         if ((k > 0) && (k < this.numBins - 1)) {
+            this.real[this.frameSize - k] = this.shiftedReal[k];
+            this.imag[this.frameSize - k] = -this.shiftedImag[k];
+         }
+      }
+      this.fft(true);
+      const scale = 1.0 / (1.5 * this.frameSize);
+      for (let i = 0; i < this.frameSize; ++i)
+         channel.outputAccumulator[i] += scale * this.window[i] * this.real[i];
+      channel.outputFifo.set(channel.outputAccumulator.subarray(0, this.hopSize));
+      channel.outputAccumulator.copyWithin(0, this.hopSize);
+      channel.outputAccumulator.fill(0.0, this.frameSize - this.hopSize);
+      channel.inputFifo.copyWithin(0, this.hopSize);
+   }
+   process(inputs, outputs, parameters) {
+      const input = inputs[0], output = outputs[0];
+      const ratio = Math.pow(2.0, parameters.shift[0] / 1200.0), formant = parameters.formant[0];
+      while (this.channels.length < output.length)
+         this.channels.push(this.createChannel());
+      let rover = this.rover;
+      for (let c = 0; c < output.length; ++c) {
+         const channel = this.channels[c], inputData = input.length ? input[Math.min(c, input.length - 1)] : null;
+         rover = this.rover;
+         for (let i = 0; i < output[c].length; ++i) {
+            channel.inputFifo[rover] = inputData ? inputData[i] : 0.0;
+            output[c][i] = channel.outputFifo[rover - this.latency];
+            if (++rover >= this.frameSize) {
+               rover = this.latency;
+               this.processFrame(channel, ratio, formant);
+            }
+         }
+      }
+      this.rover = rover;
+      return true;
+   }
+}
+registerProcessor('pitch-shifter', PitchShifterProcessor);
+`;
+
+// Schedules the portion of each private shift curve remaining after `fromTime` on a newly created shift parameter
+function scheduleRemainingCurves(shiftParam, curves, fromTime) {
+   for (const { shift, startTime, timeWeights, duration } of curves) {
+      const curveTime = Math.max(startTime, fromTime), remainingDuration = startTime + duration - curveTime;
+      const startIndex = Math.floor(timeWeights.length * (curveTime - startTime) / duration);
+      if ((remainingDuration > 0) && (timeWeights.length - startIndex >= 2))
+         shiftParam.setValueCurveAtTime(timeWeights.subarray(startIndex).map(weight => weight * shift), curveTime, remainingDuration);
+   }
+}
+
 /**
  * Class representing a Pitch Shift effect.
  * 
  * A Pitch Shift performs a permanent shift in frequency between an incoming and
  * outgoing audio signal.
+ *
+ * Two processing engines are available. The default `delay` engine modulates a pair of
+ * crossfaded delay lines, supporting shifts between [-1200, 700] cents with a characteristic
+ * chorusing sound. The `worklet` engine uses a low-latency phase vocoder running in an audio
+ * worklet, supporting shifts between [-2400, 2400] cents along with optional preservation of
+ * the spectral envelope (formants) of the original signal.
  * 
  * @extends EffectBase
  */
@@ -15,6 +192,10 @@ export class PitchShift extends EffectBase {
    /** @type {GainNode} */
    #inputNode; #outputNode;
    /** @type {GainNode} */
+   #delayOutputNode; #workletOutputNode;
+   /** @type {AudioWorkletNode} */
+   #shifterNode = null;
+   /** @type {GainNode} */
    #modGain1Node; #modGain2Node;
    /** @type {AudioBuffer} */
    #shiftDownBuffer; #shiftUpBuffer;
@@ -26,13 +207,24 @@ export class PitchShift extends EffectBase {
    #fade1Node; #fade2Node;
    /** @type {number} */
    #shiftValue;
+   /** @type {string} */
+   #engine = 'delay';
+   /** @type {number} */
+   #formant = 0;
+   /** @type {Object[]} */
+   #privateCurves = [];
 
    // Parameter limits
    static bufferTime = 0.250;
    static delayTime = 0.250;
    static fadeTime = 0.125;
-   static minShift = -1200;
-   static maxShift = 700;
+   static workletLatency = 1024;
+   static minShift = -2400;
+   static maxShift = 2400;
+   static minDelayShift = -1200;
+   static maxDelayShift = 700;
+   static minFormant = 0;
+   static maxFormant = 1;
 
    /**
     * Constructs a new {@link PitchShift} effect object.
@@ -43,6 +235,8 @@ export class PitchShift extends EffectBase {
       // Required audio nodes
       this.#inputNode = new GainNode(audioContext);
       this.#outputNode = new GainNode(audioContext);
+      this.#delayOutputNode = new GainNode(audioContext, { gain: 1 });
+      this.#workletOutputNode = new GainNode(audioContext, { gain: 0 });
       this.#mod1GainNode = new GainNode(audioContext, { gain: 1 });
       this.#mod2GainNode = new GainNode(audioContext, { gain: 1 });
       this.#mod3GainNode = new GainNode(audioContext, { gain: 0 });
@@ -111,8 +305,10 @@ export class PitchShift extends EffectBase {
       this.#inputNode.connect(delay2);
       delay1.connect(mix1);
       delay2.connect(mix2);
-      mix1.connect(this.#outputNode);
-      mix2.connect(this.#outputNode);
+      mix1.connect(this.#delayOutputNode);
+      mix2.connect(this.#delayOutputNode);
+      this.#delayOutputNode.connect(this.#outputNode);
+      this.#workletOutputNode.connect(this.#outputNode);
    }
 
    /**
@@ -124,7 +320,9 @@ export class PitchShift extends EffectBase {
     */
    static getParameters() {
       return [
-         { name: 'shift', type: 'number', validValues: [PitchShift.minShift, PitchShift.maxShift], defaultValue: 0 }
+         { name: 'shift', type: 'number', validValues: [PitchShift.minShift, PitchShift.maxShift], defaultValue: 0 },
+         { name: 'engine', type: 'string', validValues: ['delay', 'worklet'], defaultValue: 'delay' },
+         { name: 'formant', type: 'number', validValues: [PitchShift.minFormant, PitchShift.maxFormant], defaultValue: 0 }
       ];
    }
 
@@ -144,6 +342,13 @@ export class PitchShift extends EffectBase {
 
    // Private update function for internal use only by Doppler effect
    async updatePrivate(shift, updateTime, timeWeights, duration) {
+      this.#privateCurves = this.#privateCurves.filter(curve => (curve.startTime < updateTime) && (curve.startTime + curve.duration > this.audioContext.currentTime));
+      this.#privateCurves.push({ shift, startTime: updateTime, timeWeights: Float32Array.from(timeWeights), duration });
+      if (this.#shifterNode) {
+         const shiftParam = this.#shifterNode.parameters.get('shift');
+         shiftParam.cancelScheduledValues(updateTime);
+         shiftParam.setValueCurveAtTime(timeWeights.map(weight => weight * shift), updateTime, duration);
+      }
       const finalGain = 0.5 * PitchShift.delayTime * Math.abs(shift) / 1200;
       for (let i = 0; i < timeWeights.length; ++i)
          timeWeights[i] *= finalGain;
@@ -175,48 +380,107 @@ export class PitchShift extends EffectBase {
     * specified time.
     * 
     * Note that the `updateTime` parameter can be omitted to immediately cause the requested
-    * changes to take effect.
+    * changes to take effect. The `delay` engine only supports shifts between [-1200, 700] cents,
+    * and the `formant` parameter only affects the `worklet` engine.
     * 
-    * @param {number} shift - Frequency shift in cents between [-1200, 1200]
+    * @param {number} shift - Frequency shift in cents between [-2400, 2400]
+    * @param {string} engine - Pitch shifting engine to use from ['delay', 'worklet']
+    * @param {number} formant - Amount of formant preservation applied by the `worklet` engine between [0, 1]
     * @param {number} [updateTime] - Global API time at which to update the effect
     * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
     * @returns {Promise<boolean>} Whether the effect update was successfully applied
     */
-   async update({ shift }, updateTime, timeConstant) {
-      if (shift == null)
-         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the PitchShift effect without at least one of the following parameters: "shift"');
-      else if (shift < PitchShift.minShift)
-         throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be less than ${PitchShift.minShift}`);
-      else if (shift > PitchShift.maxShift)
-         throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be greater than ${PitchShift.maxShift}`);
+   async update({ shift, engine, formant }, updateTime, timeConstant) {
+      if ((shift == null) && (engine == null) && (formant == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the PitchShift effect without at least one of the following parameters: "shift, engine, formant"');
+      if (engine != null) {
+         if (!['delay', 'worklet'].includes(engine))
+            throw new WebAudioApiErrors.WebAudioValueError('Engine value must be one of: ["delay", "worklet"]');
+      }
+      if (shift != null) {
+         if (shift < PitchShift.minShift)
+            throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be less than ${PitchShift.minShift}`);
+         else if (shift > PitchShift.maxShift)
+            throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be greater than ${PitchShift.maxShift}`);
+      }
+      if (formant != null) {
+         if (formant < PitchShift.minFormant)
+            throw new WebAudioApiErrors.WebAudioValueError(`Formant value cannot be less than ${PitchShift.minFormant}`);
+         else if (formant > PitchShift.maxFormant)
+            throw new WebAudioApiErrors.WebAudioValueError(`Formant value cannot be greater than ${PitchShift.maxFormant}`);
+      }
+      const targetEngine = (engine == null) ? this.#engine : engine, targetShift = (shift == null) ? this.#shiftValue : shift;
+      if ((targetEngine == 'delay') && (targetShift < PitchShift.minDelayShift))
+         throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be less than ${PitchShift.minDelayShift} when using the "delay" engine`);
+      else if ((targetEngine == 'delay') && (targetShift > PitchShift.maxDelayShift))
+         throw new WebAudioApiErrors.WebAudioValueError(`Shift value cannot be greater than ${PitchShift.maxDelayShift} when using the "delay" engine`);
+      if ((targetEngine == 'worklet') && !this.#shifterNode) {
+         await loadAudioWorkletProcessor(this.audioContext, 'pitch-shifter', processorSource);
+         this.#shifterNode = new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+            numberOfInputs: 1, numberOfOutputs: 1, outputChannelCount: [2],
+            parameterData: { shift: this.#shiftValue, formant: this.#formant }
+         });
+         this.#inputNode.connect(this.#shifterNode).connect(this.#workletOutputNode);
+         scheduleRemainingCurves(this.#shifterNode.parameters.get('shift'), this.#privateCurves, (updateTime == null) ? this.audioContext.currentTime : updateTime);
+      }
       const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
       const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
-      this.#mod1GainNode.gain.cancelScheduledValues(timeToUpdate);
-      this.#mod2GainNode.gain.cancelScheduledValues(timeToUpdate);
-      this.#mod3GainNode.gain.cancelScheduledValues(timeToUpdate);
-      this.#mod4GainNode.gain.cancelScheduledValues(timeToUpdate);
-      if (shift > 0) {
-         this.#mod1GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
-         this.#mod2GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
-         this.#mod3GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
-         this.#mod4GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
-      } else {
-         this.#mod1GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
-         this.#mod2GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
-         this.#mod3GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
-         this.#mod4GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
-      }
-      this.#shiftValue = shift;
-      this.#modGain1Node.gain.cancelScheduledValues(timeToUpdate);
-      this.#modGain2Node.gain.cancelScheduledValues(timeToUpdate);
-      this.#modGain1Node.gain.setTargetAtTime(0.5 * PitchShift.delayTime * Math.abs(shift) / 1200, timeToUpdate, timeConstantTarget);
-      this.#modGain2Node.gain.setTargetAtTime(0.5 * PitchShift.delayTime * Math.abs(shift) / 1200, timeToUpdate, timeConstantTarget);
+      if (engine != null) {
+         this.#delayOutputNode.gain.setTargetAtTime((engine == 'delay') ? 1 : 0, timeToUpdate, 0.01);
+         this.#workletOutputNode.gain.setTargetAtTime((engine == 'worklet') ? 1 : 0, timeToUpdate, 0.01);
+         this.#engine = engine;
+      }
+      if (formant != null) {
+         this.#formant = formant;
+         if (this.#shifterNode)
+            this.#shifterNode.parameters.get('formant').setTargetAtTime(formant, timeToUpdate, timeConstantTarget);
+      }
+      if (shift != null) {
+         const delayShift = Math.min(Math.max(shift, PitchShift.minDelayShift), PitchShift.maxDelayShift);
+         this.#mod1GainNode.gain.cancelScheduledValues(timeToUpdate);
+         this.#mod2GainNode.gain.cancelScheduledValues(timeToUpdate);
+         this.#mod3GainNode.gain.cancelScheduledValues(timeToUpdate);
+         this.#mod4GainNode.gain.cancelScheduledValues(timeToUpdate);
+         if (delayShift > 0) {
+            this.#mod1GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
+            this.#mod2GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
+            this.#mod3GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
+            this.#mod4GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
+         } else {
+            this.#mod1GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
+            this.#mod2GainNode.gain.setTargetAtTime(1, timeToUpdate, 0.01);
+            this.#mod3GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
+            this.#mod4GainNode.gain.setTargetAtTime(0, timeToUpdate, 0.01);
+         }
+         this.#shiftValue = shift;
+         this.#privateCurves = [];
+         this.#modGain1Node.gain.cancelScheduledValues(timeToUpdate);
+         this.#modGain2Node.gain.cancelScheduledValues(timeToUpdate);
+         this.#modGain1Node.gain.setTargetAtTime(0.5 * PitchShift.delayTime * Math.abs(delayShift) / 1200, timeToUpdate, timeConstantTarget);
+         this.#modGain2Node.gain.setTargetAtTime(0.5 * PitchShift.delayTime * Math.abs(delayShift) / 1200, timeToUpdate, timeConstantTarget);
+         if (this.#shifterNode) {
+            this.#shifterNode.parameters.get('shift').cancelScheduledValues(timeToUpdate);
+            this.#shifterNode.parameters.get('shift').setTargetAtTime(shift, timeToUpdate, timeConstantTarget);
+         }
+      }
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      if (!this.#shifterNode || (this.#engine != 'worklet') || !['shift', 'formant'].includes(parameterName))
+         return [];
+      return [{ audioParam: this.#shifterNode.parameters.get(parameterName) }];
+   }
+
+   getLatency() {
+      return (this.#shifterNode && (this.#engine == 'worklet')) ? (PitchShift.workletLatency / this.audioContext.sampleRate) : 0;
+   }
+
    currentParameterValues() {
       return {
-         shift: this.#shiftValue
+         shift: this.#shiftValue,
+         engine: this.#engine,
+         formant: this.#formant
       };
    }
 
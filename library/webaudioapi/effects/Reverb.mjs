@@ -130,6 +130,12 @@ export class Reverb extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         intensity: [{ audioParam: this.#wetGainNode.gain, toParamValue: value => 2.5 * value }, { audioParam: this.#dryGainNode.gain, toParamValue: value => 1 - value }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          decay: this.#decay,
@@ -0,0 +1,222 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { loadAudioWorkletProcessor } from '../modules/Worklet.mjs';
+import { findSidechainKey } from '../modules/Sidechain.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Audio worklet processor which attenuates its first input according to the level of its second input
+const processorSource = `
+class SidechainCompressorProcessor extends AudioWorkletProcessor {
+   static get parameterDescriptors() {
+      return [
+         { name: 'threshold', defaultValue: -24, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+         { name: 'ratio', defaultValue: 20, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+         { name: 'attack', defaultValue: 0.003, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+         { name: 'release', defaultValue: 0.25, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+      ];
+   }
+   constructor() {
+      super();
+      this.peakReduction = this.reduction = 0.0;
+   }
+   process(inputs, outputs, parameters) {
+      const input = inputs[0], key = inputs[1], output = outputs[0];
+      const threshold = parameters.threshold[0], slope = 1.0 - (1.0 / parameters.ratio[0]);
+      const attackCoeff = (parameters.attack[0] > 0) ? Math.exp(-1.0 / (parameters.attack[0] * sampleRate)) : 0.0;
+      const releaseCoeff = (parameters.release[0] > 0) ? Math.exp(-1.0 / (parameters.release[0] * sampleRate)) : 0.0;
+      for (let i = 0; i < output[0].length; ++i) {
+         let keyLevel = 0.0;
+         for (const channel of key)
+            keyLevel = Math.max(keyLevel, Math.abs(channel[i]));
+         const overshoot = (20.0 * Math.log10(Math.max(keyLevel, 1e-6))) - threshold;
+         const targetReduction = (overshoot > 0.0) ? (overshoot * slope) : 0.0;
+         this.peakReduction = Math.max(targetReduction, (releaseCoeff * this.peakReduction) + ((1.0 - releaseCoeff) * targetReduction));
+         this.reduction = (attackCoeff * this.reduction) + ((1.0 - attackCoeff) * this.peakReduction);
+         const gain = Math.pow(10.0, -this.reduction / 20.0);
+         for (let channel = 0; channel < output.length; ++channel)
+            output[channel][i] = input.length ? (gain * input[Math.min(channel, input.length - 1)][i]) : 0.0;
+      }
+      return true;
+   }
+}
+registerProcessor('sidechain-compressor', SidechainCompressorProcessor);
+`;
+
+/**
+ * Class representing a Sidechain Compression effect.
+ *
+ * A Sidechain Compression effect attenuates an audio signal according to the loudness of a
+ * separate "key" signal, rather than the loudness of the signal itself. The key signal may be
+ * taken from the output of any named track or bus, making it possible to duck a bass or pad
+ * track underneath a kick drum, or to duck background music underneath narration. If no key
+ * is specified, the effect behaves as a standard compressor keyed from its own input. If a
+ * track and bus share the same name, the key may be prefixed by "track:" or "bus:" to
+ * choose between them.
+ *
+ * Note that an effect must not be keyed from a track or bus that it feeds into, since this
+ * would create a feedback loop.
+ *
+ * @extends EffectBase
+ */
+export class SidechainCompression extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {Object<string, AudioNode>} */
+   #sidechainKeys;
+   /** @type {string} */
+   #key = '';
+   /** @type {AudioNode|null} */
+   #keyNode = null;
+   /** @type {GainNode} */
+   #inputNode;
+   /** @type {GainNode} */
+   #keyInputNode;
+   /** @type {AudioWorkletNode} */
+   #compressorNode;
+   /** @type {GainNode} */
+   #outputNode;
+
+   // Parameter limits
+   static minThreshold = -100;
+   static maxThreshold = 0;
+   static minAttack = 0;
+   static maxAttack = 1;
+   static minRelease = 0;
+   static maxRelease = 1;
+   static minIntensity = 0;
+   static maxIntensity = 1;
+
+   /**
+    * Constructs a new {@link SidechainCompression} effect object.
+    */
+   constructor(audioContext, sidechainKeys) {
+      super(audioContext);
+      this.#sidechainKeys = sidechainKeys || {};
+      this.#inputNode = new GainNode(audioContext);
+      this.#keyInputNode = new GainNode(audioContext);
+      this.#outputNode = new GainNode(audioContext);
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'key', type: 'string', validValues: [], defaultValue: '' },
+         { name: 'threshold', type: 'number', validValues: [SidechainCompression.minThreshold, SidechainCompression.maxThreshold], defaultValue: -24 },
+         { name: 'attack', type: 'number', validValues: [SidechainCompression.minAttack, SidechainCompression.maxAttack], defaultValue: 0.003 },
+         { name: 'release', type: 'number', validValues: [SidechainCompression.minRelease, SidechainCompression.maxRelease], defaultValue: 0.25 },
+         { name: 'intensity', type: 'number', validValues: [SidechainCompression.minIntensity, SidechainCompression.maxIntensity], defaultValue: 1 }
+      ];
+   }
+
+   async load() {
+      await loadAudioWorkletProcessor(this.audioContext, 'sidechain-compressor', processorSource);
+      this.#compressorNode = new AudioWorkletNode(this.audioContext, 'sidechain-compressor', {
+         numberOfInputs: 2, numberOfOutputs: 1, outputChannelCount: [2],
+         parameterData: { threshold: -24, ratio: 20, attack: 0.003, release: 0.25 }
+      });
+      this.#inputNode.connect(this.#compressorNode, 0, 0);
+      this.#inputNode.connect(this.#keyInputNode);
+      this.#keyInputNode.connect(this.#compressorNode, 0, 1);
+      this.#compressorNode.connect(this.#outputNode);
+   }
+
+   /**
+    * Updates the {@link SidechainCompression} effect according to the specified parameters at
+    * the specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. Changes to the `key` parameter always take effect immediately.
+    *
+    * @param {string} key - Name of the track or bus whose output should control the compressor, or an empty string to use the effect input
+    * @param {number} threshold - Decibel loudness of the key signal above which the compressor kicks in between [-100, 0]
+    * @param {number} attack - Number of seconds required to reduce signal gain by 10 dB between [0, 1]
+    * @param {number} release - Number of seconds required to increase signal gain by 10 dB between [0, 1]
+    * @param {number} intensity - Amount of compression applied as a percentage between [0, 1]
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({key, threshold, attack, release, intensity}, updateTime, timeConstant) {
+      if ((key == null) && (threshold == null) && (attack == null) && (release == null) && (intensity == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the SidechainCompression effect without at least one of the following parameters: "key, threshold, attack, release, intensity"');
+      if (key != null) {
+         if (String(key) && !findSidechainKey(this.#sidechainKeys, key))
+            throw new WebAudioApiErrors.WebAudioTargetError(`The sidechain key track or bus (${key}) does not exist`);
+      }
+      if (threshold != null) {
+         if (threshold < SidechainCompression.minThreshold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Threshold value cannot be less than ${SidechainCompression.minThreshold}`);
+         else if (threshold > SidechainCompression.maxThreshold)
+            throw new WebAudioApiErrors.WebAudioValueError(`Threshold value cannot be greater than ${SidechainCompression.maxThreshold}`);
+      }
+      if (attack != null) {
+         if (attack < SidechainCompression.minAttack)
+            throw new WebAudioApiErrors.WebAudioValueError(`Attack value cannot be less than ${SidechainCompression.minAttack}`);
+         else if (attack > SidechainCompression.maxAttack)
+            throw new WebAudioApiErrors.WebAudioValueError(`Attack value cannot be greater than ${SidechainCompression.maxAttack}`);
+      }
+      if (release != null) {
+         if (release < SidechainCompression.minRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be less than ${SidechainCompression.minRelease}`);
+         else if (release > SidechainCompression.maxRelease)
+            throw new WebAudioApiErrors.WebAudioValueError(`Release value cannot be greater than ${SidechainCompression.maxRelease}`);
+      }
+      if (intensity != null) {
+         if (intensity < SidechainCompression.minIntensity)
+            throw new WebAudioApiErrors.WebAudioValueError(`Intensity value cannot be less than ${SidechainCompression.minIntensity}`);
+         else if (intensity > SidechainCompression.maxIntensity)
+            throw new WebAudioApiErrors.WebAudioValueError(`Intensity value cannot be greater than ${SidechainCompression.maxIntensity}`);
+      }
+      if (key != null) {
+         (this.#keyNode || this.#inputNode).disconnect(this.#keyInputNode);
+         this.#key = String(key);
+         this.#keyNode = this.#key ? findSidechainKey(this.#sidechainKeys, this.#key) : null;
+         (this.#keyNode || this.#inputNode).connect(this.#keyInputNode);
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+      if (threshold != null)
+         this.#compressorNode.parameters.get('threshold').setTargetAtTime(threshold, timeToUpdate, timeConstantTarget);
+      if (attack != null)
+         this.#compressorNode.parameters.get('attack').setTargetAtTime(attack, timeToUpdate, timeConstantTarget);
+      if (release != null)
+         this.#compressorNode.parameters.get('release').setTargetAtTime(release, timeToUpdate, timeConstantTarget);
+      if (intensity != null) {
+         const ratioValue = 1.0 + (intensity * 19.0);
+         this.#compressorNode.parameters.get('ratio').setTargetAtTime(ratioValue, timeToUpdate, timeConstantTarget);
+      }
+      return true;
+   }
+
+   getAudioParamTargets(parameterName) {
+      return {
+         threshold: [{ audioParam: this.#compressorNode.parameters.get('threshold') }],
+         attack: [{ audioParam: this.#compressorNode.parameters.get('attack') }],
+         release: [{ audioParam: this.#compressorNode.parameters.get('release') }],
+         intensity: [{ audioParam: this.#compressorNode.parameters.get('ratio'), toParamValue: value => 1.0 + (value * 19.0) }]
+      }[parameterName] || [];
+   }
+
+   currentParameterValues() {
+      return {
+         key: this.#key,
+         threshold: this.#compressorNode.parameters.get('threshold').value,
+         attack: this.#compressorNode.parameters.get('attack').value,
+         release: this.#compressorNode.parameters.get('release').value,
+         intensity: (this.#compressorNode.parameters.get('ratio').value - 1.0) / 19.0
+      };
+   }
+
+   getInputNode() {
+      return this.#inputNode;
+   }
+
+   getOutputNode() {
+      return this.#outputNode;
+   }
+}
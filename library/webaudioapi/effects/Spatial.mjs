@@ -0,0 +1,343 @@
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+import { EffectBase } from './EffectBase.mjs';
+
+// Motion path sampling constants, including the spacing of and maximum number of samples between consecutive keyframes
+const motionSampleInterval = 0.05, maxSamplesPerKeyframe = 64;
+
+// Minimum time constant used to smooth any sudden change in the propagation delay
+const minDelayTimeConstant = 0.02;
+
+/**
+ * Returns the interpolated [x, y, z] position of a keyframed motion path at the specified time.
+ *
+ * @param {Object} motion - Motion path containing a `startTime` and lists of keyframe `times`, `x`, `y`, and `z` values
+ * @param {number} time - Global API time at which to calculate the position
+ * @returns {number[]} Interpolated [x, y, z] position of the motion path at the specified time
+ */
+function getMotionPosition(motion, time) {
+   const { startTime, times, x, y, z } = motion, elapsedTime = time - startTime;
+   if (elapsedTime <= times[0])
+      return [x[0], y[0], z[0]];
+   for (let i = 1; i < times.length; ++i) {
+      if (elapsedTime < times[i]) {
+         const weight = (elapsedTime - times[i-1]) / (times[i] - times[i-1]);
+         return [x[i-1] + (weight * (x[i] - x[i-1])), y[i-1] + (weight * (y[i] - y[i-1])), z[i-1] + (weight * (z[i] - z[i-1]))];
+      }
+   }
+   return [x[x.length - 1], y[y.length - 1], z[z.length - 1]];
+}
+
+/**
+ * Schedules the position of a source following a motion path, along with the delay required
+ * for sound to travel from the source to the listener, starting at the specified time and
+ * continuing until the end of the motion path.
+ *
+ * The path is sampled at the times at which sound is emitted by the source, and each sample is
+ * scheduled at the time its sound arrives at the listener, such that both the propagation
+ * delay and the panner position describe the source as it was when the currently audible
+ * sound was emitted. Without a propagation delay, only the path keyframes themselves are
+ * scheduled.
+ *
+ * @param {AudioParam[]} positionParameters - Panner [x, y, z] position parameters to be automated
+ * @param {AudioParam} delayTime - Delay time parameter to be automated
+ * @param {Object} motion - Motion path containing a `startTime` and lists of keyframe `times`, `x`, `y`, and `z` values
+ * @param {number} dopplerFactor - Multiplier applied to the physical propagation delay
+ * @param {AudioListener} listener - Listener relative to which the propagation distance is calculated
+ * @param {number} updateTime - Global API time at which to begin updating the motion
+ * @param {number} timeConstant - Time constant defining an exponential approach to a stationary target
+ */
+function scheduleMotion(positionParameters, delayTime, motion, dopplerFactor, listener, updateTime, timeConstant) {
+   const listenerPosition = [listener.positionX.value, listener.positionY.value, listener.positionZ.value];
+   const getDelay = (position) => {
+      const distance = Math.hypot(...position.map((value, index) => value - listenerPosition[index]));
+      return Math.min(dopplerFactor * distance / Spatial.speedOfSound, Spatial.maxPropagationDelay);
+   };
+   const endTime = motion.startTime + motion.times[motion.times.length - 1];
+   for (const parameter of [...positionParameters, delayTime])
+      parameter.cancelScheduledValues(updateTime);
+   if (endTime <= updateTime) {
+      const position = getMotionPosition(motion, endTime);
+      positionParameters.forEach((parameter, index) => parameter.setTargetAtTime(position[index], updateTime, timeConstant));
+      delayTime.setTargetAtTime(getDelay(position), updateTime, Math.max(timeConstant, minDelayTimeConstant));
+      return;
+   }
+
+   // Sample the remaining path at each keyframe, subdividing segments only when delayed
+   const emissionTimes = [updateTime];
+   for (const keyframeTime of motion.times.map(time => motion.startTime + time).filter(time => time > updateTime)) {
+      const previousTime = emissionTimes[emissionTimes.length - 1];
+      const numSamples = dopplerFactor ? Math.min(Math.max(Math.ceil((keyframeTime - previousTime) / motionSampleInterval), 1), maxSamplesPerKeyframe) : 1;
+      for (let i = 1; i <= numSamples; ++i)
+         emissionTimes.push(previousTime + ((keyframeTime - previousTime) * i / numSamples));
+   }
+
+   // Schedule each sample at its arrival time, ramping from the current state to the first sample
+   let lastArrivalTime = null;
+   for (const emissionTime of emissionTimes) {
+      const position = getMotionPosition(motion, emissionTime), delay = getDelay(position), arrivalTime = emissionTime + delay;
+      if (lastArrivalTime == null) {
+         positionParameters.forEach((parameter, index) => {
+            parameter.setTargetAtTime(position[index], updateTime, timeConstant);
+            parameter.linearRampToValueAtTime(position[index], arrivalTime);
+         });
+         delayTime.setTargetAtTime(delay, updateTime, minDelayTimeConstant);
+         lastArrivalTime = Math.max(arrivalTime, updateTime + minDelayTimeConstant);
+         delayTime.linearRampToValueAtTime(delay, lastArrivalTime);
+      }
+      else if (arrivalTime > lastArrivalTime) {
+         positionParameters.forEach((parameter, index) => parameter.linearRampToValueAtTime(position[index], arrivalTime));
+         delayTime.linearRampToValueAtTime(delay, arrivalTime);
+         lastArrivalTime = arrivalTime;
+      }
+   }
+}
+
+/**
+ * Class representing a 3D Spatial effect.
+ *
+ * A Spatial effect places an audio signal at a specific position in three-dimensional space
+ * relative to the global audio listener, attenuating it according to its distance from the
+ * listener and filtering it according to its direction using Head-Related Transfer Functions
+ * (HRTF). Sources may be directional, with a cone defining how their level decreases away from
+ * the direction in which they are facing.
+ *
+ * Sources may also follow a keyframed motion path. If a nonzero `dopplerFactor` is specified,
+ * the signal is additionally delayed by the time it takes sound to travel from the source to
+ * the listener. As the source moves, this propagation delay changes continuously, producing a
+ * physically accurate Doppler shift. The propagation delay is calculated relative to the
+ * listener position at the time of each update, so listener motion itself does not produce a
+ * Doppler shift.
+ *
+ * @extends EffectBase
+ */
+export class Spatial extends EffectBase {
+
+   // Effect-specific private variables
+   /** @type {DelayNode} */
+   #delayNode;
+   /** @type {PannerNode} */
+   #pannerNode;
+   /** @type {Object} */
+   #motion = { startTime: 0, times: [0], x: [0], y: [0], z: [0] };
+   /** @type {number} */
+   #dopplerFactor = 0;
+
+   // Parameter limits
+   static speedOfSound = 343;
+   static maxPropagationDelay = 5;
+   static panningModels = ['HRTF', 'equalpower'];
+   static distanceModels = ['linear', 'inverse', 'exponential'];
+   static minPosition = -10000;
+   static maxPosition = 10000;
+   static minOrientation = -1;
+   static maxOrientation = 1;
+   static minRefDistance = 0;
+   static maxRefDistance = 10000;
+   static minMaxDistance = 0.01;
+   static maxMaxDistance = 10000;
+   static minRolloffFactor = 0;
+   static maxRolloffFactor = 100;
+   static minConeAngle = 0;
+   static maxConeAngle = 360;
+   static minConeOuterGain = 0;
+   static maxConeOuterGain = 1;
+   static minPathTime = 0;
+   static maxPathTime = 3600;
+   static minDopplerFactor = 0;
+   static maxDopplerFactor = 10;
+
+   /**
+    * Constructs a new {@link Spatial} effect object.
+    */
+   constructor(audioContext) {
+      super(audioContext);
+      this.#delayNode = new DelayNode(audioContext, { delayTime: 0, maxDelayTime: Spatial.maxPropagationDelay });
+      this.#pannerNode = new PannerNode(audioContext, { panningModel: 'HRTF', distanceModel: 'inverse' });
+   }
+
+   /**
+    * Returns a list of all available parameters for manipulation in the `effectOptions` parameter
+    * of the {@link EffectBase#update update()} function for this {@link Effect}.
+    *
+    * @returns {EffectParameter[]} List of effect-specific parameters for use in the effect's {@link EffectBase#update update()} function
+    * @see {@link EffectParameter}
+    */
+   static getParameters() {
+      return [
+         { name: 'panningModel', type: 'string', validValues: Spatial.panningModels, defaultValue: 'HRTF' },
+         { name: 'distanceModel', type: 'string', validValues: Spatial.distanceModels, defaultValue: 'inverse' },
+         { name: 'position', type: 'Array<number>', validValues: [Spatial.minPosition, Spatial.maxPosition], defaultValue: 0 },
+         { name: 'orientation', type: 'Array<number>', validValues: [Spatial.minOrientation, Spatial.maxOrientation], defaultValue: 0 },
+         { name: 'refDistance', type: 'number', validValues: [Spatial.minRefDistance, Spatial.maxRefDistance], defaultValue: 1 },
+         { name: 'maxDistance', type: 'number', validValues: [Spatial.minMaxDistance, Spatial.maxMaxDistance], defaultValue: 10000 },
+         { name: 'rolloffFactor', type: 'number', validValues: [Spatial.minRolloffFactor, Spatial.maxRolloffFactor], defaultValue: 1 },
+         { name: 'coneInnerAngle', type: 'number', validValues: [Spatial.minConeAngle, Spatial.maxConeAngle], defaultValue: 360 },
+         { name: 'coneOuterAngle', type: 'number', validValues: [Spatial.minConeAngle, Spatial.maxConeAngle], defaultValue: 360 },
+         { name: 'coneOuterGain', type: 'number', validValues: [Spatial.minConeOuterGain, Spatial.maxConeOuterGain], defaultValue: 0 },
+         { name: 'pathTimes', type: 'Array<number>', validValues: [Spatial.minPathTime, Spatial.maxPathTime], defaultValue: 0 },
+         { name: 'pathX', type: 'Array<number>', validValues: [Spatial.minPosition, Spatial.maxPosition], defaultValue: 0 },
+         { name: 'pathY', type: 'Array<number>', validValues: [Spatial.minPosition, Spatial.maxPosition], defaultValue: 0 },
+         { name: 'pathZ', type: 'Array<number>', validValues: [Spatial.minPosition, Spatial.maxPosition], defaultValue: 0 },
+         { name: 'dopplerFactor', type: 'number', validValues: [Spatial.minDopplerFactor, Spatial.maxDopplerFactor], defaultValue: 0 }
+      ];
+   }
+
+   async load() {
+      this.#delayNode.connect(this.#pannerNode);
+   }
+
+   /**
+    * Updates the {@link Spatial} effect according to the specified parameters at the
+    * specified time.
+    *
+    * A source can either be moved directly to a new `position`, or it can follow a motion path
+    * defined by the `pathTimes`, `pathX`, `pathY`, and `pathZ` keyframe arrays, which must all
+    * be specified together and have the same length. Keyframe times are in seconds relative to
+    * the `updateTime` and must start at 0 and never decrease. The source moves linearly between
+    * keyframes and remains at the final keyframe position once the path is complete.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect. The panning model, distance model, distance, and cone parameters
+    * always take effect immediately.
+    *
+    * @param {string} panningModel - Spatialization algorithm, either "HRTF" or "equalpower"
+    * @param {string} distanceModel - Volume reduction algorithm, either "linear", "inverse", or "exponential"
+    * @param {number[]} position - New [x, y, z] position of the source, with each coordinate between [-10000, 10000]
+    * @param {number[]} orientation - Direction in which the source is facing as an [x, y, z] vector, with each coordinate between [-1, 1]
+    * @param {number} refDistance - Distance at which volume reduction begins between [0, 10000]
+    * @param {number} maxDistance - Distance beyond which the volume is no longer reduced between [0.01, 10000]
+    * @param {number} rolloffFactor - Rate of volume reduction as the source moves away, between [0, 100]
+    * @param {number} coneInnerAngle - Angle in degrees of the cone inside of which there is no volume reduction between [0, 360]
+    * @param {number} coneOuterAngle - Angle in degrees of the cone outside of which the volume is reduced to `coneOuterGain` between [0, 360]
+    * @param {number} coneOuterGain - Gain outside of the `coneOuterAngle` between [0, 1]
+    * @param {number[]} pathTimes - Times in seconds of each motion path keyframe relative to the `updateTime` between [0, 3600]
+    * @param {number[]} pathX - X-coordinate of the source at each motion path keyframe between [-10000, 10000]
+    * @param {number[]} pathY - Y-coordinate of the source at each motion path keyframe between [-10000, 10000]
+    * @param {number[]} pathZ - Z-coordinate of the source at each motion path keyframe between [-10000, 10000]
+    * @param {number} dopplerFactor - Multiplier applied to the sound propagation delay between [0, 10], or 0 to disable both the delay and the Doppler shift (default)
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @returns {Promise<boolean>} Whether the effect update was successfully applied
+    */
+   async update({ panningModel, distanceModel, position, orientation, refDistance, maxDistance, rolloffFactor, coneInnerAngle, coneOuterAngle, coneOuterGain, pathTimes, pathX, pathY, pathZ, dopplerFactor }, updateTime, timeConstant) {
+      const pathParameters = [pathTimes, pathX, pathY, pathZ], numericParameters = [
+         ['Ref distance', refDistance, Spatial.minRefDistance, Spatial.maxRefDistance],
+         ['Max distance', maxDistance, Spatial.minMaxDistance, Spatial.maxMaxDistance],
+         ['Rolloff factor', rolloffFactor, Spatial.minRolloffFactor, Spatial.maxRolloffFactor],
+         ['Cone inner angle', coneInnerAngle, Spatial.minConeAngle, Spatial.maxConeAngle],
+         ['Cone outer angle', coneOuterAngle, Spatial.minConeAngle, Spatial.maxConeAngle],
+         ['Cone outer gain', coneOuterGain, Spatial.minConeOuterGain, Spatial.maxConeOuterGain],
+         ['Doppler factor', dopplerFactor, Spatial.minDopplerFactor, Spatial.maxDopplerFactor]
+      ];
+      const vectorParameters = [position, orientation, ...pathParameters];
+      if ((panningModel == null) && (distanceModel == null) && vectorParameters.every(values => values == null) && numericParameters.every(([, value]) => value == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the Spatial effect without at least one of the following parameters: "panningModel, distanceModel, position, orientation, refDistance, maxDistance, rolloffFactor, coneInnerAngle, coneOuterAngle, coneOuterGain, pathTimes, pathX, pathY, pathZ, dopplerFactor"');
+      if ((panningModel != null) && !Spatial.panningModels.includes(panningModel))
+         throw new WebAudioApiErrors.WebAudioValueError(`Panning model value must be one of the following: ${Spatial.panningModels.join(', ')}`);
+      if ((distanceModel != null) && !Spatial.distanceModels.includes(distanceModel))
+         throw new WebAudioApiErrors.WebAudioValueError(`Distance model value must be one of the following: ${Spatial.distanceModels.join(', ')}`);
+      for (const [name, vector, minValue, maxValue] of [['Position', position, Spatial.minPosition, Spatial.maxPosition], ['Orientation', orientation, Spatial.minOrientation, Spatial.maxOrientation]]) {
+         if (vector == null)
+            continue;
+         if (vector.length != 3)
+            throw new WebAudioApiErrors.WebAudioValueError(`${name} value must be an array containing [x, y, z] coordinates`);
+         for (const value of vector) {
+            if (value < minValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} coordinate value cannot be less than ${minValue}`);
+            else if (value > maxValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} coordinate value cannot be greater than ${maxValue}`);
+         }
+      }
+      if ((orientation != null) && orientation.every(value => value == 0))
+         throw new WebAudioApiErrors.WebAudioValueError('Orientation value cannot be a vector with a length of zero');
+      for (const [name, value, minValue, maxValue] of numericParameters) {
+         if (value != null) {
+            if (value < minValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be less than ${minValue}`);
+            else if (value > maxValue)
+               throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be greater than ${maxValue}`);
+         }
+      }
+      if (pathParameters.some(values => values != null)) {
+         if (pathParameters.some(values => values == null))
+            throw new WebAudioApiErrors.WebAudioValueError('A motion path requires all of the following parameters: "pathTimes, pathX, pathY, pathZ"');
+         if (position != null)
+            throw new WebAudioApiErrors.WebAudioValueError('Cannot update the source position and motion path at the same time');
+         if (!pathTimes.length || pathParameters.some(values => values.length != pathTimes.length))
+            throw new WebAudioApiErrors.WebAudioValueError('Motion path keyframe arrays must all contain the same non-zero number of values');
+         if (pathTimes[0] != 0)
+            throw new WebAudioApiErrors.WebAudioValueError('The first motion path keyframe time must be 0');
+         for (let i = 1; i < pathTimes.length; ++i) {
+            if (pathTimes[i] < pathTimes[i-1])
+               throw new WebAudioApiErrors.WebAudioValueError('Motion path keyframe times must never decrease within the array');
+         }
+         const pathLimits = [
+            ['Path time', pathTimes, Spatial.minPathTime, Spatial.maxPathTime],
+            ['Path X', pathX, Spatial.minPosition, Spatial.maxPosition],
+            ['Path Y', pathY, Spatial.minPosition, Spatial.maxPosition],
+            ['Path Z', pathZ, Spatial.minPosition, Spatial.maxPosition]
+         ];
+         for (const [name, values, minValue, maxValue] of pathLimits) {
+            for (const value of values) {
+               if (value < minValue)
+                  throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be less than ${minValue}`);
+               else if (value > maxValue)
+                  throw new WebAudioApiErrors.WebAudioValueError(`${name} value cannot be greater than ${maxValue}`);
+            }
+         }
+      }
+      const timeToUpdate = (updateTime == null) ? this.audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? 0.0 : timeConstant;
+
+      // Update all non-automatable panner settings
+      for (const [name, value] of Object.entries({ panningModel, distanceModel, refDistance, maxDistance, rolloffFactor, coneInnerAngle, coneOuterAngle, coneOuterGain })) {
+         if (value != null)
+            this.#pannerNode[name] = value;
+      }
+      if (orientation != null) {
+         this.#pannerNode.orientationX.setTargetAtTime(orientation[0], timeToUpdate, timeConstantTarget);
+         this.#pannerNode.orientationY.setTargetAtTime(orientation[1], timeToUpdate, timeConstantTarget);
+         this.#pannerNode.orientationZ.setTargetAtTime(orientation[2], timeToUpdate, timeConstantTarget);
+      }
+
+      // Schedule the source motion and its resulting sound propagation delay
+      if (dopplerFactor != null)
+         this.#dopplerFactor = dopplerFactor;
+      if (position != null)
+         this.#motion = { startTime: timeToUpdate, times: [0], x: [position[0]], y: [position[1]], z: [position[2]] };
+      else if (pathTimes != null)
+         this.#motion = { startTime: timeToUpdate, times: [...pathTimes], x: [...pathX], y: [...pathY], z: [...pathZ] };
+      if ((position != null) || (pathTimes != null) || (dopplerFactor != null))
+         scheduleMotion([this.#pannerNode.positionX, this.#pannerNode.positionY, this.#pannerNode.positionZ], this.#delayNode.delayTime,
+            this.#motion, this.#dopplerFactor, this.audioContext.listener, timeToUpdate, timeConstantTarget);
+      return true;
+   }
+
+   currentParameterValues() {
+      return {
+         panningModel: this.#pannerNode.panningModel,
+         distanceModel: this.#pannerNode.distanceModel,
+         position: [this.#pannerNode.positionX.value, this.#pannerNode.positionY.value, this.#pannerNode.positionZ.value],
+         orientation: [this.#pannerNode.orientationX.value, this.#pannerNode.orientationY.value, this.#pannerNode.orientationZ.value],
+         refDistance: this.#pannerNode.refDistance,
+         maxDistance: this.#pannerNode.maxDistance,
+         rolloffFactor: this.#pannerNode.rolloffFactor,
+         coneInnerAngle: this.#pannerNode.coneInnerAngle,
+         coneOuterAngle: this.#pannerNode.coneOuterAngle,
+         coneOuterGain: this.#pannerNode.coneOuterGain,
+         pathTimes: [...this.#motion.times],
+         pathX: [...this.#motion.x],
+         pathY: [...this.#motion.y],
+         pathZ: [...this.#motion.z],
+         dopplerFactor: this.#dopplerFactor
+      };
+   }
+
+   getInputNode() {
+      return this.#delayNode;
+   }
+
+   getOutputNode() {
+      return this.#pannerNode;
+   }
+}
@@ -99,6 +99,13 @@ export class Tremolo extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         rate: [{ audioParam: this.#lfoNode.frequency }],
+         intensity: [{ audioParam: this.#depthNode.gain, toParamValue: value => 0.5 * value }, { audioParam: this.#normalizationNode.gain, toParamValue: value => 1.0 - (0.5 * value) }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          rate: this.#lfoNode.frequency.value,
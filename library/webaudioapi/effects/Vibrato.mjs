@@ -96,6 +96,13 @@ export class Vibrato extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         rate: [{ audioParam: this.#lfoNode.frequency }],
+         intensity: [{ audioParam: this.#gainNode.gain, toParamValue: value => 0.001 * value }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          rate: this.#lfoNode.frequency.value,
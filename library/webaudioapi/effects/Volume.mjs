@@ -69,6 +69,12 @@ export class Volume extends EffectBase {
       return true;
    }
 
+   getAudioParamTargets(parameterName) {
+      return {
+         intensity: [{ audioParam: this.#volumeNode.gain }]
+      }[parameterName] || [];
+   }
+
    currentParameterValues() {
       return {
          intensity: this.#volumeNode.gain.value
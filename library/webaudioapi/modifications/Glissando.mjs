@@ -76,8 +76,7 @@ export class Glissando extends ModificationBase {
       else if (Number(details.nextNoteValue) <= this.unmodifiedDetails.note)
          throw new WebAudioApiErrors.WebAudioValueError(`The next note (${details.nextNoteValue}) must be higher than the current note (${this.unmodifiedDetails.note})`);
       const glissando = [];
-      const totalDurationSeconds = (this.unmodifiedDetails.duration < 0) ?
-         -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute));
+      const totalDurationSeconds = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
       const noteDuration = totalDurationSeconds / (Number(details.nextNoteValue) - this.unmodifiedDetails.note);
       for (let i = 0, note = this.unmodifiedDetails.note; note < Number(details.nextNoteValue); ++note, ++i)
          glissando.push(new NoteDetails(
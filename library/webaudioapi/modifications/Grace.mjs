@@ -80,9 +80,8 @@ export class Grace extends ModificationBase {
       if (!Number.isInteger(details.graceNoteValue) || (Number(details.graceNoteValue) < 1))
          throw new WebAudioApiErrors.WebAudioValueError(`The grace note value (${details.graceNoteValue}) must be a positive integer representing a valid MIDI note`);
       let primaryNoteStartTimeOffset = 0.0;
-      const fullDuration = ((this.unmodifiedDetails.duration < 0) ?
-         this.unmodifiedDetails.duration : (-60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute)));
-      const graceDuration = -60.0 / ((16.0 / this.tempo.beatBase) * this.tempo.beatsPerMinute);
+      const fullDuration = -this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
+      const graceDuration = -this.tempo.getDurationSeconds(16.0);
       const graceNote = new NoteDetails(Number(details.graceNoteValue), this.unmodifiedDetails.velocity, Math.max(graceDuration, fullDuration / 3.0), 0.0, 0.0);
       if (this.#isAppoggiatura) {
          primaryNoteStartTimeOffset -= graceNote.duration;
@@ -0,0 +1,135 @@
+import { ModificationBase, NoteDetails } from './ModificationBase.mjs';
+import { ModificationType } from '../modules/Constants.mjs';
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+
+/**
+ * Class representing a Groove modification.
+ *
+ * A Groove modification shifts the timing and scales the velocity of each note in a sequence
+ * according to the position of the note on the rhythmic grid of a {@link GrooveTemplate}.
+ * Notes that do not fall exactly on a grid step are played unchanged. A note that is shifted
+ * later in time is shortened so that it still ends at its original time.
+ *
+ * @extends ModificationBase
+ */
+export class Groove extends ModificationBase {
+
+   /**
+    * Constructs a new {@link Groove} modification object.
+    */
+   constructor(tempo, key, details) {
+      super(tempo, key, details);
+   }
+
+   /**
+    * Returns a list of all parameters available for use in this modification, including whether
+    * the parameter is required or optional when playing back either a "sequence" or just a
+    * single "note".
+    *
+    * @returns {Object<string,Object<string,string[]>>} List of modification-specific parameter keys and when they are required
+    */
+   static getParameters() {
+      return {
+         required: {
+            singleNote: ['groove', 'position'],
+            sequence: ['groove']
+         },
+         optional: {
+            singleNote: [],
+            sequence: []
+         }
+      };
+   }
+
+   /**
+    * Returns whether this modification can be used to modify a sequence of notes.
+    *
+    * @returns {boolean} Whether this modification can be used to modify a sequence of notes
+    */
+   static canModifySequence() {
+      return true;
+   }
+
+   /**
+    * Returns the position (in whole notes) of the note at the specified 1-based index of a
+    * sequence, relative to the start of the sequence.
+    *
+    * @param {Array<Array|Array<Array>>} sequence - Array of `[note, duration, mods]` and/or chords
+    * @param {number} index - Index of the current note in the sequence (starting at 1)
+    * @returns {number} Position of the note within the sequence in whole notes
+    */
+   static getSequencePosition(sequence, index) {
+      let position = 0.0;
+      for (const sequenceItem of sequence.slice(0, index - 1)) {
+         const chordItems = Array.isArray(sequenceItem[0]) ? sequenceItem : [sequenceItem];
+         position += Math.min(...chordItems.map(([, duration, noteMods]) => {
+            if (Number(duration) <= 0)
+               throw new WebAudioApiErrors.WebAudioValueError('Grid positions cannot be inferred from a sequence containing durations in seconds');
+            let tupletScale = 1.0;
+            for (const mod of (noteMods ? (Array.isArray(noteMods) ? noteMods : [noteMods]) : [])) {
+               const degree = { [ModificationType.Triplet]: 3, [ModificationType.Quintuplet]: 5, [ModificationType.Sextuplet]: 6, [ModificationType.Septuplet]: 7 }[mod.type];
+               if (degree)
+                  tupletScale = (degree == 3) ? (2 / 3) : (4 / degree);
+               else if ((mod.type == ModificationType.Tuplet) && mod.value)
+                  tupletScale = Number(mod.value.intoNumNotes) / Number(mod.value.numNotes);
+            }
+            return tupletScale / Number(duration);
+         }));
+      }
+      return position;
+   }
+
+   static inferParametersFromSequence(sequence, index, params) {
+      if (!params || (!('groove' in params) && !('implicit' in params)))
+         throw new WebAudioApiErrors.WebAudioValueError('The "groove" parameter cannot be automatically inferred from a note sequence');
+      return {
+         'groove': ('groove' in params) ? params.groove : params.implicit,
+         'position': Groove.getSequencePosition(sequence, index)
+      };
+   }
+
+   /**
+    * Returns the note details resulting from applying the specified groove template to a note
+    * at the specified grid position.
+    *
+    * @param {GrooveTemplate} groove - Groove template to apply
+    * @param {number} position - Position of the note in whole notes relative to the start of the groove
+    * @returns {NoteDetails[]} List of {@link NoteDetails} to replace the original note
+    */
+   applyGroove(groove, position) {
+      if (!groove || !(Number(groove.resolution) > 0) || !Array.isArray(groove.timingOffsets) || !groove.timingOffsets.length)
+         throw new WebAudioApiErrors.WebAudioValueError('The "groove" value must be a valid groove template containing a "resolution" and "timingOffsets"');
+      const step = Number(position) * Number(groove.resolution), nearestStep = Math.round(step);
+      if (!Number.isFinite(step) || (Math.abs(step - nearestStep) > 1e-6))
+         return [this.unmodifiedDetails];
+      const index = ((nearestStep % groove.timingOffsets.length) + groove.timingOffsets.length) % groove.timingOffsets.length;
+      const velocityScale = groove.velocityScales ? Number(groove.velocityScales[index]) : 1.0;
+      const offsetSeconds = Number(groove.timingOffsets[index]) * this.tempo.getDurationSeconds(Number(groove.resolution));
+      const durationSeconds = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration, this.unmodifiedDetails.startTimeOffset);
+      return [new NoteDetails(
+         this.unmodifiedDetails.note,
+         Math.min(this.unmodifiedDetails.velocity * velocityScale, 1.0),
+         (offsetSeconds > 0.0) ? -Math.max(durationSeconds - offsetSeconds, 0.5 * durationSeconds) : this.unmodifiedDetails.duration,
+         this.unmodifiedDetails.startTimeOffset + offsetSeconds,
+         this.unmodifiedDetails.usedDuration
+      )];
+   }
+
+   /**
+    * Returns a list of all modified notes, durations, and velocities as generated by the
+    * corresponding modification class.
+    *
+    * The `details` variable must contain the following keys:
+    *
+    * `groove`: {@link GrooveTemplate} to apply to the note
+    * `position`: Position of the note in whole notes relative to the start of the groove
+    *
+    * @param {Object} details - Information about the groove template and this note's place in it
+    * @returns {NoteDetails[]} List of {@link NoteDetails} to replace the original note
+    */
+   getModifiedNoteDetails(details) {
+      if (!details || !('groove' in details) || !('position' in details))
+         throw new WebAudioApiErrors.WebAudioValueError('The "details" variable must contain the following keys: groove, position');
+      return this.applyGroove(details.groove, details.position);
+   }
+}
@@ -0,0 +1,97 @@
+import { ModificationBase, NoteDetails } from './ModificationBase.mjs';
+import { getHumanizeSettings, getHumanizeOffsets } from '../modules/Humanize.mjs';
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+
+/**
+ * Class representing a Humanize modification.
+ *
+ * A Humanize modification applies bounded, reproducible random deviations to the start time
+ * and velocity of a note, optionally adding a drift that follows the shape of the phrase.
+ * Since it is applied after any loudness modifications, it varies the velocity resulting from
+ * an explicit `Velocity` or dynamic marking without changing the dynamic of the track.
+ *
+ * @extends ModificationBase
+ */
+export class Humanize extends ModificationBase {
+
+   /**
+    * Constructs a new {@link Humanize} modification object.
+    */
+   constructor(tempo, key, details) {
+      super(tempo, key, details);
+   }
+
+   /**
+    * Returns a list of all parameters available for use in this modification, including whether
+    * the parameter is required or optional when playing back either a "sequence" or just a
+    * single "note".
+    *
+    * @returns {Object<string,Object<string,string[]>>} List of modification-specific parameter keys and when they are required
+    */
+   static getParameters() {
+      return {
+         required: {
+            singleNote: ['timing', 'velocity'],
+            sequence: ['timing', 'velocity']
+         },
+         optional: {
+            singleNote: [],
+            sequence: ['drift', 'seed']
+         }
+      };
+   }
+
+   /**
+    * Returns whether this modification can be used to modify a sequence of notes.
+    *
+    * @returns {boolean} Whether this modification can be used to modify a sequence of notes
+    */
+   static canModifySequence() {
+      return true;
+   }
+
+   static inferParametersFromSequence(sequence, index, params) {
+      if (!params || !('timing' in params) || !('velocity' in params))
+         throw new WebAudioApiErrors.WebAudioValueError('The "timing" and "velocity" parameters cannot be automatically inferred from a note sequence');
+      return { ...params, 'noteIndex': index, 'totalNumNotes': sequence.length };
+   }
+
+   /**
+    * Returns a list of all modified notes, durations, and velocities as generated by the
+    * corresponding modification class.
+    *
+    * The `details` variable must contain the following keys:
+    *
+    * `timing`: Maximum random timing deviation in seconds in the range [0.0, 0.1]
+    * `velocity`: Maximum random velocity deviation in the range [0.0, 1.0]
+    *
+    * It may additionally contain any of the following keys, which are inferred automatically
+    * when modifying a sequence:
+    *
+    * `drift`: Strength of the deviation following the shape of the phrase in the range [0.0, 1.0] (defaults to 0)
+    * `seed`: Integer seed for the random number generator (defaults to 1)
+    * `noteIndex`: Which note this modification applies to within the total modified phrase (starting at 1)
+    * `totalNumNotes`: Total number of notes present in the modified phrase
+    * `onsetIndex`: Per-track count of note onsets used to key the random deviations (defaults to `noteIndex`)
+    *
+    * @param {Object<string, number>} details - Information about the humanization and this note's place in the phrase
+    * @returns {NoteDetails[]} List of {@link NoteDetails} to replace the original note
+    */
+   getModifiedNoteDetails(details) {
+      if (!details || !('timing' in details) || !('velocity' in details))
+         throw new WebAudioApiErrors.WebAudioValueError('The "details" variable must contain the following keys: timing, velocity');
+      const settings = getHumanizeSettings(details);
+      const noteIndex = ('noteIndex' in details) ? Number(details.noteIndex) : 1;
+      const totalNumNotes = ('totalNumNotes' in details) ? Number(details.totalNumNotes) : 1;
+      const onsetIndex = ('onsetIndex' in details) ? Number(details.onsetIndex) : noteIndex;
+      const { timingOffset, velocityOffset } = getHumanizeOffsets(settings, onsetIndex, this.unmodifiedDetails.note,
+         (totalNumNotes > 1) ? ((noteIndex - 1) / (totalNumNotes - 1)) : 0.0);
+      return [new NoteDetails(
+         this.unmodifiedDetails.note,
+         Math.min(Math.max(this.unmodifiedDetails.velocity + velocityOffset, 0.0), 1.0),
+         this.unmodifiedDetails.duration,
+         this.unmodifiedDetails.startTimeOffset + timingOffset,
+         this.unmodifiedDetails.usedDuration
+      )];
+   }
+}
@@ -28,7 +28,7 @@ export class NoteDetails {
 export class ModificationBase {
 
    // Reference to the original unmodified note and duration
-   /** @type {Tempo} */
+   /** @type {NoteTempo} */
    tempo = null;
    /** @type {Key} */
    key = null;
@@ -39,7 +39,7 @@ export class ModificationBase {
     * Called by a concrete modification instance to initialize the inherited {@link ModificationBase}
     * data structure.
     * 
-    * @param {Tempo} tempo - Reference to the current global {@link Tempo}
+    * @param {NoteTempo} tempo - Tempo details in effect at the start of the note to be modified
     * @param {NoteDetails} details - Original unmodified details about the note to be played
     */
    constructor(tempo, key, details) {
@@ -48,6 +48,24 @@ export class ModificationBase {
       this.unmodifiedDetails = details;
    }
 
+   /**
+    * Returns the closest note above or below the specified note which belongs to the scale of
+    * the current key signature.
+    * 
+    * @param {number} note - MIDI note number from which to search for the adjacent scale note
+    * @param {boolean} isUpper - Whether to search above (`true`) or below (`false`) the note
+    * @returns {number} MIDI note number of the adjacent note in the current key
+    */
+   getAdjacentNoteInKey(note, isUpper) {
+      const scale = [0, 2, 4, 5, 7, 9, 11].map(naturalNote => (naturalNote + this.key.offsets[naturalNote] + 12) % 12);
+      for (let offset = 1; offset < 12; ++offset) {
+         const adjacentNote = note + (isUpper ? offset : -offset);
+         if (scale.includes(((adjacentNote % 12) + 12) % 12))
+            return adjacentNote;
+      }
+      return note + (isUpper ? 1 : -1);
+   }
+
    /**
     * Returns a list of all modified notes, durations, and velocities as generated by the
     * corresponding modification class.
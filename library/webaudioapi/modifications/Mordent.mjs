@@ -19,10 +19,6 @@ export class Mordent extends ModificationBase {
    /** @type {boolean} */
    #isUpper;
 
-   // Major scale intervals
-   static upperOffsetsMajor = [2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1, 1];
-   static lowerOffsetsMajor = [1, 2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1];
-
    /**
     * Constructs a new {@link Mordent} modification object.
     * 
@@ -84,17 +80,14 @@ export class Mordent extends ModificationBase {
             (this.#isUpper ? Number(details.offset) : -Number(details.offset)) :
             (this.#isUpper ? Number(details.implicit) : -Number(details.implicit));
       }
-      else {
-         mordentNote += (this.#isUpper ? Mordent.upperOffsetsMajor[mordentNote % 12] : -Mordent.lowerOffsetsMajor[mordentNote % 12]);
-         mordentNote += this.key.offsets[mordentNote % 12];
-      }
+      else
+         mordentNote = this.getAdjacentNoteInKey(mordentNote, this.#isUpper);
       if (!Number.isInteger(mordentNote) || (Number(mordentNote) < 1))
          throw new WebAudioApiErrors.WebAudioValueError(`The offset value (${mordentNote}) must be a positive integer > 0`);
       const mordentNoteDuration = (this.unmodifiedDetails.duration >= 16) ?
-         (60.0 / ((3.0 * this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute)) :
-         (60.0 / ((32.0 / this.tempo.beatBase) * this.tempo.beatsPerMinute));
-      const primaryNoteDuration = ((this.unmodifiedDetails.duration < 0) ?
-         -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute))) -
+         this.tempo.getDurationSeconds(3.0 * this.unmodifiedDetails.duration) :
+         this.tempo.getDurationSeconds(32.0);
+      const primaryNoteDuration = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration) -
          (2 * mordentNoteDuration);
       return [new NoteDetails(
          this.unmodifiedDetails.note,
@@ -52,7 +52,14 @@ export class Natural extends ModificationBase {
    }
 
    getModifiedNoteDetails() {
-      const offset = ([1, 3, 6, 8, 10].includes(this.unmodifiedDetails.note % 12) ? ((this.key.signature > 0) ? -1 : 1) : 0);
+      const pitchClass = this.unmodifiedDetails.note % 12;
+      let offset = 0;
+      if (this.key.offsets[(pitchClass + 11) % 12] > 0)
+         offset = -1;
+      else if (this.key.offsets[(pitchClass + 1) % 12] < 0)
+         offset = 1;
+      else if ([1, 3, 6, 8, 10].includes(pitchClass))
+         offset = (this.key.signature > 0) ? -1 : 1;
       return [new NoteDetails(
          this.unmodifiedDetails.note + offset,
          this.unmodifiedDetails.velocity,
@@ -77,8 +77,7 @@ export class Portamento extends ModificationBase {
          throw new WebAudioApiErrors.WebAudioValueError(`The next note (${details.nextNoteValue}) must be higher than the current note (${this.unmodifiedDetails.note})`);
       // TODO: CHANGE THIS SO THAT IT DETUNES OVER THE DURATION TO THE "NEXT NOTE VALUE" (ONLY FOR INSTRUMENTS THAT ALLOW FOR CONTINUOUS SLIDES)
       const portamento = [];
-      const totalDurationSeconds = (this.unmodifiedDetails.duration < 0) ?
-         -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute));
+      const totalDurationSeconds = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
       const noteDuration = totalDurationSeconds / (Number(details.nextNoteValue) - this.unmodifiedDetails.note);
       for (let i = 0, note = this.unmodifiedDetails.note; note < Number(details.nextNoteValue); ++note, ++i)
          portamento.push(new NoteDetails(
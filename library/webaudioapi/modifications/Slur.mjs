@@ -76,12 +76,11 @@ export class Slur extends ModificationBase {
               (Number(details.totalNumNotes) < Number(details.noteIndex)))
          throw new WebAudioApiErrors.WebAudioValueError(`The "totalNumNotes" value (${details.totalNumNotes}) must be a positive integer >= noteIndex`);
       const velocityModification = 1.0 + Math.sin(Math.PI * Number(details.noteIndex) / Number(details.totalNumNotes));
-      const duration = (this.unmodifiedDetails.duration < 0) ? -this.unmodifiedDetails.duration :
-         (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute));
+      const duration = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
       return [new NoteDetails(
          this.unmodifiedDetails.note,
          this.unmodifiedDetails.velocity * velocityModification,
-         (Number(details.noteIndex) < Number(details.totalNumNotes)) ? this.unmodifiedDetails.duration : -duration + (60.0 / ((32.0 / this.tempo.beatBase) * this.tempo.beatsPerMinute)),
+         (Number(details.noteIndex) < Number(details.totalNumNotes)) ? this.unmodifiedDetails.duration : -duration + this.tempo.getDurationSeconds(32.0),
          0.0,
          this.unmodifiedDetails.duration
       )];
@@ -0,0 +1,73 @@
+import { Groove } from './Groove.mjs';
+import { Duration } from '../modules/Constants.mjs';
+import { createSwingGroove } from '../modules/Groove.mjs';
+import * as WebAudioApiErrors from '../modules/Errors.mjs';
+
+/**
+ * Class representing a Swing modification.
+ *
+ * A Swing modification delays every other note at a given rhythmic resolution (e.g., every
+ * second eighth note) so that each pair of notes is played long-short. The amount of swing is
+ * specified as the percentage of each pair taken up by the first note, where 50% corresponds
+ * to straight timing and 66.7% to a triplet feel.
+ *
+ * @extends Groove
+ */
+export class Swing extends Groove {
+
+   /**
+    * Constructs a new {@link Swing} modification object.
+    */
+   constructor(tempo, key, details) {
+      super(tempo, key, details);
+   }
+
+   /**
+    * Returns a list of all parameters available for use in this modification, including whether
+    * the parameter is required or optional when playing back either a "sequence" or just a
+    * single "note".
+    *
+    * @returns {Object<string,Object<string,string[]>>} List of modification-specific parameter keys and when they are required
+    */
+   static getParameters() {
+      return {
+         required: {
+            singleNote: ['amount', 'resolution', 'position'],
+            sequence: ['amount']
+         },
+         optional: {
+            singleNote: [],
+            sequence: ['resolution']
+         }
+      };
+   }
+
+   static inferParametersFromSequence(sequence, index, params) {
+      if (!params || (!('amount' in params) && !('implicit' in params)))
+         throw new WebAudioApiErrors.WebAudioValueError('The "amount" parameter cannot be automatically inferred from a note sequence');
+      return {
+         'amount': ('amount' in params) ? params.amount : params.implicit,
+         'resolution': ('resolution' in params) ? params.resolution : Duration.Eighth,
+         'position': Groove.getSequencePosition(sequence, index)
+      };
+   }
+
+   /**
+    * Returns a list of all modified notes, durations, and velocities as generated by the
+    * corresponding modification class.
+    *
+    * The `details` variable must contain the following keys:
+    *
+    * `amount`: Swing percentage in the range [50, 75]
+    * `resolution`: Note {@link module:Constants.Duration Duration} of the notes to swing (usually eighth or sixteenth)
+    * `position`: Position of the note in whole notes relative to the start of the swung phrase
+    *
+    * @param {Object<string, number>} details - Information about the swing feel and this note's place in it
+    * @returns {NoteDetails[]} List of {@link NoteDetails} to replace the original note
+    */
+   getModifiedNoteDetails(details) {
+      if (!details || !('amount' in details) || !('resolution' in details) || !('position' in details))
+         throw new WebAudioApiErrors.WebAudioValueError('The "details" variable must contain the following keys: amount, resolution, position');
+      return this.applyGroove(createSwingGroove(details.amount, details.resolution), details.position);
+   }
+}
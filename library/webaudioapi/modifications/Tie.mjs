@@ -73,8 +73,8 @@ export class Tie extends ModificationBase {
       }
       if (Number(details.tiedDuration) < 0.0)
          throw new WebAudioApiErrors.WebAudioValueError(`The target tied duration (${details.tiedDuration}) cannot be negative`);
-      const duration = (this.unmodifiedDetails.duration < 0) ? -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute));
-      const tiedDuration = (Number(details.tiedDuration) > 0) ? (60.0 / ((Number(details.tiedDuration) / this.tempo.beatBase) * this.tempo.beatsPerMinute)) : 0.0;
+      const duration = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
+      const tiedDuration = (Number(details.tiedDuration) > 0) ? this.tempo.getDurationSeconds(Number(details.tiedDuration), duration) : 0.0;
       return [new NoteDetails(
          this.unmodifiedDetails.note,
          this.unmodifiedDetails.velocity,
@@ -18,10 +18,6 @@ export class Trill extends ModificationBase {
    /** @type {boolean} */
    #isUpper;
 
-   // Major scale intervals
-   static upperOffsetsMajor = [2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1, 1];
-   static lowerOffsetsMajor = [1, 2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1];
-
    /**
     * Constructs a new {@link Trill} modification object.
     * 
@@ -83,18 +79,15 @@ export class Trill extends ModificationBase {
             (this.#isUpper ? Number(details.offset) : -Number(details.offset)) :
             (this.#isUpper ? Number(details.implicit) : -Number(details.implicit));
       }
-      else {
-         trillNote += (this.#isUpper ? Trill.upperOffsetsMajor[trillNote % 12] : -Trill.lowerOffsetsMajor[trillNote % 12]);
-         trillNote += this.key.offsets[trillNote % 12];
-      }
+      else
+         trillNote = this.getAdjacentNoteInKey(trillNote, this.#isUpper);
       if (!Number.isInteger(trillNote) || (Number(trillNote) < 1))
          throw new WebAudioApiErrors.WebAudioValueError(`The offset value (${trillNote}) must be a positive integer > 0`);
       const trill = [];
-      const fullNoteDuration = (this.unmodifiedDetails.duration < 0) ?
-         -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute));
+      const fullNoteDuration = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration);
       const trillNoteDuration = (this.unmodifiedDetails.duration >= 16) ?
-         (60.0 / ((3.0 * this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute)) :
-         (60.0 / ((32.0 / this.tempo.beatBase) * this.tempo.beatsPerMinute));
+         this.tempo.getDurationSeconds(3.0 * this.unmodifiedDetails.duration) :
+         this.tempo.getDurationSeconds(32.0);
       const numNotes = Math.floor(fullNoteDuration / trillNoteDuration);
       for (let i = 0; i < numNotes; ++i)
          trill.push(new NoteDetails(
@@ -20,10 +20,6 @@ export class Turn extends ModificationBase {
    /** @type {boolean} */
    #isUpper;
 
-   // Major scale intervals
-   static upperOffsetsMajor = [2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1, 1];
-   static lowerOffsetsMajor = [1, 2, 1, 2, 1, 1, 2, 1, 2, 1, 2, 1];
-
    /**
     * Constructs a new {@link Turn} modification object.
     * 
@@ -83,21 +79,16 @@ export class Turn extends ModificationBase {
       let upperNote = this.unmodifiedDetails.note, lowerNote = this.unmodifiedDetails.note;
       if (details && ('upperOffset' in details))
          upperNote += Number(details.upperOffset);
-      else {
-         upperNote += Turn.upperOffsetsMajor[upperNote % 12];
-         upperNote += this.key.offsets[upperNote % 12];
-      }
+      else
+         upperNote = this.getAdjacentNoteInKey(upperNote, true);
       if (details && ('lowerOffset' in details))
          lowerNote -= Number(details.lowerOffset);
-      else {
-         lowerNote -= Turn.lowerOffsetsMajor[lowerNote % 12];
-         lowerNote += this.key.offsets[lowerNote % 12];
-      }
+      else
+         lowerNote = this.getAdjacentNoteInKey(lowerNote, false);
       const turnNoteDuration = (this.unmodifiedDetails.duration >= 8) ?
-         (60.0 / ((5.0 * this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute)) :
-         (60.0 / ((32.0 / this.tempo.beatBase) * this.tempo.beatsPerMinute));
-      const primaryNoteDuration = ((this.unmodifiedDetails.duration < 0) ?
-         -this.unmodifiedDetails.duration : (60.0 / ((this.unmodifiedDetails.duration / this.tempo.beatBase) * this.tempo.beatsPerMinute))) -
+         this.tempo.getDurationSeconds(5.0 * this.unmodifiedDetails.duration) :
+         this.tempo.getDurationSeconds(32.0);
+      const primaryNoteDuration = this.tempo.getDurationSeconds(this.unmodifiedDetails.duration) -
          (4 * turnNoteDuration);
       return [new NoteDetails(
          this.unmodifiedDetails.note,
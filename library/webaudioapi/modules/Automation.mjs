@@ -0,0 +1,360 @@
+/**
+ * Module containing functionality to create {@link WebAudioAPI} parameter automation lanes.
+ * @module Automation
+ */
+
+/**
+ * Object containing all automation-specific {@link WebAudioAPI} functionality.
+ * @namespace Automation
+ * @global
+ */
+
+/**
+ * Object containing all functionality to play automation lanes on a single effect or mixer.
+ * @namespace AutomationPlayback
+ * @global
+ */
+
+import { AutomationShape } from './Constants.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+
+// Number of values used to approximate a ramp which cannot be scheduled as a native AudioParam ramp
+const automationCurveLength = 256;
+
+/**
+ * Structure containing a single automation breakpoint.
+ *
+ * The `shape` of a breakpoint describes how its `value` is reached from the value of the
+ * preceding breakpoint, such that a `Linear` breakpoint begins ramping at the time of the
+ * preceding breakpoint and arrives at its own value exactly at its own `time`. The first
+ * breakpoint in a lane always takes effect as a `Step`.
+ *
+ * @typedef {Object} AutomationBreakpoint
+ * @property {number} time - Number of seconds after the start of the lane at which the breakpoint value is reached
+ * @property {number} value - Parameter value at the breakpoint
+ * @property {number} [shape] - {@link module:Constants.AutomationShape AutomationShape} used to arrive at the breakpoint value (defaults to `Linear`)
+ * @property {number} [curvature] - Exponent describing the shape of a `Curved` ramp (defaults to 2)
+ */
+
+/**
+ * Structure describing an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioParam AudioParam}
+ * which directly implements an automatable parameter.
+ *
+ * @typedef {Object} AudioParamTarget
+ * @property {AudioParam} audioParam - AudioParam implementing the parameter
+ * @property {function(number): number} [toParamValue] - Function converting a parameter value into the corresponding AudioParam value (defaults to the unchanged value)
+ */
+
+/**
+ * Returns the valid range of the specified numeric effect parameter.
+ *
+ * @param {Effect} effect - Effect containing the parameter to be automated or modulated
+ * @param {string} parameterName - Name of the effect parameter to be automated or modulated
+ * @returns {number[]} Minimum and maximum valid values of the parameter
+ */
+export function getNumericParameterRange(effect, parameterName) {
+   const parameter = effect.parameters.find(parameter => parameter.name == parameterName);
+   if (!parameter || (parameter.type != 'number'))
+      throw new WebAudioApiErrors.WebAudioTargetError(`The effect (${effect.name}) does not contain a numeric parameter named "${parameterName}"`);
+   return parameter.validValues;
+}
+
+/**
+ * Validates a list of automation breakpoints, returning a copy of the breakpoints sorted by
+ * time with all default values filled in.
+ *
+ * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints to validate
+ * @param {number[]} [validRange] - Minimum and maximum valid breakpoint values
+ * @returns {AutomationBreakpoint[]} Validated and sorted breakpoints
+ */
+export function getAutomationBreakpoints(breakpoints, validRange) {
+   if (!Array.isArray(breakpoints) || !breakpoints.length)
+      throw new WebAudioApiErrors.WebAudioValueError('Automation breakpoints must be a non-empty array');
+   const validatedBreakpoints = breakpoints.map(breakpoint => ({
+      time: Number(breakpoint.time), value: Number(breakpoint.value),
+      shape: (breakpoint.shape == null) ? AutomationShape.Linear : Number(breakpoint.shape),
+      curvature: (breakpoint.curvature == null) ? 2.0 : Number(breakpoint.curvature)
+   })).sort((a, b) => a.time - b.time);
+   for (const [index, breakpoint] of validatedBreakpoints.entries()) {
+      if (!(breakpoint.time >= 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The automation breakpoint time (${breakpoint.time}) must be a non-negative number of seconds`);
+      else if (!Number.isFinite(breakpoint.value))
+         throw new WebAudioApiErrors.WebAudioValueError(`The automation breakpoint value (${breakpoint.value}) must be a number`);
+      else if (validRange && ((breakpoint.value < validRange[0]) || (breakpoint.value > validRange[1])))
+         throw new WebAudioApiErrors.WebAudioValueError(`The automation breakpoint value (${breakpoint.value}) is outside of the available range: [${validRange[0]}, ${validRange[1]}]`);
+      else if (!Object.values(AutomationShape).includes(breakpoint.shape))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target automation shape identifier (${breakpoint.shape}) does not exist`);
+      else if (!(breakpoint.curvature > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The automation breakpoint curvature (${breakpoint.curvature}) must be a positive number`);
+      else if (index && (breakpoint.shape == AutomationShape.Exponential) && !((breakpoint.value * validatedBreakpoints[index-1].value) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError('An exponential automation ramp cannot begin or end at zero or cross zero');
+   }
+   return validatedBreakpoints;
+}
+
+/**
+ * Returns the value of an automation lane at the specified number of seconds after its start.
+ *
+ * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+ * @param {number} time - Number of seconds after the start of the lane
+ * @returns {number|null} Automated parameter value, or `null` if the first breakpoint has not yet been reached
+ */
+export function getAutomationValueAt(breakpoints, time) {
+   const nextIndex = breakpoints.findIndex(breakpoint => breakpoint.time > time);
+   if (nextIndex == 0)
+      return null;
+   else if (nextIndex < 0)
+      return breakpoints[breakpoints.length - 1].value;
+   const previous = breakpoints[nextIndex-1], next = breakpoints[nextIndex];
+   const progress = (time - previous.time) / (next.time - previous.time);
+   if (next.shape == AutomationShape.Step)
+      return previous.value;
+   else if (next.shape == AutomationShape.Curved)
+      return previous.value + ((next.value - previous.value) * Math.pow(progress, next.curvature));
+   else if (next.shape == AutomationShape.Exponential)
+      return previous.value * Math.pow(next.value / previous.value, progress);
+   else
+      return previous.value + ((next.value - previous.value) * progress);
+}
+
+// Cancels all values scheduled on an AudioParam from the specified time onward, truncating any value curve in progress
+function cancelScheduledValuesFrom(audioParam, cancelTime) {
+   if (audioParam.cancelAndHoldAtTime)
+      audioParam.cancelAndHoldAtTime(cancelTime);
+   else
+      audioParam.cancelScheduledValues(cancelTime);
+}
+
+/**
+ * Schedules an automation lane directly on the AudioParams implementing the automated
+ * parameter, beginning at the specified time. Steps, linear ramps, and exponential ramps are
+ * scheduled as native AudioParam events whenever the parameter value is used unchanged, while
+ * all other ramps are scheduled as value curves. Any previously scheduled values from the
+ * start of the lane onward are cancelled, and any portion of the lane occurring before
+ * `fromTime` is skipped, with the lane value at `fromTime` taking effect immediately.
+ *
+ * @param {AudioParamTarget[]} targets - AudioParams implementing the automated parameter
+ * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+ * @param {number} startTime - Audio context time at which the lane should begin
+ * @param {number} [fromTime] - Earliest audio context time at which to schedule any values
+ */
+export function scheduleAutomationLane(targets, breakpoints, startTime, fromTime=0) {
+   const firstTime = Math.max(startTime + breakpoints[0].time, fromTime);
+   const firstValue = getAutomationValueAt(breakpoints, firstTime - startTime);
+   for (const { audioParam, toParamValue } of targets) {
+      const getParamValue = toParamValue || (value => value);
+      cancelScheduledValuesFrom(audioParam, firstTime);
+      audioParam.setValueAtTime(getParamValue(firstValue), firstTime);
+      for (let index = 1; index < breakpoints.length; ++index) {
+         const previous = breakpoints[index-1], next = breakpoints[index];
+         const segmentStart = Math.max(startTime + previous.time, firstTime), segmentEnd = startTime + next.time;
+         if (segmentEnd <= firstTime)
+            continue;
+         else if ((next.shape == AutomationShape.Step) || (next.time == previous.time))
+            audioParam.setValueAtTime(getParamValue(next.value), segmentEnd);
+         else if (!toParamValue && (segmentStart == startTime + previous.time) && (next.shape == AutomationShape.Linear))
+            audioParam.linearRampToValueAtTime(next.value, segmentEnd);
+         else if (!toParamValue && (segmentStart == startTime + previous.time) && (next.shape == AutomationShape.Exponential))
+            audioParam.exponentialRampToValueAtTime(next.value, segmentEnd);
+         else {
+            const curve = new Float32Array(automationCurveLength), curveStart = segmentStart - startTime;
+            for (let i = 0; i < automationCurveLength - 1; ++i)
+               curve[i] = getParamValue(getAutomationValueAt(breakpoints, curveStart + ((next.time - curveStart) * i / (automationCurveLength - 1))));
+            curve[automationCurveLength - 1] = getParamValue(next.value);
+            audioParam.setValueCurveAtTime(curve, segmentStart, segmentEnd - segmentStart);
+         }
+      }
+   }
+}
+
+/**
+ * Creates a new {@link AutomationPlayback} object which schedules automation lanes on the
+ * AudioParams of a single effect or mixer, keeping a record of every lane played so that the
+ * same automation can be recreated within a different audio context.
+ *
+ * @param {function(string): AudioParamTarget[]} getAudioParamTargets - Function returning the AudioParams implementing a named parameter
+ * @returns {AutomationPlayback} Newly created {@link AutomationPlayback}
+ */
+export function createAutomationPlayback(getAudioParamTargets) {
+
+   // Automation playback-local variable definitions
+   const playbackHistory = [];
+
+   /**
+    * Schedules an automation lane for the specified parameter beginning at the specified time.
+    *
+    * @param {string} parameterName - Name of the automated parameter
+    * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+    * @param {number} startTime - Audio context time at which the lane should begin
+    * @param {number} [fromTime] - Earliest audio context time at which to schedule any values
+    * @memberof AutomationPlayback
+    * @instance
+    */
+   function play(parameterName, breakpoints, startTime, fromTime=0) {
+      const targets = getAudioParamTargets(parameterName);
+      if (!targets.length)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The parameter "${parameterName}" is not backed by an AudioParam and cannot be automated`);
+      scheduleAutomationLane(targets, breakpoints, startTime, fromTime);
+      playbackHistory.push({ parameterName, breakpoints, startTime });
+   }
+
+   /**
+    * Cancels all automation values scheduled at or after the specified time.
+    *
+    * @param {number} cancelTime - Audio context time from which to cancel all automation
+    * @memberof AutomationPlayback
+    * @instance
+    */
+   function cancel(cancelTime) {
+      for (const parameterName of new Set(playbackHistory.map(playback => playback.parameterName).filter(Boolean)))
+         for (const { audioParam } of getAudioParamTargets(parameterName))
+            cancelScheduledValuesFrom(audioParam, cancelTime);
+      playbackHistory.push({ cancelTime });
+   }
+
+   /**
+    * Replays all automation scheduled so far onto another {@link AutomationPlayback} object,
+    * shifting all times by `timeOffset` seconds.
+    *
+    * @param {AutomationPlayback} targetPlayback - Automation playback object onto which to replay all automation
+    * @param {number} timeOffset - Audio context time corresponding to time 0 of the `targetPlayback`
+    * @memberof AutomationPlayback
+    * @instance
+    */
+   function replay(targetPlayback, timeOffset) {
+      for (const { parameterName, breakpoints, startTime, cancelTime } of playbackHistory) {
+         if (parameterName)
+            targetPlayback.play(parameterName, breakpoints, startTime - timeOffset);
+         else
+            targetPlayback.cancel(Math.max(cancelTime - timeOffset, 0));
+      }
+   }
+
+   // Returns an object containing functions and attributes within the public AutomationPlayback namespace
+   return {
+      play, cancel, replay
+   };
+}
+
+/**
+ * Creates a new {@link Automation} object capable of storing and playing back automation lanes
+ * for any number of effect or mixer parameters.
+ *
+ * Each lane is identified by the name of the effect it targets (or `null` for the mixer) and
+ * the name of the automated parameter. Lanes are stored independently of playback, such that
+ * they can be edited and replayed any number of times.
+ *
+ * @returns {Automation} Newly created {@link Automation}
+ */
+export function createAutomation() {
+
+   // Automation-local variable definitions
+   const lanes = [];
+
+   // Private internal Automation functions
+   function findLaneIndex(effectName, parameterName) {
+      return lanes.findIndex(lane => (lane.effectName == effectName) && (lane.parameterName == parameterName));
+   }
+
+   /**
+    * Creates or replaces the automation lane for the specified parameter.
+    *
+    * @param {string|null} effectName - Name of the effect to automate, or `null` for the mixer
+    * @param {string} parameterName - Name of the parameter to automate
+    * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+    * @memberof Automation
+    * @instance
+    */
+   function setLane(effectName, parameterName, breakpoints) {
+      removeLane(effectName, parameterName);
+      lanes.push({ effectName, parameterName, breakpoints });
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified parameter.
+    *
+    * @param {string|null} effectName - Name of the automated effect, or `null` for the mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the lane, or an empty list if no such lane exists
+    * @memberof Automation
+    * @instance
+    */
+   function getLane(effectName, parameterName) {
+      const index = findLaneIndex(effectName, parameterName);
+      return (index < 0) ? [] : lanes[index].breakpoints.map(breakpoint => ({ ...breakpoint }));
+   }
+
+   /**
+    * Removes the automation lane for the specified parameter, if it exists.
+    *
+    * @param {string|null} effectName - Name of the automated effect, or `null` for the mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @memberof Automation
+    * @instance
+    */
+   function removeLane(effectName, parameterName) {
+      const index = findLaneIndex(effectName, parameterName);
+      if (index >= 0)
+         lanes.splice(index, 1);
+   }
+
+   /**
+    * Removes all automation lanes targeting the specified effect.
+    *
+    * @param {string} effectName - Name of the effect for which to remove all lanes
+    * @memberof Automation
+    * @instance
+    */
+   function removeEffectLanes(effectName) {
+      for (let index = lanes.length - 1; index >= 0; --index)
+         if (lanes[index].effectName == effectName)
+            lanes.splice(index, 1);
+   }
+
+   /**
+    * Returns a listing of all existing automation lanes.
+    *
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    * @memberof Automation
+    * @instance
+    */
+   function getLanes() {
+      return lanes.map(({ effectName, parameterName }) => ({ effectName, parameterName }));
+   }
+
+   /**
+    * Removes all existing automation lanes.
+    *
+    * @memberof Automation
+    * @instance
+    */
+   function clearLanes() {
+      lanes.splice(0, lanes.length);
+   }
+
+   /**
+    * Schedules all automation lanes for playback beginning at the specified time. The targets
+    * of all lanes are resolved using the `getAutomatable` callback before any lane is
+    * scheduled, such that a lane with an invalid target causes no automation to be played.
+    *
+    * @param {number} startTime - Global API time at which all lanes should begin
+    * @param {function(string|null): Object} getAutomatable - Callback returning the effect or mixer with the specified effect name (or `null` for the mixer), containing `getAudioParamTargets()` and `automate()` functions
+    * @memberof Automation
+    * @instance
+    */
+   function schedule(startTime, getAutomatable) {
+      const scheduledLanes = lanes.map(lane => {
+         const automatable = getAutomatable(lane.effectName);
+         if (!automatable.getAudioParamTargets(lane.parameterName).length)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The parameter "${lane.parameterName}" is not backed by an AudioParam and cannot be automated`);
+         return { automatable, ...lane };
+      });
+      for (const { automatable, parameterName, breakpoints } of scheduledLanes)
+         automatable.automate(parameterName, breakpoints, startTime);
+   }
+
+   // Returns an object containing functions and attributes within the public Automation namespace
+   return {
+      setLane, getLane, removeLane, removeEffectLanes, getLanes, clearLanes, schedule
+   };
+}
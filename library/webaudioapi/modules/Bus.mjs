@@ -0,0 +1,425 @@
+/**
+ * Module containing functionality to create new {@link WebAudioAPI} buses.
+ * @module Bus
+ */
+
+/**
+ * Object containing all bus-specific {@link WebAudioAPI} functionality.
+ * @namespace Bus
+ * @global
+ */
+
+import * as WebAudioApiErrors from './Errors.mjs';
+import { connectEffectChain, loadEffect } from './Effect.mjs';
+import { serializeEffectChain } from './Preset.mjs';
+import { createChannelStrip, getMixerOptions } from './ChannelStrip.mjs';
+import { createAutomation, getAutomationBreakpoints, getNumericParameterRange } from './Automation.mjs';
+import { getSidechainKeyName } from './Sidechain.mjs';
+
+/**
+ * Returns whether routing the output of one bus into another would create a feedback loop,
+ * including routing a bus into itself or into any bus which already feeds into it.
+ *
+ * @param {Object<string, Bus>} buses - Dictionary of all buses keyed by name
+ * @param {string} busName - Name of the bus to route
+ * @param {string|null} targetBusName - Name of the bus to which to route the output of `busName`, or `null` for the master output
+ * @returns {boolean} Whether the requested routing would create a feedback loop
+ */
+export function createsFeedbackLoop(buses, busName, targetBusName) {
+   for (let nextBusName = targetBusName; nextBusName != null; nextBusName = buses[nextBusName].getOutputBus())
+      if (nextBusName == busName)
+         return true;
+   return false;
+}
+
+/**
+ * Creates a new audio {@link Bus} object capable of processing the combined audio of any number
+ * of tracks through a single chain of effects and a single mixer channel strip.
+ *
+ * A bus may be used either as an auxiliary return, receiving pre- or post-fader sends from
+ * any number of tracks, or as a group track, receiving the full outputs of its child tracks.
+ *
+ * @param {string} name - Name of the bus to create
+ * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @param {AudioNode} busAudioSink - Reference to the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode} to which the output of this bus should be connected
+ * @param {Object<string, AudioNode>} [sidechainKeys] - Nodes carrying the outputs of all tracks and buses for use as sidechain keys, keyed by name
+ * @returns {Bus} Newly created audio {@link Bus}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+ */
+export function createBus(name, audioContext, busAudioSink, sidechainKeys={}) {
+
+   // Bus-local variable definitions
+   let outputSink = busAudioSink, outputBusName = null;
+   const effects = [], inputNode = new GainNode(audioContext), channelStrip = createChannelStrip(audioContext), automation = createAutomation();
+   inputNode.connect(channelStrip.input);
+   channelStrip.output.connect(outputSink);
+   if (getSidechainKeyName('bus', name) in sidechainKeys)
+      channelStrip.output.connect(sidechainKeys[getSidechainKeyName('bus', name)]);
+
+   /**
+    * Applies a new bus effect, inserting it at the specified `index` of the effect processing
+    * sequence, or appending it to the end if no `index` is specified.
+    *
+    * If an effect with the specified `effectName` has already been applied, then calling
+    * this function will simply re-order the effect to move it to the requested position in the
+    * effect processing sequence, without changing its parameter values.
+    *
+    * @param {string} effectName - User-defined name to associate with the bus effect
+    * @param {number} effectType - Bus {@link module:Constants.EffectType EffectType} to apply
+    * @param {number} [index] - Zero-based position in the effect processing sequence at which to insert the effect
+    * @see {@link module:Constants.EffectType EffectType}
+    * @memberof Bus
+    * @instance
+    */
+   async function applyEffect(effectName, effectType, index) {
+      const existingIndex = effects.findIndex(effect => effect.name == effectName);
+      const newEffect = (existingIndex < 0) ? await loadEffect(audioContext, effectName, effectType, sidechainKeys) : effects.splice(existingIndex, 1)[0];
+      effects.splice((index == null) ? effects.length : Math.min(Math.max(Number(index), 0), effects.length), 0, newEffect);
+      connectEffectChain(inputNode, effects, channelStrip.input);
+   }
+
+   /**
+    * Updates the parameters of a bus effect at the specified time.
+    *
+    * @param {string} effectName - Name of the bus effect to be updated
+    * @param {Object} effectOptions - Effect-specific options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @param {number} updateTime - Global API time at which to update the effect
+    * @param {number} timeConstant - Time constant defining an exponential approach to the target
+    * @memberof Bus
+    * @instance
+    */
+   async function updateEffect(effectName, effectOptions, updateTime, timeConstant) {
+      for (const effect of effects)
+         if (effect.name == effectName) {
+            await effect.update(effectOptions, updateTime, timeConstant);
+            return;
+         }
+      throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+   }
+
+   /**
+    * Returns the current parameter settings for the specified bus effect.
+    *
+    * @param {string} effectName - Name of the bus effect for which to retrieve current settings
+    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @memberof Bus
+    * @instance
+    */
+   function getCurrentEffectParameters(effectName) {
+      for (const effect of effects)
+         if (effect.name == effectName)
+            return effect.currentParameterValues();
+      throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+   }
+
+   /**
+    * Returns the serializable description of all bus effects in processing order, including
+    * every effect parameter value that has been explicitly set.
+    * 
+    * @returns {EffectChain} Serializable description of the bus effect chain
+    * @memberof Bus
+    * @instance
+    */
+   function getEffectChain() {
+      return serializeEffectChain(effects);
+   }
+
+   /**
+    * Removes all existing bus effects and replaces them with the specified list of effects,
+    * which will be processed in the order given.
+    * 
+    * @param {Effect[]} newEffects - Ordered list of loaded effects as returned by {@link loadEffectChain}
+    * @memberof Bus
+    * @instance
+    */
+   async function replaceEffects(newEffects) {
+      for (const effect of effects.splice(0, effects.length, ...newEffects)) {
+         effect.output.disconnect();
+         if (!effects.some(newEffect => newEffect.name == effect.name))
+            automation.removeEffectLanes(effect.name);
+      }
+      connectEffectChain(inputNode, effects, channelStrip.input);
+   }
+
+   /**
+    * Removes the specified bus effect from being applied.
+    *
+    * @param {string} effectName - Name of the bus effect to be removed
+    * @returns {Effect|null} Existing effect or null
+    * @memberof Bus
+    * @instance
+    */
+   async function removeEffect(effectName) {
+      const index = effects.findIndex(effect => effect.name == effectName);
+      if (index < 0)
+         return null;
+      const existingEffect = effects.splice(index, 1)[0];
+      connectEffectChain(inputNode, effects, channelStrip.input);
+      existingEffect.output.disconnect();
+      automation.removeEffectLanes(effectName);
+      return existingEffect;
+   }
+
+   /**
+    * Moves the specified bus effect to a new position within the effect processing sequence,
+    * without changing its parameter values.
+    * 
+    * @param {string} effectName - Name of the bus effect to be moved
+    * @param {number} index - Zero-based position in the effect processing sequence to which to move the effect
+    * @memberof Bus
+    * @instance
+    */
+   function moveEffect(effectName, index) {
+      const existingIndex = effects.findIndex(effect => effect.name == effectName);
+      if (existingIndex < 0)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+      effects.splice(Math.min(Math.max(Number(index), 0), effects.length - 1), 0, effects.splice(existingIndex, 1)[0]);
+      connectEffectChain(inputNode, effects, channelStrip.input);
+   }
+
+   /**
+    * Updates the wet/dry mix or bypass state of a bus effect at the specified time.
+    * 
+    * @param {string} effectName - Name of the bus effect to be updated
+    * @param {Object} mixOptions - Object containing an optional `mix` value between [0, 1] and an optional `bypass` flag
+    * @param {number} updateTime - Global API time at which to update the effect mix
+    * @param {number} timeConstant - Time constant defining an exponential approach to the target
+    * @memberof Bus
+    * @instance
+    */
+   function updateEffectMix(effectName, mixOptions, updateTime, timeConstant) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+      effect.updateMix(mixOptions, updateTime, timeConstant);
+   }
+
+   /**
+    * Returns the current wet/dry mix and bypass state of a bus effect.
+    * 
+    * @param {string} effectName - Name of the bus effect for which to retrieve the mix
+    * @returns {Object} Object containing the current `mix` and `bypass` settings of the effect
+    * @memberof Bus
+    * @instance
+    */
+   function getEffectMix(effectName) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+      return effect.getMix();
+   }
+
+   /**
+    * Calculates the frequency response of a bus effect at each of the specified frequencies,
+    * taking its current wet/dry mix and bypass settings into account.
+    * 
+    * @param {string} effectName - Name of the bus effect for which to calculate the response
+    * @param {Float32Array} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing linear `magnitudes` and `phases` in radians as Float32Arrays
+    * @memberof Bus
+    * @instance
+    */
+   function getEffectFrequencyResponse(effectName, frequencies) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+      return effect.getFrequencyResponse(frequencies);
+   }
+
+   /**
+    * Updates the mixer channel strip of the bus at the specified time.
+    *
+    * @param {Object} mixerOptions - Validated mixer options containing any of the keys in {@link MixerState}
+    * @param {number} [updateTime] - Global API time at which to update the mixer
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof Bus
+    * @instance
+    */
+   function updateMixer(mixerOptions, updateTime, timeConstant) {
+      channelStrip.update(mixerOptions, updateTime, timeConstant);
+   }
+
+   /**
+    * Returns the current state of the mixer channel strip of the bus.
+    *
+    * @returns {MixerState} Current mixer state of the bus
+    * @memberof Bus
+    * @instance
+    */
+   function getMixer() {
+      return channelStrip.getState();
+   }
+
+   /**
+    * Creates or replaces the automation lane for the specified effect or mixer parameter of the
+    * bus.
+    *
+    * @param {string|null} effectName - Name of the bus effect to automate, or `null` to automate the bus mixer
+    * @param {string} parameterName - Name of the numeric effect parameter, or one of "gain" or "pan" for the bus mixer
+    * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints making up the automation lane
+    * @memberof Bus
+    * @instance
+    */
+   function setAutomation(effectName, parameterName, breakpoints) {
+      let validatedBreakpoints = null;
+      if (effectName == null) {
+         if (!['gain', 'pan'].includes(parameterName))
+            throw new WebAudioApiErrors.WebAudioTargetError(`The bus mixer does not contain an automatable parameter named "${parameterName}"`);
+         validatedBreakpoints = getAutomationBreakpoints(breakpoints);
+         for (const breakpoint of validatedBreakpoints)
+            getMixerOptions({ [parameterName]: breakpoint.value });
+      }
+      else {
+         const effect = effects.find(effect => effect.name == effectName);
+         if (!effect)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The target bus effect (${effectName}) does not exist`);
+         validatedBreakpoints = getAutomationBreakpoints(breakpoints, getNumericParameterRange(effect, parameterName));
+         if (!effect.getAudioParamTargets(parameterName).length)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The bus effect parameter "${parameterName}" is not backed by an AudioParam and cannot be automated`);
+      }
+      automation.setLane(effectName ?? null, parameterName, validatedBreakpoints);
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified effect or mixer
+    * parameter of the bus.
+    *
+    * @param {string|null} effectName - Name of the automated bus effect, or `null` for the bus mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the automation lane, or an empty list if no such lane exists
+    * @memberof Bus
+    * @instance
+    */
+   function getAutomation(effectName, parameterName) {
+      return automation.getLane(effectName ?? null, parameterName);
+   }
+
+   /**
+    * Removes the automation lane for the specified effect or mixer parameter of the bus.
+    *
+    * @param {string|null} effectName - Name of the automated bus effect, or `null` for the bus mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @memberof Bus
+    * @instance
+    */
+   function removeAutomation(effectName, parameterName) {
+      automation.removeLane(effectName ?? null, parameterName);
+   }
+
+   /**
+    * Returns a listing of all automation lanes on the bus.
+    *
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    * @memberof Bus
+    * @instance
+    */
+   function getAutomationLanes() {
+      return automation.getLanes();
+   }
+
+   /**
+    * Schedules all automation lanes on the bus for playback beginning at the specified time.
+    * Each lane is scheduled directly on the AudioParams of its target, and no lanes are
+    * scheduled if any lane targets an effect that no longer exists.
+    *
+    * @param {number} startTime - Global API time at which playback of all automation lanes should begin
+    * @memberof Bus
+    * @instance
+    * @async
+    */
+   async function playAutomation(startTime) {
+      automation.schedule(startTime, effectName => {
+         const automatable = (effectName == null) ? channelStrip : effects.find(effect => effect.name == effectName);
+         if (!automatable)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The automated bus effect (${effectName}) no longer exists`);
+         return automatable;
+      });
+   }
+
+   /**
+    * Routes the output of the bus to the specified audio node.
+    *
+    * @param {AudioNode} sinkNode - Audio node to which the output of this bus should be connected
+    * @param {string|null} busName - Name of the bus owning `sinkNode`, or `null` if routed to the master output
+    * @memberof Bus
+    * @instance
+    */
+   function setOutput(sinkNode, busName) {
+      channelStrip.output.disconnect(outputSink);
+      outputSink = sinkNode;
+      outputBusName = busName;
+      channelStrip.output.connect(outputSink);
+   }
+
+   /**
+    * Returns the name of the bus to which the output of this bus is routed.
+    *
+    * @returns {string|null} Name of the destination bus, or `null` if routed to the master output
+    * @memberof Bus
+    * @instance
+    */
+   function getOutputBus() {
+      return outputBusName;
+   }
+
+   /**
+    * Creates a copy of the processing chain of this bus within the specified `targetContext`,
+    * replaying all effect and mixer updates that have been applied so far.
+    *
+    * @param {BaseAudioContext} targetContext - Audio context in which to create the copied bus
+    * @param {number} timeOffset - Global API time corresponding to time 0 in the `targetContext`
+    * @param {Object<string, AudioNode>} [targetSidechainKeys] - Sidechain key nodes within the `targetContext` of all tracks and buses, keyed by name
+    * @returns {Promise<{input: AudioNode, output: AudioNode}>} Input and output nodes of the copied bus
+    * @memberof Bus
+    * @instance
+    */
+   async function cloneToContext(targetContext, timeOffset, targetSidechainKeys={}) {
+      const offlineInput = new GainNode(targetContext);
+      let previousNode = offlineInput;
+      for (const effect of effects) {
+         const offlineEffect = await effect.cloneToContext(targetContext, timeOffset, targetSidechainKeys);
+         previousNode.connect(offlineEffect.input);
+         previousNode = offlineEffect.output;
+      }
+      const offlineChannelStrip = channelStrip.cloneToContext(targetContext, timeOffset);
+      previousNode.connect(offlineChannelStrip.input);
+      if (getSidechainKeyName('bus', name) in targetSidechainKeys)
+         offlineChannelStrip.output.connect(targetSidechainKeys[getSidechainKeyName('bus', name)]);
+      return { input: offlineInput, output: offlineChannelStrip.output };
+   }
+
+   /**
+    * Deletes the current bus and disconnects it from all other audio nodes.
+    *
+    * @memberof Bus
+    * @instance
+    */
+   function deleteBus() {
+      inputNode.disconnect();
+      for (const effect of effects)
+         effect.output.disconnect();
+      channelStrip.output.disconnect();
+   }
+
+   // Returns an object containing functions and attributes within the public Bus namespace
+   return {
+      /**
+       * Name of the {@link Bus}.
+       * @memberof Bus
+       * @instance
+       */
+      name,
+
+      /**
+       * Reference to the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+       * to which all sends and routed track outputs should be connected.
+       * @memberof Bus
+       * @instance
+       */
+      input: inputNode,
+
+      applyEffect, updateEffect, getCurrentEffectParameters, removeEffect, moveEffect, updateEffectMix, getEffectMix, getEffectFrequencyResponse, getEffectChain, replaceEffects, updateMixer, getMixer, setOutput, getOutputBus,
+      setAutomation, getAutomation, removeAutomation, getAutomationLanes, playAutomation, cloneToContext, deleteBus
+   };
+}
@@ -0,0 +1,263 @@
+/**
+ * Module containing functionality to create {@link WebAudioAPI} track channel strips.
+ * @module ChannelStrip
+ */
+
+/**
+ * Object containing all channel strip-specific {@link WebAudioAPI} functionality.
+ * @namespace ChannelStrip
+ * @global
+ */
+
+import * as WebAudioApiErrors from './Errors.mjs';
+import { createAutomationPlayback } from './Automation.mjs';
+
+// Minimum and maximum fader gain values in decibels
+const minGainDb = -96.0, maxGainDb = 12.0;
+
+/**
+ * Structure containing the state of a {@link ChannelStrip}.
+ *
+ * @typedef {Object} MixerState
+ * @property {number} gain - Fader gain in decibels in the range [-96, 12]
+ * @property {number} pan - Stereo pan position in the range [-1, 1]
+ * @property {boolean} mute - Whether the channel is muted
+ * @property {boolean} solo - Whether the channel is soloed
+ * @property {boolean} phaseInvert - Whether the polarity of the channel is inverted
+ */
+
+/**
+ * Validates a set of mixer options, returning only the recognized keys converted to their
+ * expected types.
+ *
+ * @param {Object} options - Object containing any of the keys in {@link MixerState}
+ * @returns {Object} Validated mixer options
+ */
+export function getMixerOptions(options) {
+   const mixerOptions = {};
+   if (options.gain != null) {
+      mixerOptions.gain = Number(options.gain);
+      if (!(mixerOptions.gain >= minGainDb) || !(mixerOptions.gain <= maxGainDb))
+         throw new WebAudioApiErrors.WebAudioValueError(`The mixer gain value (${options.gain}) is outside of the available range: [${minGainDb}, ${maxGainDb}]`);
+   }
+   if (options.pan != null) {
+      mixerOptions.pan = Number(options.pan);
+      if (!(mixerOptions.pan >= -1.0) || !(mixerOptions.pan <= 1.0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The mixer pan value (${options.pan}) is outside of the available range: [-1, 1]`);
+   }
+   for (const key of ['mute', 'solo', 'phaseInvert'])
+      if (options[key] != null)
+         mixerOptions[key] = Boolean(options[key]);
+   return mixerOptions;
+}
+
+/**
+ * Updates the solo-in-place state of every track, silencing all tracks which are not soloed
+ * whenever at least one track is soloed.
+ *
+ * Soloed tracks continue to play through their own fader, pan, sends, and output bus.
+ *
+ * @param {Object<string, Track>} tracks - Dictionary of all tracks keyed by name
+ * @param {number} [updateTime] - Global API time at which to update the solo state
+ */
+export function updateSoloState(tracks, updateTime) {
+   const isAnyTrackSoloed = Object.values(tracks).some(track => track.getMixer().solo);
+   for (const track of Object.values(tracks))
+      track.setSoloMuted(isAnyTrackSoloed && !track.getMixer().solo, updateTime);
+}
+
+/**
+ * Creates a new {@link ChannelStrip} object containing a phase inverter, mute stage, fader,
+ * and panner, in that order.
+ *
+ * The mute stage precedes the fader so that audio tapped from the
+ * {@link ChannelStrip#preFader preFader} node is still silenced by mute and solo.
+ *
+ * Solo is stored as part of the channel strip state, but since solo-in-place semantics depend
+ * on the state of all other channels, silencing of non-soloed channels must be applied
+ * externally using the {@link ChannelStrip#setSoloMuted setSoloMuted()} function, as is done
+ * for all tracks by {@link updateSoloState updateSoloState()}.
+ *
+ * @param {BaseAudioContext} audioContext - Reference to the audio context in which to create the channel strip
+ * @returns {ChannelStrip} Newly created {@link ChannelStrip}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/BaseAudioContext BaseAudioContext}
+ */
+export function createChannelStrip(audioContext) {
+
+   // Channel strip-local variable definitions
+   const state = { gain: 0.0, pan: 0.0, mute: false, solo: false, phaseInvert: false };
+   const updateHistory = [];
+   let isSoloMuted = false;
+   const phaseNode = new GainNode(audioContext), faderNode = new GainNode(audioContext);
+   const panNode = new StereoPannerNode(audioContext), muteNode = new GainNode(audioContext);
+   phaseNode.connect(muteNode).connect(faderNode).connect(panNode);
+   const automationPlayback = createAutomationPlayback(getAudioParamTargets);
+
+   // Private internal ChannelStrip functions
+   function setParameter(audioParam, value, updateTime, timeConstant) {
+      const time = (updateTime == null) ? audioContext.currentTime : updateTime;
+      if (timeConstant)
+         audioParam.setTargetAtTime(value, time, timeConstant);
+      else
+         audioParam.setValueAtTime(value, time);
+   }
+
+   function setSwitchedParameter(audioParam, value, updateTime) {
+      audioParam.setValueAtTime(value, (updateTime == null) ? audioContext.currentTime : updateTime);
+   }
+
+   function updateMuteNode(updateTime) {
+      setSwitchedParameter(muteNode.gain, (state.mute || isSoloMuted) ? 0.0 : 1.0, updateTime);
+   }
+
+   /**
+    * Returns the AudioParams which directly implement the specified mixer parameter. Only the
+    * `gain` and `pan` parameters can be automated, with all other parameters returning an
+    * empty list.
+    *
+    * @param {string} parameterName - Name of the mixer parameter
+    * @returns {AudioParamTarget[]} List of AudioParams implementing the mixer parameter
+    * @memberof ChannelStrip
+    * @instance
+    */
+   function getAudioParamTargets(parameterName) {
+      if (parameterName == 'gain')
+         return [{ audioParam: faderNode.gain, toParamValue: value => Math.pow(10.0, value / 20.0) }];
+      else if (parameterName == 'pan')
+         return [{ audioParam: panNode.pan }];
+      return [];
+   }
+
+   /**
+    * Updates the channel strip parameters at the specified time.
+    *
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect, and the `timeConstant` parameter can be omitted to cause the
+    * changes to take place instantaneously. The `mute`, `solo`, and `phaseInvert` states are
+    * always switched instantaneously at the requested `updateTime`.
+    *
+    * @param {Object} mixerOptions - Validated mixer options containing any of the keys in {@link MixerState}
+    * @param {number} [updateTime] - Global API time at which to update the channel strip
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof ChannelStrip
+    * @instance
+    */
+   function update(mixerOptions, updateTime, timeConstant) {
+      Object.assign(state, mixerOptions);
+      if (mixerOptions.gain != null)
+         setParameter(faderNode.gain, Math.pow(10.0, state.gain / 20.0), updateTime, timeConstant);
+      if (mixerOptions.pan != null)
+         setParameter(panNode.pan, state.pan, updateTime, timeConstant);
+      if (mixerOptions.phaseInvert != null)
+         setSwitchedParameter(phaseNode.gain, state.phaseInvert ? -1.0 : 1.0, updateTime);
+      if (mixerOptions.mute != null)
+         updateMuteNode(updateTime);
+      updateHistory.push({ mixerOptions, updateTime: (updateTime == null) ? audioContext.currentTime : updateTime, timeConstant });
+   }
+
+   /**
+    * Sets whether this channel should be silenced due to another channel being soloed.
+    *
+    * @param {boolean} soloMuted - Whether this channel is silenced by a solo on another channel
+    * @param {number} [updateTime] - Global API time at which to update the solo state
+    * @memberof ChannelStrip
+    * @instance
+    */
+   function setSoloMuted(soloMuted, updateTime) {
+      isSoloMuted = soloMuted;
+      updateMuteNode(updateTime);
+      updateHistory.push({ soloMuted, updateTime: (updateTime == null) ? audioContext.currentTime : updateTime });
+   }
+
+   /**
+    * Returns the current state of the channel strip.
+    *
+    * @returns {MixerState} Current state of the channel strip
+    * @memberof ChannelStrip
+    * @instance
+    */
+   function getState() {
+      return { ...state };
+   }
+
+   /**
+    * Creates a copy of this channel strip within the specified `targetContext`, replaying all
+    * updates that have been applied so far. Update times are shifted by `timeOffset` seconds,
+    * with any updates occurring before the shifted time origin being applied immediately.
+    *
+    * @param {BaseAudioContext} targetContext - Audio context in which to create the copied channel strip
+    * @param {number} timeOffset - Global API time corresponding to time 0 in the `targetContext`
+    * @returns {ChannelStrip} Newly created copy of this {@link ChannelStrip}
+    * @memberof ChannelStrip
+    * @instance
+    */
+   function cloneToContext(targetContext, timeOffset) {
+      const clonedStrip = createChannelStrip(targetContext);
+      for (const { mixerOptions, soloMuted, updateTime, timeConstant } of updateHistory) {
+         if (mixerOptions)
+            clonedStrip.update(mixerOptions, Math.max(updateTime - timeOffset, 0), timeConstant);
+         else
+            clonedStrip.setSoloMuted(soloMuted, Math.max(updateTime - timeOffset, 0));
+      }
+      automationPlayback.replay(clonedStrip.automationPlayback, timeOffset);
+      return clonedStrip;
+   }
+
+   // Returns an object containing functions and attributes within the public ChannelStrip namespace
+   return {
+      /**
+       * Reference to an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+       * to which all source audio should be connected.
+       * @memberof ChannelStrip
+       * @instance
+       */
+      input: phaseNode,
+
+      /**
+       * Reference to an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+       * from which audio can be tapped after the mute stage but before the fader and panner.
+       * @memberof ChannelStrip
+       * @instance
+       */
+      preFader: muteNode,
+
+      /**
+       * Reference to an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+       * from which all mixed output audio is produced.
+       * @memberof ChannelStrip
+       * @instance
+       */
+      output: panNode,
+
+      /**
+       * Schedules an automation lane for the specified mixer parameter directly on its
+       * underlying AudioParams, beginning at the specified time.
+       * @function
+       * @param {string} parameterName - Name of the mixer parameter to automate, either "gain" or "pan"
+       * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+       * @param {number} startTime - Global API time at which the lane should begin
+       * @memberof ChannelStrip
+       * @instance
+       */
+      automate: automationPlayback.play,
+
+      /**
+       * Cancels all automation of the channel strip scheduled at or after the specified time.
+       * @function
+       * @param {number} cancelTime - Global API time from which to cancel all automation
+       * @memberof ChannelStrip
+       * @instance
+       */
+      cancelAutomation: automationPlayback.cancel,
+
+      /**
+       * Reference to the {@link AutomationPlayback} object recording all automation played on
+       * this channel strip.
+       * @memberof ChannelStrip
+       * @instance
+       */
+      automationPlayback,
+
+      update, setSoloMuted, getState, getAudioParamTargets, cloneToContext
+   };
+}
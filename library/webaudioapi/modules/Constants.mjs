@@ -97,16 +97,24 @@ export const KeySignature = {
    ASharpMinor: 7, EFlatMinor: -6, AFlatMinor: -7, BFlatMinor: -5
 };
 
+/**
+ * Object representing a mapping between a musical mode and its offset on the circle of fifths relative to its parallel major key.
+ * @constant {Object<string, number>}
+ */
+export const KeyMode = {
+   Lydian: 1, Ionian: 0, Mixolydian: -1, Dorian: -2, Aeolian: -3, Phrygian: -4, Locrian: -5
+};
+
 /**
  * Object representing a mapping between an effect type and its unique internal code.
  * @constant {Object<string, number>}
  */
 export const EffectType = {
-   Reverb: 11, Delay: 12, Echo: 13, PitchShift: 14, Doppler: 15,                    // Time-Based Effects
-   Chorus: 21, Tremolo: 22, Vibrato: 23, Flanger: 24, Phaser: 25,                   // Modulation Effects
-   Panning: 31, Equalization: 32,                                                   // Spectral Effects
-   Volume: 41, Compression: 42, Distortion: 43,                                     // Dynamic Effects
-   LowPassFilter: 51, HighPassFilter: 52, BandPassFilter: 53, BandRejectFilter: 54  // Filter Effects
+   Reverb: 11, Delay: 12, Echo: 13, PitchShift: 14, Doppler: 15, ConvolutionReverb: 16,                                          // Time-Based Effects
+   Chorus: 21, Tremolo: 22, Vibrato: 23, Flanger: 24, Phaser: 25,                                                                // Modulation Effects
+   Panning: 31, Equalization: 32, ParametricEqualization: 33, Spatial: 34,                                                       // Spectral Effects
+   Volume: 41, Compression: 42, Distortion: 43, SidechainCompression: 44, NoiseGate: 45, Limiter: 46, MultibandCompression: 47,  // Dynamic Effects
+   LowPassFilter: 51, HighPassFilter: 52, BandPassFilter: 53, BandRejectFilter: 54                                               // Filter Effects
 };
 
 /**
@@ -122,6 +130,7 @@ export const ModificationType = {
    GraceAcciaccatura: 80, GraceAppoggiatura: 81,                                          // Explicit ornamentations (alters single note)
    Tuplet: 100, Triplet: 101, Quintuplet: 102, Sextuplet: 103,                            // Duration modifications
    Septuplet: 104, Fermata: 105,
+   Swing: 110, Groove: 111, Humanize: 112,                                                // Timing modifications (alters start times)
    TrillUpper: 120, TrillLower: 121, MordentUpper: 122, MordentLower: 123,                // Implicit ornamentations (adds notes)
    TurnUpper: 124, TurnLower: 125, Glissando: 126, Portamento: 127
 };
@@ -171,6 +180,9 @@ export const ModificationIncompatibilities = {
    [ModificationType.Sextuplet]: [ModificationType.Tuplet, ModificationType.Triplet, ModificationType.Quintuplet, ModificationType.Sextuplet, ModificationType.Septuplet],
    [ModificationType.Septuplet]: [ModificationType.Tuplet, ModificationType.Triplet, ModificationType.Quintuplet, ModificationType.Sextuplet, ModificationType.Septuplet],
    [ModificationType.Fermata]: [ModificationType.Fermata],
+   [ModificationType.Swing]: [ModificationType.Swing, ModificationType.Groove],
+   [ModificationType.Groove]: [ModificationType.Swing, ModificationType.Groove],
+   [ModificationType.Humanize]: [ModificationType.Humanize],
    [ModificationType.TrillUpper]: [ModificationType.TrillUpper, ModificationType.TrillLower, ModificationType.MordentUpper, ModificationType.MordentLower,
                                    ModificationType.TurnUpper, ModificationType.TurnLower, ModificationType.Glissando, ModificationType.Portamento],
    [ModificationType.TrillLower]: [ModificationType.TrillUpper, ModificationType.TrillLower, ModificationType.MordentUpper, ModificationType.MordentLower,
@@ -197,6 +209,22 @@ export const AnalysisType = {
    TimeSeries: 1, PowerSpectrum: 2, TotalPower: 3
 };
 
+/**
+ * Object representing a mapping between a built-in tuning system and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const TuningSystem = {
+   EqualTemperament: 1, JustIntonation: 2, Pythagorean: 3, QuarterCommaMeantone: 4
+};
+
+/**
+ * Object representing a mapping between a tempo ramp shape and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const TempoRampType = {
+   Step: 0, Linear: 1, Curved: 2
+};
+
 /**
  * Object representing a mapping between an encoding file type and its unique internal code.
  * @constant {Object<string, number>}
@@ -212,3 +240,35 @@ export const EncodingType = {
 export const InstrumentEncodingType = {
    PCM: 0, WEBM_OPUS: 1
 };
+
+/**
+ * Object representing a mapping between a metronome click sound and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const MetronomeSound = {
+   Beep: 1, Click: 2, Woodblock: 3, Cowbell: 4
+};
+
+/**
+ * Object representing a mapping between an automation breakpoint interpolation shape and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const AutomationShape = {
+   Step: 0, Linear: 1, Curved: 2, Exponential: 3
+};
+
+/**
+ * Object representing a mapping between a parameter modulator type and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const ModulatorType = {
+   LFO: 1, Envelope: 2, EnvelopeFollower: 3
+};
+
+/**
+ * Object representing a mapping between a parametric equalizer band filter type and its unique internal code.
+ * @constant {Object<string, number>}
+ */
+export const EqualizerBandType = {
+   Bell: 1, LowShelf: 2, HighShelf: 3, Notch: 4, HighPass: 5, LowPass: 6
+};
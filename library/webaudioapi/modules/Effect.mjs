@@ -10,10 +10,13 @@
  */
 
 import { EffectType } from './Constants.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+import { createAutomationPlayback } from './Automation.mjs';
 import { BandPassFilter } from '../effects/BandPassFilter.mjs';
 import { BandRejectFilter } from '../effects/BandRejectFilter.mjs';
 import { Chorus } from '../effects/Chorus.mjs';
 import { Compression } from '../effects/Compression.mjs';
+import { ConvolutionReverb } from '../effects/ConvolutionReverb.mjs';
 import { Delay } from '../effects/Delay.mjs';
 import { Distortion } from '../effects/Distortion.mjs';
 import { Doppler } from '../effects/Doppler.mjs';
@@ -21,21 +24,43 @@ import { Echo } from '../effects/Echo.mjs';
 import { Equalization } from '../effects/Equalization.mjs';
 import { Flanger } from '../effects/Flanger.mjs';
 import { HighPassFilter } from '../effects/HighPassFilter.mjs';
+import { Limiter } from '../effects/Limiter.mjs';
 import { LowPassFilter } from '../effects/LowPassFilter.mjs';
+import { MultibandCompression } from '../effects/MultibandCompression.mjs';
+import { NoiseGate } from '../effects/NoiseGate.mjs';
 import { Panning } from '../effects/Panning.mjs';
+import { ParametricEqualization } from '../effects/ParametricEqualization.mjs';
 import { PitchShift } from '../effects/PitchShift.mjs';
 import { Phaser } from '../effects/Phaser.mjs';
 import { Reverb } from '../effects/Reverb.mjs';
+import { SidechainCompression } from '../effects/SidechainCompression.mjs';
+import { Spatial } from '../effects/Spatial.mjs';
 import { Tremolo } from '../effects/Tremolo.mjs';
 import { Vibrato } from '../effects/Vibrato.mjs';
 import { Volume } from '../effects/Volume.mjs';
+import { EffectBase } from '../effects/EffectBase.mjs';
+
+// Lowest numeric type identifier assigned to a runtime-registered effect
+const minCustomEffectType = 1001;
+
+// Functions which must be implemented by every runtime-registered effect
+const requiredEffectFunctions = ['load', 'update', 'currentParameterValues', 'getInputNode', 'getOutputNode'];
+
+// Time constant used to crossfade between wet and dry signals when none is specified
+const defaultMixTimeConstant = 0.01;
+
+// Longest effect processing latency in seconds which can be compensated on the dry signal path
+const maxEffectLatency = 1.0;
 
 const EffectClasses = {
    [EffectType.Reverb]: Reverb, [EffectType.Delay]: Delay, [EffectType.Echo]: Echo, [EffectType.Chorus]: Chorus, [EffectType.Doppler]: Doppler,
    [EffectType.Tremolo]: Tremolo, [EffectType.Vibrato]: Vibrato, [EffectType.Flanger]: Flanger, [EffectType.Phaser]: Phaser,
    [EffectType.Panning]: Panning, [EffectType.Equalization]: Equalization, [EffectType.Volume]: Volume, [EffectType.Compression]: Compression,
    [EffectType.Distortion]: Distortion, [EffectType.LowPassFilter]: LowPassFilter, [EffectType.HighPassFilter]: HighPassFilter,
-   [EffectType.BandPassFilter]: BandPassFilter, [EffectType.BandRejectFilter]: BandRejectFilter, [EffectType.PitchShift]: PitchShift
+   [EffectType.BandPassFilter]: BandPassFilter, [EffectType.BandRejectFilter]: BandRejectFilter, [EffectType.PitchShift]: PitchShift,
+   [EffectType.SidechainCompression]: SidechainCompression, [EffectType.ConvolutionReverb]: ConvolutionReverb, [EffectType.NoiseGate]: NoiseGate,
+   [EffectType.Limiter]: Limiter, [EffectType.MultibandCompression]: MultibandCompression, [EffectType.ParametricEqualization]: ParametricEqualization,
+   [EffectType.Spatial]: Spatial
 };
 
 
@@ -56,6 +81,60 @@ export function getEffectParameters(effectType) {
 }
 
 
+/**
+ * Registers a custom effect class under the specified name, assigning it a new unique
+ * {@link module:Constants.EffectType EffectType} identifier such that it can be applied and
+ * updated in exactly the same way as any built-in effect.
+ * 
+ * The `EffectClass` must extend {@link EffectBase}, implement a static `getParameters()`
+ * function returning its list of {@link EffectParameter EffectParameters}, and override the
+ * `load()`, `update()`, `currentParameterValues()`, `getInputNode()`, and `getOutputNode()`
+ * functions.
+ * 
+ * @param {string} effectName - Name under which to register the effect in {@link module:Constants.EffectType EffectType}
+ * @param {Function} EffectClass - Class implementing the custom effect
+ * @returns {number} Numeric {@link module:Constants.EffectType EffectType} identifier assigned to the effect
+ */
+export function registerEffect(effectName, EffectClass) {
+   if ((typeof effectName != 'string') || !effectName)
+      throw new WebAudioApiErrors.WebAudioValueError('A custom effect must be registered under a non-empty string name');
+   else if (effectName in EffectType)
+      throw new WebAudioApiErrors.WebAudioValueError(`An effect named "${effectName}" already exists`);
+   else if ((typeof EffectClass != 'function') || !(EffectClass.prototype instanceof EffectBase))
+      throw new WebAudioApiErrors.WebAudioValueError(`The custom effect class for "${effectName}" must extend EffectBase`);
+   for (const functionName of requiredEffectFunctions)
+      if ((typeof EffectClass.prototype[functionName] != 'function') || (EffectClass.prototype[functionName] === EffectBase.prototype[functionName]))
+         throw new WebAudioApiErrors.WebAudioValueError(`The custom effect class for "${effectName}" must implement the ${functionName}() function`);
+   const parameters = (typeof EffectClass.getParameters == 'function') ? EffectClass.getParameters() : null;
+   if (!Array.isArray(parameters) || parameters.some(parameter => !parameter || (typeof parameter.name != 'string') ||
+         !['number', 'string', 'Array<number>'].includes(parameter.type) || !Array.isArray(parameter.validValues)))
+      throw new WebAudioApiErrors.WebAudioValueError(`The custom effect class for "${effectName}" must implement a static getParameters() function returning a list of valid EffectParameters`);
+   const effectType = Math.max(minCustomEffectType - 1, ...Object.values(EffectType)) + 1;
+   EffectType[effectName] = effectType;
+   EffectClasses[effectType] = EffectClass;
+   return effectType;
+}
+
+/**
+ * Connects an ordered list of effects in series between the specified source and destination
+ * nodes, first removing all existing outgoing connections from the source node and from the
+ * output of every effect in the list.
+ * 
+ * @param {AudioNode} sourceNode - Node whose output should feed into the first effect
+ * @param {Effect[]} effects - Ordered list of effects to connect
+ * @param {AudioNode} destinationNode - Node into which the last effect should feed
+ */
+export function connectEffectChain(sourceNode, effects, destinationNode) {
+   let previousNode = sourceNode;
+   sourceNode.disconnect();
+   for (const effect of effects) {
+      effect.output.disconnect();
+      previousNode.connect(effect.input);
+      previousNode = effect.output;
+   }
+   previousNode.connect(destinationNode);
+}
+
 /**
  * Loads a pre-defined {@link Effect} capable of being applied to an individual {@link Track} or
  * to the aggregate output of all tracks.
@@ -63,17 +142,92 @@ export function getEffectParameters(effectType) {
  * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
  * @param {string} effectName - User-defined name to assign to the newly loaded effect
  * @param {number} effectType - Numeric value corresponding to the desired {@link module:Constants.EffectType EffectType}
+ * @param {Object<string, AudioNode>} [sidechainKeys] - Nodes within the `audioContext` carrying the outputs of all tracks and buses, keyed by name
  * @returns {Promise<Effect>} Newly created audio {@link Effect}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
  * @see {@link module:Constants.EffectType EffectType}
  * @see {@link Effect}
  * @async
  */
-export async function loadEffect(audioContext, effectName, effectType) {
+export async function loadEffect(audioContext, effectName, effectType, sidechainKeys={}) {
 
    // Load the requested concrete effect type
-   const effect = new EffectClasses[effectType](audioContext);
+   const effect = new EffectClasses[effectType](audioContext, sidechainKeys);
+   const updateHistory = [], mixHistory = [], mixState = { mix: 1.0, bypass: false }, modulations = {};
    await effect.load();
+   const automationPlayback = createAutomationPlayback(parameterName => effect.getAudioParamTargets(parameterName));
+
+   // Wrap the effect in parallel wet and dry signal paths, delaying the dry path to match the effect latency
+   const inputNode = new GainNode(audioContext), outputNode = new GainNode(audioContext);
+   const wetNode = new GainNode(audioContext, { gain: 1.0 }), dryNode = new GainNode(audioContext, { gain: 0.0 });
+   const dryDelayNode = new DelayNode(audioContext, { delayTime: Math.min(effect.getLatency(), maxEffectLatency), maxDelayTime: maxEffectLatency });
+   inputNode.connect(effect.getInputNode());
+   effect.getOutputNode().connect(wetNode).connect(outputNode);
+   inputNode.connect(dryDelayNode).connect(dryNode).connect(outputNode);
+
+   // Private internal Effect functions
+   async function update(effectOptions, updateTime, timeConstant) {
+      const result = await effect.update(effectOptions, updateTime, timeConstant);
+      const latency = Math.min(effect.getLatency(), maxEffectLatency);
+      if (dryDelayNode.delayTime.value != latency)
+         dryDelayNode.delayTime.setValueAtTime(latency, (updateTime == null) ? audioContext.currentTime : updateTime);
+      updateHistory.push({ effectOptions, updateTime: (updateTime == null) ? audioContext.currentTime : updateTime, timeConstant });
+      return result;
+   }
+
+   function updateMix({ mix, bypass }, updateTime, timeConstant) {
+      if ((mix == null) && (bypass == null))
+         throw new WebAudioApiErrors.WebAudioValueError('Cannot update the effect mix without at least one of the following parameters: "mix, bypass"');
+      if ((mix != null) && !((Number(mix) >= 0) && (Number(mix) <= 1)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The effect mix value (${mix}) is outside of the available range: [0, 1]`);
+      if (mix != null)
+         mixState.mix = Number(mix);
+      if (bypass != null)
+         mixState.bypass = Boolean(bypass);
+      const timeToUpdate = (updateTime == null) ? audioContext.currentTime : updateTime;
+      const timeConstantTarget = (timeConstant == null) ? defaultMixTimeConstant : timeConstant;
+      const wetGain = mixState.bypass ? 0.0 : mixState.mix;
+      wetNode.gain.setTargetAtTime(wetGain, timeToUpdate, timeConstantTarget);
+      dryNode.gain.setTargetAtTime(1.0 - wetGain, timeToUpdate, timeConstantTarget);
+      mixHistory.push({ mixOptions: { mix, bypass }, updateTime: timeToUpdate, timeConstant });
+   }
+
+   function getMix() {
+      return { ...mixState };
+   }
+
+   function getFrequencyResponse(frequencies) {
+      const response = (typeof effect.getFrequencyResponse === 'function') ? effect.getFrequencyResponse(frequencies) : null;
+      if (!response)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The effect "${effectName}" does not have a computable frequency response`);
+      const wetGain = mixState.bypass ? 0.0 : mixState.mix;
+      const magnitudes = new Float32Array(frequencies.length), phases = new Float32Array(frequencies.length);
+      for (let i = 0; i < frequencies.length; ++i) {
+         const real = (wetGain * response.magnitudes[i] * Math.cos(response.phases[i])) + (1.0 - wetGain);
+         const imaginary = wetGain * response.magnitudes[i] * Math.sin(response.phases[i]);
+         magnitudes[i] = Math.hypot(real, imaginary);
+         phases[i] = Math.atan2(imaginary, real);
+      }
+      return { magnitudes, phases };
+   }
+
+   function getUpdatedParameters() {
+      const parameterNames = EffectClasses[effectType].getParameters().map(parameter => parameter.name);
+      const updatedParameters = Object.assign({}, ...updateHistory.map(update => update.effectOptions));
+      return Object.fromEntries(Object.entries(updatedParameters).filter(([key, value]) => parameterNames.includes(key) && (value != null)));
+   }
+
+   async function cloneToContext(targetContext, timeOffset, targetSidechainKeys={}) {
+      const clonedEffect = await loadEffect(targetContext, effectName, effectType, targetSidechainKeys);
+      for (const { effectOptions, updateTime, timeConstant } of updateHistory)
+         await clonedEffect.update(effectOptions, Math.max(updateTime - timeOffset, 0), timeConstant);
+      for (const { mixOptions, updateTime, timeConstant } of mixHistory)
+         clonedEffect.updateMix(mixOptions, Math.max(updateTime - timeOffset, 0), timeConstant);
+      automationPlayback.replay(clonedEffect.automationPlayback, timeOffset);
+      for (const [parameterName, { modulator, minValue, maxValue }] of Object.entries(modulations))
+         modulator.scheduleOffline(clonedEffect.getAudioParamTargets(parameterName), minValue, maxValue, timeOffset, targetContext.length / targetContext.sampleRate);
+      return clonedEffect;
+   }
 
    // Returns an object containing functions and attributes within the public Effect namespace
    return {
@@ -98,7 +252,7 @@ export async function loadEffect(audioContext, effectName, effectType) {
        * @memberof Effect
        * @instance
        */
-      input: effect.getInputNode(),
+      input: inputNode,
    
       /**
        * Reference to an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
@@ -107,7 +261,7 @@ export async function loadEffect(audioContext, effectName, effectType) {
        * @memberof Effect
        * @instance
        */
-      output: effect.getOutputNode(),
+      output: outputNode,
 
       /**
        * List of effect-specific {@link EffectParameter EffectParameters} for manipulation in the
@@ -143,6 +297,133 @@ export async function loadEffect(audioContext, effectName, effectType) {
        * @instance
        * @async
        */
-      update: effect.update.bind(effect)
+      update,
+
+      /**
+       * Retrieves the most recently requested value of every effect-specific parameter that has
+       * been explicitly set using the {@link Effect#update update()} function. Unlike
+       * {@link Effect#currentParameterValues currentParameterValues()}, the returned values can
+       * always be passed back into {@link Effect#update update()} to recreate the same settings.
+       * 
+       * @function
+       * @returns {Object} Effect-specific parameter values with keys as returned by {@link Effect#parameters parameters}
+       * @memberof Effect
+       * @instance
+       */
+      getUpdatedParameters,
+
+      /**
+       * Returns the AudioParams which directly implement the specified numeric effect parameter,
+       * or an empty list if the parameter can only be changed using {@link Effect#update update()}.
+       * 
+       * @function
+       * @param {string} parameterName - Name of the numeric effect parameter
+       * @returns {AudioParamTarget[]} List of AudioParams implementing the effect parameter
+       * @memberof Effect
+       * @instance
+       */
+      getAudioParamTargets: effect.getAudioParamTargets.bind(effect),
+
+      /**
+       * Schedules an automation lane for the specified effect parameter directly on its
+       * underlying AudioParams, beginning at the specified time.
+       * 
+       * @function
+       * @param {string} parameterName - Name of the numeric effect parameter to automate
+       * @param {AutomationBreakpoint[]} breakpoints - Validated and sorted breakpoints of the lane
+       * @param {number} startTime - Global API time at which the lane should begin
+       * @memberof Effect
+       * @instance
+       */
+      automate: automationPlayback.play,
+
+      /**
+       * Cancels all automation of the effect scheduled at or after the specified time.
+       * 
+       * @function
+       * @param {number} cancelTime - Global API time from which to cancel all automation
+       * @memberof Effect
+       * @instance
+       */
+      cancelAutomation: automationPlayback.cancel,
+
+      /**
+       * Reference to the {@link AutomationPlayback} object recording all automation played on
+       * this effect.
+       * @memberof Effect
+       * @instance
+       */
+      automationPlayback,
+
+      /**
+       * Listing of all {@link Modulator Modulators} currently attached to this effect, keyed
+       * by the name of the modulated parameter, along with their `minValue` and `maxValue`.
+       * @memberof Effect
+       * @instance
+       */
+      modulations,
+
+      /**
+       * Updates the balance between the processed (wet) and unprocessed (dry) signals of the
+       * effect at the specified time. The `mixOptions` parameter may contain either or both of
+       * the following keys:
+       * 
+       * `mix`: Proportion of the output taken from the processed signal between [0, 1]
+       * `bypass`: Whether the effect should be bypassed, passing only the unprocessed signal
+       * 
+       * Bypassing an effect does not change its `mix` value, such that the previous balance is
+       * restored once the bypass is removed. If no `timeConstant` is specified, a short
+       * crossfade is used to avoid audible clicks. The unprocessed signal is delayed by the
+       * processing latency of the effect so that both signals remain time-aligned.
+       * 
+       * @function
+       * @param {Object} mixOptions - Mix options as described above
+       * @param {number} [updateTime] - Global API time at which to update the mix
+       * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+       * @memberof Effect
+       * @instance
+       */
+      updateMix,
+
+      /**
+       * Returns the most recently requested mix settings of the effect.
+       * 
+       * @function
+       * @returns {Object} Object containing the current `mix` and `bypass` settings
+       * @memberof Effect
+       * @instance
+       */
+      getMix,
+
+      /**
+       * Calculates the frequency response of the effect at each of the specified frequencies,
+       * taking its current wet/dry mix and bypass settings into account. Only effects with a
+       * fixed linear frequency response, such as
+       * {@link module:Constants.EffectType ParametricEqualization}, support this function.
+       * 
+       * @function
+       * @param {Float32Array} frequencies - List of frequencies in Hz at which to calculate the response
+       * @returns {Object} Object containing linear `magnitudes` and `phases` in radians as Float32Arrays
+       * @memberof Effect
+       * @instance
+       */
+      getFrequencyResponse,
+
+      /**
+       * Creates a copy of this effect within the specified `targetContext`, replaying all
+       * parameter updates that have been applied to this effect so far. Update times are shifted
+       * by `timeOffset` seconds, with any updates occurring before the shifted time origin being
+       * applied immediately.
+       * 
+       * @function
+       * @param {BaseAudioContext} targetContext - Audio context in which to create the copied effect
+       * @param {number} timeOffset - Global API time corresponding to time 0 in the `targetContext`
+       * @param {Object<string, AudioNode>} [targetSidechainKeys] - Nodes within the `targetContext` carrying the outputs of all tracks and buses, keyed by name
+       * @returns {Promise<Effect>} Newly created copy of this {@link Effect}
+       * @memberof Effect
+       * @instance
+       * @async
+       */
+      cloneToContext
    };
 }
@@ -0,0 +1,99 @@
+/**
+ * Module containing functionality to create and extract {@link WebAudioAPI} groove templates.
+ * @module Groove
+ */
+
+import { MidiCommand, getMidiCommand, getMidiVelocity } from './Midi.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+
+/**
+ * Structure containing the per-position timing and velocity deviations that make up a groove.
+ *
+ * Each groove position corresponds to one grid step of the specified `resolution`, and the
+ * groove repeats every `timingOffsets.length` grid steps.
+ *
+ * @typedef {Object} GrooveTemplate
+ * @property {number} resolution - Note {@link module:Constants.Duration Duration} corresponding to a single grid step
+ * @property {number[]} timingOffsets - Timing offset of each grid step as a fraction of one grid step in the range [-0.5, 0.5]
+ * @property {number[]} velocityScales - Velocity multiplier of each grid step in the range [0.0, 2.0]
+ */
+
+/**
+ * Creates a new validated {@link GrooveTemplate} from the specified timing offsets and
+ * velocity scaling factors.
+ *
+ * If `velocityScales` is not specified, all velocities will remain unchanged.
+ *
+ * @param {number} resolution - Note {@link module:Constants.Duration Duration} corresponding to a single grid step
+ * @param {number[]} timingOffsets - Timing offset of each grid step as a fraction of one grid step in the range [-0.5, 0.5]
+ * @param {number[]} [velocityScales] - Velocity multiplier of each grid step in the range [0.0, 2.0]
+ * @returns {GrooveTemplate} Newly created {@link GrooveTemplate}
+ */
+export function createGroove(resolution, timingOffsets, velocityScales) {
+   if (!(Number(resolution) > 0))
+      throw new WebAudioApiErrors.WebAudioValueError(`The groove resolution (${resolution}) must be a valid note duration`);
+   else if (!Array.isArray(timingOffsets) || !timingOffsets.length)
+      throw new WebAudioApiErrors.WebAudioValueError('The groove timing offsets must be a non-empty array of numbers');
+   else if (velocityScales && (!Array.isArray(velocityScales) || (velocityScales.length != timingOffsets.length)))
+      throw new WebAudioApiErrors.WebAudioValueError('The groove velocity scales must be an array with the same length as the timing offsets');
+   const offsets = timingOffsets.map(Number), scales = velocityScales ? velocityScales.map(Number) : offsets.map(() => 1.0);
+   if (offsets.some(offset => !(offset >= -0.5) || !(offset <= 0.5)))
+      throw new WebAudioApiErrors.WebAudioValueError('All groove timing offsets must be in the range [-0.5, 0.5]');
+   else if (scales.some(scale => !(scale >= 0.0) || !(scale <= 2.0)))
+      throw new WebAudioApiErrors.WebAudioValueError('All groove velocity scales must be in the range [0.0, 2.0]');
+   return { resolution: Number(resolution), timingOffsets: offsets, velocityScales: scales };
+}
+
+/**
+ * Creates a new {@link GrooveTemplate} corresponding to a swing feel at the specified
+ * resolution.
+ *
+ * The swing `amount` is the percentage of each pair of grid steps taken up by the first
+ * (on-beat) step, where 50% corresponds to straight timing, 66.7% to a triplet feel, and
+ * 75% to a dotted feel.
+ *
+ * @param {number} amount - Swing percentage in the range [50, 75]
+ * @param {number} resolution - Note {@link module:Constants.Duration Duration} of the notes to swing
+ * @returns {GrooveTemplate} Newly created swing {@link GrooveTemplate}
+ */
+export function createSwingGroove(amount, resolution) {
+   if (!(Number(amount) >= 50) || !(Number(amount) <= 75))
+      throw new WebAudioApiErrors.WebAudioValueError(`The swing amount (${amount}) is outside of the available range: [50, 75]`);
+   return createGroove(resolution, [0.0, (Number(amount) / 50.0) - 1.0]);
+}
+
+/**
+ * Extracts a {@link GrooveTemplate} from the note onsets within a recorded MIDI clip.
+ *
+ * Every note onset is quantized to the nearest grid step, and the average deviation from
+ * the grid and the average velocity relative to the overall average velocity are computed
+ * for each position in the groove. Positions containing no notes remain unchanged.
+ *
+ * @param {Object} midiData - Dictionary of MIDI event data as returned from {@link MidiClip#getRawData getRawData()}
+ * @param {function(number): number} secondsToWholeNotes - Function converting a clip-relative time in seconds to a number of whole notes
+ * @param {number} resolution - Note {@link module:Constants.Duration Duration} corresponding to a single grid step
+ * @param {number} numSteps - Number of grid steps before the groove repeats
+ * @returns {GrooveTemplate} Newly extracted {@link GrooveTemplate}
+ */
+export function extractGroove(midiData, secondsToWholeNotes, resolution, numSteps) {
+   if (!Number.isInteger(numSteps) || (numSteps < 1))
+      throw new WebAudioApiErrors.WebAudioValueError(`The number of groove steps (${numSteps}) must be a positive integer`);
+   const offsetSums = Array(numSteps).fill(0.0), velocitySums = Array(numSteps).fill(0.0), noteCounts = Array(numSteps).fill(0);
+   let totalVelocity = 0.0, totalNotes = 0;
+   for (const [noteTime, data] of Object.entries(midiData))
+      if ((getMidiCommand(data) === MidiCommand.NoteOn) && (getMidiVelocity(data) > 0)) {
+         const step = secondsToWholeNotes(Number(noteTime)) * resolution, nearestStep = Math.round(step);
+         const index = ((nearestStep % numSteps) + numSteps) % numSteps;
+         offsetSums[index] += step - nearestStep;
+         velocitySums[index] += getMidiVelocity(data);
+         totalVelocity += getMidiVelocity(data);
+         ++noteCounts[index];
+         ++totalNotes;
+      }
+   if (!totalNotes)
+      throw new WebAudioApiErrors.WebAudioValueError('Cannot extract a groove from a MIDI clip that contains no notes');
+   const averageVelocity = totalVelocity / totalNotes;
+   return createGroove(resolution,
+      offsetSums.map((sum, index) => (noteCounts[index] ? Math.min(Math.max(sum / noteCounts[index], -0.5), 0.5) : 0.0)),
+      velocitySums.map((sum, index) => (noteCounts[index] ? Math.min(sum / (noteCounts[index] * averageVelocity), 2.0) : 1.0)));
+}
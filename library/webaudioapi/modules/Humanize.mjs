@@ -0,0 +1,80 @@
+/**
+ * Module containing functionality to apply reproducible {@link WebAudioAPI} humanization.
+ * @module Humanize
+ */
+
+import * as WebAudioApiErrors from './Errors.mjs';
+
+/**
+ * Structure containing the settings used to humanize the timing and velocity of notes.
+ *
+ * @typedef {Object} HumanizeSettings
+ * @property {number} timing - Maximum random timing deviation in seconds in the range [0.0, 0.1]
+ * @property {number} velocity - Maximum random velocity deviation in the range [0.0, 1.0]
+ * @property {number} drift - Strength of the additional deviation following the shape of a phrase in the range [0.0, 1.0]
+ * @property {number} seed - Integer seed for the random number generator
+ */
+
+/**
+ * Validates a set of humanization options and returns a complete {@link HumanizeSettings}
+ * structure with default values for any missing options.
+ *
+ * @param {Object} options - Object containing any of the keys in {@link HumanizeSettings}
+ * @returns {HumanizeSettings} Validated humanization settings
+ */
+export function getHumanizeSettings(options) {
+   const settings = {
+      timing: (options.timing == null) ? 0.0 : Number(options.timing),
+      velocity: (options.velocity == null) ? 0.0 : Number(options.velocity),
+      drift: (options.drift == null) ? 0.0 : Number(options.drift),
+      seed: (options.seed == null) ? 1 : Number(options.seed)
+   };
+   if (!(settings.timing >= 0.0) || !(settings.timing <= 0.1))
+      throw new WebAudioApiErrors.WebAudioValueError(`The humanize timing value (${options.timing}) is outside of the available range: [0.0, 0.1]`);
+   else if (!(settings.velocity >= 0.0) || !(settings.velocity <= 1.0))
+      throw new WebAudioApiErrors.WebAudioValueError(`The humanize velocity value (${options.velocity}) is outside of the available range: [0.0, 1.0]`);
+   else if (!(settings.drift >= 0.0) || !(settings.drift <= 1.0))
+      throw new WebAudioApiErrors.WebAudioValueError(`The humanize drift value (${options.drift}) is outside of the available range: [0.0, 1.0]`);
+   else if (!Number.isInteger(settings.seed))
+      throw new WebAudioApiErrors.WebAudioValueError(`The humanize seed value (${options.seed}) must be an integer`);
+   return settings;
+}
+
+/**
+ * Returns a deterministic pseudo-random value in the range [-1.0, 1.0) for the specified
+ * seed, index, and stream, such that identical inputs always produce identical outputs.
+ *
+ * @param {number} seed - Integer seed for the random number generator
+ * @param {number} index - Integer index of the value to generate
+ * @param {number} stream - Integer identifying an independent stream of values for the same index
+ * @returns {number} Pseudo-random value in the range [-1.0, 1.0)
+ */
+export function getSeededRandom(seed, index, stream) {
+   let hash = (seed ^ Math.imul(index + 1, 0x9E3779B1) ^ Math.imul(stream + 1, 0x85EBCA77)) >>> 0;
+   hash = Math.imul(hash ^ (hash >>> 16), 0x7FEB352D);
+   hash = Math.imul(hash ^ (hash >>> 15), 0x846CA68B);
+   return (2.0 * (((hash ^ (hash >>> 16)) >>> 0) / 4294967296.0)) - 1.0;
+}
+
+/**
+ * Returns the timing offset and velocity offset to apply to a note according to the specified
+ * humanization settings.
+ *
+ * Random deviations are keyed on the `index` of the note so that simultaneous notes sharing
+ * the same index move together in time, while each pitch receives its own velocity deviation.
+ * When drift is enabled, notes toward the middle of a phrase are additionally pushed slightly
+ * earlier and louder, relaxing again toward the end of the phrase.
+ *
+ * @param {HumanizeSettings} settings - Humanization settings to apply
+ * @param {number} index - Integer index of the note or note onset being humanized
+ * @param {number} note - MIDI note number being humanized
+ * @param {number} phraseProgress - Position of the note within its phrase in the range [0.0, 1.0]
+ * @returns {{timingOffset: number, velocityOffset: number}} Timing offset in seconds and absolute velocity offset
+ */
+export function getHumanizeOffsets(settings, index, note, phraseProgress) {
+   const phraseShape = settings.drift * Math.sin(Math.PI * Math.min(Math.max(phraseProgress, 0.0), 1.0));
+   return {
+      timingOffset: settings.timing * (getSeededRandom(settings.seed, index, 0) - phraseShape),
+      velocityOffset: settings.velocity * (getSeededRandom(settings.seed, index, 1 + Number(note)) + phraseShape)
+   };
+}
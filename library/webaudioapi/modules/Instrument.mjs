@@ -18,16 +18,22 @@ import * as WebAudioApiErrors from './Errors.mjs';
  * If the `url_or_data` parameter is set to `null`, a sine-wave oscillator will be used to generate
  * all audio output.
  * 
+ * All notes generated by the instrument are pitched according to the current state of the
+ * specified {@link Tuning} at the time each note is requested, except for drum notes and for
+ * instruments whose `url_or_data` contains a separate audio buffer for every note.
+ * 
  * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
  * @param {string} name - Name of the instrument to load
  * @param {string|Array<Uint8Array>|null} url_or_data - URL pointing to the instrument data to load,
  *                                                 the instrument data itself, or `null`
+ * @param {Tuning} tuning - Reference to the {@link Tuning} object stored in the global {@link WebAudioAPI} object
  * @returns {Promise<Instrument>} Newly loaded {@link Instrument}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
  * @see {@link Instrument}
+ * @see {@link Tuning}
  * @async
  */
-export async function loadInstrument(audioContext, name, url_or_data) {
+export async function loadInstrument(audioContext, name, url_or_data, tuning) {
 
    // Private internal Instrument functions
    function loadNumberFromArray(array, numBytes, offset) {
@@ -95,13 +101,13 @@ export async function loadInstrument(audioContext, name, url_or_data) {
             const closestValidNote = findClosestValidNote(noteData, note);
             missingData[note] = {
                'buffer': noteData[closestValidNote].buffer,
-               'detune': 100 * (note - closestValidNote),
+               'sampleNote': closestValidNote,
                'loop': noteData[closestValidNote].loop,
                'loopStart': noteData[closestValidNote].loopStart,
                'loopEnd': noteData[closestValidNote].loopEnd
             };
          }
-      missingData[0] = { 'buffer': null, 'detune': 0 };
+      missingData[0] = { 'buffer': null, 'sampleNote': 0 };
    }
    
    async function loadNotesAndInterpolate(instrumentData, noteData, missingData, metadata) {
@@ -117,7 +123,7 @@ export async function loadInstrument(audioContext, name, url_or_data) {
          const audioBuffer = await decompile(new Uint8Array(instrumentData.buffer, noteOffset, noteDataLength), metadata);
          noteData[note] = {
             'buffer': audioBuffer,
-            'detune': 0,
+            'sampleNote': note,
             'loop': !metadata.sustainedNotesDecay,
             'loopStart': audioBuffer.duration - 1.0,
             'loopEnd': audioBuffer.duration
@@ -126,6 +132,20 @@ export async function loadInstrument(audioContext, name, url_or_data) {
       fillInMissingNotes(noteData, missingData);
    }
    
+   function getOscillatorFrequency(note, ignoreTuning) {
+      const frequency = (!note || ignoreTuning) ? null : tuning.getFrequency(note);
+      return (frequency == null) ? Frequency[note] : frequency;
+   }
+
+   function getSampleDetune(note, sampleNote, ignoreTuning) {
+      return (!note || ignoreTuning) ? (100 * (note - sampleNote)) : tuning.getDetune(note, sampleNote);
+   }
+
+   function getNoteOptions(noteData, note, ignoreTuning) {
+      const { sampleNote, ...noteOptions } = noteData[note];
+      return { ...noteOptions, detune: getSampleDetune(note, sampleNote, ignoreTuning) };
+   }
+
    async function loadInstrument(url) {
       const noteData = [], foundData = [], missingData = [];
       const response = await fetch(url);
@@ -155,6 +175,7 @@ export async function loadInstrument(audioContext, name, url_or_data) {
        * 
        * @function
        * @param {number} note - MIDI note number for which to generate a playable note
+       * @param {boolean} [ignoreTuning] - Whether to ignore the current tuning and play the note at its standard pitch
        * @memberof Instrument
        * @instance
        * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioScheduledSourceNode AudioScheduledSourceNode}
@@ -168,6 +189,7 @@ export async function loadInstrument(audioContext, name, url_or_data) {
        * @function
        * @param {OfflineAudioContext} - Offline audio context whicih will be used to play back the note
        * @param {number} note - MIDI note number for which to generate a playable note
+       * @param {boolean} [ignoreTuning] - Whether to ignore the current tuning and play the note at its standard pitch
        * @memberof Instrument
        * @instance
        * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioScheduledSourceNode AudioScheduledSourceNode}
@@ -178,14 +200,15 @@ export async function loadInstrument(audioContext, name, url_or_data) {
    // Actually load and return the instrument
    console.log('Loading instrument:', name + '...');
    if (url_or_data == null) {
-      instrumentInstance.getNote = function (note) {
-         return new OscillatorNode(audioContext, { frequency: Frequency[note] });
+      instrumentInstance.getNote = function (note, ignoreTuning=false) {
+         return new OscillatorNode(audioContext, { frequency: getOscillatorFrequency(note, ignoreTuning) });
       };
-      instrumentInstance.getNoteOffline = function (offlineContext, note) {
-         return new OscillatorNode(offlineContext, { frequency: Frequency[note] });
+      instrumentInstance.getNoteOffline = function (offlineContext, note, ignoreTuning=false) {
+         return new OscillatorNode(offlineContext, { frequency: getOscillatorFrequency(note, ignoreTuning) });
       };
    }
    else if (url_or_data instanceof Array) {
+      // Each note has its own audio buffer which already sounds at its intended pitch, so tuning is never applied
       instrumentInstance.getNote = function (note) {
          if (note < 0 || note >= url_or_data.length)
             throw new WebAudioApiErrors.WebAudioInstrumentError(`The specified note (${note}) is not defined`);
@@ -199,15 +222,15 @@ export async function loadInstrument(audioContext, name, url_or_data) {
    }
    else {
       const [noteData, metadata] = await loadInstrument(url_or_data);
-      instrumentInstance.getNote = function (note) {
+      instrumentInstance.getNote = function (note, ignoreTuning=false) {
          if (note && (note < metadata.minValidNote) || (note > metadata.maxValidNote))
             throw new WebAudioApiErrors.WebAudioInstrumentError(`The specified note (${note}) is unplayable on this instrument. Valid notes are [${metadata.minValidNote}, ${metadata.maxValidNote}]`);
-         return new AudioBufferSourceNode(audioContext, noteData[note]);
+         return new AudioBufferSourceNode(audioContext, getNoteOptions(noteData, note, ignoreTuning));
       };
-      instrumentInstance.getNoteOffline = function (offlineContext, note) {
+      instrumentInstance.getNoteOffline = function (offlineContext, note, ignoreTuning=false) {
          if (note && (note < metadata.minValidNote) || (note > metadata.maxValidNote))
             throw new WebAudioApiErrors.WebAudioInstrumentError(`The specified note (${note}) is unplayable on this instrument. Valid notes are [${metadata.minValidNote}, ${metadata.maxValidNote}]`);
-         return new AudioBufferSourceNode(offlineContext, noteData[note]);
+         return new AudioBufferSourceNode(offlineContext, getNoteOptions(noteData, note, ignoreTuning));
       };
    }
    return instrumentInstance;
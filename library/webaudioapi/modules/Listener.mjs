@@ -0,0 +1,128 @@
+/**
+ * Module containing functionality to position the {@link WebAudioAPI} audio listener in 3D space.
+ * @module Listener
+ */
+
+/**
+ * Object containing all listener-specific {@link WebAudioAPI} functionality.
+ * @namespace Listener
+ * @global
+ */
+
+import * as WebAudioApiErrors from './Errors.mjs';
+
+/**
+ * Creates a new {@link Listener} object capable of controlling the position and orientation
+ * of the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioListener AudioListener}
+ * belonging to the specified audio context.
+ *
+ * The listener determines how all {@link module:Constants.EffectType Spatial} effects are
+ * heard. By default, it is located at the origin, facing the negative z-axis with the positive
+ * y-axis pointing up.
+ *
+ * @param {BaseAudioContext} audioContext - Reference to the audio context whose listener should be controlled
+ * @returns {Listener} Newly created {@link Listener}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioListener AudioListener}
+ */
+export function createListener(audioContext) {
+
+   // Listener-local variable definitions
+   const listener = audioContext.listener, updateHistory = [];
+
+   // Private internal Listener functions
+   function getVector(vectorName, vector) {
+      if (!Array.isArray(vector) || (vector.length != 3) || vector.some(value => !Number.isFinite(Number(value))))
+         throw new WebAudioApiErrors.WebAudioValueError(`The listener ${vectorName} must be an array containing numeric [x, y, z] coordinates`);
+      return vector.map(Number);
+   }
+
+   function updateParameters(parameters, values, updateTime, timeConstant) {
+      const timeToUpdate = (updateTime == null) ? audioContext.currentTime : updateTime;
+      parameters.forEach((parameter, index) => {
+         if (!timeConstant && (timeToUpdate <= audioContext.currentTime))
+            parameter.value = values[index];
+         else
+            parameter.setTargetAtTime(values[index], timeToUpdate, (timeConstant == null) ? 0.0 : timeConstant);
+      });
+      return timeToUpdate;
+   }
+
+   /**
+    * Moves the listener to the specified position at the specified time.
+    *
+    * @param {number[]} position - New [x, y, z] position of the listener
+    * @param {number} [updateTime] - Global API time at which to update the position
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof Listener
+    * @instance
+    */
+   function updatePosition(position, updateTime, timeConstant) {
+      const newPosition = getVector('position', position);
+      const timeToUpdate = updateParameters([listener.positionX, listener.positionY, listener.positionZ], newPosition, updateTime, timeConstant);
+      updateHistory.push({ position: newPosition, updateTime: timeToUpdate, timeConstant });
+   }
+
+   /**
+    * Rotates the listener to face the specified direction at the specified time.
+    *
+    * @param {number[]} forward - Direction in which the listener is facing as an [x, y, z] vector
+    * @param {number[]} [up] - Direction of the top of the listener's head as an [x, y, z] vector
+    * @param {number} [updateTime] - Global API time at which to update the orientation
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof Listener
+    * @instance
+    */
+   function updateOrientation(forward, up, updateTime, timeConstant) {
+      const newForward = getVector('forward direction', forward);
+      const newUp = (up == null) ? [listener.upX.value, listener.upY.value, listener.upZ.value] : getVector('up direction', up);
+      if (newForward.every(value => value == 0) || newUp.every(value => value == 0))
+         throw new WebAudioApiErrors.WebAudioValueError('The listener orientation vectors cannot have a length of zero');
+      const timeToUpdate = updateParameters([listener.forwardX, listener.forwardY, listener.forwardZ, listener.upX, listener.upY, listener.upZ],
+         [...newForward, ...newUp], updateTime, timeConstant);
+      updateHistory.push({ forward: newForward, up: newUp, updateTime: timeToUpdate, timeConstant });
+   }
+
+   /**
+    * Returns the current position and orientation of the listener.
+    *
+    * @returns {Object} Object containing the current `position`, `forward`, and `up` vectors of the listener
+    * @memberof Listener
+    * @instance
+    */
+   function getCurrentParameters() {
+      return {
+         position: [listener.positionX.value, listener.positionY.value, listener.positionZ.value],
+         forward: [listener.forwardX.value, listener.forwardY.value, listener.forwardZ.value],
+         up: [listener.upX.value, listener.upY.value, listener.upZ.value]
+      };
+   }
+
+   /**
+    * Creates a copy of this listener within the specified `targetContext`, replaying all
+    * position and orientation updates that have been applied so far. Update times are shifted
+    * by `timeOffset` seconds, with any updates occurring before the shifted time origin being
+    * applied immediately.
+    *
+    * @param {BaseAudioContext} targetContext - Audio context in which to create the copied listener
+    * @param {number} timeOffset - Global API time corresponding to time 0 in the `targetContext`
+    * @returns {Listener} Newly created copy of this {@link Listener}
+    * @memberof Listener
+    * @instance
+    */
+   function cloneToContext(targetContext, timeOffset) {
+      const clonedListener = createListener(targetContext);
+      for (const { position, forward, up, updateTime, timeConstant } of updateHistory) {
+         const targetTime = Math.max(updateTime - timeOffset, 0);
+         if (position)
+            clonedListener.updatePosition(position, targetTime, (targetTime > 0) ? timeConstant : undefined);
+         else
+            clonedListener.updateOrientation(forward, up, targetTime, (targetTime > 0) ? timeConstant : undefined);
+      }
+      return clonedListener;
+   }
+
+   // Returns an object containing functions and attributes within the public Listener namespace
+   return {
+      updatePosition, updateOrientation, getCurrentParameters, cloneToContext
+   };
+}
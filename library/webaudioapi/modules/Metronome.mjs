@@ -0,0 +1,217 @@
+/**
+ * Module containing functionality to create a {@link WebAudioAPI} metronome.
+ * @module Metronome
+ */
+
+/**
+ * Object containing all metronome-specific {@link WebAudioAPI} functionality.
+ * @namespace Metronome
+ * @global
+ */
+
+import { MetronomeSound } from './Constants.mjs';
+import { createTimer } from './Scheduler.mjs';
+
+// Number of seconds ahead of the current time for which metronome clicks are scheduled
+const clickLookaheadSeconds = 0.1, clickIntervalMilliseconds = 25;
+
+/**
+ * Creates a new {@link Metronome} object capable of playing a click track which follows the
+ * global tempo map, including any changes in beat base and time signature.
+ *
+ * Clicks are played on every beat of the current time signature (e.g., on every eighth note
+ * in 6/8 time). The metronome output bypasses all tracks, effects, and the master analysis
+ * node so that it is never included in any recordings.
+ *
+ * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @param {TempoMap} tempoMap - Reference to the {@link TempoMap} object stored in the global {@link WebAudioAPI} object
+ * @returns {Metronome} Newly created {@link Metronome}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @see {@link TempoMap}
+ */
+export function createMetronome(audioContext, tempoMap) {
+
+   // Metronome-local variable definitions
+   let sound = MetronomeSound.Beep, volume = 0.5, accentDownbeat = true, nextBeatTime = null, beatIndex = 0;
+   let outputElement = null, outputStream = null, noiseBuffer = null;
+   const activeSources = [], outputNode = new GainNode(audioContext, { gain: volume }), timer = createTimer(scheduleClicks);
+   outputNode.connect(audioContext.destination);
+
+   // Private internal Metronome functions
+   function getNoiseBuffer() {
+      if (!noiseBuffer) {
+         noiseBuffer = new AudioBuffer({ length: Math.ceil(0.02 * audioContext.sampleRate), sampleRate: audioContext.sampleRate });
+         const noiseData = noiseBuffer.getChannelData(0);
+         for (let i = 0; i < noiseData.length; ++i)
+            noiseData[i] = (2.0 * Math.random()) - 1.0;
+      }
+      return noiseBuffer;
+   }
+
+   function startSource(source, time, length) {
+      activeSources.push(source);
+      source.onended = () => {
+         activeSources.splice(activeSources.indexOf(source), 1);
+      };
+      source.start(time);
+      source.stop(time + length);
+   }
+
+   function playClick(time, isAccented) {
+      const level = isAccented ? 1.0 : 0.6, pitchScale = isAccented ? 1.5 : 1.0;
+      const envelope = new GainNode(audioContext, { gain: 0.0 });
+      envelope.connect(outputNode);
+      if (sound == MetronomeSound.Click) {
+         const filter = new BiquadFilterNode(audioContext, { type: 'highpass', frequency: 2500 * pitchScale });
+         const source = new AudioBufferSourceNode(audioContext, { buffer: getNoiseBuffer() });
+         source.connect(filter).connect(envelope);
+         startSource(source, time, 0.02);
+      }
+      else if (sound == MetronomeSound.Cowbell) {
+         const filter = new BiquadFilterNode(audioContext, { type: 'bandpass', frequency: 800 * pitchScale, Q: 1.5 });
+         filter.connect(envelope);
+         for (const frequency of [587, 845]) {
+            const source = new OscillatorNode(audioContext, { type: 'square', frequency: frequency * pitchScale });
+            source.connect(filter);
+            startSource(source, time, 0.25);
+         }
+      }
+      else {
+         const source = new OscillatorNode(audioContext, {
+            type: (sound == MetronomeSound.Woodblock) ? 'triangle' : 'sine',
+            frequency: ((sound == MetronomeSound.Woodblock) ? 800 : 880) * pitchScale
+         });
+         source.connect(envelope);
+         startSource(source, time, 0.08);
+      }
+      const decayTime = (sound == MetronomeSound.Cowbell) ? 0.2 : ((sound == MetronomeSound.Beep) ? 0.06 : 0.02);
+      envelope.gain.setValueAtTime(level, time);
+      envelope.gain.exponentialRampToValueAtTime(0.001, time + decayTime);
+   }
+
+   function getBeatDuration(time) {
+      return tempoMap.convertNoteDurationToSeconds(tempoMap.getTempoAt(time).timeSignatureDenominator, time);
+   }
+
+   function scheduleClicks() {
+      while (nextBeatTime < audioContext.currentTime + clickLookaheadSeconds) {
+         if (beatIndex >= tempoMap.getTempoAt(nextBeatTime).timeSignatureNumerator)
+            beatIndex = 0;
+         playClick(nextBeatTime, accentDownbeat && (beatIndex == 0));
+         nextBeatTime += getBeatDuration(nextBeatTime);
+         ++beatIndex;
+      }
+   }
+
+   /**
+    * Starts the metronome such that its first downbeat occurs at the specified time.
+    *
+    * @param {number} startTime - Global API time at which the first downbeat should sound
+    * @memberof Metronome
+    * @instance
+    */
+   function start(startTime) {
+      stop();
+      nextBeatTime = Math.max(startTime, audioContext.currentTime);
+      beatIndex = 0;
+      scheduleClicks();
+      timer.start(clickIntervalMilliseconds);
+   }
+
+   /**
+    * Stops the metronome, silencing any clicks that have already been scheduled.
+    *
+    * @memberof Metronome
+    * @instance
+    */
+   function stop() {
+      timer.stop();
+      for (const source of activeSources.splice(0, activeSources.length)) {
+         source.onended = null;
+         source.stop();
+      }
+   }
+
+   /**
+    * Schedules a count-in of the specified number of measures beginning at the specified time,
+    * regardless of whether the metronome is currently running.
+    *
+    * @param {number} startTime - Global API time at which the count-in should begin
+    * @param {number} numMeasures - Number of measures to count in
+    * @returns {number} Duration of the count-in in seconds
+    * @memberof Metronome
+    * @instance
+    */
+   function scheduleCountIn(startTime, numMeasures) {
+      let beatTime = startTime;
+      for (let measure = 0; measure < numMeasures; ++measure) {
+         const numBeats = tempoMap.getTempoAt(beatTime).timeSignatureNumerator;
+         for (let beat = 0; beat < numBeats; ++beat) {
+            playClick(beatTime, accentDownbeat && (beat == 0));
+            beatTime += getBeatDuration(beatTime);
+         }
+      }
+      return beatTime - startTime;
+   }
+
+   /**
+    * Updates the sound, volume, and/or downbeat accent used by the metronome. Any parameter may
+    * be set to `null` to keep it unchanged.
+    *
+    * @param {number|null} newSound - {@link module:Constants.MetronomeSound MetronomeSound} to use for each click
+    * @param {number|null} newVolume - Volume of the metronome in the range [0.0, 1.0]
+    * @param {boolean|null} isDownbeatAccented - Whether the first beat of each measure should be accented
+    * @memberof Metronome
+    * @instance
+    */
+   function update(newSound, newVolume, isDownbeatAccented) {
+      sound = (newSound == null) ? sound : newSound;
+      accentDownbeat = (isDownbeatAccented == null) ? accentDownbeat : isDownbeatAccented;
+      if (newVolume != null) {
+         volume = newVolume;
+         outputNode.gain.setTargetAtTime(volume, audioContext.currentTime, 0.01);
+      }
+   }
+
+   /**
+    * Routes the metronome output to the audio output device with the specified identifier, or
+    * back to the default audio context destination if `deviceId` is `null`.
+    *
+    * @param {string|null} deviceId - Identifier of the audio output device to which to route the metronome
+    * @memberof Metronome
+    * @instance
+    */
+   async function setOutputDevice(deviceId) {
+      outputNode.disconnect();
+      if (deviceId == null) {
+         if (outputElement)
+            outputElement.pause();
+         outputElement = outputStream = null;
+         outputNode.connect(audioContext.destination);
+      }
+      else {
+         outputStream = outputStream || audioContext.createMediaStreamDestination();
+         outputElement = outputElement || new Audio();
+         outputElement.srcObject = outputStream.stream;
+         outputNode.connect(outputStream);
+         await outputElement.setSinkId(deviceId);
+         await outputElement.play();
+      }
+   }
+
+   /**
+    * Returns the current settings of the metronome.
+    *
+    * @returns {Object} Object containing the current `sound`, `volume`, `accentDownbeat`, and `isRunning` state of the metronome
+    * @memberof Metronome
+    * @instance
+    */
+   function getDetails() {
+      return { sound, volume, accentDownbeat, isRunning: timer.isRunning() };
+   }
+
+   // Returns an object containing functions and attributes within the public Metronome namespace
+   return {
+      start, stop, scheduleCountIn, update, setOutputDevice, getDetails
+   };
+}
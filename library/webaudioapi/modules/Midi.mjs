@@ -13,6 +13,12 @@ export const MidiCommand = {
    ProgramChange: 0xC0, ChannelPressure: 0xD0, PitchBend: 0xE0, SystemMessage: 0xF0
 };
 
+/**
+ * Zero-based MIDI channel reserved for percussion instruments by General MIDI (i.e., channel 10).
+ * @constant {number}
+ */
+export const MidiPercussionChannel = 9;
+
 /**
  * Object representing a mapping between a General MIDI instrument and its patch number.
  * @constant {Object<string, number>}
@@ -10,6 +10,8 @@ import { Fermata } from '../modifications/Fermata.mjs';
 import { Glissando } from '../modifications/Glissando.mjs';
 import { GlobalDynamic } from '../modifications/GlobalDynamic.mjs';
 import { Grace } from '../modifications/Grace.mjs';
+import { Groove } from '../modifications/Groove.mjs';
+import { Humanize } from '../modifications/Humanize.mjs';
 import { Marcato } from '../modifications/Marcato.mjs';
 import { Mordent } from '../modifications/Mordent.mjs';
 import { Natural } from '../modifications/Natural.mjs';
@@ -18,6 +20,7 @@ import { Portamento } from '../modifications/Portamento.mjs';
 import { Sforzando } from '../modifications/Sforzando.mjs';
 import { Slur } from '../modifications/Slur.mjs';
 import { Staccato } from '../modifications/Staccato.mjs';
+import { Swing } from '../modifications/Swing.mjs';
 import { Tenuto } from '../modifications/Tenuto.mjs';
 import { Tie } from '../modifications/Tie.mjs';
 import { Trill } from '../modifications/Trill.mjs';
@@ -68,7 +71,10 @@ const ModificationClasses = {
    [ModificationType.Quintuplet]: [TupletNote, TupletNote.bind(null, 5)],
    [ModificationType.Sextuplet]: [TupletNote, TupletNote.bind(null, 6)],
    [ModificationType.Septuplet]: [TupletNote, TupletNote.bind(null, 7)],
-   [ModificationType.Fermata]: [Fermata, Fermata]
+   [ModificationType.Fermata]: [Fermata, Fermata],
+   [ModificationType.Swing]: [Swing, Swing],
+   [ModificationType.Groove]: [Groove, Groove],
+   [ModificationType.Humanize]: [Humanize, Humanize]
 };
 
 
@@ -129,14 +135,14 @@ export function inferModificationParametersFromSequence(modificationType, sequen
  * and duration.
  * 
  * @param {number} modificationType - Numeric value corresponding to the desired {@link module:Constants.ModificationType ModificationType}
- * @param {Tempo} tempo - Reference to the current global {@link Tempo} object
+ * @param {NoteTempo} tempo - Tempo details in effect at the start of the note to be modified
  * @param {Key} key - Reference to the current global {@link Key} object
  * @param {NoteDetails} details - Unmodified details about the note to be played
  * @returns {ModificationBase} Newly created note {@link ModificationBase} object
  * @see {@link module:Constants.ModificationType ModificationType}
  * @see {@link ModificationBase}
  * @see {@link NoteDetails}
- * @see {@link Tempo}
+ * @see {@link NoteTempo}
  */
 export function loadModification(modificationType, tempo, key, details) {
 
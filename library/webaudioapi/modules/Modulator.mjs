@@ -0,0 +1,338 @@
+/**
+ * Module containing functionality to create {@link WebAudioAPI} parameter modulators.
+ * @module Modulator
+ */
+
+/**
+ * Object containing all modulator-specific {@link WebAudioAPI} functionality.
+ * @namespace Modulator
+ * @global
+ */
+
+import { ModulatorType } from './Constants.mjs';
+import { createTimer } from './Scheduler.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+
+// Modulator scheduling constants, including the duration and number of values in each scheduled value curve
+const modulationLookaheadSeconds = 0.1, modulationIntervalMilliseconds = 25;
+const modulationCurveSeconds = 0.025, modulationCurveLength = 16, offlineCurveSeconds = 1.0, offlineCurveLength = 640;
+
+// Shapes available for use by an LFO modulator
+const lfoShapes = ['sine', 'square', 'sawtooth', 'triangle'];
+
+/**
+ * Validates a set of modulator options for the specified modulator type, returning only the
+ * recognized keys converted to their expected types.
+ *
+ * LFO modulators accept the following options:
+ *
+ * `shape`: Waveform shape from ['sine', 'square', 'sawtooth', 'triangle']
+ * `rate`: Oscillation frequency in Hertz between [0.01, 50]
+ * `syncDuration`: {@link module:Constants.Duration Duration} of one full cycle, following the global tempo (overrides `rate`), or `0` to disable
+ * `phase`: Starting phase of the waveform as a fraction of a cycle between [0, 1]
+ *
+ * Envelope modulators accept the following options:
+ *
+ * `source`: Name of the track whose notes trigger the envelope
+ * `attack`, `decay`, `release`: Stage durations in seconds between [0, 10]
+ * `sustain`: Sustain level as a fraction of the peak between [0, 1]
+ *
+ * Envelope follower modulators accept the following options:
+ *
+ * `source`: Name of the track or bus whose output level is followed
+ * `attack`, `release`: Smoothing times in seconds between [0, 10]
+ * `floor`: Decibel level that corresponds to no modulation between [-100, -1]
+ *
+ * @param {number} modulatorType - {@link module:Constants.ModulatorType ModulatorType} for which to validate options
+ * @param {Object} options - Modulator-specific options as described above
+ * @returns {Object} Validated modulator options
+ */
+export function getModulatorOptions(modulatorType, options) {
+   const modulatorOptions = {};
+   function checkNumber(key, min, max) {
+      if (options[key] != null) {
+         modulatorOptions[key] = Number(options[key]);
+         if (!(modulatorOptions[key] >= min) || !(modulatorOptions[key] <= max))
+            throw new WebAudioApiErrors.WebAudioValueError(`The modulator ${key} value (${options[key]}) is outside of the available range: [${min}, ${max}]`);
+      }
+   }
+   if (modulatorType == ModulatorType.LFO) {
+      if (options.shape != null) {
+         if (!lfoShapes.includes(options.shape))
+            throw new WebAudioApiErrors.WebAudioValueError(`The modulator shape value must be one of: ${JSON.stringify(lfoShapes)}`);
+         modulatorOptions.shape = options.shape;
+      }
+      checkNumber('rate', 0.01, 50);
+      checkNumber('syncDuration', 0, 128);
+      checkNumber('phase', 0, 1);
+   }
+   else {
+      if (options.source != null)
+         modulatorOptions.source = String(options.source);
+      checkNumber('attack', 0, 10);
+      checkNumber('release', 0, 10);
+      if (modulatorType == ModulatorType.Envelope) {
+         checkNumber('decay', 0, 10);
+         checkNumber('sustain', 0, 1);
+      }
+      else
+         checkNumber('floor', -100, -1);
+   }
+   return modulatorOptions;
+}
+
+/**
+ * Creates a new {@link Modulator} object capable of continuously modulating any number of
+ * numeric effect parameters according to a time-varying control signal.
+ *
+ * The control signal of every modulator lies in the range [0, 1] and is mapped linearly onto
+ * the minimum and maximum values specified for each attached parameter. Modulation is written
+ * directly to the AudioParams implementing each parameter: LFO and Envelope modulators schedule
+ * short value curves a small window ahead of the current time, whereas Envelope Follower
+ * modulators approach the current output level of their source.
+ *
+ * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @param {TempoMap} tempoMap - Reference to the {@link TempoMap} object stored in the global {@link WebAudioAPI} object
+ * @param {number} modulatorType - {@link module:Constants.ModulatorType ModulatorType} of the modulator to create
+ * @returns {Modulator} Newly created {@link Modulator}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @see {@link TempoMap}
+ */
+export function createModulator(audioContext, tempoMap, modulatorType) {
+
+   // Modulator-local variable definitions
+   let nextUpdateTime = 0.0, lastLevelTime = null, followedLevel = 0.0;
+   const startTime = audioContext.currentTime, attachments = [], notes = [];
+   const options = (modulatorType == ModulatorType.LFO) ? { shape: 'sine', rate: 1.0, syncDuration: 0, phase: 0.0 } :
+      ((modulatorType == ModulatorType.Envelope) ? { source: null, attack: 0.01, decay: 0.1, sustain: 0.5, release: 0.2 } :
+         { source: null, attack: 0.01, release: 0.2, floor: -60.0 });
+   const analyserNode = (modulatorType == ModulatorType.EnvelopeFollower) ? new AnalyserNode(audioContext, { fftSize: 1024 }) : null;
+   const levelBuffer = analyserNode ? new Float32Array(analyserNode.fftSize) : null;
+   const timer = createTimer(scheduleUpdates);
+
+   // Private internal Modulator functions
+   function getLfoValue(time) {
+      const cycles = options.syncDuration ?
+         (tempoMap.convertSecondsToWholeNotes(time, 0.0) * options.syncDuration) : ((time - startTime) * options.rate);
+      const phase = (((cycles + options.phase) % 1.0) + 1.0) % 1.0;
+      if (options.shape == 'square')
+         return (phase < 0.5) ? 1.0 : 0.0;
+      else if (options.shape == 'sawtooth')
+         return phase;
+      else if (options.shape == 'triangle')
+         return 1.0 - Math.abs((2.0 * phase) - 1.0);
+      return 0.5 - (0.5 * Math.cos(2.0 * Math.PI * phase));
+   }
+
+   function getGateLevel(elapsed) {
+      if (elapsed < options.attack)
+         return elapsed / options.attack;
+      else if (elapsed < options.attack + options.decay)
+         return 1.0 - ((1.0 - options.sustain) * (elapsed - options.attack) / options.decay);
+      return options.sustain;
+   }
+
+   function getEnvelopeValue(time) {
+      let triggerTime = null, releaseTime = Number.NEGATIVE_INFINITY, isGateOpen = false;
+      for (const note of notes)
+         if (note.startTime <= time) {
+            triggerTime = Math.max(triggerTime ?? note.startTime, note.startTime);
+            releaseTime = Math.max(releaseTime, note.stopTime);
+            isGateOpen = isGateOpen || (note.stopTime > time);
+         }
+      if (triggerTime == null)
+         return 0.0;
+      else if (isGateOpen)
+         return getGateLevel(time - triggerTime);
+      const releaseProgress = options.release ? ((time - releaseTime) / options.release) : 1.0;
+      return getGateLevel(releaseTime - triggerTime) * Math.max(1.0 - releaseProgress, 0.0);
+   }
+
+   function getFollowerValue(time) {
+      analyserNode.getFloatTimeDomainData(levelBuffer);
+      const level = Math.sqrt(levelBuffer.reduce((sum, sample) => sum + (sample * sample), 0.0) / levelBuffer.length);
+      const target = Math.min(Math.max(1.0 - ((20.0 * Math.log10(Math.max(level, 1e-6))) / options.floor), 0.0), 1.0);
+      const elapsed = (lastLevelTime == null) ? 0.0 : (time - lastLevelTime), smoothing = (target > followedLevel) ? options.attack : options.release;
+      followedLevel = smoothing ? (target + ((followedLevel - target) * Math.exp(-elapsed / smoothing))) : target;
+      lastLevelTime = time;
+      return followedLevel;
+   }
+
+   function getParamValue(target, minValue, maxValue, value) {
+      const parameterValue = minValue + ((maxValue - minValue) * value);
+      return target.toParamValue ? target.toParamValue(parameterValue) : parameterValue;
+   }
+
+   function scheduleCurve(targets, minValue, maxValue, curveTime, timeOffset, duration, curveLength) {
+      const values = Array.from({ length: curveLength }, (_, index) => {
+         const time = timeOffset + curveTime + (duration * index / (curveLength - 1));
+         return (modulatorType == ModulatorType.LFO) ? getLfoValue(time) : getEnvelopeValue(time);
+      });
+      for (const target of targets)
+         target.audioParam.setValueCurveAtTime(Float32Array.from(values, value => getParamValue(target, minValue, maxValue, value)), curveTime, duration);
+   }
+
+   function getAttachedTargets() {
+      const attachedTargets = [];
+      for (const attachment of [...attachments]) {
+         const effect = attachment.getEffect(), targets = effect ? effect.getAudioParamTargets(attachment.target.parameterName) : [];
+         if (!targets.length)
+            detach(attachment.target);
+         else {
+            if (attachment.effect && (attachment.effect !== effect))
+               delete attachment.effect.modulations[attachment.target.parameterName];
+            attachment.effect = effect;
+            effect.modulations[attachment.target.parameterName] = { modulator, minValue: attachment.minValue, maxValue: attachment.maxValue };
+            attachedTargets.push({ ...attachment, targets });
+         }
+      }
+      return attachedTargets;
+   }
+
+   function scheduleUpdates() {
+      const currentTime = audioContext.currentTime, attachedTargets = getAttachedTargets();
+      if (modulatorType == ModulatorType.EnvelopeFollower) {
+         const value = getFollowerValue(currentTime);
+         for (const { targets, minValue, maxValue } of attachedTargets)
+            for (const target of targets)
+               target.audioParam.setTargetAtTime(getParamValue(target, minValue, maxValue, value), currentTime, 0.333 * modulationIntervalMilliseconds / 1000.0);
+      }
+      else {
+         for (nextUpdateTime = Math.max(nextUpdateTime, currentTime); nextUpdateTime < currentTime + modulationLookaheadSeconds; nextUpdateTime += modulationCurveSeconds)
+            for (const { targets, minValue, maxValue } of attachedTargets)
+               scheduleCurve(targets, minValue, maxValue, nextUpdateTime, 0.0, modulationCurveSeconds, modulationCurveLength);
+         const expiredTime = currentTime - options.attack - options.decay - options.release - 1.0;
+         for (let i = notes.length - 1; i >= 0; --i)
+            if (notes[i].stopTime < expiredTime)
+               notes.splice(i, 1);
+      }
+   }
+
+   function updateTimer() {
+      if (attachments.length && !timer.isRunning())
+         timer.start(modulationIntervalMilliseconds);
+      else if (!attachments.length && timer.isRunning())
+         timer.stop();
+   }
+
+   /**
+    * Updates the modulator settings, keeping any unspecified settings unchanged.
+    *
+    * @param {Object} modulatorOptions - Validated modulator options as returned by {@link getModulatorOptions}
+    * @memberof Modulator
+    * @instance
+    */
+   function update(modulatorOptions) {
+      Object.assign(options, modulatorOptions);
+   }
+
+   /**
+    * Attaches the modulator to a numeric effect parameter, replacing any existing attachment to
+    * the same target. The effect is looked up again on every modulation pass, and the modulator
+    * is automatically detached once the effect no longer exists or the parameter is no longer
+    * implemented by any AudioParams.
+    *
+    * @param {Object} target - Description of the modulated parameter, including its `parameterName`, used to identify the attachment
+    * @param {number} minValue - Parameter value corresponding to a modulator value of 0
+    * @param {number} maxValue - Parameter value corresponding to a modulator value of 1
+    * @param {function(): ?Effect} getEffect - Function returning the {@link Effect} containing the parameter, or `null` if it no longer exists
+    * @memberof Modulator
+    * @instance
+    */
+   function attach(target, minValue, maxValue, getEffect) {
+      detach(target);
+      attachments.push({ target, minValue, maxValue, getEffect, effect: null });
+      updateTimer();
+   }
+
+   /**
+    * Detaches the modulator from the specified parameter, if attached. The parameter keeps the
+    * last value written to it by the modulator.
+    *
+    * @param {Object} target - Description of the modulated parameter as passed to {@link Modulator#attach attach()}
+    * @memberof Modulator
+    * @instance
+    */
+   function detach(target) {
+      const index = attachments.findIndex(attachment => JSON.stringify(attachment.target) == JSON.stringify(target));
+      if (index >= 0) {
+         const { effect } = attachments.splice(index, 1)[0];
+         if (effect && (effect.modulations[target.parameterName]?.modulator === modulator))
+            delete effect.modulations[target.parameterName];
+      }
+      updateTimer();
+   }
+
+   /**
+    * Detaches the modulator from all parameters and stops all modulator activity.
+    *
+    * @memberof Modulator
+    * @instance
+    */
+   function detachAll() {
+      for (const { target } of [...attachments])
+         detach(target);
+      if (analyserNode)
+         analyserNode.disconnect();
+   }
+
+   /**
+    * Schedules the modulation of the specified AudioParams within an offline audio context for
+    * the entire duration of a rendering. Envelope Follower modulators depend on the live output
+    * level of their source and are therefore not rendered.
+    *
+    * @param {AudioParamTarget[]} targets - AudioParams within the offline context implementing the modulated parameter
+    * @param {number} minValue - Parameter value corresponding to a modulator value of 0
+    * @param {number} maxValue - Parameter value corresponding to a modulator value of 1
+    * @param {number} timeOffset - Global API time corresponding to time 0 in the offline context
+    * @param {number} duration - Number of seconds to render
+    * @memberof Modulator
+    * @instance
+    */
+   function scheduleOffline(targets, minValue, maxValue, timeOffset, duration) {
+      if (modulatorType != ModulatorType.EnvelopeFollower)
+         for (let curveTime = 0.0; curveTime < duration; curveTime += offlineCurveSeconds)
+            scheduleCurve(targets, minValue, maxValue, curveTime, timeOffset, offlineCurveSeconds, offlineCurveLength);
+   }
+
+   /**
+    * Notifies an Envelope modulator of a note on its source track. The `stopTime` of the note
+    * may be updated later for notes whose duration is not known in advance.
+    *
+    * @param {Object} note - Object containing the `startTime` and `stopTime` of the note
+    * @memberof Modulator
+    * @instance
+    */
+   function noteReceived(note) {
+      notes.push(note);
+   }
+
+   /**
+    * Returns the current settings of the modulator, along with a listing of all attached parameters.
+    *
+    * @returns {Object} Object containing the modulator `type`, its current `options`, and its `attachments`
+    * @memberof Modulator
+    * @instance
+    */
+   function getDetails() {
+      return {
+         type: modulatorType, options: { ...options },
+         attachments: attachments.map(({ target, minValue, maxValue }) => ({ ...target, minValue, maxValue }))
+      };
+   }
+
+   // Creates and returns an object containing functions and attributes within the public Modulator namespace
+   const modulator = {
+      /**
+       * Reference to an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
+       * to which the audio followed by an Envelope Follower modulator should be connected, or
+       * `null` for other modulator types.
+       * @memberof Modulator
+       * @instance
+       */
+      input: analyserNode,
+
+      update, attach, detach, detachAll, scheduleOffline, noteReceived, getDetails
+   };
+   return modulator;
+}
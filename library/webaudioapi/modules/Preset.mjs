@@ -0,0 +1,329 @@
+/**
+ * Module containing functionality to validate, load, and share {@link WebAudioAPI} effect presets.
+ * @module Preset
+ */
+
+import { EffectType } from './Constants.mjs';
+import { getEffectParameters, loadEffect } from './Effect.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+
+/**
+ * Structure containing the serializable description of a single effect within an effect chain.
+ *
+ * @typedef {Object} EffectDescription
+ * @property {string} name - User-defined name of the effect
+ * @property {number|string} type - {@link module:Constants.EffectType EffectType} of the effect, as either its numeric value or its string-based key
+ * @property {string} [preset] - Name of a factory preset from which to take the initial effect parameters
+ * @property {Object} [parameters] - Effect-specific parameter values, overriding any values in the factory preset
+ * @property {number} [mix] - Proportion of the effect output taken from the processed signal between [0, 1]
+ * @property {boolean} [bypass] - Whether the effect should be bypassed
+ */
+
+/**
+ * Structure containing the serializable description of an ordered chain of effects.
+ *
+ * @typedef {Object} EffectChain
+ * @property {EffectDescription[]} effects - Ordered list of effects, beginning with the first to be processed
+ */
+
+/**
+ * Object containing the factory presets for each {@link module:Constants.EffectType EffectType},
+ * keyed by preset name.
+ * @constant {Object<number, Object<string, Object>>}
+ */
+const FactoryPresets = {
+   [EffectType.Reverb]: {
+      'Small Room': { decay: 0.2, roomSize: 0.2, intensity: 0.3 },
+      'Large Hall': { decay: 0.8, roomSize: 0.9, intensity: 0.5 },
+      'Cathedral': { decay: 1, roomSize: 1, intensity: 0.7 }
+   },
+   [EffectType.Delay]: {
+      'Slapback': { delay: 0.08, attenuation: 0.5 },
+      'Long Delay': { delay: 0.5, attenuation: 0.6 }
+   },
+   [EffectType.Echo]: {
+      'Canyon': { echoTime: 0.6, intensity: 0.5 },
+      'Short Echo': { echoTime: 0.15, intensity: 0.3 }
+   },
+   [EffectType.PitchShift]: {
+      'Octave Down': { shift: -1200 },
+      'Fifth Up': { shift: 700 },
+      'Detune': { shift: -15 },
+      'Two Octaves Up': { shift: 2400, engine: 'worklet', formant: 0 },
+      'Natural Voice Up': { shift: 500, engine: 'worklet', formant: 1 },
+      'Natural Voice Down': { shift: -500, engine: 'worklet', formant: 1 }
+   },
+   [EffectType.Doppler]: {
+      'Fly By': { initDistance: 100, finalDistance: 100, missDistance: 14, duration: 10 },
+      'Fast Pass': { initDistance: 50, finalDistance: 50, missDistance: 5, duration: 3 },
+      'Clean Fly By': { initDistance: 100, finalDistance: 100, missDistance: 14, duration: 10, engine: 'worklet' }
+   },
+   [EffectType.ConvolutionReverb]: {
+      'Tight Space': { preDelay: 0.005, trim: 0.3, stretch: 0.75, damping: 0.6, intensity: 0.3 },
+      'Natural': { preDelay: 0.02, trim: 1, stretch: 1, damping: 0.2, intensity: 0.35 },
+      'Dark Tail': { preDelay: 0.04, trim: 1, stretch: 2, damping: 0.8, intensity: 0.5 }
+   },
+   [EffectType.Chorus]: {
+      'Subtle Chorus': { rate: 0.5, shape: 'sine', delay: 0.02, feedback: 0, intensity: 0.3 },
+      'Lush Chorus': { rate: 1.5, shape: 'triangle', delay: 0.035, feedback: 0.2, intensity: 0.7 }
+   },
+   [EffectType.Tremolo]: {
+      'Slow Tremolo': { rate: 3, intensity: 0.4 },
+      'Helicopter': { rate: 15, intensity: 0.9 }
+   },
+   [EffectType.Vibrato]: {
+      'Gentle Vibrato': { rate: 5, intensity: 0.2 },
+      'Warble': { rate: 8, intensity: 0.6 }
+   },
+   [EffectType.Flanger]: {
+      'Jet Flanger': { rate: 0.2, shape: 'sine', delay: 0.005, feedback: 0.8, intensity: 0.7 },
+      'Subtle Flanger': { rate: 0.5, shape: 'triangle', delay: 0.002, feedback: 0.3, intensity: 0.4 }
+   },
+   [EffectType.Phaser]: {
+      'Slow Phaser': { rate: 0.5, shape: 'sine', frequency: 1000, feedback: 0.3, intensity: 0.5 },
+      'Fast Phaser': { rate: 6, shape: 'triangle', frequency: 1500, feedback: 0.6, intensity: 0.7 }
+   },
+   [EffectType.Panning]: {
+      'Hard Left': { leftToRightRatio: 0 },
+      'Center': { leftToRightRatio: 0.5 },
+      'Hard Right': { leftToRightRatio: 1 }
+   },
+   [EffectType.Equalization]: {
+      'Bass Boost': { frequencyBandUpperCutoffs: [1000, 4000, 22050], frequencyBandGains: [6, 0, 0] },
+      'Treble Boost': { frequencyBandUpperCutoffs: [1000, 4000, 22050], frequencyBandGains: [0, 0, 6] },
+      'Vocal Presence': { frequencyBandUpperCutoffs: [1000, 2500, 6000, 22050], frequencyBandGains: [-2, 0, 4, 0] }
+   },
+   [EffectType.ParametricEqualization]: {
+      'Vocal Clarity': {
+         bandTypes: [5, 1, 1, 3], bandFrequencies: [90, 300, 3500, 10000], bandGains: [0, -3, 4, 2],
+         bandQs: [0.7071, 1.2, 1, 0.7071], bandSlopes: [24, 12, 12, 12]
+      },
+      'Rumble Filter': { bandTypes: [5], bandFrequencies: [40], bandGains: [0], bandQs: [0.7071], bandSlopes: [48] },
+      'Hum Removal': {
+         bandTypes: [4, 4, 4], bandFrequencies: [60, 120, 180], bandGains: [0, 0, 0],
+         bandQs: [30, 30, 30], bandSlopes: [12, 12, 12]
+      },
+      'Telephone': {
+         bandTypes: [5, 1, 6], bandFrequencies: [400, 1500, 3400], bandGains: [0, 6, 0],
+         bandQs: [0.7071, 1, 0.7071], bandSlopes: [48, 12, 48]
+      }
+   },
+   [EffectType.Spatial]: {
+      'Close Left': { position: [-1, 0, 0] },
+      'Distant Front': { position: [0, 0, -25] },
+      'Pass By': { pathTimes: [0, 4], pathX: [-40, 40], pathY: [0, 0], pathZ: [-3, -3], dopplerFactor: 1 },
+      'Orbit': { pathTimes: [0, 1, 2, 3, 4], pathX: [0, 3, 0, -3, 0], pathY: [0, 0, 0, 0, 0], pathZ: [-3, 0, 3, 0, -3] }
+   },
+   [EffectType.Volume]: {
+      'Quiet': { intensity: 0.25 },
+      'Half': { intensity: 0.5 },
+      'Full': { intensity: 1 }
+   },
+   [EffectType.Compression]: {
+      'Gentle Leveling': { threshold: -18, attack: 0.02, release: 0.3, intensity: 0.3 },
+      'Vocal': { threshold: -24, attack: 0.005, release: 0.15, intensity: 0.5 },
+      'Heavy Squash': { threshold: -40, attack: 0.001, release: 0.1, intensity: 1 }
+   },
+   [EffectType.Distortion]: {
+      'Overdrive': { tone: 3000, intensity: 0.3 },
+      'Fuzz': { tone: 1500, intensity: 0.9 }
+   },
+   [EffectType.SidechainCompression]: {
+      'Pumping Duck': { threshold: -30, attack: 0.001, release: 0.25, intensity: 1 },
+      'Voiceover Duck': { threshold: -36, attack: 0.02, release: 0.5, intensity: 0.6 }
+   },
+   [EffectType.NoiseGate]: {
+      'Microphone Cleanup': { threshold: -50, ratio: 20, attack: 0.002, hold: 0.1, release: 0.2, range: -60, sidechainCutoff: 0 },
+      'Hum Rejection': { threshold: -45, ratio: 20, attack: 0.002, hold: 0.1, release: 0.25, range: -80, sidechainCutoff: 150 },
+      'Tight Drum Gate': { threshold: -30, ratio: 20, attack: 0.0005, hold: 0.02, release: 0.05, range: -80, sidechainCutoff: 0 },
+      'Gentle Expander': { threshold: -40, ratio: 2, attack: 0.005, hold: 0.05, release: 0.3, range: -20, sidechainCutoff: 0 }
+   },
+   [EffectType.Limiter]: {
+      'Mastering': { ceiling: -1, release: 0.1, oversampling: 4 },
+      'Streaming Safe': { ceiling: -2, release: 0.15, oversampling: 4 },
+      'Transparent Peak Catcher': { ceiling: -0.3, release: 0.05, oversampling: 1 }
+   },
+   [EffectType.MultibandCompression]: {
+      'Mastering Glue': {
+         crossoverFrequencies: [120, 1000, 6000], thresholds: [-20, -18, -18, -22], ratios: [2, 1.5, 1.5, 2],
+         attacks: [0.03, 0.02, 0.01, 0.005], releases: [0.3, 0.25, 0.2, 0.15], makeupGains: [1, 1, 1, 1], solos: [0, 0, 0, 0]
+      },
+      'Tame Low End': {
+         crossoverFrequencies: [150, 2500], thresholds: [-28, -100, -100], ratios: [4, 1, 1],
+         attacks: [0.02, 0.003, 0.003], releases: [0.25, 0.25, 0.25], makeupGains: [2, 0, 0], solos: [0, 0, 0]
+      },
+      'De-Harsh': {
+         crossoverFrequencies: [250, 3000], thresholds: [-100, -100, -30], ratios: [1, 1, 4],
+         attacks: [0.003, 0.003, 0.002], releases: [0.25, 0.25, 0.1], makeupGains: [0, 0, 0], solos: [0, 0, 0]
+      }
+   },
+   [EffectType.LowPassFilter]: {
+      'Muffled': { cutoffFrequency: 800, resonance: 0.7071 },
+      'Warm': { cutoffFrequency: 5000, resonance: 0.7071 },
+      'Resonant Sweep': { cutoffFrequency: 1200, resonance: 12 }
+   },
+   [EffectType.HighPassFilter]: {
+      'Rumble Cut': { cutoffFrequency: 80, resonance: 0.7071 },
+      'Thin': { cutoffFrequency: 1000, resonance: 0.7071 }
+   },
+   [EffectType.BandPassFilter]: {
+      'Telephone': { lowerCutoffFrequency: 300, upperCutoffFrequency: 3400 },
+      'AM Radio': { lowerCutoffFrequency: 200, upperCutoffFrequency: 5000 }
+   },
+   [EffectType.BandRejectFilter]: {
+      'Hum Notch': { lowerCutoffFrequency: 55, upperCutoffFrequency: 65 },
+      'Mid Scoop': { lowerCutoffFrequency: 400, upperCutoffFrequency: 2000 }
+   }
+};
+
+/**
+ * Returns the numeric {@link module:Constants.EffectType EffectType} corresponding to the
+ * specified numeric value or string-based key.
+ *
+ * @param {number|string} effectType - Numeric value or string-based key of an {@link module:Constants.EffectType EffectType}
+ * @returns {number} Numeric value of the {@link module:Constants.EffectType EffectType}
+ */
+export function getEffectTypeValue(effectType) {
+   const value = (effectType in EffectType) ? EffectType[effectType] : Number(effectType);
+   if (!Object.values(EffectType).includes(value))
+      throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
+   return value;
+}
+
+/**
+ * Returns a copy of all factory presets available for the specified effect type, keyed by
+ * preset name.
+ *
+ * @param {number} effectType - {@link module:Constants.EffectType EffectType} for which to return factory presets
+ * @returns {Object<string, Object>} Effect-specific parameter values for each factory preset
+ */
+export function getFactoryPresets(effectType) {
+   return JSON.parse(JSON.stringify(FactoryPresets[effectType] || {}));
+}
+
+/**
+ * Validates a set of effect-specific parameter values against the
+ * {@link EffectParameter EffectParameters} available for the specified effect type.
+ *
+ * @param {number} effectType - {@link module:Constants.EffectType EffectType} of the effect
+ * @param {Object} parameters - Effect-specific parameter values to validate
+ */
+export function checkEffectParameters(effectType, parameters) {
+   const availableParameters = getEffectParameters(effectType);
+   for (const [key, value] of Object.entries(parameters)) {
+      const parameter = availableParameters.find(parameter => parameter.name == key);
+      if (!parameter)
+         throw new WebAudioApiErrors.WebAudioValueError(`The effect parameter (${key}) is not available for the effect type (${effectType})`);
+      if (parameter.type == 'string') {
+         if ((typeof value != 'string') || (parameter.validValues.length && !parameter.validValues.includes(value)))
+            throw new WebAudioApiErrors.WebAudioValueError(`The effect parameter (${key}) value must be one of: ${JSON.stringify(parameter.validValues)}`);
+      }
+      else {
+         const values = (parameter.type == 'Array<number>') ? value : [value];
+         if (!Array.isArray(values) || !values.length)
+            throw new WebAudioApiErrors.WebAudioValueError(`The effect parameter (${key}) value must be a non-empty array`);
+         for (const element of values)
+            if ((typeof element != 'number') || !(element >= parameter.validValues[0]) || !(element <= parameter.validValues[1]))
+               throw new WebAudioApiErrors.WebAudioValueError(`The effect parameter (${key}) value (${element}) is outside of the available range: [${parameter.validValues[0]}, ${parameter.validValues[1]}]`);
+      }
+   }
+}
+
+/**
+ * Replaces any impulse response name within a set of effect-specific parameter values with the
+ * URL of the corresponding impulse response in the specified listing.
+ *
+ * @param {Object} parameters - Effect-specific parameter values
+ * @param {Object<string, string>} impulseListing - Impulse response URLs keyed by name
+ * @returns {Object} Effect-specific parameter values with all impulse response names resolved
+ */
+export function resolveEffectParameters(parameters, impulseListing) {
+   return (parameters && (typeof parameters.impulse == 'string') && (parameters.impulse in impulseListing)) ?
+      { ...parameters, impulse: impulseListing[parameters.impulse] } : parameters;
+}
+
+/**
+ * Parses and validates a serialized effect chain, returning a list of effect descriptions with
+ * all factory presets resolved into their corresponding parameter values.
+ *
+ * @param {EffectChain|string} effectChain - Effect chain or its JSON-encoded string representation
+ * @param {Object<string, string>} [impulseListing] - Impulse response URLs keyed by name
+ * @returns {EffectDescription[]} List of validated effect descriptions with numeric `type` values
+ */
+export function parseEffectChain(effectChain, impulseListing={}) {
+   let chain = effectChain;
+   if (typeof chain == 'string') {
+      try { chain = JSON.parse(chain); }
+      catch (err) { throw new WebAudioApiErrors.WebAudioValueError(`The effect chain is not valid JSON: ${err.message}`); }
+   }
+   if (!chain || !Array.isArray(chain.effects))
+      throw new WebAudioApiErrors.WebAudioValueError('The effect chain must contain an "effects" array');
+   const descriptions = [];
+   for (const effect of chain.effects) {
+      if (!effect || (effect.name == null) || (String(effect.name) === ''))
+         throw new WebAudioApiErrors.WebAudioValueError('Every effect in an effect chain must contain a "name"');
+      else if (descriptions.some(description => description.name == String(effect.name)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The effect chain contains more than one effect named "${effect.name}"`);
+      const type = getEffectTypeValue(effect.type);
+      let parameters = {};
+      if (effect.preset != null) {
+         const presets = getFactoryPresets(type);
+         if (!(effect.preset in presets))
+            throw new WebAudioApiErrors.WebAudioTargetError(`The target factory preset (${effect.preset}) does not exist for the effect type (${effect.type})`);
+         parameters = presets[effect.preset];
+      }
+      Object.assign(parameters, effect.parameters || {});
+      checkEffectParameters(type, parameters);
+      if ((effect.mix != null) && !((typeof effect.mix == 'number') && (effect.mix >= 0) && (effect.mix <= 1)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The effect mix value (${effect.mix}) is outside of the available range: [0, 1]`);
+      else if ((effect.bypass != null) && (typeof effect.bypass != 'boolean'))
+         throw new WebAudioApiErrors.WebAudioValueError(`The effect bypass value (${effect.bypass}) must be a boolean`);
+      descriptions.push({ name: String(effect.name), type, parameters: resolveEffectParameters(parameters, impulseListing), mix: effect.mix ?? 1.0, bypass: effect.bypass ?? false });
+   }
+   return descriptions;
+}
+
+/**
+ * Loads and configures every effect described in a validated effect chain, returning the list
+ * of newly created effects in processing order without connecting them to one another. If any
+ * effect fails to load or configure, all effects created up to that point are discarded.
+ *
+ * @param {BaseAudioContext} audioContext - Reference to the audio context in which to create the effects
+ * @param {EffectDescription[]} descriptions - Validated effect descriptions as returned by {@link parseEffectChain}
+ * @param {Object<string, AudioNode>} [sidechainKeys] - Registry of named sidechain key nodes
+ * @returns {Promise<Effect[]>} List of newly created and configured effects
+ * @async
+ */
+export async function loadEffectChain(audioContext, descriptions, sidechainKeys={}) {
+   const effects = [];
+   try {
+      for (const { name, type, parameters, mix, bypass } of descriptions) {
+         const effect = await loadEffect(audioContext, name, type, sidechainKeys);
+         effects.push(effect);
+         if (Object.keys(parameters).length)
+            await effect.update(parameters);
+         effect.updateMix({ mix, bypass }, undefined, 0.0);
+      }
+   }
+   catch (err) {
+      for (const effect of effects) {
+         effect.input.disconnect();
+         effect.output.disconnect();
+      }
+      throw err;
+   }
+   return effects;
+}
+
+/**
+ * Returns the serializable description of an ordered list of effects.
+ *
+ * @param {Effect[]} effects - Ordered list of effects to describe
+ * @returns {EffectChain} Serializable description of the effect chain
+ */
+export function serializeEffectChain(effects) {
+   return { effects: effects.map(effect => ({
+      name: effect.name, type: effect.type, ...effect.getMix(),
+      parameters: Object.fromEntries(Object.entries(effect.getUpdatedParameters()).filter(([, value]) => (typeof value != 'object') || Array.isArray(value)))
+   })) };
+}
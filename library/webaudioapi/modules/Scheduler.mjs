@@ -0,0 +1,137 @@
+/**
+ * Module containing functionality to create a {@link WebAudioAPI} lookahead scheduler.
+ * @module Scheduler
+ */
+
+/**
+ * Object containing all lookahead scheduling-specific {@link WebAudioAPI} functionality.
+ * @namespace Scheduler
+ * @global
+ */
+
+// Source code for a Worker that periodically wakes the scheduler, even when running in a background tab
+const timerWorkerSource = 'let timer = null; onmessage = (event) => { clearInterval(timer); timer = event.data ? setInterval(() => { postMessage(null); }, event.data) : null; };';
+
+/**
+ * Creates a timer which repeatedly calls the specified `callback` once started. The timer is
+ * driven by a Worker whenever possible so that it is not throttled while running in a
+ * background tab, falling back to `setInterval()` otherwise.
+ *
+ * @param {function} callback - Function to call on every tick of the timer
+ * @returns {{start: function(number), stop: function(), isRunning: function(): boolean}} Functions to start, stop, and query the timer
+ */
+export function createTimer(callback) {
+   let timerWorker = null, fallbackTimer = null;
+
+   function start(intervalMilliseconds) {
+      if (!timerWorker && !fallbackTimer) {
+         // The Worker script is fetched upon construction, so its object URL can be revoked immediately
+         const timerWorkerUrl = URL.createObjectURL(new Blob([timerWorkerSource], { type: 'text/javascript' }));
+         try {
+            timerWorker = new Worker(timerWorkerUrl);
+            timerWorker.onmessage = () => callback();
+         }
+         catch (err) {
+            timerWorker = null;
+         }
+         finally {
+            URL.revokeObjectURL(timerWorkerUrl);
+         }
+      }
+      if (timerWorker)
+         timerWorker.postMessage(intervalMilliseconds);
+      else {
+         clearInterval(fallbackTimer);
+         fallbackTimer = setInterval(callback, intervalMilliseconds);
+      }
+   }
+
+   function stop() {
+      if (timerWorker) {
+         timerWorker.terminate();
+         timerWorker = null;
+      }
+      clearInterval(fallbackTimer);
+      fallbackTimer = null;
+   }
+
+   return { start, stop, isRunning: () => ((timerWorker != null) || (fallbackTimer != null)) };
+}
+
+/**
+ * Creates a new {@link Scheduler} object capable of materializing pending notes on all tracks
+ * a short window ahead of the current audio context time.
+ *
+ * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @param {Object<string, Track>} tracks - Reference to the listing of all {@link Track Tracks} stored in the global {@link WebAudioAPI} object
+ * @returns {Scheduler} Newly created {@link Scheduler}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @see {@link Track}
+ */
+export function createScheduler(audioContext, tracks) {
+
+   // Scheduler-local variable definitions
+   let lookaheadWindow = null;
+
+   // Private internal Scheduler functions
+   function schedulePendingAudio() {
+      const untilTime = audioContext.currentTime + lookaheadWindow;
+      for (const track of Object.values(tracks))
+         track.materializePendingAudio(untilTime);
+   }
+
+   // Scheduler-local timer definition
+   const timer = createTimer(schedulePendingAudio);
+
+   /**
+    * Enables lookahead scheduling on all current and future tracks.
+    *
+    * @param {number} lookaheadSeconds - Number of seconds ahead of the current time for which to create audio nodes
+    * @param {number} intervalMilliseconds - Number of milliseconds between consecutive scheduling passes
+    * @memberof Scheduler
+    * @instance
+    */
+   function enable(lookaheadSeconds, intervalMilliseconds) {
+      lookaheadWindow = lookaheadSeconds;
+      for (const track of Object.values(tracks))
+         track.setLookaheadWindow(lookaheadWindow);
+      timer.start(intervalMilliseconds);
+   }
+
+   /**
+    * Disables lookahead scheduling on all tracks, immediately materializing any pending notes.
+    *
+    * @memberof Scheduler
+    * @instance
+    */
+   function disable() {
+      timer.stop();
+      lookaheadWindow = null;
+      for (const track of Object.values(tracks))
+         track.setLookaheadWindow(null);
+   }
+
+   /**
+    * Applies the current lookahead scheduling settings to the specified track.
+    *
+    * @param {Track} track - Newly created {@link Track} to which to apply the current lookahead settings
+    * @memberof Scheduler
+    * @instance
+    */
+   function attachTrack(track) {
+      track.setLookaheadWindow(lookaheadWindow);
+   }
+
+   // Returns an object containing functions and attributes within the public Scheduler namespace
+   return {
+      /**
+       * Current lookahead window in seconds, or `null` if lookahead scheduling is disabled.
+       * @function
+       * @returns {number|null} Current lookahead window in seconds
+       * @memberof Scheduler
+       * @instance
+       */
+      getLookaheadWindow: () => lookaheadWindow,
+      enable, disable, attachTrack
+   };
+}
@@ -0,0 +1,33 @@
+/**
+ * Module containing functionality to identify {@link WebAudioAPI} sidechain key signals.
+ * @module Sidechain
+ */
+
+/**
+ * Returns the identifier under which the output of the specified track or bus is stored in a
+ * listing of sidechain keys, such that a track and bus sharing the same name remain distinct.
+ *
+ * @param {string} sourceType - Type of the key source, either "track" or "bus"
+ * @param {string} name - Name of the track or bus producing the key signal
+ * @returns {string} Identifier of the key signal within a listing of sidechain keys
+ */
+export function getSidechainKeyName(sourceType, name) {
+   return `${sourceType}:${name}`;
+}
+
+/**
+ * Returns the node carrying the key signal referred to by `key`, or `null` if no such key
+ * exists. The `key` may either be the plain name of a track or bus, in which case a track takes
+ * precedence over a bus of the same name, or it may be explicitly prefixed by "track:" or "bus:".
+ *
+ * @param {Object<string, AudioNode>} sidechainKeys - Nodes carrying the outputs of all tracks and buses, keyed by identifier
+ * @param {string} key - Name of the track or bus whose key signal should be returned
+ * @returns {AudioNode|null} Node carrying the requested key signal
+ */
+export function findSidechainKey(sidechainKeys, key) {
+   const keyName = String(key);
+   for (const candidate of [keyName, getSidechainKeyName('track', keyName), getSidechainKeyName('bus', keyName)])
+      if (candidate in sidechainKeys)
+         return sidechainKeys[candidate];
+   return null;
+}
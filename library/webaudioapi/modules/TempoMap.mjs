@@ -0,0 +1,245 @@
+/**
+ * Module containing functionality to create a {@link WebAudioAPI} tempo map.
+ * @module TempoMap
+ */
+
+/**
+ * Object containing all tempo map-specific {@link WebAudioAPI} functionality.
+ * @namespace TempoMap
+ * @global
+ */
+
+import { TempoRampType } from './Constants.mjs';
+
+/**
+ * Creates a new {@link TempoMap} object capable of storing timestamped tempo and meter changes
+ * and of converting note durations into seconds by integrating over those changes.
+ *
+ * All change times are measured in song time, which is equal to the global API time for audio
+ * scheduled directly on a track, and to the number of seconds from the beginning of the song
+ * timeline for content placed along the {@link Transport} timeline.
+ *
+ * A tempo change with a {@link module:Constants.TempoRampType TempoRampType} of `Linear` or
+ * `Curved` begins ramping from the tempo of the preceding change at the time of that preceding
+ * change (or from the base tempo at time 0), reaching its target tempo exactly at its own change
+ * time. Changes of beat base and time signature always take effect immediately at their change time.
+ *
+ * @param {Tempo} baseTempo - Reference to the {@link Tempo} object in effect before any tempo changes
+ * @returns {TempoMap} Newly created {@link TempoMap}
+ * @see {@link Tempo}
+ */
+export function createTempoMap(baseTempo) {
+
+   // TempoMap-local variable definitions
+   let nextChangeId = 1;
+   const tempoChanges = [];
+
+   // Private internal TempoMap functions
+   function getRate(tempo) {
+      // Rate is expressed in whole notes per second so that changes in beat base are accounted for
+      return tempo.beatsPerMinute / (60.0 * tempo.beatBase);
+   }
+
+   function getSegments() {
+      let currentTempo = { ...baseTempo }, segmentStart = Number.NEGATIVE_INFINITY;
+      const segments = [];
+      for (const change of tempoChanges) {
+         // A ramp without any preceding change begins from the base tempo at time 0
+         if (!Number.isFinite(segmentStart) && (change.rampType != TempoRampType.Step) && (change.time > 0.0)) {
+            segments.push({ startTime: segmentStart, endTime: 0.0, tempo: currentTempo,
+               startRate: getRate(currentTempo), endRate: getRate(currentTempo), curvature: 1.0 });
+            segmentStart = 0.0;
+         }
+         const nextTempo = {
+            beatBase: change.beatBase ?? currentTempo.beatBase,
+            beatsPerMinute: change.beatsPerMinute ?? currentTempo.beatsPerMinute,
+            timeSignatureNumerator: change.timeSignatureNumerator ?? currentTempo.timeSignatureNumerator,
+            timeSignatureDenominator: change.timeSignatureDenominator ?? currentTempo.timeSignatureDenominator
+         };
+         const isRamp = (change.rampType != TempoRampType.Step) && Number.isFinite(segmentStart) && (change.time > segmentStart);
+         const curvature = (change.rampType == TempoRampType.Curved) ? change.curvature : 1.0;
+         segments.push({ startTime: segmentStart, endTime: change.time, tempo: currentTempo,
+            startRate: getRate(currentTempo), endRate: getRate(isRamp ? nextTempo : currentTempo), curvature });
+         currentTempo = nextTempo;
+         segmentStart = change.time;
+      }
+      segments.push({ startTime: segmentStart, endTime: Number.POSITIVE_INFINITY, tempo: currentTempo,
+         startRate: getRate(currentTempo), endRate: getRate(currentTempo), curvature: 1.0 });
+      return segments;
+   }
+
+   function getSegmentRate(segment, time) {
+      if (segment.startRate == segment.endRate)
+         return segment.startRate;
+      const progress = (time - segment.startTime) / (segment.endTime - segment.startTime);
+      return segment.startRate + ((segment.endRate - segment.startRate) * Math.pow(progress, segment.curvature));
+   }
+
+   function integrateSegment(segment, fromTime, toTime) {
+      if (segment.startRate == segment.endRate)
+         return segment.startRate * (toTime - fromTime);
+      const length = segment.endTime - segment.startTime, rateChange = segment.endRate - segment.startRate;
+      const antiderivative = (time) => {
+         const progress = (time - segment.startTime) / length;
+         return length * ((segment.startRate * progress) + (rateChange * Math.pow(progress, segment.curvature + 1.0) / (segment.curvature + 1.0)));
+      };
+      return antiderivative(toTime) - antiderivative(fromTime);
+   }
+
+   /**
+    * Adds a new tempo and/or meter change to the tempo map.
+    *
+    * Any tempo parameter may be set to `null` to keep it unchanged from the preceding change.
+    *
+    * @param {number} changeTime - Song time at which the change should be complete
+    * @param {number|null} beatBase - Note {@link module:Constants.Duration Duration} corresponding to a global beat
+    * @param {number|null} beatsPerMinute - Number of global beats per minute
+    * @param {number|null} timeSignatureNumerator - Number of beats per measure
+    * @param {number|null} timeSignatureDenominator - Note {@link module:Constants.Duration Duration} corresponding to a measure beat
+    * @param {number} rampType - {@link module:Constants.TempoRampType TempoRampType} used to arrive at the new tempo
+    * @param {number} curvature - Exponent describing the shape of a `Curved` tempo ramp
+    * @returns {number} Unique identifier of the newly added tempo change
+    * @memberof TempoMap
+    * @instance
+    */
+   function addChange(changeTime, beatBase, beatsPerMinute, timeSignatureNumerator, timeSignatureDenominator, rampType, curvature) {
+      const change = { id: nextChangeId++, time: changeTime, beatBase, beatsPerMinute, timeSignatureNumerator, timeSignatureDenominator, rampType, curvature };
+      const index = tempoChanges.findIndex(existing => existing.time > changeTime);
+      tempoChanges.splice((index < 0) ? tempoChanges.length : index, 0, change);
+      return change.id;
+   }
+
+   /**
+    * Removes the specified tempo change from the tempo map.
+    *
+    * @param {number} changeId - Unique identifier of the tempo change to remove
+    * @returns {boolean} Whether the specified tempo change existed and was removed
+    * @memberof TempoMap
+    * @instance
+    */
+   function removeChange(changeId) {
+      const index = tempoChanges.findIndex(change => change.id == changeId);
+      if (index >= 0)
+         tempoChanges.splice(index, 1);
+      return index >= 0;
+   }
+
+   /**
+    * Removes all tempo changes from the tempo map so that only the base tempo remains.
+    *
+    * @memberof TempoMap
+    * @instance
+    */
+   function clearChanges() {
+      tempoChanges.splice(0, tempoChanges.length);
+   }
+
+   /**
+    * Returns a time-ordered listing of all tempo changes in the tempo map.
+    *
+    * @returns {Object[]} List of all tempo changes in the tempo map
+    * @memberof TempoMap
+    * @instance
+    */
+   function getChanges() {
+      return tempoChanges.map(change => ({ ...change }));
+   }
+
+   /**
+    * Returns the instantaneous {@link Tempo} in effect at the specified song time.
+    *
+    * @param {number} time - Song time at which to retrieve the tempo
+    * @returns {Tempo} Instantaneous {@link Tempo} at the specified time
+    * @memberof TempoMap
+    * @instance
+    */
+   function getTempoAt(time) {
+      const segment = getSegments().find(segment => (time < segment.endTime));
+      const beatsPerMinute = getSegmentRate(segment, time) * 60.0 * segment.tempo.beatBase;
+      return {
+         beatBase: segment.tempo.beatBase, beatsPerMinute,
+         timeSignatureNumerator: segment.tempo.timeSignatureNumerator,
+         timeSignatureDenominator: segment.tempo.timeSignatureDenominator,
+         measureLengthSeconds: (60.0 / beatsPerMinute) * segment.tempo.beatBase * segment.tempo.timeSignatureNumerator / segment.tempo.timeSignatureDenominator
+      };
+   }
+
+   /**
+    * Converts a note {@link module:Constants.Duration Duration} beginning at the specified song
+    * time into a corresponding number of seconds by integrating over the tempo map.
+    *
+    * Negative durations are interpreted as an explicit number of seconds.
+    *
+    * @param {number} duration - Note {@link module:Constants.Duration Duration} to convert to seconds
+    * @param {number} startTime - Song time at which the note begins
+    * @returns {number} Number of seconds corresponding to the specified `duration`
+    * @memberof TempoMap
+    * @instance
+    */
+   function convertNoteDurationToSeconds(duration, startTime) {
+      if (duration <= 0)
+         return -duration;
+      let remainingWholeNotes = 1.0 / duration, time = startTime;
+      for (const segment of getSegments()) {
+         if (time >= segment.endTime)
+            continue;
+         const availableWholeNotes = integrateSegment(segment, time, segment.endTime);
+         if (remainingWholeNotes <= availableWholeNotes) {
+            if (segment.startRate == segment.endRate)
+               return time + (remainingWholeNotes / segment.startRate) - startTime;
+            let lowerTime = time, upperTime = segment.endTime;
+            for (let i = 0; i < 50; ++i) {
+               const midTime = 0.5 * (lowerTime + upperTime);
+               if (integrateSegment(segment, time, midTime) < remainingWholeNotes)
+                  lowerTime = midTime;
+               else
+                  upperTime = midTime;
+            }
+            return (0.5 * (lowerTime + upperTime)) - startTime;
+         }
+         remainingWholeNotes -= availableWholeNotes;
+         time = segment.endTime;
+      }
+   }
+
+   /**
+    * Converts a number of seconds beginning at the specified song time into the
+    * corresponding number of whole notes by integrating over the tempo map.
+    *
+    * @param {number} seconds - Number of seconds to convert to whole notes
+    * @param {number} startTime - Song time at which the time span begins
+    * @returns {number} Number of whole notes played during the specified time span
+    * @memberof TempoMap
+    * @instance
+    */
+   function convertSecondsToWholeNotes(seconds, startTime) {
+      let wholeNotes = 0.0;
+      const endTime = startTime + seconds;
+      for (const segment of getSegments())
+         if ((startTime < segment.endTime) && (endTime > segment.startTime))
+            wholeNotes += integrateSegment(segment, Math.max(startTime, segment.startTime), Math.min(endTime, segment.endTime));
+      return wholeNotes;
+   }
+
+   /**
+    * Returns the {@link NoteTempo} in effect for a note beginning at the specified song time,
+    * suitable for passing to any note modification.
+    *
+    * @param {number} startTime - Song time at which the note begins
+    * @returns {NoteTempo} Tempo details for a note beginning at the specified time
+    * @memberof TempoMap
+    * @instance
+    */
+   function getNoteTempo(startTime) {
+      return {
+         ...getTempoAt(startTime),
+         getDurationSeconds: (duration, timeOffset=0.0) => convertNoteDurationToSeconds(duration, startTime + timeOffset)
+      };
+   }
+
+   // Returns an object containing functions and attributes within the public TempoMap namespace
+   return {
+      addChange, removeChange, clearChanges, getChanges, getTempoAt, convertNoteDurationToSeconds, convertSecondsToWholeNotes,
+      getNoteTempo
+   };
+}
@@ -12,39 +12,57 @@
 import { canModifySequence, getModificationParameters, inferModificationParametersFromSequence,
    loadModification, NoteDetails, GlobalDynamic } from './Modification.mjs';
 import { EncodingType, AnalysisType, ModificationType, ModificationIncompatibilities } from './Constants.mjs';
-import { MidiCommand, getMidiCommand, getMidiNote, getMidiVelocity } from './Midi.mjs';
+import { MidiCommand, MidiPercussionChannel, getMidiChannel, getMidiCommand, getMidiNote, getMidiVelocity } from './Midi.mjs';
 import * as WebAudioApiErrors from './Errors.mjs';
 import { getEncoderFor } from './Encoder.mjs';
-import { loadEffect } from './Effect.mjs';
+import { connectEffectChain, loadEffect } from './Effect.mjs';
+import { serializeEffectChain } from './Preset.mjs';
+import { getHumanizeOffsets } from './Humanize.mjs';
+import { createChannelStrip, getMixerOptions } from './ChannelStrip.mjs';
+import { getSidechainKeyName } from './Sidechain.mjs';
+import { createAutomation, getAutomationBreakpoints, getNumericParameterRange } from './Automation.mjs';
 
 /**
  * Creates a new audio {@link Track} object capable of playing sequential audio.
  * 
  * @param {string} name - Name of the track to create
  * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
- * @param {Tempo} tempo - Reference to the {@link Tempo} object stored in the global {@link WebAudioAPI} object
+ * @param {TempoMap} tempoMap - Reference to the {@link TempoMap} object stored in the global {@link WebAudioAPI} object
  * @param {Key} keySignature - Reference to the {@link Key} object stored in the global {@link WebAudioAPI} object
  * @param {AudioNode} trackAudioSink - Reference to the {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode} to which the output of this track should be connected
+ * @param {Object<string, AudioNode>} [sidechainKeys] - Nodes carrying the outputs of all tracks and buses for use as sidechain keys, keyed by name
  * @returns {Track} Newly created audio {@link Track}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioNode AudioNode}
  * @see {@link Key}
  * @see {@link Track}
- * @see {@link Tempo}
+ * @see {@link TempoMap}
  */
-export function createTrack(name, audioContext, tempo, keySignature, trackAudioSink) {
+export function createTrack(name, audioContext, tempoMap, keySignature, trackAudioSink, sidechainKeys={}) {
 
    // Track-local variable definitions
    let instrument = null, midiDevice = null, audioDeviceInput = null;
-   let currentVelocity = 0.5, chordIndex = 0, chordDynamicUpdated = false;
-   const audioSources = [], asyncAudioSources = [], effects = [], notesInWaiting = {};
+   let currentVelocity = 0.5, chordIndex = 0, chordDynamicUpdated = false, scheduledAudioCapture = null, scheduledAudioCutoff = null;
+   let scheduledAudioStop = null, scheduledSongStartTime = 0.0;
+   let lookaheadWindow = null, nextPendingId = 1, humanizeSettings = null, humanizeOnsetIndex = 0, lastHumanizeOnsetTime = null, outputSink = trackAudioSink, outputBusName = null;
+   const audioSources = [], asyncAudioSources = [], effects = [], notesInWaiting = {}, scheduledAudio = [], pendingAudio = [];
+   const sends = {}, automation = createAutomation(), noteListeners = [];
    const audioSink = new AnalyserNode(audioContext, { fftSize: 1024, maxDecibels: -10.0, smoothingTimeConstant: 0.5 });
    const analysisBuffer = new Uint8Array(audioSink.frequencyBinCount);
-   audioSink.connect(trackAudioSink);
+   const channelStrip = createChannelStrip(audioContext);
+   audioSink.connect(channelStrip.input);
+   channelStrip.output.connect(outputSink);
+   if (getSidechainKeyName('track', name) in sidechainKeys)
+      channelStrip.output.connect(sidechainKeys[getSidechainKeyName('track', name)]);
 
    // Private internal Track functions
    function createAsyncNote(noteValue, sourceNode, volumeNode) {
-      return { noteValue, sourceNode, volumeNode };
+      return { noteValue, sourceNode, volumeNode, timing: { startTime: audioContext.currentTime, stopTime: Number.POSITIVE_INFINITY } };
+   }
+
+   function notifyNoteListeners(timing) {
+      for (const listener of noteListeners)
+         listener(timing);
    }
 
    function midiEventReceived(event) {
@@ -57,14 +75,97 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
             }
       }
       else if ((command === MidiCommand.NoteOn) && (getMidiVelocity(event.data) > 0))
-         playNoteAsync(getMidiNote(event.data), getMidiVelocity(event.data));
+         playNoteAsync(getMidiNote(event.data), getMidiVelocity(event.data), getMidiChannel(event.data) == MidiPercussionChannel);
    }
    
-   function sourceEnded(source, sourceVolume) {
+   function storeScheduledAudio(audioDetails) {
+      scheduledAudio.push(audioDetails);
+      if (scheduledAudioCapture) {
+         scheduledAudioCapture.push(audioDetails);
+         audioDetails.captureList = scheduledAudioCapture;
+      }
+   }
+
+   function applyScheduledAudioCutoff(audioDetails, playbackDuration) {
+      if ((scheduledAudioStop != null) && (audioDetails.startTime >= scheduledAudioStop))
+         return false;
+      if ((scheduledAudioCutoff != null) && (audioDetails.startTime < scheduledAudioCutoff)) {
+         const offset = scheduledAudioCutoff - audioDetails.startTime;
+         if (offset >= playbackDuration)
+            return false;
+         audioDetails.offset = offset;
+         audioDetails.startTime = scheduledAudioCutoff;
+         if (audioDetails.duration)
+            audioDetails.duration -= offset;
+      }
+      const remainingDuration = audioDetails.duration || (playbackDuration - audioDetails.offset);
+      if ((scheduledAudioStop != null) && (audioDetails.playsToCompletion || (audioDetails.startTime + remainingDuration > scheduledAudioStop))) {
+         audioDetails.duration = scheduledAudioStop - audioDetails.startTime;
+         audioDetails.playsToCompletion = false;
+      }
+      return true;
+   }
+
+   function releaseScheduledAudio(audioDetails) {
+      for (const audioList of [scheduledAudio, audioDetails.captureList]) {
+         const index = audioList ? audioList.indexOf(audioDetails) : -1;
+         if (index >= 0)
+            audioList.splice(index, 1);
+      }
+   }
+
+   function materializeNote(audio) {
+      const noteSource = audio.instrument.getNote(audio.note, audio.isDrumNote);
+      const noteVolume = new GainNode(audioContext, { gain: audio.velocity });
+      noteSource.connect(noteVolume).connect(audioSink);
+      if (!audio.playsToCompletion)
+         noteVolume.gain.setTargetAtTime(0.0, audio.startTime + audio.duration, 0.03);
+      noteSource.onended = sourceEnded.bind(this, noteSource, noteVolume, audio);
+      audioSources.push(noteSource);
+      noteSource.start(audio.startTime, audio.offset, audio.playsToCompletion ? undefined : (audio.duration + 0.200));
+      audio.source = noteSource;
+      notifyNoteListeners({ startTime: audio.startTime, stopTime: audio.startTime + audio.duration });
+   }
+
+   function setSendLevel(gainParam, level, updateTime, timeConstant) {
+      const time = (updateTime == null) ? gainParam.context.currentTime : updateTime;
+      if (timeConstant)
+         gainParam.setTargetAtTime(Math.pow(10.0, level / 20.0), time, timeConstant);
+      else
+         gainParam.setValueAtTime(Math.pow(10.0, level / 20.0), time);
+   }
+
+   function getHumanizeOnsetIndex(onsetTime) {
+      if (onsetTime !== lastHumanizeOnsetTime) {
+         ++humanizeOnsetIndex;
+         lastHumanizeOnsetTime = onsetTime;
+      }
+      return humanizeOnsetIndex;
+   }
+
+   function humanizeAudio(audio) {
+      const tempo = tempoMap.getTempoAt(audio.startTime - scheduledSongStartTime);
+      const phraseWholeNotes = humanizeSettings.phraseLength * tempo.timeSignatureNumerator / tempo.timeSignatureDenominator;
+      const phraseProgress = (tempoMap.convertSecondsToWholeNotes(audio.startTime - scheduledSongStartTime, 0.0) % phraseWholeNotes) / phraseWholeNotes;
+      const { timingOffset, velocityOffset } = getHumanizeOffsets(humanizeSettings, getHumanizeOnsetIndex(audio.startTime), audio.note, phraseProgress);
+      audio.startTime = Math.max(audio.startTime + timingOffset, 0.0);
+      audio.velocity = Math.min(Math.max(audio.velocity + velocityOffset, 0.0), 1.0);
+   }
+
+   function getPendingNote(noteId) {
+      const audio = pendingAudio.find(audio => audio.id == noteId);
+      if (!audio)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The pending note (${noteId}) does not exist or has already been scheduled for playback`);
+      return audio;
+   }
+
+   function sourceEnded(source, sourceVolume, audioDetails) {
       if (sourceVolume == null)
          sourceVolume = source;
       sourceVolume.disconnect();
       audioSources.splice(audioSources.indexOf(source), 1);
+      if (audioDetails)
+         releaseScheduledAudio(audioDetails);
    }
 
    /**
@@ -109,33 +210,25 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
     * Applies a new track effect at the specified time.
     * 
     * Calling this function affects the sequential ordering in which effects will be
-    * processed, with each new call appending the corresponding effect to the *end* of the
-    * processing sequence.
+    * processed, with each new call inserting the corresponding effect at the specified `index`
+    * of the processing sequence, or appending it to the *end* if no `index` is specified.
     * 
     * If an effect with the specified `effectName` has already been applied , then calling
-    * this function will simply re-order the effect to move it to the very end of the effect
-    * processing sequence, without changing its parameter values.
+    * this function will simply re-order the effect to move it to the requested position in the
+    * effect processing sequence, without changing its parameter values.
     * 
     * @param {string} effectName - User-defined name to associate with the track effect
     * @param {number} effectType - Track {@link module:Constants.EffectType EffectType} to apply
+    * @param {number} [index] - Zero-based position in the effect processing sequence at which to insert the effect
     * @see {@link module:Constants.EffectType EffectType}
     * @memberof Track
     * @instance
     */
-   async function applyEffect(effectName, effectType) {
-      const existingEffect = await this.removeEffect(effectName);
-      const newEffect = existingEffect || await loadEffect(audioContext, effectName, effectType);
-      newEffect.output.connect(trackAudioSink);
-      if (effects.length) {
-         const previousEffect = effects.slice(-1)[0];
-         previousEffect.output.disconnect();
-         previousEffect.output.connect(newEffect.input);
-      }
-      else {
-         audioSink.disconnect();
-         audioSink.connect(newEffect.input);
-      }
-      effects.push(newEffect);
+   async function applyEffect(effectName, effectType, index) {
+      const existingIndex = effects.findIndex(effect => effect.name == effectName);
+      const newEffect = (existingIndex < 0) ? await loadEffect(audioContext, effectName, effectType, sidechainKeys) : effects.splice(existingIndex, 1)[0];
+      effects.splice((index == null) ? effects.length : Math.min(Math.max(Number(index), 0), effects.length), 0, newEffect);
+      connectEffectChain(audioSink, effects, channelStrip.input);
    }
 
    /**
@@ -178,6 +271,35 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
       throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
    }
 
+   /**
+    * Returns the serializable description of all track effects in processing order, including
+    * every effect parameter value that has been explicitly set.
+    * 
+    * @returns {EffectChain} Serializable description of the track effect chain
+    * @memberof Track
+    * @instance
+    */
+   function getEffectChain() {
+      return serializeEffectChain(effects);
+   }
+
+   /**
+    * Removes all existing track effects and replaces them with the specified list of effects,
+    * which will be processed in the order given.
+    * 
+    * @param {Effect[]} newEffects - Ordered list of loaded effects as returned by {@link loadEffectChain}
+    * @memberof Track
+    * @instance
+    */
+   async function replaceEffects(newEffects) {
+      for (const effect of effects.splice(0, effects.length, ...newEffects)) {
+         effect.output.disconnect();
+         if (!effects.some(newEffect => newEffect.name == effect.name))
+            automation.removeEffectLanes(effect.name);
+      }
+      connectEffectChain(audioSink, effects, channelStrip.input);
+   }
+
    /**
     * Removes the specified track effect from being applied.
     * 
@@ -187,25 +309,82 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
     * @instance
     */
    async function removeEffect(effectName) {
-      let existingEffect = null;
-      for (const [index, effect] of effects.entries())
-         if (effect.name == effectName) {
-            existingEffect = effects.splice(index, 1)[0];
-            if (index == 0) {
-               audioSink.disconnect();
-               audioSink.connect(effects.length ? effects[0].input : trackAudioSink);
-            }
-            else {
-               effects[index-1].output.disconnect();
-               effects[index-1].output.connect((effects.length > index) ? effects[index].input : trackAudioSink);
-            }
-            existingEffect.input.disconnect();
-            existingEffect.output.disconnect();
-            break;
-         }
+      const index = effects.findIndex(effect => effect.name == effectName);
+      if (index < 0)
+         return null;
+      const existingEffect = effects.splice(index, 1)[0];
+      connectEffectChain(audioSink, effects, channelStrip.input);
+      existingEffect.output.disconnect();
+      automation.removeEffectLanes(effectName);
       return existingEffect;
    }
 
+   /**
+    * Moves the specified track effect to a new position within the effect processing sequence,
+    * without changing its parameter values.
+    * 
+    * @param {string} effectName - Name of the track effect to be moved
+    * @param {number} index - Zero-based position in the effect processing sequence to which to move the effect
+    * @memberof Track
+    * @instance
+    */
+   function moveEffect(effectName, index) {
+      const existingIndex = effects.findIndex(effect => effect.name == effectName);
+      if (existingIndex < 0)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
+      effects.splice(Math.min(Math.max(Number(index), 0), effects.length - 1), 0, effects.splice(existingIndex, 1)[0]);
+      connectEffectChain(audioSink, effects, channelStrip.input);
+   }
+
+   /**
+    * Updates the wet/dry mix or bypass state of a track effect at the specified time.
+    * 
+    * @param {string} effectName - Name of the track effect to be updated
+    * @param {Object} mixOptions - Object containing an optional `mix` value between [0, 1] and an optional `bypass` flag
+    * @param {number} updateTime - Global API time at which to update the effect mix
+    * @param {number} timeConstant - Time constant defining an exponential approach to the target
+    * @memberof Track
+    * @instance
+    */
+   function updateEffectMix(effectName, mixOptions, updateTime, timeConstant) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
+      effect.updateMix(mixOptions, updateTime, timeConstant);
+   }
+
+   /**
+    * Returns the current wet/dry mix and bypass state of a track effect.
+    * 
+    * @param {string} effectName - Name of the track effect for which to retrieve the mix
+    * @returns {Object} Object containing the current `mix` and `bypass` settings of the effect
+    * @memberof Track
+    * @instance
+    */
+   function getEffectMix(effectName) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
+      return effect.getMix();
+   }
+
+   /**
+    * Calculates the frequency response of a track effect at each of the specified frequencies,
+    * taking its current wet/dry mix and bypass settings into account.
+    * 
+    * @param {string} effectName - Name of the track effect for which to calculate the response
+    * @param {Float32Array} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing linear `magnitudes` and `phases` in radians as Float32Arrays
+    * @memberof Track
+    * @instance
+    */
+   function getEffectFrequencyResponse(effectName, frequencies) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
+      return effect.getFrequencyResponse(frequencies);
+   }
+
    /**
     * Immediately stop playing a note on the current track. The note to be stopped must be a
     * reference to an actively playing note that was previously returned from the
@@ -217,6 +396,7 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
     */
    function stopNoteAsync(noteObject) {
       noteObject.sourceNode.onended = null;
+      noteObject.timing.stopTime = audioContext.currentTime;
       asyncAudioSources.splice(asyncAudioSources.indexOf(noteObject), 1);
       noteObject.volumeNode.gain.setTargetAtTime(0.0, audioContext.currentTime, 0.03);
       setTimeout(() => {
@@ -229,24 +409,28 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
     * Immediately begins playing a note on the current track. Playback continues until the note
     * is explicitly stopped using the {@link Track#stopNoteAsync stopNoteAsync()} function.
     * 
-    * Note that the `note` parameter should correspond to a valid MIDI note number.
+    * Note that the `note` parameter should correspond to a valid MIDI note number. Drum notes,
+    * including any notes received on the General MIDI percussion channel from a connected MIDI
+    * device, are not affected by the current tuning.
     * 
     * @param {number} note -  MIDI {@link module:Constants.Note Note} number to be played
     * @param {number} velocity - Intensity of the note to play between [0.0, 1.0]
+    * @param {boolean} [isDrumNote] - Whether this note is a drum note (i.e., not affected by tuning)
     * @returns {Object} Reference to the newly scheduled note
     * @memberof Track
     * @instance
     */
-   function playNoteAsync(note, velocity) {
+   function playNoteAsync(note, velocity, isDrumNote=false) {
       if (!instrument)
          throw new WebAudioApiErrors.WebAudioTrackError(`The current track (${name}) cannot play a note without first setting up an instrument`);
-      const noteSource = instrument.getNote(note);
+      const noteSource = instrument.getNote(note, isDrumNote);
       const noteVolume = new GainNode(audioContext, { gain: velocity });
       noteSource.connect(noteVolume).connect(audioSink);
       const noteStorage = createAsyncNote(note, noteSource, noteVolume);
       noteSource.onended = stopNoteAsync.bind(this, noteStorage);
       asyncAudioSources.push(noteStorage);
       noteSource.start(audioContext.currentTime);
+      notifyNoteListeners(noteStorage.timing);
       return noteStorage;
    }
 
@@ -287,7 +471,7 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
                for (const modification of noteInWaiting.modifications)
                   modification.value = inferModificationParametersFromSequence(modification.type, sequence, 1, modification.value);
                for (const modification of noteInWaiting.modifications) {
-                  const modClass = loadModification(modification.type, tempo, keySignature, noteDetails[0]);
+                  const modClass = loadModification(modification.type, tempoMap.getNoteTempo(noteInWaiting.startTime - scheduledSongStartTime), keySignature, noteDetails[0]);
                   noteDetails = modClass.getModifiedNoteDetails(modification.value);
                   if (modification.type == ModificationType.Tie)
                      wasTied = true;
@@ -310,11 +494,12 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
          else
             exists.push(modifications[i].type);
 
-      // Order modifications by type so that they make sense when applied: GlobalDynamic < Loudness < Start Time Offsets < Durations < Adds notes
+      // Order modifications by type so that they make sense when applied: GlobalDynamic < Loudness < Start Time Offsets < Durations < Timing < Adds notes
       modifications.sort((a, b) => { return a.type - b.type; });
 
       // Get concrete note details based on any applied modifications
       let requiresWaiting = false, totalDurationSeconds = 0.0;
+      const noteTempo = tempoMap.getNoteTempo(startTime - scheduledSongStartTime);
       let noteDetails = [new NoteDetails(note, currentVelocity, duration)];
       for (const noteInWaitingPitch in notesInWaiting)
          notesInWaiting[noteInWaitingPitch].addedToSeq = false;
@@ -340,8 +525,9 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
 
          // Update the concrete note details based on the current modification
          if (!modRequiresWaiting) {
-            const modClass = loadModification(modification.type, tempo, keySignature, noteDetails[0]);
-            noteDetails = modClass.getModifiedNoteDetails(modification.value);
+            const modClass = loadModification(modification.type, noteTempo, keySignature, noteDetails[0]);
+            noteDetails = modClass.getModifiedNoteDetails((modification.type == ModificationType.Humanize) ?
+               { ...modification.value, onsetIndex: getHumanizeOnsetIndex(startTime) } : modification.value);
             if (((modification.type == ModificationType.Crescendo) || (modification.type == ModificationType.Decrescendo) ||
                  (modification.type == ModificationType.Diminuendo) || (modClass instanceof GlobalDynamic)) &&
                 (!fromChord || !chordDynamicUpdated)) {
@@ -350,23 +536,25 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
             }
          }
          else
-            totalDurationSeconds = (noteDetails[0].usedDuration < 0) ? -noteDetails[0].usedDuration : (60.0 / ((noteDetails[0].usedDuration / tempo.beatBase) * tempo.beatsPerMinute));
+            totalDurationSeconds = noteTempo.getDurationSeconds(noteDetails[0].usedDuration);
       }
 
       // Schedule all notes for playback
       noteDetails = (requiresWaiting || wasTied ? waitingNoteDetails : waitingNoteDetails.concat(noteDetails));
       for (const note of noteDetails) {
-         const durationSeconds = (note.duration < 0) ? -note.duration : (60.0 / ((note.duration / tempo.beatBase) * tempo.beatsPerMinute));
-         const noteSource = instrument.getNote(note.note);
-         const noteVolume = new GainNode(audioContext, { gain: note.velocity });
-         noteSource.connect(noteVolume).connect(audioSink);
-         if (!isDrumNote)
-            noteVolume.gain.setTargetAtTime(0.0, startTime + note.startTimeOffset + durationSeconds, 0.03);
-         noteSource.onended = sourceEnded.bind(this, noteSource, noteVolume);
-         audioSources.push(noteSource);
-         noteSource.start(startTime + note.startTimeOffset, 0, isDrumNote ? undefined : (durationSeconds + 0.200));
+         const durationSeconds = noteTempo.getDurationSeconds(note.duration, note.startTimeOffset);
+         const audio = { id: nextPendingId++, source: null, instrument, note: note.note, velocity: note.velocity, startTime: startTime + note.startTimeOffset, duration: durationSeconds, offset: 0, isDrumNote, playsToCompletion: isDrumNote };
+         if (humanizeSettings)
+            humanizeAudio(audio);
+         if (applyScheduledAudioCutoff(audio, audio.duration)) {
+            if ((lookaheadWindow == null) || (audio.startTime < audioContext.currentTime + lookaheadWindow))
+               materializeNote(audio);
+            else
+               pendingAudio.push(audio);
+            storeScheduledAudio(audio);
+         }
          if (!note.wasWaitingNote || wasTied)
-            totalDurationSeconds += (note.usedDuration <= 0) ? -note.usedDuration : (60.0 / ((note.usedDuration / tempo.beatBase) * tempo.beatsPerMinute));
+            totalDurationSeconds += noteTempo.getDurationSeconds(note.usedDuration);
       }
       return totalDurationSeconds;
    }
@@ -466,20 +654,24 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
          const audioBuffer = (audioClip instanceof AudioBuffer) ? audioClip :
             (await audioContext.decodeAudioData(audioClip instanceof ArrayBuffer ? audioClip : (audioClip instanceof Blob ? await audioClip.arrayBuffer() : await audioClip.getRawData().arrayBuffer())));
          const clipSource = new AudioBufferSourceNode(audioContext, { buffer: audioBuffer });
+         const clipDetails = { source: clipSource, buffer: audioBuffer, startTime, duration, offset: 0 };
+         expectedDuration = (duration && (duration < audioBuffer.duration)) ? duration : audioBuffer.duration;
+         if (!applyScheduledAudioCutoff(clipDetails, expectedDuration))
+            return expectedDuration;
          audioSources.push(clipSource);
-         if (duration) {
+         if (clipDetails.duration) {
             const clipVolume = new GainNode(audioContext);
             clipSource.connect(clipVolume).connect(audioSink);
-            clipVolume.gain.setTargetAtTime(0.0, startTime + duration, 0.03);
-            clipSource.onended = sourceEnded.bind(this, clipSource, clipVolume);
-            clipSource.start(startTime, 0, duration + 0.200);
+            clipVolume.gain.setTargetAtTime(0.0, clipDetails.startTime + clipDetails.duration, 0.03);
+            clipSource.onended = sourceEnded.bind(this, clipSource, clipVolume, clipDetails);
+            clipSource.start(clipDetails.startTime, clipDetails.offset, clipDetails.duration + 0.200);
          }
          else {
             clipSource.connect(audioSink);
-            clipSource.onended = sourceEnded.bind(this, clipSource, null);
-            clipSource.start(startTime);
+            clipSource.onended = sourceEnded.bind(this, clipSource, null, clipDetails);
+            clipSource.start(clipDetails.startTime, clipDetails.offset);
          }
-         expectedDuration = (duration && (duration < audioBuffer.duration)) ? duration : audioBuffer.duration;
+         storeScheduledAudio(clipDetails);
       }
       else {
          if (!instrument)
@@ -1027,6 +1219,521 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
       return await playClip(arrayBuffer, startTime, duration);
    }
 
+   /**
+    * Begins storing references to all audio subsequently scheduled on the current track into the
+    * specified `captureList`, or stops storing references if `captureList` is `null`.
+    * 
+    * The captured references can later be passed to the {@link Track#cancelScheduledAudio cancelScheduledAudio()}
+    * function to cancel only that audio without affecting anything else scheduled on the track.
+    * 
+    * If a `cutoffTime` is specified, any captured audio scheduled to start before that time will
+    * instead start playing at the `cutoffTime` from the corresponding offset into its audio,
+    * and any captured audio that would finish playing before the `cutoffTime` will be skipped.
+    * Likewise, if a `stopTime` is specified, any captured audio still playing at that time will
+    * be faded out at the `stopTime`, and any captured audio scheduled to start at or after the
+    * `stopTime` will be skipped.
+    * 
+    * The tempo map is normally read at the global API time of each note. If a `songStartTime` is
+    * specified, captured audio is instead treated as part of a song timeline beginning at that
+    * global API time, so that the tempo map is read at each note's position along the timeline.
+    * 
+    * @param {Object[]|null} captureList - List into which to store all subsequently scheduled audio references
+    * @param {number} [cutoffTime] - Global API time before which no captured audio should be played
+    * @param {number} [stopTime] - Global API time at or after which no captured audio should be played
+    * @param {number} [songStartTime] - Global API time corresponding to the beginning of the song timeline
+    * @memberof Track
+    * @instance
+    */
+   function captureScheduledAudio(captureList, cutoffTime, stopTime, songStartTime) {
+      scheduledAudioCapture = captureList;
+      scheduledAudioCutoff = (captureList && (cutoffTime != null)) ? cutoffTime : null;
+      scheduledAudioStop = (captureList && (stopTime != null) && Number.isFinite(stopTime)) ? stopTime : null;
+      scheduledSongStartTime = (captureList && (songStartTime != null)) ? songStartTime : 0.0;
+   }
+
+   /**
+    * Cancels the specified audio from playing or starting to play in the future on the current
+    * track. The audio to be cancelled must be a list of references that were previously captured
+    * using the {@link Track#captureScheduledAudio captureScheduledAudio()} function.
+    * 
+    * @param {Object[]} audioList - List of captured audio references to cancel
+    * @memberof Track
+    * @instance
+    */
+   function cancelScheduledAudio(audioList) {
+      for (const audio of [...audioList]) {
+         if (scheduledAudio.includes(audio)) {
+            releaseScheduledAudio(audio);
+            if (audio.source)
+               audio.source.stop();
+            else
+               pendingAudio.splice(pendingAudio.indexOf(audio), 1);
+         }
+      }
+      audioList.splice(0, audioList.length);
+   }
+
+   /**
+    * Updates the built-in mixer channel strip of the current track at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {Object} mixerOptions - Validated mixer options containing any of the keys in {@link MixerState}
+    * @param {number} [updateTime] - Global API time at which to update the mixer
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof Track
+    * @instance
+    */
+   function updateMixer(mixerOptions, updateTime, timeConstant) {
+      channelStrip.update(mixerOptions, updateTime, timeConstant);
+   }
+
+   /**
+    * Sets whether the current track should be silenced due to a solo on another track.
+    * 
+    * @param {boolean} isSoloMuted - Whether the current track is silenced by a solo on another track
+    * @param {number} [updateTime] - Global API time at which to update the solo state
+    * @memberof Track
+    * @instance
+    */
+   function setSoloMuted(isSoloMuted, updateTime) {
+      channelStrip.setSoloMuted(isSoloMuted, updateTime);
+   }
+
+   /**
+    * Returns the current state of the built-in mixer channel strip of the current track.
+    * 
+    * @returns {MixerState} Current mixer state of the track
+    * @memberof Track
+    * @instance
+    */
+   function getMixer() {
+      return channelStrip.getState();
+   }
+
+   /**
+    * Returns the specified track effect, or `null` if no effect with the specified name exists.
+    * 
+    * @param {string} effectName - Name of the track effect to return
+    * @returns {?Effect} Track effect with the specified name
+    * @memberof Track
+    * @instance
+    */
+   function getEffect(effectName) {
+      return effects.find(effect => effect.name == effectName) || null;
+   }
+
+   /**
+    * Returns the valid range of a numeric parameter of the specified track effect.
+    * 
+    * @param {string} effectName - Name of the track effect containing the parameter
+    * @param {string} parameterName - Name of the numeric effect parameter
+    * @returns {number[]} Minimum and maximum valid values of the parameter
+    * @memberof Track
+    * @instance
+    */
+   function getEffectParameterRange(effectName, parameterName) {
+      const effect = effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track effect (${effectName}) does not exist`);
+      return getNumericParameterRange(effect, parameterName);
+   }
+
+   /**
+    * Registers a function to be called with the `startTime` and `stopTime` of every note that
+    * begins playing on the current track. The `stopTime` of a note played using
+    * {@link Track#playNoteAsync playNoteAsync()} remains infinite until the note is stopped.
+    * 
+    * @param {function(Object)} listener - Function to call for every note played on the current track
+    * @memberof Track
+    * @instance
+    */
+   function addNoteListener(listener) {
+      noteListeners.push(listener);
+   }
+
+   /**
+    * Unregisters a function previously registered using {@link Track#addNoteListener addNoteListener()}.
+    * 
+    * @param {function(Object)} listener - Function to unregister
+    * @memberof Track
+    * @instance
+    */
+   function removeNoteListener(listener) {
+      const index = noteListeners.indexOf(listener);
+      if (index >= 0)
+         noteListeners.splice(index, 1);
+   }
+
+   /**
+    * Creates or replaces the automation lane for the specified effect or mixer parameter of the
+    * current track.
+    * 
+    * @param {string|null} effectName - Name of the track effect to automate, or `null` to automate the track mixer
+    * @param {string} parameterName - Name of the numeric effect parameter, or one of "gain" or "pan" for the track mixer
+    * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints making up the automation lane
+    * @memberof Track
+    * @instance
+    */
+   function setAutomation(effectName, parameterName, breakpoints) {
+      let validatedBreakpoints = null;
+      if (effectName == null) {
+         if (!['gain', 'pan'].includes(parameterName))
+            throw new WebAudioApiErrors.WebAudioTargetError(`The track mixer does not contain an automatable parameter named "${parameterName}"`);
+         validatedBreakpoints = getAutomationBreakpoints(breakpoints);
+         for (const breakpoint of validatedBreakpoints)
+            getMixerOptions({ [parameterName]: breakpoint.value });
+      }
+      else {
+         validatedBreakpoints = getAutomationBreakpoints(breakpoints, getEffectParameterRange(effectName, parameterName));
+         if (!effects.find(effect => effect.name == effectName).getAudioParamTargets(parameterName).length)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The track effect parameter "${parameterName}" is not backed by an AudioParam and cannot be automated`);
+      }
+      automation.setLane(effectName ?? null, parameterName, validatedBreakpoints);
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified effect or mixer
+    * parameter of the current track.
+    * 
+    * @param {string|null} effectName - Name of the automated track effect, or `null` for the track mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the automation lane, or an empty list if no such lane exists
+    * @memberof Track
+    * @instance
+    */
+   function getAutomation(effectName, parameterName) {
+      return automation.getLane(effectName ?? null, parameterName);
+   }
+
+   /**
+    * Removes the automation lane for the specified effect or mixer parameter of the current track.
+    * 
+    * @param {string|null} effectName - Name of the automated track effect, or `null` for the track mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @memberof Track
+    * @instance
+    */
+   function removeAutomation(effectName, parameterName) {
+      automation.removeLane(effectName ?? null, parameterName);
+   }
+
+   /**
+    * Returns a listing of all automation lanes on the current track.
+    * 
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    * @memberof Track
+    * @instance
+    */
+   function getAutomationLanes() {
+      return automation.getLanes();
+   }
+
+   /**
+    * Schedules all automation lanes on the current track for playback beginning at the
+    * specified time. Each lane is scheduled directly on the AudioParams of its target, and no
+    * lanes are scheduled if any lane targets an effect that no longer exists.
+    * 
+    * @param {number} startTime - Global API time at which playback of all automation lanes should begin
+    * @memberof Track
+    * @instance
+    * @async
+    */
+   async function playAutomation(startTime) {
+      automation.schedule(startTime, effectName => {
+         const automatable = (effectName == null) ? channelStrip : effects.find(effect => effect.name == effectName);
+         if (!automatable)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The automated track effect (${effectName}) no longer exists`);
+         return automatable;
+      });
+   }
+
+   /**
+    * Routes the output of the current track to the specified audio node.
+    * 
+    * @param {AudioNode} sinkNode - Audio node to which the output of this track should be connected
+    * @param {string|null} busName - Name of the bus owning `sinkNode`, or `null` if routed to the master output
+    * @memberof Track
+    * @instance
+    */
+   function setOutput(sinkNode, busName) {
+      channelStrip.output.disconnect(outputSink);
+      outputSink = sinkNode;
+      outputBusName = busName;
+      channelStrip.output.connect(outputSink);
+   }
+
+   /**
+    * Returns the name of the bus to which the output of the current track is routed.
+    * 
+    * @returns {string|null} Name of the destination bus, or `null` if routed to the master output
+    * @memberof Track
+    * @instance
+    */
+   function getOutputBus() {
+      return outputBusName;
+   }
+
+   /**
+    * Creates a send from the current track to the specified bus, replacing any existing send to
+    * the same bus.
+    * 
+    * A pre-fader send taps the track audio after all effects and the mute stage but before the
+    * fader and panner of the track mixer, while a post-fader send taps the final track output.
+    * 
+    * @param {string} busName - Name of the bus to which to send audio
+    * @param {AudioNode} busInput - Input node of the bus to which to send audio
+    * @param {number} level - Send level in decibels
+    * @param {boolean} isPreFader - Whether the send should be tapped before the track fader
+    * @memberof Track
+    * @instance
+    */
+   function addSend(busName, busInput, level, isPreFader) {
+      removeSend(busName);
+      const sendNode = new GainNode(audioContext, { gain: 0.0 });
+      (isPreFader ? channelStrip.preFader : channelStrip.output).connect(sendNode).connect(busInput);
+      sends[busName] = { node: sendNode, level, isPreFader, updateHistory: [] };
+      updateSend(busName, level);
+   }
+
+   /**
+    * Updates the level of an existing send at the specified time.
+    * 
+    * @param {string} busName - Name of the bus for which to update the send level
+    * @param {number} level - Send level in decibels
+    * @param {number} [updateTime] - Global API time at which to update the send level
+    * @param {number} [timeConstant] - Time constant defining an exponential approach to the target
+    * @memberof Track
+    * @instance
+    */
+   function updateSend(busName, level, updateTime, timeConstant) {
+      if (!(busName in sends))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The current track (${name}) has no send to the target bus (${busName})`);
+      sends[busName].level = level;
+      setSendLevel(sends[busName].node.gain, level, updateTime, timeConstant);
+      sends[busName].updateHistory.push({ level, updateTime: (updateTime == null) ? audioContext.currentTime : updateTime, timeConstant });
+   }
+
+   /**
+    * Removes the send from the current track to the specified bus, if it exists.
+    * 
+    * @param {string} busName - Name of the bus for which to remove the send
+    * @memberof Track
+    * @instance
+    */
+   function removeSend(busName) {
+      if (busName in sends) {
+         (sends[busName].isPreFader ? channelStrip.preFader : channelStrip.output).disconnect(sends[busName].node);
+         sends[busName].node.disconnect();
+         delete sends[busName];
+      }
+   }
+
+   /**
+    * Returns a listing of all sends from the current track.
+    * 
+    * @returns {Object<string, Object>} Send `level` and `preFader` settings, keyed by bus name
+    * @memberof Track
+    * @instance
+    */
+   function getSends() {
+      return Object.fromEntries(Object.entries(sends).map(([busName, send]) => [busName, { level: send.level, preFader: send.isPreFader }]));
+   }
+
+   /**
+    * Updates the humanization applied to all notes subsequently scheduled on the current track,
+    * or disables humanization if `settings` is `null`.
+    * 
+    * Random deviations are keyed on the seed and a per-track count of note onsets, which is
+    * reset by this function, so that a given sequence is always humanized identically for the
+    * same settings while repeated notes still vary, and notes starting together remain together. Drift follows a phrase shape which repeats every `phraseLength` measures.
+    * 
+    * @param {HumanizeSettings|null} settings - Humanization settings including a `phraseLength` in measures, or `null` to disable
+    * @memberof Track
+    * @instance
+    */
+   function updateHumanization(settings) {
+      humanizeSettings = settings ? { ...settings } : null;
+      humanizeOnsetIndex = 0;
+      lastHumanizeOnsetTime = null;
+   }
+
+   /**
+    * Returns the humanization settings currently applied to the current track.
+    * 
+    * @returns {Object|null} Current humanization settings, or `null` if humanization is disabled
+    * @memberof Track
+    * @instance
+    */
+   function getHumanization() {
+      return humanizeSettings ? { ...humanizeSettings } : null;
+   }
+
+   /**
+    * Sets the lookahead window (in seconds) used to schedule notes on the current track.
+    * 
+    * When a lookahead window is set, any note scheduled to start further in the future than
+    * the window will be kept in a pending state without allocating any audio nodes. Pending
+    * notes are only materialized into audio nodes by calls to
+    * {@link Track#materializePendingAudio materializePendingAudio()}, and they may be edited or
+    * cancelled at any time before then. Setting the window to `null` disables lookahead
+    * scheduling and immediately materializes all pending notes.
+    * 
+    * @param {number|null} windowSeconds - Number of seconds ahead of the current time to schedule audio, or `null` to disable
+    * @memberof Track
+    * @instance
+    */
+   function setLookaheadWindow(windowSeconds) {
+      lookaheadWindow = windowSeconds;
+      if (lookaheadWindow == null)
+         materializePendingAudio(Number.POSITIVE_INFINITY);
+   }
+
+   /**
+    * Creates audio nodes for all pending notes on the current track that are scheduled to
+    * start before the specified global API time.
+    * 
+    * @param {number} untilTime - Global API time before which all pending notes should be materialized
+    * @memberof Track
+    * @instance
+    */
+   function materializePendingAudio(untilTime) {
+      for (let i = 0; i < pendingAudio.length; ++i)
+         if (pendingAudio[i].startTime < untilTime) {
+            materializeNote(pendingAudio[i]);
+            pendingAudio.splice(i--, 1);
+         }
+   }
+
+   /**
+    * Returns a listing of all notes on the current track that are still pending, i.e., have not
+    * yet entered the lookahead window and can still be edited or cancelled.
+    * 
+    * @returns {PendingNote[]} List of all pending notes on the current track
+    * @memberof Track
+    * @instance
+    */
+   function getPendingNotes() {
+      return pendingAudio.map(audio => ({ id: audio.id, note: audio.note, velocity: audio.velocity, startTime: audio.startTime, duration: audio.duration, isDrumNote: audio.isDrumNote }));
+   }
+
+   /**
+    * Updates the details of a note that is still pending on the current track.
+    * 
+    * Only those details specified in the `noteDetails` parameter will be updated. A pending
+    * note whose start time is moved into the lookahead window will be materialized during the
+    * next scheduling pass.
+    * 
+    * @param {number} noteId - Unique identifier of the pending note to update
+    * @param {Object} noteDetails - Object containing any of the `note`, `velocity`, `startTime`, or `duration` (in seconds) of the note to update
+    * @memberof Track
+    * @instance
+    */
+   function updatePendingNote(noteId, noteDetails) {
+      const audio = getPendingNote(noteId);
+      for (const detail in noteDetails)
+         if (!['note', 'velocity', 'startTime', 'duration'].includes(detail))
+            throw new WebAudioApiErrors.WebAudioValueError(`The pending note detail (${detail}) must be one of the following: note, velocity, startTime, duration`);
+      const { note, velocity, startTime, duration } = noteDetails;
+      if ((note != null) && (!Number.isInteger(Number(note)) || (Number(note) < 1) || (Number(note) > 127)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The note value (${note}) must be a MIDI note in the range [1, 127]`);
+      if ((velocity != null) && !((Number(velocity) >= 0.0) && (Number(velocity) <= 1.0)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The target velocity value (${velocity}) is outside of the available range: [0.0, 1.0]`);
+      if ((startTime != null) && !(Number(startTime) >= 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The note start time (${startTime}) must be a number >= 0`);
+      if ((duration != null) && !(Number(duration) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The note duration (${duration}) must be a number of seconds > 0`);
+      for (const [detail, value] of Object.entries({ note, velocity, startTime, duration }))
+         if (value != null)
+            audio[detail] = Number(value);
+   }
+
+   /**
+    * Cancels a note that is still pending on the current track so that it will never be played.
+    * 
+    * @param {number} noteId - Unique identifier of the pending note to cancel
+    * @memberof Track
+    * @instance
+    */
+   function cancelPendingNote(noteId) {
+      const audio = getPendingNote(noteId);
+      pendingAudio.splice(pendingAudio.indexOf(audio), 1);
+      releaseScheduledAudio(audio);
+   }
+
+   /**
+    * Re-creates all audio scheduled for playback on the current track, along with its effects,
+    * inside of the specified {@link https://developer.mozilla.org/en-US/docs/Web/API/OfflineAudioContext OfflineAudioContext}
+    * so that it can be rendered faster than real time.
+    * 
+    * The `timeOffset` parameter specifies the global API time corresponding to the beginning
+    * of the offline rendering. Any audio that started before this time but is still sounding
+    * will be rendered from the corresponding offset into its audio, while audio scheduled to
+    * start after the end of the offline context, or that has already finished playing, will not
+    * be rendered.
+    * 
+    * @param {OfflineAudioContext} offlineContext - Offline audio context into which to render the track
+    * @param {AudioNode} offlineAudioSink - Node within the `offlineContext` to which the output of this track should be connected
+    * @param {number} timeOffset - Global API time corresponding to the start of the offline rendering
+    * @param {Object<string, AudioNode>} [offlineBusInputs] - Input nodes within the `offlineContext` of all buses, keyed by bus name
+    * @param {Object<string, AudioNode>} [offlineSidechainKeys] - Sidechain key nodes within the `offlineContext` of all tracks and buses, keyed by name
+    * @memberof Track
+    * @instance
+    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/OfflineAudioContext OfflineAudioContext}
+    */
+   async function renderOffline(offlineContext, offlineAudioSink, timeOffset, offlineBusInputs={}, offlineSidechainKeys={}) {
+      const offlineTrackSink = new GainNode(offlineContext);
+      const renderDuration = offlineContext.length / offlineContext.sampleRate;
+      let previousNode = offlineTrackSink;
+      for (const effect of effects) {
+         const offlineEffect = await effect.cloneToContext(offlineContext, timeOffset, offlineSidechainKeys);
+         previousNode.connect(offlineEffect.input);
+         previousNode = offlineEffect.output;
+      }
+      const offlineChannelStrip = channelStrip.cloneToContext(offlineContext, timeOffset);
+      previousNode.connect(offlineChannelStrip.input);
+      offlineChannelStrip.output.connect(offlineAudioSink);
+      if (getSidechainKeyName('track', name) in offlineSidechainKeys)
+         offlineChannelStrip.output.connect(offlineSidechainKeys[getSidechainKeyName('track', name)]);
+      for (const [busName, send] of Object.entries(sends)) {
+         const offlineSendNode = new GainNode(offlineContext, { gain: 0.0 });
+         for (const { level, updateTime, timeConstant } of send.updateHistory)
+            setSendLevel(offlineSendNode.gain, level, Math.max(updateTime - timeOffset, 0), timeConstant);
+         (send.isPreFader ? offlineChannelStrip.preFader : offlineChannelStrip.output).connect(offlineSendNode).connect(offlineBusInputs[busName]);
+      }
+      for (const audio of scheduledAudio) {
+         // Audio that is still sounding at the start of the rendering is started from the corresponding offset
+         const startTime = Math.max(audio.startTime - timeOffset, 0), elapsedTime = startTime - (audio.startTime - timeOffset);
+         const remainingDuration = (audio.duration && !audio.playsToCompletion) ? (audio.duration - elapsedTime) : null;
+         if ((startTime >= renderDuration) || ((remainingDuration != null) && (remainingDuration + 0.200 <= 0)))
+            continue;
+         if ('buffer' in audio) {
+            if (elapsedTime >= audio.buffer.duration - audio.offset)
+               continue;
+            const clipSource = new AudioBufferSourceNode(offlineContext, { buffer: audio.buffer });
+            if (audio.duration) {
+               const clipVolume = new GainNode(offlineContext, { gain: Math.exp(Math.min(remainingDuration, 0) / 0.03) });
+               clipSource.connect(clipVolume).connect(offlineTrackSink);
+               clipVolume.gain.setTargetAtTime(0.0, startTime + Math.max(remainingDuration, 0), 0.03);
+               clipSource.start(startTime, audio.offset + elapsedTime, remainingDuration + 0.200);
+            }
+            else {
+               clipSource.connect(offlineTrackSink);
+               clipSource.start(startTime, audio.offset + elapsedTime);
+            }
+         }
+         else {
+            const noteSource = audio.instrument.getNoteOffline(offlineContext, audio.note, audio.isDrumNote);
+            const noteVolume = new GainNode(offlineContext, { gain: audio.velocity * Math.exp(Math.min(remainingDuration, 0) / 0.03) });
+            noteSource.connect(noteVolume).connect(offlineTrackSink);
+            if (!audio.playsToCompletion)
+               noteVolume.gain.setTargetAtTime(0.0, startTime + Math.max(remainingDuration, 0), 0.03);
+            noteSource.start(startTime, audio.offset + elapsedTime, audio.playsToCompletion ? undefined : (remainingDuration + 0.200));
+         }
+      }
+   }
+
    /**
     * Disconnects the current track from the specified MIDI device so that no further MIDI events
     * will be received.
@@ -1089,7 +1796,8 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
    }
 
    /**
-    * Cancels any current or scheduled audio from playing on the current track.
+    * Cancels any current or scheduled audio and automation from playing on the current track
+    * and removes all of its automation lanes.
     * 
     * @memberof Track
     * @instance
@@ -1099,6 +1807,12 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
          source.stop();
       for (const source of asyncAudioSources)
          source.sourceNode.stop();
+      for (const audio of [...scheduledAudio])
+         releaseScheduledAudio(audio);
+      pendingAudio.splice(0, pendingAudio.length);
+      for (const automatable of [...effects, channelStrip])
+         automatable.cancelAutomation(audioContext.currentTime);
+      automation.clearLanes();
    }
 
    /**
@@ -1113,6 +1827,9 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
       clearTrack();
       for (const effect of effects)
          effect.output.disconnect();
+      channelStrip.output.disconnect();
+      for (const send of Object.values(sends))
+         send.node.disconnect();
    }
 
    // Returns an object containing functions and attributes within the public Track namespace
@@ -1123,9 +1840,12 @@ export function createTrack(name, audioContext, tempo, keySignature, trackAudioS
        * @instance
        */
       name,
-      updateInstrument, removeInstrument, applyEffect, updateEffect, getCurrentEffectParameters, removeEffect, stopNoteAsync,
+      updateInstrument, removeInstrument, applyEffect, updateEffect, getCurrentEffectParameters, removeEffect, moveEffect, updateEffectMix, getEffectMix, getEffectFrequencyResponse, getEffectChain, replaceEffects, stopNoteAsync,
       playNoteAsync, playNote, playChord, playSequence, playClip, playFile, recordMidiClip, recordAudioClip, recordOutput,
       connectToMidiDevice, disconnectFromMidiDevice, connectToAudioInputDevice, disconnectFromAudioInputDevice, deleteTrack,
-      clearTrack, getAnalysisBuffer
+      clearTrack, getAnalysisBuffer, renderOffline, captureScheduledAudio, cancelScheduledAudio, setLookaheadWindow,
+      materializePendingAudio, getPendingNotes, updatePendingNote, cancelPendingNote, updateHumanization, getHumanization,
+      updateMixer, setSoloMuted, getMixer, setOutput, getOutputBus, addSend, updateSend, removeSend, getSends, setAutomation,
+      getAutomation, removeAutomation, getAutomationLanes, playAutomation, getEffect, getEffectParameterRange, addNoteListener, removeNoteListener
    };
 }
@@ -0,0 +1,399 @@
+/**
+ * Module containing functionality to create a {@link WebAudioAPI} transport.
+ * @module Transport
+ */
+
+/**
+ * Object containing all transport-specific {@link WebAudioAPI} functionality.
+ * @namespace Transport
+ * @global
+ */
+
+import * as WebAudioApiErrors from './Errors.mjs';
+import { createTimer } from './Scheduler.mjs';
+
+// Number of seconds by which a song position may precede a bar line and still be considered part of that bar
+const positionTolerance = 1e-9;
+
+// Number of milliseconds between consecutive checks for whether the next loop pass needs to be scheduled
+const passIntervalMilliseconds = 25;
+
+/**
+ * Creates a new {@link Transport} object capable of playing, pausing, seeking, and looping
+ * musical content placed at bar/beat positions along a song timeline.
+ *
+ * Bar/beat positions are converted to song time by integrating over the global tempo map,
+ * where the time of each tempo or meter change is interpreted as the number of seconds from
+ * the beginning of the song timeline. Each bar uses the time signature in effect at its start.
+ * Placed content is scheduled on its track relative to the beginning of the song timeline in
+ * each pass, so that note durations are likewise read from the tempo map in song time.
+ *
+ * @param {AudioContext} audioContext - Reference to the global browser {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @param {TempoMap} tempoMap - Reference to the {@link TempoMap} object stored in the global {@link WebAudioAPI} object
+ * @param {Object<string, Track>} tracks - Reference to the listing of all {@link Track Tracks} stored in the global {@link WebAudioAPI} object
+ * @returns {Transport} Newly created {@link Transport}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioContext AudioContext}
+ * @see {@link TempoMap}
+ * @see {@link Track}
+ */
+export function createTransport(audioContext, tempoMap, tracks) {
+
+   // Transport-local variable definitions
+   let nextContentId = 1, isPlaying = false, songPosition = 0.0, loopRegion = null, isSchedulingPass = false;
+   const placedContent = {}, scheduledPasses = [], passTimer = createTimer(scheduleLoopPasses);
+
+   // Private internal Transport functions
+   function getMeasureWholeNotes(time) {
+      const { timeSignatureNumerator, timeSignatureDenominator } = tempoMap.getTempoAt(time);
+      return { measureWholeNotes: timeSignatureNumerator / timeSignatureDenominator, beatWholeNotes: 1.0 / timeSignatureDenominator };
+   }
+
+   function wholeNotesToSeconds(wholeNotes, startTime) {
+      return (wholeNotes > 0) ? tempoMap.convertNoteDurationToSeconds(1.0 / wholeNotes, startTime) : 0.0;
+   }
+
+   function positionToSeconds(bar, beat) {
+      let barStartTime = 0.0;
+      for (let currentBar = 1; currentBar < Math.floor(bar); ++currentBar)
+         barStartTime += wholeNotesToSeconds(getMeasureWholeNotes(barStartTime).measureWholeNotes, barStartTime);
+      const { measureWholeNotes, beatWholeNotes } = getMeasureWholeNotes(barStartTime);
+      return barStartTime + wholeNotesToSeconds(((bar - Math.floor(bar)) * measureWholeNotes) + ((beat - 1) * beatWholeNotes), barStartTime);
+   }
+
+   function secondsToPosition(seconds) {
+      let bar = 1, barStartTime = 0.0;
+      for (let barEndTime = wholeNotesToSeconds(getMeasureWholeNotes(0.0).measureWholeNotes, 0.0); barEndTime <= seconds + positionTolerance; ++bar) {
+         barStartTime = barEndTime;
+         barEndTime += wholeNotesToSeconds(getMeasureWholeNotes(barStartTime).measureWholeNotes, barStartTime);
+      }
+      const { beatWholeNotes } = getMeasureWholeNotes(barStartTime);
+      return { bar, beat: 1 + (tempoMap.convertSecondsToWholeNotes(Math.max(seconds - barStartTime, 0.0), barStartTime) / beatWholeNotes) };
+   }
+
+   function checkPosition(bar, beat) {
+      if (!(Number(bar) >= 1))
+         throw new WebAudioApiErrors.WebAudioValueError(`The bar value (${bar}) must be a number >= 1`);
+      if (!(Number(beat) >= 1))
+         throw new WebAudioApiErrors.WebAudioValueError(`The beat value (${beat}) must be a number >= 1`);
+   }
+
+   function getContentEndTime(content, contentTime) {
+      if (content.type == 'note')
+         return contentTime + tempoMap.convertNoteDurationToSeconds(content.duration, contentTime);
+      else if (content.type == 'sequence')
+         return content.sequence.reduce((endTime, item) => endTime + (Array.isArray(item[0]) ?
+            Math.min(...item.map(([, duration]) => tempoMap.convertNoteDurationToSeconds(Number(duration), endTime))) :
+            tempoMap.convertNoteDurationToSeconds(Number(item[1]), endTime)), contentTime);
+      const clipDuration = (content.clip.clipType == 'midi') ? content.clip.getDuration() : content.clip.duration;
+      return contentTime + ((content.duration && (content.duration < clipDuration)) ? content.duration : clipDuration);
+   }
+
+   async function scheduleContent(content, pass, cutoffTime) {
+      // Content that has fully ended before the pass is skipped, and content extending beyond the pass is stopped at its end
+      const track = tracks[content.trackName], contentTime = positionToSeconds(content.bar, content.beat);
+      if (!track || (contentTime >= pass.to) || (getContentEndTime(content, contentTime) <= pass.from))
+         return;
+      // All clips are stored pre-decoded so that their audio sources are created synchronously while capturing
+      let result = null;
+      const startTime = pass.contextStartTime + contentTime - pass.from;
+      track.captureScheduledAudio(content.scheduledAudio, cutoffTime, pass.contextStartTime + pass.to - pass.from, pass.contextStartTime - pass.from);
+      try {
+         if (content.type == 'note')
+            track.playNote(content.note, startTime, content.duration, structuredClone(content.modifications), content.isDrumNote);
+         else if (content.type == 'sequence')
+            track.playSequence(structuredClone(content.sequence), startTime, structuredClone(content.modifications), content.areDrumNotes);
+         else
+            result = track.playClip(content.clip, startTime, content.duration);
+      }
+      finally {
+         track.captureScheduledAudio(null);
+      }
+      await result;
+   }
+
+   async function schedulePass(pass) {
+      // Content starting before the pass is scheduled with a cutoff so that only its still-sounding portion plays
+      scheduledPasses.push(pass);
+      for (const content of Object.values(placedContent))
+         if (scheduledPasses.includes(pass))
+            await scheduleContent(content, pass, pass.contextStartTime);
+   }
+
+   async function scheduleLoopPasses() {
+      // The next loop pass is scheduled as soon as the most recently scheduled pass begins playing
+      const previousPass = scheduledPasses[scheduledPasses.length - 1];
+      if (isSchedulingPass || !previousPass || (audioContext.currentTime < previousPass.contextStartTime))
+         return;
+      isSchedulingPass = true;
+      const loopStart = positionToSeconds(loopRegion.startBar, loopRegion.startBeat);
+      const loopEnd = positionToSeconds(loopRegion.endBar, loopRegion.endBeat);
+      const nextPass = { contextStartTime: previousPass.contextStartTime + previousPass.to - previousPass.from, from: loopStart, to: loopEnd };
+      while (scheduledPasses.length > 2)
+         scheduledPasses.shift();
+      try {
+         await schedulePass(nextPass);
+      }
+      finally {
+         isSchedulingPass = false;
+      }
+   }
+
+   function cancelAllScheduledContent() {
+      passTimer.stop();
+      scheduledPasses.splice(0, scheduledPasses.length);
+      for (const content of Object.values(placedContent))
+         if (tracks[content.trackName])
+            tracks[content.trackName].cancelScheduledAudio(content.scheduledAudio);
+   }
+
+   function currentSongPosition() {
+      if (!isPlaying)
+         return songPosition;
+      const pass = scheduledPasses.find(pass => (audioContext.currentTime < pass.contextStartTime + pass.to - pass.from)) || scheduledPasses[0];
+      return pass.from + Math.max(audioContext.currentTime - pass.contextStartTime, 0);
+   }
+
+   async function placeContent(content) {
+      const contentId = nextContentId++;
+      placedContent[contentId] = { ...content, scheduledAudio: [] };
+      if (isPlaying)
+         for (const pass of [...scheduledPasses])
+            await scheduleContent(placedContent[contentId], pass, Math.max(pass.contextStartTime, audioContext.currentTime));
+      return contentId;
+   }
+
+   /**
+    * Places a note at the specified bar/beat position on the song timeline.
+    *
+    * @param {string} trackName - Name of the track on which to play the note
+    * @param {number} note - MIDI {@link module:Constants.Note Note} number to be played
+    * @param {number} bar - Bar number (starting at 1) at which to place the note
+    * @param {number} beat - Beat within the bar (starting at 1) at which to place the note
+    * @param {number} duration - {@link module:Constants.Duration Duration} for which to continue playing the note
+    * @param {ModificationDetails[]} modifications - One or more {@link ModificationDetails Modifications} to apply to the note
+    * @param {boolean} isDrumNote - Whether this note is a drum note (i.e., not affected by key or duration)
+    * @returns {Promise<number>} Unique identifier of the placed content
+    * @memberof Transport
+    * @instance
+    */
+   async function placeNote(trackName, note, bar, beat, duration, modifications, isDrumNote) {
+      checkPosition(bar, beat);
+      return await placeContent({ type: 'note', trackName, bar: Number(bar), beat: Number(beat), note, duration,
+         modifications: structuredClone(modifications), isDrumNote });
+   }
+
+   /**
+    * Places a musical sequence at the specified bar/beat position on the song timeline.
+    *
+    * @param {string} trackName - Name of the track on which to play the sequence
+    * @param {Array<Array|Array<Array>>} sequence - Array of `[note, duration, mods]` and/or chords corresponding to the sequence to be played
+    * @param {number} bar - Bar number (starting at 1) at which to place the sequence
+    * @param {number} beat - Beat within the bar (starting at 1) at which to place the sequence
+    * @param {ModificationDetails[]} modifications - One or more {@link ModificationDetails Modifications} to apply to the sequence
+    * @param {boolean} areDrumNotes - Whether this sequence contains only drum notes (i.e., not affected by key or duration)
+    * @returns {Promise<number>} Unique identifier of the placed content
+    * @memberof Transport
+    * @instance
+    */
+   async function placeSequence(trackName, sequence, bar, beat, modifications, areDrumNotes) {
+      checkPosition(bar, beat);
+      return await placeContent({ type: 'sequence', trackName, bar: Number(bar), beat: Number(beat),
+         sequence: structuredClone(sequence), modifications: structuredClone(modifications), areDrumNotes });
+   }
+
+   /**
+    * Places an audio clip at the specified bar/beat position on the song timeline.
+    *
+    * If the `duration` parameter is not specified or is set to `null`, the audio clip will
+    * play to completion.
+    *
+    * @param {string} trackName - Name of the track on which to play the clip
+    * @param {ArrayBuffer|AudioBuffer|Blob|MidiClip|AudioClip} audioClip - Object containing audio data to play
+    * @param {number} bar - Bar number (starting at 1) at which to place the clip
+    * @param {number} beat - Beat within the bar (starting at 1) at which to place the clip
+    * @param {number} [duration] - Number of seconds for which to continue playing the clip
+    * @returns {Promise<number>} Unique identifier of the placed content
+    * @memberof Transport
+    * @instance
+    */
+   async function placeClip(trackName, audioClip, bar, beat, duration) {
+      checkPosition(bar, beat);
+      const clip = (audioClip instanceof AudioBuffer || audioClip.clipType == 'midi') ? audioClip :
+         (await audioContext.decodeAudioData(audioClip instanceof ArrayBuffer ? audioClip : (audioClip instanceof Blob ? await audioClip.arrayBuffer() : await audioClip.getRawData().arrayBuffer())));
+      return await placeContent({ type: 'clip', trackName, bar: Number(bar), beat: Number(beat), clip, duration });
+   }
+
+   /**
+    * Removes the specified content from the song timeline, cancelling any of its audio that is
+    * currently scheduled for playback.
+    *
+    * @param {number} contentId - Unique identifier of the placed content to remove
+    * @memberof Transport
+    * @instance
+    */
+   function removeContent(contentId) {
+      if (!(contentId in placedContent))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target timeline content (${contentId}) does not exist`);
+      const content = placedContent[contentId];
+      if (tracks[content.trackName])
+         tracks[content.trackName].cancelScheduledAudio(content.scheduledAudio);
+      delete placedContent[contentId];
+   }
+
+   /**
+    * Removes all content from the song timeline, or only the content placed on the specified
+    * track, if given.
+    *
+    * @param {string} [trackName] - Name of the track from which to remove all placed content
+    * @memberof Transport
+    * @instance
+    */
+   function clearContent(trackName) {
+      for (const contentId in placedContent)
+         if (!trackName || (placedContent[contentId].trackName == trackName))
+            removeContent(contentId);
+   }
+
+   /**
+    * Starts playback of all placed content from the current song position.
+    *
+    * @memberof Transport
+    * @instance
+    */
+   async function start() {
+      if (isPlaying)
+         return;
+      isPlaying = true;
+      const contextStartTime = audioContext.currentTime + 0.050;
+      if (loopRegion) {
+         const loopStart = positionToSeconds(loopRegion.startBar, loopRegion.startBeat);
+         const loopEnd = positionToSeconds(loopRegion.endBar, loopRegion.endBeat);
+         if (songPosition < loopEnd) {
+            await schedulePass({ contextStartTime, from: songPosition, to: loopEnd });
+            await schedulePass({ contextStartTime: contextStartTime + loopEnd - songPosition, from: loopStart, to: loopEnd });
+            if (isPlaying)
+               passTimer.start(passIntervalMilliseconds);
+            return;
+         }
+      }
+      await schedulePass({ contextStartTime, from: songPosition, to: Number.POSITIVE_INFINITY });
+   }
+
+   /**
+    * Pauses playback of all placed content, retaining the current song position.
+    *
+    * @memberof Transport
+    * @instance
+    */
+   function pause() {
+      if (isPlaying) {
+         songPosition = currentSongPosition();
+         cancelAllScheduledContent();
+         isPlaying = false;
+      }
+   }
+
+   /**
+    * Stops playback of all placed content and returns the song position to the beginning.
+    *
+    * @memberof Transport
+    * @instance
+    */
+   function stop() {
+      pause();
+      songPosition = 0.0;
+   }
+
+   /**
+    * Moves the song position to the specified bar/beat position. If the transport is currently
+    * playing, all placed content will be automatically rescheduled to play from the new
+    * position.
+    *
+    * @param {number} bar - Bar number (starting at 1) to which to move the song position
+    * @param {number} beat - Beat within the bar (starting at 1) to which to move the song position
+    * @memberof Transport
+    * @instance
+    */
+   async function seek(bar, beat) {
+      checkPosition(bar, beat);
+      const wasPlaying = isPlaying;
+      pause();
+      songPosition = positionToSeconds(Number(bar), Number(beat));
+      if (wasPlaying)
+         await start();
+   }
+
+   /**
+    * Sets a region of the song timeline to be looped continuously during playback. Any content
+    * still sounding at the end of the loop region is faded out at the end of each pass.
+    *
+    * @param {number} startBar - Bar number (starting at 1) at which the loop region begins
+    * @param {number} startBeat - Beat within the bar (starting at 1) at which the loop region begins
+    * @param {number} endBar - Bar number (starting at 1) at which the loop region ends
+    * @param {number} endBeat - Beat within the bar (starting at 1) at which the loop region ends
+    * @memberof Transport
+    * @instance
+    */
+   async function setLoop(startBar, startBeat, endBar, endBeat) {
+      checkPosition(startBar, startBeat);
+      checkPosition(endBar, endBeat);
+      if (positionToSeconds(Number(endBar), Number(endBeat)) <= positionToSeconds(Number(startBar), Number(startBeat)))
+         throw new WebAudioApiErrors.WebAudioValueError('The end of a loop region must come after the start of the loop region');
+      const wasPlaying = isPlaying;
+      pause();
+      loopRegion = { startBar: Number(startBar), startBeat: Number(startBeat), endBar: Number(endBar), endBeat: Number(endBeat) };
+      if (wasPlaying)
+         await start();
+   }
+
+   /**
+    * Removes any existing loop region so that playback continues linearly along the song timeline.
+    *
+    * @memberof Transport
+    * @instance
+    */
+   async function clearLoop() {
+      const wasPlaying = isPlaying;
+      pause();
+      loopRegion = null;
+      if (wasPlaying)
+         await start();
+   }
+
+   /**
+    * Returns the current position of the transport along the song timeline.
+    *
+    * @returns {TimelinePosition} Current position of the transport
+    * @memberof Transport
+    * @instance
+    */
+   function getPosition() {
+      const seconds = currentSongPosition();
+      return { ...secondsToPosition(seconds), seconds };
+   }
+
+   /**
+    * Returns the currently active loop region, or `null` if no loop region is set.
+    *
+    * @returns {Object<string, number>|null} Object containing the `startBar`, `startBeat`, `endBar`, and `endBeat` of the loop region
+    * @memberof Transport
+    * @instance
+    */
+   function getLoop() {
+      return loopRegion ? { ...loopRegion } : null;
+   }
+
+   // Returns an object containing functions and attributes within the public Transport namespace
+   return {
+      /**
+       * Whether the {@link Transport} is currently playing.
+       * @function
+       * @returns {boolean} Whether the transport is currently playing
+       * @memberof Transport
+       * @instance
+       */
+      isPlaying: () => isPlaying,
+      placeNote, placeSequence, placeClip, removeContent, clearContent, start, pause, stop, seek, setLoop, clearLoop,
+      getPosition, getLoop
+   };
+}
@@ -0,0 +1,201 @@
+/**
+ * Module containing functionality to create a {@link WebAudioAPI} tuning system.
+ * @module Tuning
+ */
+
+/**
+ * Object containing all tuning-specific {@link WebAudioAPI} functionality.
+ * @namespace Tuning
+ * @global
+ */
+
+import { TuningSystem } from './Constants.mjs';
+import * as WebAudioApiErrors from './Errors.mjs';
+
+// Interval ratios or cents for each built-in tuning system, relative to its root note
+const tuningSystemIntervals = {
+   [TuningSystem.EqualTemperament]: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200],
+   [TuningSystem.JustIntonation]: ['1/1', '16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8', '2/1'],
+   [TuningSystem.Pythagorean]: ['1/1', '256/243', '9/8', '32/27', '81/64', '4/3', '729/512', '3/2', '128/81', '27/16', '16/9', '243/128', '2/1'],
+   [TuningSystem.QuarterCommaMeantone]: [0, 7, 2, -3, 4, -1, 6, 1, 8, 3, -2, 5, 0].map((numFifths, index) =>
+      ((index == 12) ? 1200 : (((numFifths * 300 * Math.log2(5)) % 1200) + 1200) % 1200))
+};
+
+/**
+ * Creates a new {@link Tuning} object capable of converting MIDI note numbers into
+ * frequencies according to a configurable tuning system and reference pitch.
+ *
+ * By default, the tuning corresponds to 12-tone equal temperament with A4 tuned to 440 Hz.
+ *
+ * @returns {Tuning} Newly created {@link Tuning}
+ */
+export function createTuning() {
+
+   // Tuning-local variable definitions
+   let tuningSystem = TuningSystem.EqualTemperament, description = 'EqualTemperament';
+   let scaleCents = [...tuningSystemIntervals[TuningSystem.EqualTemperament]];
+   let keyboardMapping = { mapSize: 0, firstNote: 0, lastNote: 127, middleNote: 60, octaveDegree: 12, mapping: [] };
+   let referenceNote = 69, referenceFrequency = 440.0;
+
+   // Private internal Tuning functions
+   function parseInterval(interval) {
+      if (typeof interval === 'number')
+         return interval;
+      else if (interval.includes('.'))
+         return Number(interval);
+      const [numerator, denominator] = interval.split('/').map(Number);
+      return 1200.0 * Math.log2(numerator / (denominator === undefined ? 1 : denominator));
+   }
+
+   function getScaleDegreeCents(degree) {
+      const numDegrees = scaleCents.length - 1;
+      const octave = Math.floor(degree / numDegrees);
+      return (octave * scaleCents[numDegrees]) + scaleCents[degree - (octave * numDegrees)];
+   }
+
+   function getNoteCents(note) {
+      if ((note < keyboardMapping.firstNote) || (note > keyboardMapping.lastNote))
+         return null;
+      const offset = note - keyboardMapping.middleNote;
+      if (!keyboardMapping.mapSize)
+         return getScaleDegreeCents(offset);
+      const numOctaves = Math.floor(offset / keyboardMapping.mapSize);
+      const degree = keyboardMapping.mapping[offset - (numOctaves * keyboardMapping.mapSize)];
+      return (degree == null) ? null : (getScaleDegreeCents(degree) + (numOctaves * getScaleDegreeCents(keyboardMapping.octaveDegree)));
+   }
+
+   function getScalaLines(fileContents) {
+      return fileContents.split(/\r?\n/).filter(line => !line.startsWith('!'));
+   }
+
+   /**
+    * Updates the tuning to correspond to one of the built-in tuning systems, with the first
+    * degree of the tuning system corresponding to the pitch class of the specified root note.
+    *
+    * Note that any previously loaded Scala keyboard mapping will be replaced.
+    *
+    * @param {number} system - Built-in {@link module:Constants.TuningSystem TuningSystem} to use
+    * @param {number} rootNote - MIDI note number corresponding to the root of the tuning system
+    * @memberof Tuning
+    * @instance
+    */
+   function updateTuningSystem(system, rootNote) {
+      tuningSystem = system;
+      description = Object.keys(TuningSystem).find(key => TuningSystem[key] == system);
+      scaleCents = tuningSystemIntervals[system].map(parseInterval);
+      keyboardMapping = { mapSize: 0, firstNote: 0, lastNote: 127, middleNote: 60 + (rootNote % 12), octaveDegree: 12, mapping: [] };
+   }
+
+   /**
+    * Updates the reference pitch of the tuning so that the specified MIDI note sounds at
+    * exactly the specified frequency.
+    *
+    * @param {number} frequency - Frequency (in Hz) of the reference note
+    * @param {number} note - MIDI note number of the reference note
+    * @memberof Tuning
+    * @instance
+    */
+   function updateReferencePitch(frequency, note) {
+      referenceFrequency = frequency;
+      referenceNote = note;
+   }
+
+   /**
+    * Loads a tuning from the contents of a Scala scale (.scl) file and an optional Scala
+    * keyboard mapping (.kbm) file.
+    *
+    * If no keyboard mapping is specified, the first scale degree will be mapped linearly to
+    * middle C (MIDI note 60), and the current reference pitch will be retained.
+    *
+    * @param {string} sclContents - Contents of a Scala scale (.scl) file
+    * @param {string} [kbmContents] - Contents of a Scala keyboard mapping (.kbm) file
+    * @memberof Tuning
+    * @instance
+    * @see {@link https://www.huygens-fokker.org/scala/scl_format.html Scala File Format}
+    */
+   function loadScala(sclContents, kbmContents) {
+      const sclLines = getScalaLines(sclContents);
+      const numDegrees = parseInt(sclLines[1]);
+      if (!(numDegrees > 0) || (sclLines.length < numDegrees + 2))
+         throw new WebAudioApiErrors.WebAudioValueError('The specified Scala scale file is corrupt or incomplete');
+      const newScaleCents = [0];
+      for (let i = 0; i < numDegrees; ++i) {
+         const interval = sclLines[i + 2].trim().split(/\s+/)[0];
+         const cents = parseInterval(interval);
+         if (!interval || !Number.isFinite(cents))
+            throw new WebAudioApiErrors.WebAudioValueError(`The Scala scale file contains an invalid pitch value (${sclLines[i + 2].trim()})`);
+         newScaleCents.push(cents);
+      }
+      let newKeyboardMapping = { mapSize: 0, firstNote: 0, lastNote: 127, middleNote: 60, octaveDegree: numDegrees, mapping: [] };
+      let newReferenceNote = referenceNote, newReferenceFrequency = referenceFrequency;
+      if (kbmContents) {
+         const kbmValues = getScalaLines(kbmContents).map(line => line.trim().split(/\s+/)[0]).filter(value => value.length);
+         const mapSize = parseInt(kbmValues[0]);
+         if ((kbmValues.length < 7 + mapSize) || kbmValues.slice(0, 7).some(value => Number.isNaN(Number(value))))
+            throw new WebAudioApiErrors.WebAudioValueError('The specified Scala keyboard mapping file is corrupt or incomplete');
+         newKeyboardMapping = {
+            mapSize, firstNote: parseInt(kbmValues[1]), lastNote: parseInt(kbmValues[2]), middleNote: parseInt(kbmValues[3]),
+            octaveDegree: parseInt(kbmValues[6]) || numDegrees,
+            mapping: kbmValues.slice(7, 7 + mapSize).map(value => ((value.toLowerCase() == 'x') ? null : parseInt(value)))
+         };
+         newReferenceNote = parseInt(kbmValues[4]);
+         newReferenceFrequency = Number(kbmValues[5]);
+      }
+      const previousState = [scaleCents, keyboardMapping];
+      [scaleCents, keyboardMapping] = [newScaleCents, newKeyboardMapping];
+      if (getNoteCents(newReferenceNote) == null) {
+         [scaleCents, keyboardMapping] = previousState;
+         throw new WebAudioApiErrors.WebAudioValueError(`The Scala reference note (${newReferenceNote}) is not mapped to any scale degree`);
+      }
+      tuningSystem = null;
+      description = sclLines[0].trim();
+      referenceNote = newReferenceNote;
+      referenceFrequency = newReferenceFrequency;
+   }
+
+   /**
+    * Returns the frequency (in Hz) of the specified MIDI note in the current tuning, or
+    * `null` if the note is not mapped to any pitch.
+    *
+    * @param {number} note - MIDI note number for which to return the frequency
+    * @returns {number|null} Frequency (in Hz) of the specified note
+    * @memberof Tuning
+    * @instance
+    */
+   function getFrequency(note) {
+      const cents = getNoteCents(note);
+      return (cents == null) ? null : (referenceFrequency * Math.pow(2.0, (cents - getNoteCents(referenceNote)) / 1200.0));
+   }
+
+   /**
+    * Returns the number of cents by which audio recorded at the specified sample note in
+    * standard 12-tone equal temperament (with A4 at 440 Hz) must be detuned in order to
+    * produce the specified MIDI note in the current tuning.
+    *
+    * @param {number} note - MIDI note number to be produced
+    * @param {number} sampleNote - MIDI note number at which the source audio was recorded
+    * @returns {number} Number of cents by which to detune the source audio
+    * @memberof Tuning
+    * @instance
+    */
+   function getDetune(note, sampleNote) {
+      const frequency = getFrequency(note);
+      return (frequency == null) ? (100 * (note - sampleNote)) : ((1200.0 * Math.log2(frequency / 440.0)) - (100 * (sampleNote - 69)));
+   }
+
+   /**
+    * Returns a description of the current tuning.
+    *
+    * @returns {Object} Object containing the current `tuningSystem` (or `null` for a Scala tuning), `description`, `referenceNote`, and `referenceFrequency`
+    * @memberof Tuning
+    * @instance
+    */
+   function getDetails() {
+      return { tuningSystem, description, referenceNote, referenceFrequency };
+   }
+
+   // Returns an object containing functions and attributes within the public Tuning namespace
+   return {
+      updateTuningSystem, updateReferencePitch, loadScala, getFrequency, getDetune, getDetails
+   };
+}
@@ -0,0 +1,31 @@
+/**
+ * Module containing functionality to load {@link WebAudioAPI} audio worklet processors.
+ * @module Worklet
+ */
+
+// Pending or completed processor module loads, keyed by audio context and processor name
+const loadedProcessors = new WeakMap();
+
+/**
+ * Loads the specified audio worklet processor source code into the given audio context,
+ * ensuring that each processor is only registered once per context. A failed load is not
+ * cached, so loading the same processor may be retried.
+ *
+ * @param {BaseAudioContext} audioContext - Reference to the audio context into which to load the processor
+ * @param {string} processorName - Name under which the processor source registers itself
+ * @param {string} processorSource - JavaScript source code of the processor module
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioWorklet AudioWorklet}
+ * @async
+ */
+export async function loadAudioWorkletProcessor(audioContext, processorName, processorSource) {
+   if (!loadedProcessors.has(audioContext))
+      loadedProcessors.set(audioContext, {});
+   const contextProcessors = loadedProcessors.get(audioContext);
+   if (!(processorName in contextProcessors))
+      contextProcessors[processorName] = audioContext.audioWorklet.addModule(URL.createObjectURL(new Blob([processorSource], { type: 'text/javascript' })))
+         .catch(err => {
+            delete contextProcessors[processorName];
+            throw err;
+         });
+   await contextProcessors[processorName];
+}
@@ -1,7 +1,22 @@
-import { Note, Duration, EffectType, ModificationType, EncodingType, AnalysisType, KeySignature } from './modules/Constants.mjs';
+import { Note, Duration, EffectType, ModificationType, EncodingType, AnalysisType, KeySignature, KeyMode, TempoRampType, TuningSystem, MetronomeSound, AutomationShape, ModulatorType, EqualizerBandType } from './modules/Constants.mjs';
 import { getModificationParameters, canModifySequence } from './modules/Modification.mjs';
-import { loadEffect, getEffectParameters } from './modules/Effect.mjs';
+import { loadEffect, getEffectParameters, connectEffectChain, registerEffect as registerEffectImpl } from './modules/Effect.mjs';
+import { EffectBase } from './effects/EffectBase.mjs';
+import { getFactoryPresets, parseEffectChain, loadEffectChain, serializeEffectChain, resolveEffectParameters } from './modules/Preset.mjs';
 import { createTrack as createTrackImpl } from './modules/Track.mjs';
+import { createTransport } from './modules/Transport.mjs';
+import { createScheduler } from './modules/Scheduler.mjs';
+import { createTempoMap } from './modules/TempoMap.mjs';
+import { createTuning } from './modules/Tuning.mjs';
+import { createListener } from './modules/Listener.mjs';
+import { createMetronome } from './modules/Metronome.mjs';
+import { getMixerOptions, updateSoloState } from './modules/ChannelStrip.mjs';
+import { createBus, createsFeedbackLoop } from './modules/Bus.mjs';
+import { getSidechainKeyName, findSidechainKey } from './modules/Sidechain.mjs';
+import { createAutomation, getAutomationBreakpoints, getNumericParameterRange } from './modules/Automation.mjs';
+import { createModulator as createModulatorImpl, getModulatorOptions } from './modules/Modulator.mjs';
+import { createGroove, createSwingGroove, extractGroove } from './modules/Groove.mjs';
+import { getHumanizeSettings } from './modules/Humanize.mjs';
 import { loadInstrument } from './modules/Instrument.mjs';
 import * as WebAudioApiErrors from './modules/Errors.mjs';
 import { getAnalyzerFor } from './modules/Analysis.mjs';
@@ -36,6 +51,18 @@ import { version } from '../../package.json';
  * @property {number} measureLengthSeconds - Length (in seconds) of a measure
  */
 
+/**
+ * Composite object type for holding the tempo details in effect at the start of a note.
+ * 
+ * In addition to all properties of the instantaneous {@link Tempo} at the start of the note,
+ * this type provides a `getDurationSeconds(duration, [timeOffset])` function which converts a
+ * note {@link module:Constants.Duration Duration} beginning `timeOffset` seconds after the start
+ * of the note into seconds by integrating over all tempo changes in the {@link TempoMap}.
+ * 
+ * @typedef {Tempo} NoteTempo
+ * @property {function} getDurationSeconds - Converts a note duration into seconds, taking all tempo changes into account
+ */
+
 /**
  * Composite object type for holding all key-related information.
  * 
@@ -44,14 +71,36 @@ import { version } from '../../package.json';
  * @property {Array<number>} offsets - Array containing all pitch offsets in the current key signature where the offset for C is at index 0
  */
 
+/**
+ * Composite object type for holding a position along the {@link Transport} song timeline.
+ * 
+ * @typedef {Object} TimelinePosition
+ * @property {number} bar - Bar number of the position, starting at 1
+ * @property {number} beat - Fractional beat within the bar, starting at 1
+ * @property {number} seconds - Number of seconds from the beginning of the song timeline
+ */
+
 /**
  * Composite object type for holding a set of concrete {@link Effect} parameter details.
  * 
  * @typedef {Object} EffectParameter
  * @property {string} name - Name of the effect parameter
- * @property {string} type - Type of effect parameter value (either "string" or "number")
- * @property {Array<string|number>} validValues - For "string" types, a listing of all valid values; for "number" types, the min/max values
- * @property {string|number} defaultValue - Default effect value before any updates
+ * @property {string} type - Type of effect parameter value (either "string", "number", or "Array<number>")
+ * @property {Array<string|number>} validValues - For "string" types, a listing of all valid values (or an empty listing if the value is free-form, such as a track or bus name); for numeric types, the min/max values
+ * @property {string|number|number[]} defaultValue - Default effect value before any updates
+ */
+
+/**
+ * Composite object type for holding the details of a note that has not yet entered the
+ * lookahead scheduling window.
+ * 
+ * @typedef {Object} PendingNote
+ * @property {number} id - Unique identifier of the pending note within its track
+ * @property {number} note - MIDI note number to be played
+ * @property {number} velocity - Velocity (between [0.0, 1.0]) at which to play the note
+ * @property {number} startTime - Global API time at which the note will start playing
+ * @property {number} duration - Number of seconds for which the note will play
+ * @property {boolean} isDrumNote - Whether the note is a drum note
  */
 
 /**
@@ -85,6 +134,59 @@ function checkModifications(mods, forSingleNote) {
    }
 }
 
+function getNoteDurationCandidates(includeDotted, includeTuplets) {
+   const standardDurations = Object.entries(Duration).filter(([name]) => !name.includes('Dotted')).map(([, duration]) => duration);
+   const candidates = Object.entries(Duration).filter(([name]) => includeDotted || !name.includes('Dotted')).map(([, duration]) => duration);
+   if (includeTuplets)
+      for (const duration of standardDurations)
+         for (const [numNotes, intoNumNotes] of [[3, 2], [5, 4], [7, 4]])
+            candidates.push(duration * numNotes / intoNumNotes);
+   return candidates;
+}
+
+function getKeySignatureOffsets(keySignature) {
+   const offsets = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+   const accidentalOrder = (keySignature > 0) ? [5, 0, 7, 2, 9, 4, 11] : [11, 4, 9, 2, 7, 0, 5];
+   for (let i = 0; i < Math.abs(keySignature); ++i)
+      offsets[accidentalOrder[i]] = Math.sign(keySignature);
+   return offsets;
+}
+
+function checkEffectIndex(index, isOptional) {
+   if ((index == null) ? !isOptional : !Number.isInteger(Number(index)))
+      throw new WebAudioApiErrors.WebAudioValueError(`The effect index (${index}) must be an integer position in the effect processing sequence`);
+}
+
+function checkModulatorSource(modulatorType, source, tracks, sidechainKeys) {
+   if ((modulatorType == ModulatorType.Envelope) && !(source in tracks))
+      throw new WebAudioApiErrors.WebAudioTargetError(`The modulator source track name (${source}) does not exist`);
+   else if ((modulatorType == ModulatorType.EnvelopeFollower) && !findSidechainKey(sidechainKeys, source))
+      throw new WebAudioApiErrors.WebAudioTargetError(`The modulator source track or bus name (${source}) does not exist`);
+}
+
+function connectModulatorSource(modulator, tracks, sidechainKeys, shouldConnect) {
+   const { type, options: { source } } = modulator.getDetails();
+   if ((type == ModulatorType.Envelope) && (source in tracks)) {
+      if (shouldConnect)
+         tracks[source].addNoteListener(modulator.noteReceived);
+      else
+         tracks[source].removeNoteListener(modulator.noteReceived);
+   }
+   else if ((type == ModulatorType.EnvelopeFollower) && findSidechainKey(sidechainKeys, source)) {
+      if (shouldConnect)
+         findSidechainKey(sidechainKeys, source).connect(modulator.input);
+      else
+         findSidechainKey(sidechainKeys, source).disconnect(modulator.input);
+   }
+}
+
+function getFrequencyList(frequencies) {
+   const frequencyList = Float32Array.from(frequencies ?? [], Number);
+   if (!frequencyList.length || frequencyList.some(frequency => !(frequency >= 0)))
+      throw new WebAudioApiErrors.WebAudioValueError('The list of frequencies must contain at least one non-negative frequency value');
+   return frequencyList;
+}
+
 function getNoteInKey(note, key) {
    if (!note)
       return 0;
@@ -107,16 +209,28 @@ export class WebAudioAPI {
    #midiCallbacks = {};
    /** @type {Object<string, Track>} */
    #tracks = {};
+   /** @type {Object<string, Bus>} */
+   #buses = {};
+   /** @type {Object<string, GainNode>} */
+   #sidechainKeys = {};
    /** @type {Effect[]} */
    #effects = [];
+   /** @type {Automation} */
+   #masterAutomation = createAutomation();
+   /** @type {Object<string, Modulator>} */
+   #modulators = {};
    /** @type {Object<string, string>} */
    #instrumentListing = {};
+   /** @type {Object<string, string>} */
+   #impulseListing = {};
    /** @type {Object<string, Instrument>} */
    #loadedInstruments = {};
    /** @type {Tempo} */
    #tempo = { measureLengthSeconds: (4 * 60.0 / 100.0), beatBase: 4, beatsPerMinute: 100, timeSignatureNumerator: 4, timeSignatureDenominator: 4 };
    /** @type {Key} */
    #key = { signature: 0, offsets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] };
+   /** @type {Object<string, Key>} */
+   #customKeySignatures = {};
    /** @type {MIDIAccess|null} */
    #midiDeviceAccess = null;
    /** @type {Object<string, string>} */
@@ -125,12 +239,28 @@ export class WebAudioAPI {
    #audioOutputDevices = {};
    /** @type {DynamicsCompressorNode} */
    #compressorNode;
+   /** @type {Effect|null} */
+   #masterLimiter = null;
+   /** @type {AudioNode} */
+   #masterDynamicsNode;
    /** @type {AnalyserNode} */
    #analysisNode;
    /** @type {GainNode} */
    #sourceSinkNode;
    /** @type {Uint8Array} */
    #analysisBuffer;
+   /** @type {TempoMap} */
+   #tempoMap;
+   /** @type {Tuning} */
+   #tuning = createTuning();
+   /** @type {Listener} */
+   #listener = createListener(this.#audioContext);
+   /** @type {Transport} */
+   #transport;
+   /** @type {Scheduler} */
+   #scheduler;
+   /** @type {Metronome} */
+   #metronome;
 
    /**
     * Returns a singleton instance of the WebAudioAPI interface.
@@ -146,7 +276,12 @@ export class WebAudioAPI {
       this.#compressorNode = new DynamicsCompressorNode(this.#audioContext);
       this.#analysisNode = new AnalyserNode(this.#audioContext, { fftSize: 1024, maxDecibels: -10.0, smoothingTimeConstant: 0.5 });
       this.#analysisBuffer = new Uint8Array(this.#analysisNode.frequencyBinCount);
+      this.#masterDynamicsNode = this.#compressorNode;
       this.#sourceSinkNode.connect(this.#compressorNode).connect(this.#analysisNode).connect(this.#audioContext.destination);
+      this.#tempoMap = createTempoMap(this.#tempo);
+      this.#transport = createTransport(this.#audioContext, this.#tempoMap, this.#tracks);
+      this.#scheduler = createScheduler(this.#audioContext, this.#tracks);
+      this.#metronome = createMetronome(this.#audioContext, this.#tempoMap);
    }
 
    /**
@@ -184,6 +319,30 @@ export class WebAudioAPI {
       return KeySignature;
    }
 
+   /**
+    * Returns a listing of all available musical modes in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available modes for displaying on a web page and
+    * for passing to the {@link WebAudioAPI#updateModalKeySignature updateModalKeySignature()}
+    * function.
+    * 
+    * @returns {Object<string, number>} Listing of recognized musical modes by the {@link WebAudioAPI} library
+    * @see {@link module:Constants.KeyMode KeyMode}
+    */
+   getAvailableKeyModes() {
+      return KeyMode;
+   }
+
+   /**
+    * Returns a listing of the names of all custom key signatures registered using the
+    * {@link WebAudioAPI#registerCustomKeySignature registerCustomKeySignature()} function.
+    * 
+    * @returns {string[]} Listing of all registered custom key signature names
+    */
+   getAvailableCustomKeySignatures() {
+      return Object.keys(this.#customKeySignatures);
+   }
+
    /**
     * Returns a full listing of recognized musical notes by the {@link WebAudioAPI} library.
     * 
@@ -268,6 +427,49 @@ export class WebAudioAPI {
       return getEffectParameters(effectType);
    }
 
+   /**
+    * Returns all factory presets available for the specified effect type, keyed by preset name.
+    * 
+    * The parameter values of each preset can be passed directly into the `effectOptions`
+    * parameter of the {@link WebAudioAPI#updateTrackEffect updateTrackEffect()} function, or a
+    * preset name can be referenced from within an effect chain passed to the
+    * {@link WebAudioAPI#importTrackEffectChain importTrackEffectChain()} function. Note that the
+    * `effectType` parameter must be the **numeric value** associated with a certain
+    * {@link module:Constants.EffectType EffectType}, not a string-based key.
+    * 
+    * @param {number} effectType - {@link module:Constants.EffectType EffectType} for which to return factory presets
+    * @returns {Object<string, Object>} Effect-specific parameter values for each factory preset
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   getAvailableEffectPresets(effectType) {
+      if (!Object.values(EffectType).includes(Number(effectType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
+      return getFactoryPresets(Number(effectType));
+   }
+
+   /**
+    * Registers a custom effect so that it can be applied to any track, bus, or the master output
+    * exactly like a built-in effect.
+    * 
+    * The `EffectClass` must extend the {@link EffectBase} class, which is available as
+    * `WebAudioAPI.EffectBase`, and must implement a static `getParameters()` function along with
+    * the `load()`, `update()`, `currentParameterValues()`, `getInputNode()`, and
+    * `getOutputNode()` functions. Once registered, the effect is assigned a new unique numeric
+    * type identifier and appears in the listings returned by both the
+    * {@link WebAudioAPI#getAvailableEffects getAvailableEffects()} and
+    * {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()} functions.
+    * 
+    * Note that registered effects are shared by every {@link WebAudioAPI} instance on the page.
+    * 
+    * @param {string} effectName - Unique name under which to register the effect
+    * @param {Function} EffectClass - Class implementing the custom effect
+    * @returns {number} Numeric {@link module:Constants.EffectType EffectType} identifier assigned to the effect
+    * @see {@link EffectBase}
+    */
+   registerEffect(effectName, EffectClass) {
+      return registerEffectImpl(effectName, EffectClass);
+   }
+
    /**
     * Returns a list of modification-specific parameters for use in the `modificationOptions`
     * parameter of the {@link WebAudioAPI#getModification getModification()} function or
@@ -298,6 +500,65 @@ export class WebAudioAPI {
       return getModificationParameters(modificationType);
    }
 
+   /**
+    * Returns a listing of all available tempo ramp types in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available tempo ramp options for displaying on a
+    * web page.
+    * 
+    * @returns {Object<string, number>} Listing of all available tempo ramp types in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.TempoRampType TempoRampType}
+    */
+   getAvailableTempoRampTypes() {
+      return TempoRampType;
+   }
+
+   /**
+    * Returns a listing of all available automation breakpoint shapes in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available automation shape options for displaying
+    * on a web page.
+    * 
+    * @returns {Object<string, number>} Listing of all available automation shapes in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.AutomationShape AutomationShape}
+    */
+   getAvailableAutomationShapes() {
+      return AutomationShape;
+   }
+
+   /**
+    * Returns a listing of all available parameter modulator types in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available modulator options for displaying on a
+    * web page. Note, however, that the `modulatorType` parameter passed to the
+    * {@link WebAudioAPI#createModulator createModulator()} function must be the **numeric value**
+    * associated with a certain {@link module:Constants.ModulatorType ModulatorType}, not a
+    * string-based key.
+    * 
+    * @returns {Object<string, number>} Listing of all available modulator types in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.ModulatorType ModulatorType}
+    */
+   getAvailableModulatorTypes() {
+      return ModulatorType;
+   }
+
+   /**
+    * Returns a listing of all available band filter types for use with the
+    * {@link ParametricEqualization} effect in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available equalizer band options for displaying on
+    * a web page. Note, however, that the `bandTypes` parameter passed to the
+    * {@link ParametricEqualization#update update()} function must contain the **numeric values**
+    * associated with certain {@link module:Constants.EqualizerBandType EqualizerBandTypes}, not
+    * string-based keys.
+    * 
+    * @returns {Object<string, number>} Listing of all available equalizer band types in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.EqualizerBandType EqualizerBandType}
+    */
+   getAvailableEqualizerBandTypes() {
+      return EqualizerBandType;
+   }
+
    /**
     * Returns a listing of all available encoders in the {@link WebAudioAPI} library.
     * 
@@ -324,6 +585,19 @@ export class WebAudioAPI {
       return AnalysisType;
    }
 
+   /**
+    * Returns a listing of all available metronome click sounds in the {@link WebAudioAPI} library.
+    * 
+    * This function can be used to enumerate available metronome sounds for displaying on a web
+    * page and for passing to the {@link WebAudioAPI#updateMetronome updateMetronome()} function.
+    * 
+    * @returns {Object<string, number>} Listing of all available metronome sounds in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.MetronomeSound MetronomeSound}
+    */
+   getAvailableMetronomeSounds() {
+      return MetronomeSound;
+   }
+
    /**
     * Returns a listing of the available instruments located in the specified asset library.
     * 
@@ -349,6 +623,31 @@ export class WebAudioAPI {
       return Object.keys(this.#instrumentListing);
    }
 
+   /**
+    * Returns a listing of the available impulse responses located in the specified effect library.
+    * 
+    * Individual results from this function call can be passed directly as the `impulse`
+    * parameter of a `ConvolutionReverb` effect in the
+    * {@link WebAudioAPI#updateTrackEffect updateTrackEffect()} function to load a specific
+    * impulse response.
+    * 
+    * @param {string} effectLibraryLocation - Absolute or relative URL pointing to a {@link WebAudioAPI} effect library
+    * @returns {Promise<string[]>} Listing of all available impulse response names
+    */
+   async getAvailableImpulseResponses(effectLibraryLocation) {
+      if (Object.keys(this.#impulseListing).length === 0) {
+         const cleanLocation = effectLibraryLocation.replace(/\/$/, '');
+         const response = await fetch(cleanLocation + '/effectLibrary.json', {
+            headers: { 'Accept': 'application/json' }
+         });
+         const impulseData = await response.json();
+         Object.keys(impulseData).forEach(impulseName => {
+            this.#impulseListing[impulseName] = cleanLocation + impulseData[impulseName];
+         });
+      }
+      return Object.keys(this.#impulseListing);
+   }
+
    /**
     * Returns a listing of the available MIDI devices connected to the client device.
     * 
@@ -533,19 +832,26 @@ export class WebAudioAPI {
     */
    createTrack(name) {
       this.removeTrack(name);
-      this.#tracks[name] = createTrackImpl(name, this.#audioContext, this.#tempo, this.#key, this.#sourceSinkNode);
+      this.#sidechainKeys[getSidechainKeyName('track', name)] = new GainNode(this.#audioContext);
+      this.#tracks[name] = createTrackImpl(name, this.#audioContext, this.#tempoMap, this.#key, this.#sourceSinkNode, this.#sidechainKeys);
+      this.#scheduler.attachTrack(this.#tracks[name]);
+      updateSoloState(this.#tracks);
    }
 
    /**
     * Removes the specified audio track and cancels any audio scheduled for playback on this
-    * track from playing or starting to play in the future.
+    * track from playing or starting to play in the future. Any content placed on this track
+    * along the {@link Transport} song timeline will also be removed.
     * 
     * @param {string} name - Name of the track to remove
     */
    removeTrack(name) {
       if (name in this.#tracks) {
+         this.#transport.clearContent(name);
          this.#tracks[name].deleteTrack();
+         delete this.#sidechainKeys[getSidechainKeyName('track', name)];
          delete this.#tracks[name];
+         updateSoloState(this.#tracks);
       }
    }
 
@@ -558,7 +864,8 @@ export class WebAudioAPI {
    }
 
    /**
-    * Cancels all current and scheduled audio from playing on the specified track.
+    * Cancels all current and scheduled audio from playing on the specified track and removes
+    * all of its automation lanes.
     * 
     * @param {string} name - Name of the track to clear
     */
@@ -568,13 +875,162 @@ export class WebAudioAPI {
    }
 
    /**
-    * Cancels all current and scheduled audio from playing on all existing tracks.
+    * Cancels all current and scheduled audio from playing on all existing tracks and removes
+    * all of their automation lanes.
     */
    clearAllTracks() {
       for (const name in this.#tracks)
          this.#tracks[name].clearTrack();
    }
 
+   /**
+    * Creates a bus capable of processing the combined audio of any number of tracks through a
+    * single chain of effects and a single mixer channel strip, replacing any existing bus with
+    * the same name.
+    * 
+    * A bus can be used as an auxiliary return by sending audio to it from any number of tracks
+    * using {@link WebAudioAPI#addTrackSend addTrackSend()}, allowing many tracks to share a
+    * single effect such as a `Reverb`. A bus can also be used as a group track by routing the
+    * full outputs of its child tracks to it using {@link WebAudioAPI#routeTrackToBus routeTrackToBus()},
+    * so that they can be processed and mixed under a single fader. Buses do not participate in
+    * solo, so they remain audible when a track is soloed.
+    * 
+    * @param {string} name - Name of the newly created bus
+    */
+   createBus(name) {
+      this.removeBus(name);
+      this.#sidechainKeys[getSidechainKeyName('bus', name)] = new GainNode(this.#audioContext);
+      this.#buses[name] = createBus(name, this.#audioContext, this.#sourceSinkNode, this.#sidechainKeys);
+   }
+
+   /**
+    * Removes the specified bus. Any tracks or buses routed to this bus will be routed back to
+    * the master output, and any sends to this bus will be removed.
+    * 
+    * @param {string} name - Name of the bus to remove
+    */
+   removeBus(name) {
+      if (name in this.#buses) {
+         for (const track of Object.values(this.#tracks)) {
+            track.removeSend(name);
+            if (track.getOutputBus() == name)
+               track.setOutput(this.#sourceSinkNode, null);
+         }
+         for (const bus of Object.values(this.#buses))
+            if (bus.getOutputBus() == name)
+               bus.setOutput(this.#sourceSinkNode, null);
+         this.#buses[name].deleteBus();
+         delete this.#sidechainKeys[getSidechainKeyName('bus', name)];
+         delete this.#buses[name];
+      }
+   }
+
+   /**
+    * Returns a listing of the names of all existing buses.
+    * 
+    * @returns {string[]} Names of all existing buses
+    */
+   getBuses() {
+      return Object.keys(this.#buses);
+   }
+
+   /**
+    * Routes the full output of the specified track to the specified bus, such that the bus acts
+    * as a group track for all tracks routed to it. If `busName` is `null`, the track will be
+    * routed back to the master output.
+    * 
+    * @param {string} trackName - Name of the track to route
+    * @param {string|null} busName - Name of the bus to which to route the track output
+    */
+   routeTrackToBus(trackName, busName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      else if ((busName != null) && !(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#tracks[trackName].setOutput((busName == null) ? this.#sourceSinkNode : this.#buses[busName].input, busName ?? null);
+   }
+
+   /**
+    * Routes the output of the specified bus to another bus, allowing groups to be nested. If
+    * `targetBusName` is `null`, the bus will be routed back to the master output.
+    * 
+    * @param {string} busName - Name of the bus to route
+    * @param {string|null} targetBusName - Name of the bus to which to route the output of `busName`
+    */
+   routeBusToBus(busName, targetBusName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      else if ((targetBusName != null) && !(targetBusName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${targetBusName}) does not exist`);
+      else if (createsFeedbackLoop(this.#buses, busName, targetBusName))
+         throw new WebAudioApiErrors.WebAudioValueError(`Routing bus (${busName}) to bus (${targetBusName}) would create a feedback loop`);
+      this.#buses[busName].setOutput((targetBusName == null) ? this.#sourceSinkNode : this.#buses[targetBusName].input, targetBusName ?? null);
+   }
+
+   /**
+    * Creates a send from the specified track to the specified bus, replacing any existing send
+    * between the two.
+    * 
+    * A pre-fader send taps the track audio after all track effects and the mute stage of the
+    * track mixer, so its level is independent of the track fader and pan settings while still
+    * respecting mute and solo. A post-fader send taps the final output of the track mixer.
+    * 
+    * @param {string} trackName - Name of the track from which to send audio
+    * @param {string} busName - Name of the bus to which to send audio
+    * @param {number} [level=0] - Send level in decibels in the range [-96, 12]
+    * @param {boolean} [preFader=false] - Whether the send should be tapped before the track fader
+    */
+   addTrackSend(trackName, busName, level=0, preFader=false) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      else if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#tracks[trackName].addSend(busName, this.#buses[busName].input, getMixerOptions({ gain: level }).gain, Boolean(preFader));
+   }
+
+   /**
+    * Updates the level of an existing send from the specified track at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} trackName - Name of the track from which audio is being sent
+    * @param {string} busName - Name of the bus to which audio is being sent
+    * @param {number} level - Send level in decibels in the range [-96, 12]
+    * @param {number} [updateTime] - Global API time at which to update the send level
+    * @param {number} [transitionLength] - Number of seconds over which to update the send level
+    */
+   updateTrackSend(trackName, busName, level, updateTime, transitionLength) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].updateSend(busName, getMixerOptions({ gain: level }).gain, updateTime ? Number(updateTime) : undefined,
+         transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Removes the send from the specified track to the specified bus.
+    * 
+    * @param {string} trackName - Name of the track from which audio is being sent
+    * @param {string} busName - Name of the bus to which audio is being sent
+    */
+   removeTrackSend(trackName, busName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].removeSend(busName);
+   }
+
+   /**
+    * Returns a listing of all sends from the specified track.
+    * 
+    * @param {string} trackName - Name of the track for which to retrieve all sends
+    * @returns {Object<string, Object>} Send `level` (in decibels) and `preFader` settings, keyed by bus name
+    */
+   getTrackSends(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getSends();
+   }
+
    /**
     * Updates the instrument used to play back audio on the specified track.
     * 
@@ -590,7 +1046,7 @@ export class WebAudioAPI {
       if (!(instrumentName in this.#instrumentListing))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target instrument name (${instrumentName}) does not exist`);
       if (!(instrumentName in this.#loadedInstruments))
-         this.#loadedInstruments[instrumentName] = await loadInstrument(this.#audioContext, instrumentName, this.#instrumentListing[instrumentName]);
+         this.#loadedInstruments[instrumentName] = await loadInstrument(this.#audioContext, instrumentName, this.#instrumentListing[instrumentName], this.#tuning);
       this.#tracks[trackName].updateInstrument(this.#loadedInstruments[instrumentName]);
    }
 
@@ -608,10 +1064,15 @@ export class WebAudioAPI {
    /**
     * Returns the current global {@link Tempo} parameters for all audio tracks.
     * 
+    * If the `time` parameter is specified, the returned {@link Tempo} will instead correspond to
+    * the instantaneous tempo at that time, taking into account all scheduled tempo changes.
+    * 
+    * @param {number} [time] - Optional global API time at which to retrieve the tempo
     * @returns {Tempo} Global {@link Tempo} parameters and settings
+    * @see {@link WebAudioAPI#scheduleTempoChange scheduleTempoChange()}
     */
-   getTempo() {
-      return {...this.#tempo};
+   getTempo(time) {
+      return (time == null) ? {...this.#tempo} : this.#tempoMap.getTempoAt(Number(time));
    }
 
    /**
@@ -627,24 +1088,142 @@ export class WebAudioAPI {
     * Converts a note {@link module:Constants.Duration Duration} into a corresponding number of seconds given the
     * current {@link Tempo} settings.
     * 
+    * Since the tempo may change over time, the resulting number of seconds depends on when the
+    * note starts playing. If the `startTime` parameter is not specified, the note is assumed to
+    * start at the current global API time.
+    * 
     * @param {number} duration - Note {@link module:Constants.Duration Duration} to convert to seconds
+    * @param {number} [startTime] - Optional global API time at which the note starts playing
     * @returns {number} Number of seconds corresponding to the specified `duration` at current {@link Tempo} settings
     */
-   convertNoteDurationToSeconds(duration) {
-      return 60.0 / ((duration / this.#tempo.beatBase) * this.#tempo.beatsPerMinute);
+   convertNoteDurationToSeconds(duration, startTime) {
+      return this.#tempoMap.convertNoteDurationToSeconds(Number(duration), (startTime == null) ? this.#audioContext.currentTime : Number(startTime));
    }
 
    /**
     * Converts a number of seconds into the nearest corresponding note {@link module:Constants.Duration Duration} given the
     * current {@link Tempo} settings.
     * 
+    * The returned value may correspond to a standard, dotted, or double-dotted note duration, or
+    * to a triplet, quintuplet, or septuplet of a standard duration (e.g., a triplet eighth note
+    * is returned as `Duration.Eighth * 3 / 2`). Any of these values may be passed directly to
+    * functions such as {@link WebAudioAPI#playNote playNote()}.
+    * 
+    * The `options` parameter may contain any of the following optional keys:
+    * 
+    * `startTime`: Global API time at which the time span begins (defaults to the current time)
+    * `tolerance`: Maximum allowable error as a fraction of the converted time span (defaults to 0.05)
+    * `includeDotted`: Whether to consider dotted and double-dotted durations (defaults to `true`)
+    * `includeTuplets`: Whether to consider tuplet durations (defaults to `true`)
+    * `allowTies`: Whether to return a list of tied durations when no single duration is within tolerance (defaults to `false`)
+    * 
+    * If `allowTies` is `true`, the return value will always be a list of durations which,
+    * when tied together, most closely match the specified number of seconds. Otherwise, an
+    * error is thrown if no single duration lies within the specified tolerance.
+    * 
     * @param {number} seconds - Number of seconds to convert to a note {@link module:Constants.Duration Duration}
-    * @returns {number} Note {@link module:Constants.Duration Duration} corresponding to the specified `seconds` at current {@link Tempo} settings
+    * @param {Object} [options] - Optional conversion options as described above
+    * @returns {number|number[]} Note {@link module:Constants.Duration Duration} corresponding to the specified `seconds` at current {@link Tempo} settings
+    */
+   convertSecondsToNoteDuration(seconds, options={}) {
+      const tolerance = (options.tolerance == null) ? 0.05 : Number(options.tolerance);
+      const includeDotted = (options.includeDotted == null) ? true : Boolean(options.includeDotted);
+      if (!(Number(seconds) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The number of seconds (${seconds}) must be a number > 0`);
+      else if (!(tolerance >= 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The tolerance value (${options.tolerance}) must be a number >= 0`);
+      const startTime = (options.startTime == null) ? this.#audioContext.currentTime : Number(options.startTime);
+      const wholeNotes = this.#tempoMap.convertSecondsToWholeNotes(Number(seconds), startTime);
+
+      // Search for the single nearest duration
+      const candidates = getNoteDurationCandidates(includeDotted, (options.includeTuplets == null) ? true : Boolean(options.includeTuplets));
+      const nearestDuration = candidates.reduce((nearest, duration) =>
+         ((Math.abs((1.0 / duration) - wholeNotes) < Math.abs((1.0 / nearest) - wholeNotes)) ? duration : nearest));
+      if (Math.abs((1.0 / nearestDuration) - wholeNotes) <= (tolerance * wholeNotes))
+         return options.allowTies ? [nearestDuration] : nearestDuration;
+      else if (!options.allowTies)
+         throw new WebAudioApiErrors.WebAudioValueError(`No note duration lies within the specified tolerance (${tolerance}) of ${seconds} seconds`);
+
+      // Greedily decompose the time span into tied non-tuplet durations, longest first
+      const tiedDurations = [];
+      const tieCandidates = getNoteDurationCandidates(includeDotted, false).sort((a, b) => a - b);
+      const shortestWholeNotes = 1.0 / tieCandidates[tieCandidates.length - 1];
+      let remainingWholeNotes = wholeNotes;
+      while ((remainingWholeNotes > (tolerance * wholeNotes)) && (remainingWholeNotes >= (0.5 * shortestWholeNotes))) {
+         const duration = tieCandidates.find(duration => ((1.0 / duration) <= (remainingWholeNotes + (0.5 * shortestWholeNotes))));
+         tiedDurations.push(duration);
+         remainingWholeNotes -= 1.0 / duration;
+      }
+      return tiedDurations.length ? tiedDurations : [tieCandidates[tieCandidates.length - 1]];
+   }
+
+   /**
+    * Creates a {@link GrooveTemplate} for use with the `Groove` note modification from a list
+    * of per-position timing offsets and velocity scaling factors.
+    *
+    * Each position in the groove corresponds to one grid step of the specified `resolution`,
+    * and the groove repeats every `timingOffsets.length` grid steps. Timing offsets are
+    * expressed as a fraction of one grid step in the range [-0.5, 0.5], where positive values
+    * delay a note. Velocity scaling factors must be in the range [0.0, 2.0].
+    *
+    * @param {number} resolution - Note {@link module:Constants.Duration Duration} corresponding to a single grid step
+    * @param {number[]} timingOffsets - Timing offset of each grid step as a fraction of one grid step
+    * @param {number[]} [velocityScales] - Velocity multiplier of each grid step (defaults to no velocity changes)
+    * @returns {GrooveTemplate} Newly created {@link GrooveTemplate}
+    * @see {@link module:Constants.ModificationType ModificationType}
+    */
+   createGrooveTemplate(resolution, timingOffsets, velocityScales) {
+      return createGroove(resolution, timingOffsets, velocityScales);
+   }
+
+   /**
+    * Creates a {@link GrooveTemplate} corresponding to a swing feel at the specified
+    * resolution, usually either `Duration.Eighth` or `Duration.Sixteenth`.
+    *
+    * The swing `amount` is the percentage of each pair of grid steps taken up by the first
+    * step, where 50% corresponds to straight timing, 66.7% to a triplet feel, and 75% to a
+    * dotted feel. The same effect can be achieved directly using the `Swing` note modification.
+    *
+    * @param {number} amount - Swing percentage in the range [50, 75]
+    * @param {number} [resolution] - Note {@link module:Constants.Duration Duration} of the notes to swing
+    * @returns {GrooveTemplate} Newly created swing {@link GrooveTemplate}
+    * @see {@link module:Constants.ModificationType ModificationType}
+    */
+   createSwingGrooveTemplate(amount, resolution=Duration.Eighth) {
+      return createSwingGroove(amount, resolution);
+   }
+
+   /**
+    * Extracts a {@link GrooveTemplate} from the timing and velocity of the notes in a recorded
+    * {@link MidiClip}.
+    *
+    * Every recorded note is quantized to the nearest grid step of the specified `resolution`,
+    * and the average timing deviation and relative velocity at each position in the groove are
+    * stored in the returned template.
+    *
+    * The `options` parameter may contain any of the following optional keys:
+    *
+    * `startTime`: Global API time at which recording of the clip began, used to account for tempo changes (defaults to assuming the current tempo throughout)
+    * `numSteps`: Number of grid steps before the groove repeats (defaults to one measure)
+    *
+    * @param {MidiClip} midiClip - Fully recorded {@link MidiClip} from which to extract the groove
+    * @param {number} [resolution] - Note {@link module:Constants.Duration Duration} corresponding to a single grid step
+    * @param {Object} [options] - Optional extraction options as described above
+    * @returns {GrooveTemplate} Newly extracted {@link GrooveTemplate}
+    * @see {@link MidiClip}
     */
-   convertSecondsToNoteDuration(seconds) {
-      // TODO: Implement this
-      console.log(seconds);
-      throw new WebAudioApiErrors.WebAudioNotImplementedError('The "convertSecondsToNoteDuration" functionality has not yet been implemented');
+   extractGrooveTemplate(midiClip, resolution=Duration.Sixteenth, options={}) {
+      if (!midiClip || (midiClip.clipType != 'midi'))
+         throw new WebAudioApiErrors.WebAudioValueError('The "midiClip" parameter must be a MIDI clip as returned from the "recordMidiClip()" function');
+      else if (!(Number(resolution) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The groove resolution (${resolution}) must be a valid note duration`);
+      const tempo = this.#tempoMap.getTempoAt(this.#audioContext.currentTime);
+      const numSteps = (options.numSteps == null) ?
+         Math.max(1, Math.round(Number(resolution) * tempo.timeSignatureNumerator / tempo.timeSignatureDenominator)) : Number(options.numSteps);
+      const secondsToWholeNotes = (options.startTime == null) ?
+         (seconds => seconds * tempo.beatsPerMinute / (60.0 * tempo.beatBase)) :
+         (seconds => this.#tempoMap.convertSecondsToWholeNotes(seconds, Number(options.startTime)));
+      return extractGroove(midiClip.getRawData(), secondsToWholeNotes, Number(resolution), numSteps);
    }
 
    /**
@@ -655,6 +1234,9 @@ export class WebAudioAPI {
     * 
     * Any parameter may be set to `null` to keep it unchanged between consecutive function calls.
     * 
+    * Note that these global tempo parameters remain in effect only until the first tempo change
+    * scheduled using the {@link WebAudioAPI#scheduleTempoChange scheduleTempoChange()} function.
+    * 
     * @param {number|null} beatBase - Note {@link module:Constants.Duration Duration} corresponding to a global beat
     * @param {number|null} beatsPerMinute - Number of global beats per minute
     * @param {number|null} timeSignatureNumerator - Number of beats per measure
@@ -668,6 +1250,91 @@ export class WebAudioAPI {
       this.#tempo.measureLengthSeconds = (60.0 / this.#tempo.beatsPerMinute) * this.#tempo.beatBase * this.#tempo.timeSignatureNumerator / this.#tempo.timeSignatureDenominator;
    }
 
+   /**
+    * Schedules a change to the global tempo and/or time signature at the specified time.
+    * 
+    * All tempo changes are stored in a tempo map which is used to convert note durations into
+    * seconds whenever a note is played, allowing a piece to contain accelerandos, ritardandos,
+    * and mid-song meter changes.
+    * 
+    * The `changeTime` is measured in song time. For notes and clips played directly on a track,
+    * song time is equal to the global API time, whereas for content placed along the transport
+    * timeline, it is the number of seconds from the beginning of the song timeline.
+    * 
+    * The `rampType` parameter determines how the tempo arrives at its new value. A `Step` change
+    * takes effect immediately at `changeTime`, whereas `Linear` and `Curved` changes begin ramping
+    * from the tempo of the preceding change at the time of that preceding change (or from the
+    * global tempo at time 0 if there is no preceding change), reaching the new tempo exactly at
+    * `changeTime`.
+    * The shape of a `Curved` ramp is determined by the `curvature` exponent, where values greater
+    * than 1 change slowly at first and then more quickly, and values less than 1 do the opposite.
+    * Beat base and time signature changes always take effect immediately.
+    * 
+    * Any tempo parameter may be set to `null` to keep it unchanged from the preceding change.
+    * 
+    * @param {number} changeTime - Song time at which the tempo change should be complete
+    * @param {number|null} beatBase - Note {@link module:Constants.Duration Duration} corresponding to a global beat
+    * @param {number|null} beatsPerMinute - Number of global beats per minute
+    * @param {number|null} timeSignatureNumerator - Number of beats per measure
+    * @param {number|null} timeSignatureDenominator - Note {@link module:Constants.Duration Duration} corresponding to a measure beat
+    * @param {number} [rampType] - {@link module:Constants.TempoRampType TempoRampType} used to arrive at the new tempo
+    * @param {number} [curvature=2.0] - Exponent describing the shape of a `Curved` tempo ramp
+    * @returns {number} Unique identifier of the scheduled tempo change
+    * @see {@link module:Constants.TempoRampType TempoRampType}
+    */
+   scheduleTempoChange(changeTime, beatBase, beatsPerMinute, timeSignatureNumerator, timeSignatureDenominator, rampType=TempoRampType.Step, curvature=2.0) {
+      if (!(Number(changeTime) >= 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The tempo change time (${changeTime}) must be a number >= 0`);
+      else if (!Object.values(TempoRampType).includes(Number(rampType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target tempo ramp type identifier (${rampType}) does not exist`);
+      else if (!(Number(curvature) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The tempo ramp curvature (${curvature}) must be a number > 0`);
+      const tempoValues = { beatBase, beatsPerMinute, timeSignatureNumerator, timeSignatureDenominator };
+      for (const [tempoParameter, tempoValue] of Object.entries(tempoValues)) {
+         if ((tempoValue != null) && !(Number(tempoValue) > 0))
+            throw new WebAudioApiErrors.WebAudioValueError(`The "${tempoParameter}" value (${tempoValue}) must be a number > 0`);
+         tempoValues[tempoParameter] = (tempoValue == null) ? null : Number(tempoValue);
+      }
+      if (Object.values(tempoValues).every(tempoValue => tempoValue == null))
+         throw new WebAudioApiErrors.WebAudioValueError('A tempo change must update at least one tempo parameter');
+      return this.#tempoMap.addChange(Number(changeTime), tempoValues.beatBase, tempoValues.beatsPerMinute,
+         tempoValues.timeSignatureNumerator, tempoValues.timeSignatureDenominator, Number(rampType), Number(curvature));
+   }
+
+   /**
+    * Removes a previously scheduled tempo change from the tempo map.
+    * 
+    * Note that audio which has already been scheduled for playback will not be affected.
+    * 
+    * @param {number} changeId - Unique identifier of the tempo change as returned from {@link WebAudioAPI#scheduleTempoChange scheduleTempoChange()}
+    */
+   removeTempoChange(changeId) {
+      if (!this.#tempoMap.removeChange(changeId))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target tempo change (${changeId}) does not exist`);
+   }
+
+   /**
+    * Removes all scheduled tempo changes so that the global tempo parameters remain in effect
+    * at all times.
+    */
+   clearTempoChanges() {
+      this.#tempoMap.clearChanges();
+   }
+
+   /**
+    * Returns a time-ordered listing of all scheduled tempo changes.
+    * 
+    * Each tempo change contains its unique `id`, its change `time`, the `rampType` and
+    * `curvature` used to arrive at the new tempo, and the `beatBase`, `beatsPerMinute`,
+    * `timeSignatureNumerator`, and `timeSignatureDenominator` parameters that it modifies
+    * (or `null` for any parameter that remains unchanged).
+    * 
+    * @returns {Object[]} List of all scheduled tempo changes
+    */
+   getTempoChanges() {
+      return this.#tempoMap.getChanges();
+   }
+
    /**
     * Updates the global key signature parameters for all audio tracks.
     * 
@@ -676,102 +1343,254 @@ export class WebAudioAPI {
     * function. Alternately, you can specify the number of sharps as a positive value or the
     * number of flats as a negative value.
     * 
-    * @param {number} keySignature - Numerical {@link module:Constants.KeySignature KeySignature} indicator based on its circle of fifths position
+    * The `keySignature` parameter may also be the name of a custom key signature previously
+    * registered using the {@link WebAudioAPI#registerCustomKeySignature registerCustomKeySignature()}
+    * function.
+    * 
+    * @param {number|string} keySignature - Numerical {@link module:Constants.KeySignature KeySignature} indicator based on its circle of fifths position, or the name of a custom key signature
     */
    updateKeySignature(keySignature) {
-      if (!Object.values(KeySignature).includes(Number(keySignature)))
+      if (keySignature in this.#customKeySignatures) {
+         this.#key.signature = this.#customKeySignatures[keySignature].signature;
+         this.#key.offsets = [...this.#customKeySignatures[keySignature].offsets];
+      }
+      else if (!Object.values(KeySignature).includes(Number(keySignature)))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target key signature (${keySignature}) does not exist`);
-      const noteOffsets = {
-         [KeySignature.CMajor]: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-         [KeySignature.DMajor]: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0],
-         [KeySignature.EMajor]: [1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 0, 0],
-         [KeySignature.FMajor]: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, -1],
-         [KeySignature.GMajor]: [0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0],
-         [KeySignature.AMajor]: [1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0],
-         [KeySignature.BMajor]: [1, 0, 1, 0, 0, 1, 0, 1, 0, 1, 0, 0],
-         [KeySignature.CSharpMajor]: [1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 0, 1],
-         [KeySignature.FSharpMajor]: [1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 0, 0],
-         [KeySignature.CFlatMajor]: [-1, 0, -1, 0, -1, -1, 0, -1, 0, -1, 0, -1],
-         [KeySignature.DFlatMajor]: [0, 0, -1, 0, -1, 0, 0, -1, 0, -1, 0, -1],
-         [KeySignature.EFlatMajor]: [0, 0, 0, 0, -1, 0, 0, 0, 0, -1, 0, -1],
-         [KeySignature.GFlatMajor]: [-1, 0, -1, 0, -1, 0, 0, -1, 0, -1, 0, -1],
-         [KeySignature.AFlatMajor]: [0, 0, -1, 0, -1, 0, 0, 0, 0, -1, 0, -1],
-         [KeySignature.BFlatMajor]: [0, 0, 0, 0, -1, 0, 0, 0, 0, 0, 0, -1]
-      };
-      this.#key.signature = Number(keySignature);
-      this.#key.offsets = noteOffsets[Number(keySignature)];
+      else {
+         this.#key.signature = Number(keySignature);
+         this.#key.offsets = getKeySignatureOffsets(Number(keySignature));
+      }
    }
 
    /**
-    * Applies a new master effect to the aggregate output from all tracks at the specified time.
-    * 
-    * Calling this function affects the sequential ordering in which master effects will be
-    * processed, with each new call appending the corresponding effect to the *end* of the
-    * processing sequence.
-    * 
-    * The parameters of the added effect will be set to their default values such that the result
-    * of adding the effect will not be audible. In order to manipulate and utilize this effect,
-    * use the {@link WebAudioAPI#updateMasterEffect updateMasterEffect()} function.
-    * 
-    * If a master effect with the specified `effectName` has already been applied, then calling
-    * this function will simply re-order the effect to move it to the very end of the effect
-    * processing sequence, without changing its parameter values.
-    * 
-    * @param {string} effectName - User-defined name to associate with the master effect
-    * @param {number} effectType - Master {@link module:Constants.EffectType EffectType} to apply
-    * @see {@link module:Constants.EffectType EffectType}
+    * Updates the global key signature for all audio tracks to correspond to the specified
+    * musical mode beginning on the specified tonic note.
+    * 
+    * The `mode` parameter should correspond to one of the modes returned by the
+    * {@link WebAudioAPI#getAvailableKeyModes getAvailableKeyModes()} function. The `tonicNote`
+    * parameter may be any MIDI {@link module:Constants.Note Note}; only its pitch class is used.
+    * When the tonic could be spelled either with sharps or flats, the spelling requiring the
+    * fewest accidentals is chosen (preferring sharps when both require the same number).
+    * 
+    * @param {number} tonicNote - MIDI {@link module:Constants.Note Note} corresponding to the tonic of the mode
+    * @param {number} mode - Musical {@link module:Constants.KeyMode KeyMode} to apply
+    * @see {@link module:Constants.KeyMode KeyMode}
     */
-   async applyMasterEffect(effectName, effectType) {
-      if (!Object.values(EffectType).includes(Number(effectType)))
-         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
-      const existingEffect = await this.removeMasterEffect(effectName);
-      const newEffect = existingEffect || await loadEffect(this.#audioContext, effectName, Number(effectType));
-      newEffect.output.connect(this.#compressorNode);
-      if (this.#effects.length) {
-         const previousEffect = this.#effects.slice(-1)[0];
-         previousEffect.output.disconnect();
-         previousEffect.output.connect(newEffect.input);
-      }
-      else {
-         this.#sourceSinkNode.disconnect();
-         this.#sourceSinkNode.connect(newEffect.input);
+   updateModalKeySignature(tonicNote, mode) {
+      if (!Number.isInteger(Number(tonicNote)) || (Number(tonicNote) == 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The tonic note (${tonicNote}) must be a valid MIDI note`);
+      else if (!Object.values(KeyMode).includes(Number(mode)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target key mode (${mode}) does not exist`);
+      const pitchClass = Math.abs(Number(tonicNote)) % 12;
+      const fifths = ((pitchClass * 7) % 12) + Number(mode);
+      const keySignature = [fifths - 12, fifths, fifths + 12].filter(signature => Math.abs(signature) <= 7)
+         .reduce((best, signature) => (((Math.abs(signature) < Math.abs(best)) || ((Math.abs(signature) == Math.abs(best)) && (signature > best))) ? signature : best));
+      this.#key.signature = keySignature;
+      this.#key.offsets = getKeySignatureOffsets(keySignature);
+   }
+
+   /**
+    * Registers a custom key signature based on an explicit pattern of accidentals so that it
+    * can later be selected using the {@link WebAudioAPI#updateKeySignature updateKeySignature()}
+    * function.
+    * 
+    * The `accidentals` parameter should be an object whose keys are natural note names
+    * (`C`, `D`, `E`, `F`, `G`, `A`, or `B`) and whose values are the number of semitones by which
+    * each note should be altered, where `1` is a sharp, `-1` is a flat, and `2` and `-2` are
+    * double-sharps and double-flats, respectively. Any note that is not specified will remain
+    * natural. For example, `{ B: -1, E: -1, F: 1 }` creates a key containing B-flat, E-flat,
+    * and F-sharp.
+    * 
+    * @param {string} keyName - Unique name of the custom key signature
+    * @param {Object<string, number>} accidentals - Mapping from natural note names to accidental offsets
+    */
+   registerCustomKeySignature(keyName, accidentals) {
+      const naturalNotes = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+      if (!keyName || !Number.isNaN(Number(keyName)))
+         throw new WebAudioApiErrors.WebAudioValueError('The custom key signature name must be a non-numeric string');
+      else if (!(accidentals instanceof Object))
+         throw new WebAudioApiErrors.WebAudioValueError('The "accidentals" parameter must be an object mapping natural note names to accidental offsets');
+      const offsets = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+      for (const [naturalNote, accidental] of Object.entries(accidentals)) {
+         if (!(naturalNote.toUpperCase() in naturalNotes))
+            throw new WebAudioApiErrors.WebAudioValueError(`The natural note name (${naturalNote}) must be one of: ${Object.keys(naturalNotes).join(', ')}`);
+         else if (![-2, -1, 0, 1, 2].includes(Number(accidental)))
+            throw new WebAudioApiErrors.WebAudioValueError(`The accidental offset (${accidental}) for note ${naturalNote} must be an integer in the range [-2, 2]`);
+         offsets[naturalNotes[naturalNote.toUpperCase()]] = Number(accidental);
       }
-      this.#effects.push(newEffect);
+      this.#customKeySignatures[keyName] = { signature: offsets.reduce((sum, offset) => sum + offset, 0), offsets };
    }
 
    /**
-    * Applies a new effect to the specified track at the specified time.
+    * Returns a listing of all built-in tuning systems in the {@link WebAudioAPI} library.
     * 
-    * Calling this function affects the sequential ordering in which effects will be processed
-    * within the specified track, with each new call appending the corresponding effect to the
-    * *end* of the processing sequence.
+    * This function can be used to enumerate available tuning systems for displaying on a web
+    * page and for passing to the {@link WebAudioAPI#updateTuningSystem updateTuningSystem()}
+    * function.
     * 
-    * The parameters of the added effect will be set to their default values such that the result
-    * of adding the effect will not be audible. In order to manipulate and utilize this effect,
-    * use the {@link WebAudioAPI#updateTrackEffect updateTrackEffect()} function.
+    * @returns {Object<string, number>} Listing of all built-in tuning systems in the {@link WebAudioAPI} library
+    * @see {@link module:Constants.TuningSystem TuningSystem}
+    */
+   getAvailableTuningSystems() {
+      return TuningSystem;
+   }
+
+   /**
+    * Returns details about the global tuning currently used by all instruments.
     * 
-    * If an effect with the specified `effectName` has already been applied to the specified
-    * track, then calling this function will simply re-order the effect to move it to the very end
-    * of the effect processing sequence, without changing its parameter values.
+    * The returned object contains the current `tuningSystem` (or `null` if the tuning was
+    * loaded from a Scala file), a textual `description` of the tuning, and the `referenceNote`
+    * and `referenceFrequency` (in Hz) to which all other notes are tuned.
     * 
-    * @param {string} trackName - Name of the track on which to apply the effect
-    * @param {string} effectName - User-defined name to associate with the track effect
-    * @param {number} effectType - Track-specific {@link module:Constants.EffectType EffectType} to apply
-    * @see {@link module:Constants.EffectType EffectType}
+    * @returns {Object} Details about the current global tuning
     */
-   async applyTrackEffect(trackName, effectName, effectType) {
-      if (!(trackName in this.#tracks))
-         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      if (!Object.values(EffectType).includes(Number(effectType)))
-         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
-      await this.#tracks[trackName].applyEffect(effectName, Number(effectType));
+   getTuning() {
+      return this.#tuning.getDetails();
    }
 
    /**
-    * Updates the parameters of a master effect at the specified time.
+    * Returns the frequency (in Hz) at which the specified MIDI note will sound according to the
+    * current global tuning.
     * 
-    * Calling this function will **not** affect the sequential processing order of any applied
-    * effects.
+    * @param {number} note - MIDI {@link module:Constants.Note Note} number for which to return the frequency
+    * @returns {number|null} Frequency (in Hz) of the specified note, or `null` if the note is not mapped in the current tuning
+    */
+   getNoteFrequency(note) {
+      if (!Number.isInteger(Number(note)) || (Number(note) < 1) || (Number(note) > 127))
+         throw new WebAudioApiErrors.WebAudioValueError(`The note value (${note}) must be a MIDI note in the range [1, 127]`);
+      return this.#tuning.getFrequency(Number(note));
+   }
+
+   /**
+    * Updates the global tuning system used by all instruments.
+    * 
+    * The `tuningSystem` parameter should correspond to one of the tuning systems returned by the
+    * {@link WebAudioAPI#getAvailableTuningSystems getAvailableTuningSystems()} function. Since
+    * non-equal temperaments sound different depending on the key being played, the `rootNote`
+    * parameter specifies which pitch class should be used as the first degree of the tuning
+    * system; only its pitch class is used, so any octave may be specified.
+    * 
+    * The current reference pitch will remain unchanged. Changes to the tuning only affect
+    * notes that start playing after this function is called.
+    * 
+    * @param {number} tuningSystem - Built-in {@link module:Constants.TuningSystem TuningSystem} to use
+    * @param {number} [rootNote] - MIDI {@link module:Constants.Note Note} corresponding to the root of the tuning system (defaults to C)
+    * @see {@link module:Constants.TuningSystem TuningSystem}
+    */
+   updateTuningSystem(tuningSystem, rootNote=Note.C4) {
+      if (!Object.values(TuningSystem).includes(Number(tuningSystem)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target tuning system (${tuningSystem}) does not exist`);
+      else if (!Number.isInteger(Number(rootNote)) || (Number(rootNote) == 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The root note (${rootNote}) must be a valid MIDI note`);
+      this.#tuning.updateTuningSystem(Number(tuningSystem), Math.abs(Number(rootNote)));
+   }
+
+   /**
+    * Updates the global reference pitch used by all instruments, such that the specified
+    * reference note will sound at exactly the specified frequency. All other notes will be
+    * tuned relative to this reference according to the current tuning system.
+    * 
+    * For example, `updateReferencePitch(415)` tunes A4 to 415 Hz for Baroque pitch, and
+    * `updateReferencePitch(432)` tunes A4 to 432 Hz.
+    * 
+    * @param {number} frequency - Frequency (in Hz) at which the reference note should sound
+    * @param {number} [referenceNote] - MIDI {@link module:Constants.Note Note} corresponding to the reference pitch (defaults to A4)
+    */
+   updateReferencePitch(frequency, referenceNote=Note.A4) {
+      if (!(Number(frequency) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The reference frequency (${frequency}) must be a number > 0`);
+      else if (!Number.isInteger(Number(referenceNote)) || (Number(referenceNote) < 1) || (Number(referenceNote) > 127))
+         throw new WebAudioApiErrors.WebAudioValueError(`The reference note (${referenceNote}) must be a MIDI note in the range [1, 127]`);
+      this.#tuning.updateReferencePitch(Number(frequency), Number(referenceNote));
+   }
+
+   /**
+    * Loads a global tuning for all instruments from a Scala scale (.scl) file and an optional
+    * Scala keyboard mapping (.kbm) file.
+    * 
+    * If a keyboard mapping is specified, its reference note and frequency will replace the
+    * current reference pitch. Otherwise, the first degree of the scale will be mapped to middle C,
+    * and the current reference pitch will remain unchanged.
+    * 
+    * @param {string|Blob} scaleFile - Contents of a Scala scale (.scl) file, or a Blob or File containing it
+    * @param {string|Blob} [keyboardMappingFile] - Contents of a Scala keyboard mapping (.kbm) file, or a Blob or File containing it
+    * @see {@link https://www.huygens-fokker.org/scala/scl_format.html Scala File Format}
+    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Blob Blob}
+    */
+   async loadScalaTuning(scaleFile, keyboardMappingFile) {
+      const sclContents = (scaleFile instanceof Blob) ? await scaleFile.text() : scaleFile;
+      const kbmContents = (keyboardMappingFile instanceof Blob) ? await keyboardMappingFile.text() : keyboardMappingFile;
+      if ((typeof sclContents !== 'string') || ((kbmContents != null) && (typeof kbmContents !== 'string')))
+         throw new WebAudioApiErrors.WebAudioValueError('The Scala tuning files must be specified as either strings or Blobs');
+      this.#tuning.loadScala(sclContents, kbmContents);
+   }
+
+   /**
+    * Applies a new master effect to the aggregate output from all tracks at the specified time.
+    * 
+    * Calling this function affects the sequential ordering in which master effects will be
+    * processed, with each new call inserting the corresponding effect at the specified `index`
+    * of the processing sequence, or appending it to the *end* if no `index` is specified.
+    * 
+    * The parameters of the added effect will be set to their default values such that the result
+    * of adding the effect will not be audible. In order to manipulate and utilize this effect,
+    * use the {@link WebAudioAPI#updateMasterEffect updateMasterEffect()} function.
+    * 
+    * If a master effect with the specified `effectName` has already been applied, then calling
+    * this function will simply re-order the effect to move it to the requested position in the
+    * effect processing sequence, without changing its parameter values.
+    * 
+    * @param {string} effectName - User-defined name to associate with the master effect
+    * @param {number} effectType - Master {@link module:Constants.EffectType EffectType} to apply
+    * @param {number} [index] - Zero-based position in the effect processing sequence at which to insert the effect
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   async applyMasterEffect(effectName, effectType, index) {
+      if (!Object.values(EffectType).includes(Number(effectType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
+      checkEffectIndex(index, true);
+      const existingIndex = this.#effects.findIndex(effect => effect.name == effectName);
+      const newEffect = (existingIndex < 0) ? await loadEffect(this.#audioContext, effectName, Number(effectType), this.#sidechainKeys) : this.#effects.splice(existingIndex, 1)[0];
+      this.#effects.splice((index == null) ? this.#effects.length : Math.min(Math.max(Number(index), 0), this.#effects.length), 0, newEffect);
+      connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+   }
+
+   /**
+    * Applies a new effect to the specified track at the specified time.
+    * 
+    * Calling this function affects the sequential ordering in which effects will be processed
+    * within the specified track, with each new call inserting the corresponding effect at the
+    * specified `index` of the processing sequence, or appending it to the *end* if no `index`
+    * is specified.
+    * 
+    * The parameters of the added effect will be set to their default values such that the result
+    * of adding the effect will not be audible. In order to manipulate and utilize this effect,
+    * use the {@link WebAudioAPI#updateTrackEffect updateTrackEffect()} function.
+    * 
+    * If an effect with the specified `effectName` has already been applied to the specified
+    * track, then calling this function will simply re-order the effect to move it to the
+    * requested position in the effect processing sequence, without changing its parameter values.
+    * 
+    * @param {string} trackName - Name of the track on which to apply the effect
+    * @param {string} effectName - User-defined name to associate with the track effect
+    * @param {number} effectType - Track-specific {@link module:Constants.EffectType EffectType} to apply
+    * @param {number} [index] - Zero-based position in the effect processing sequence at which to insert the effect
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   async applyTrackEffect(trackName, effectName, effectType, index) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      if (!Object.values(EffectType).includes(Number(effectType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
+      checkEffectIndex(index, true);
+      await this.#tracks[trackName].applyEffect(effectName, Number(effectType), index);
+   }
+
+   /**
+    * Updates the parameters of a master effect at the specified time.
+    * 
+    * Calling this function will **not** affect the sequential processing order of any applied
+    * effects.
     * 
     * Note that the `updateTime` parameter can be omitted to immediately cause the requested
     * changes to take effect.
@@ -784,96 +1603,1102 @@ export class WebAudioAPI {
    async updateMasterEffect(effectName, effectOptions, updateTime, transitionLength) {
       for (const effect of this.#effects)
          if (effect.name == effectName) {
-            await effect.update(effectOptions, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+            await effect.update(resolveEffectParameters(effectOptions, this.#impulseListing), updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
             return;
          }
       throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
    }
 
    /**
-    * Updates the parameters of a track-specific effect at the specified time.
-    * 
-    * Calling this function will **not** affect the sequential processing order of any applied
-    * effects.
-    * 
-    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
-    * changes to take effect.
+    * Updates the parameters of a track-specific effect at the specified time.
+    * 
+    * Calling this function will **not** affect the sequential processing order of any applied
+    * effects.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} trackName - Name of the track for which to update the effect
+    * @param {string} effectName - Name of the track effect to be updated
+    * @param {Object} effectOptions - Effect-specific options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [transitionLength] - Number of seconds over which to update the effect
+    */
+   async updateTrackEffect(trackName, effectName, effectOptions, updateTime, transitionLength) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      await this.#tracks[trackName].updateEffect(effectName, resolveEffectParameters(effectOptions, this.#impulseListing), updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current parameter settings for the specified master effect.
+    * 
+    * @param {string} effectName - Name of the master effect for which to retrieve current settings
+    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    */
+   getCurrentMasterEffectParameters(effectName) {
+      for (const effect of this.#effects)
+         if (effect.name == effectName)
+            return effect.currentParameterValues();
+      throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+   }
+
+   /**
+    * Returns the current parameter settings for a track-specific effect.
+    * 
+    * @param {string} trackName - Name of the track for which to retrieve current effect settings
+    * @param {string} effectName - Name of the track effect for which to retrieve current settings
+    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    */
+   getCurrentTrackEffectParameters(trackName, effectName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getCurrentEffectParameters(effectName);
+   }
+
+   /**
+    * Removes the specified master effect from being applied.
+    * 
+    * @param {string} effectName - Name of the master effect to be removed
+    * @returns {Promise<Effect|null>} The effect that was removed, if any
+    * @see {@link Effect}
+    */
+   async removeMasterEffect(effectName) {
+      const index = this.#effects.findIndex(effect => effect.name == effectName);
+      if (index < 0)
+         return null;
+      const existingEffect = this.#effects.splice(index, 1)[0];
+      connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+      existingEffect.output.disconnect();
+      this.#masterAutomation.removeEffectLanes(effectName);
+      return existingEffect;
+   }
+
+   /**
+    * Removes the specified effect from being applid on the corresponding track.
+    * 
+    * @param {string} trackName - Name of the track from which to remove the effect
+    * @param {string} effectName - Name of the track effect to be removed
+    */
+   async removeTrackEffect(trackName, effectName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      await this.#tracks[trackName].removeEffect(effectName);
+   }
+
+   /**
+    * Moves the specified master effect to a new position within the effect processing
+    * sequence, without changing its parameter values.
+    * 
+    * @param {string} effectName - Name of the master effect to be moved
+    * @param {number} index - Zero-based position in the effect processing sequence to which to move the effect
+    */
+   moveMasterEffect(effectName, index) {
+      checkEffectIndex(index, false);
+      const existingIndex = this.#effects.findIndex(effect => effect.name == effectName);
+      if (existingIndex < 0)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      this.#effects.splice(Math.min(Math.max(Number(index), 0), this.#effects.length - 1), 0, this.#effects.splice(existingIndex, 1)[0]);
+      connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+   }
+
+   /**
+    * Bypasses or re-enables the specified master effect at the specified time, crossfading
+    * between the processed and unprocessed signals to avoid audible clicks.
+    * 
+    * A bypassed effect remains in the effect processing sequence with all of its parameter
+    * values intact, but only the unprocessed signal is passed through it.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} effectName - Name of the master effect to bypass
+    * @param {boolean} bypass - Whether the effect should be bypassed
+    * @param {number} [updateTime] - Global API time at which to update the bypass state
+    * @param {number} [transitionLength] - Number of seconds over which to crossfade
+    */
+   bypassMasterEffect(effectName, bypass, updateTime, transitionLength) {
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      effect.updateMix({ bypass: Boolean(bypass) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Updates the balance between the processed (wet) and unprocessed (dry) signals of the
+    * specified master effect at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} effectName - Name of the master effect to update
+    * @param {number} mix - Proportion of the effect output taken from the processed signal between [0, 1]
+    * @param {number} [updateTime] - Global API time at which to update the mix
+    * @param {number} [transitionLength] - Number of seconds over which to update the mix
+    */
+   updateMasterEffectMix(effectName, mix, updateTime, transitionLength) {
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      effect.updateMix({ mix: Number(mix) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current wet/dry mix and bypass state of the specified master effect.
+    * 
+    * @param {string} effectName - Name of the master effect for which to retrieve the mix
+    * @returns {Object} Object containing the current `mix` and `bypass` settings of the effect
+    */
+   getMasterEffectMix(effectName) {
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      return effect.getMix();
+   }
+
+   /**
+    * Calculates the frequency response of the specified master effect at each of the specified
+    * frequencies, taking its current wet/dry mix and bypass settings into account. This is
+    * primarily useful for drawing the response curve of a {@link ParametricEqualization} effect.
+    * 
+    * @param {string} effectName - Name of the master effect for which to calculate the response
+    * @param {number[]} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing the `frequencies` along with their linear `magnitudes` and `phases` in radians
+    */
+   getMasterEffectFrequencyResponse(effectName, frequencies) {
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      const frequencyList = getFrequencyList(frequencies);
+      return { frequencies: frequencyList, ...effect.getFrequencyResponse(frequencyList) };
+   }
+
+   /**
+    * Replaces the fixed master compressor at the end of the master effect chain with a
+    * lookahead brickwall {@link Limiter}, guaranteeing that the overall output level, including
+    * all rendered and exported audio, never exceeds the limiter ceiling.
+    * 
+    * If the master limiter is already enabled, its parameters will simply be updated according
+    * to the specified `limiterOptions`. The master compressor can be restored at any time using
+    * the {@link WebAudioAPI#disableMasterLimiter disableMasterLimiter()} function.
+    * 
+    * @param {Object} [limiterOptions] - Limiter options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()} for the {@link module:Constants.EffectType Limiter} effect type
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   async enableMasterLimiter(limiterOptions={}) {
+      const limiter = this.#masterLimiter || await loadEffect(this.#audioContext, 'MasterLimiter', EffectType.Limiter);
+      if (limiterOptions && Object.keys(limiterOptions).length)
+         await limiter.update(limiterOptions);
+      if (!this.#masterLimiter) {
+         this.#compressorNode.disconnect();
+         limiter.output.connect(this.#analysisNode);
+         this.#masterDynamicsNode = limiter.input;
+         this.#masterLimiter = limiter;
+         connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+      }
+   }
+
+   /**
+    * Removes the master limiter enabled by {@link WebAudioAPI#enableMasterLimiter enableMasterLimiter()}
+    * and restores the fixed master compressor at the end of the master effect chain.
+    */
+   disableMasterLimiter() {
+      if (this.#masterLimiter) {
+         this.#masterLimiter.output.disconnect();
+         this.#compressorNode.connect(this.#analysisNode);
+         this.#masterDynamicsNode = this.#compressorNode;
+         this.#masterLimiter = null;
+         connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+      }
+   }
+
+   /**
+    * Updates the parameters of the master limiter at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {Object} limiterOptions - Limiter options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()} for the {@link module:Constants.EffectType Limiter} effect type
+    * @param {number} [updateTime] - Global API time at which to update the limiter
+    * @param {number} [transitionLength] - Number of seconds over which to update the limiter
+    */
+   async updateMasterLimiter(limiterOptions, updateTime, transitionLength) {
+      if (!this.#masterLimiter)
+         throw new WebAudioApiErrors.WebAudioTargetError('The master limiter has not been enabled');
+      await this.#masterLimiter.update(limiterOptions, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current parameter settings of the master limiter, or `null` if the master
+    * limiter has not been enabled.
+    * 
+    * @returns {Object|null} Limiter parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    */
+   getCurrentMasterLimiterParameters() {
+      return this.#masterLimiter ? this.#masterLimiter.currentParameterValues() : null;
+   }
+
+   /**
+    * Moves the global audio listener to the specified position in 3D space at the specified
+    * time. The listener position determines how every {@link Spatial} effect is heard, and the
+    * position of each individual sound source can be set by updating its {@link Spatial} effect.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {number[]} position - New [x, y, z] position of the listener
+    * @param {number} [updateTime] - Global API time at which to update the listener position
+    * @param {number} [transitionLength] - Number of seconds over which to update the listener position
+    */
+   updateListenerPosition(position, updateTime, transitionLength) {
+      this.#listener.updatePosition(position, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Rotates the global audio listener to face the specified direction at the specified time.
+    * By default, the listener faces the negative z-axis with the positive y-axis pointing up.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {number[]} forward - Direction in which the listener is facing as an [x, y, z] vector
+    * @param {number[]} [up] - Direction of the top of the listener's head as an [x, y, z] vector
+    * @param {number} [updateTime] - Global API time at which to update the listener orientation
+    * @param {number} [transitionLength] - Number of seconds over which to update the listener orientation
+    */
+   updateListenerOrientation(forward, up, updateTime, transitionLength) {
+      this.#listener.updateOrientation(forward, up, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current position and orientation of the global audio listener.
+    * 
+    * @returns {Object} Object containing the current `position`, `forward`, and `up` vectors of the listener
+    */
+   getCurrentListenerParameters() {
+      return this.#listener.getCurrentParameters();
+   }
+
+   /**
+    * Moves the specified track effect to a new position within the effect processing
+    * sequence, without changing its parameter values.
+    * 
+    * @param {string} trackName - Name of the track containing the effect
+    * @param {string} effectName - Name of the track effect to be moved
+    * @param {number} index - Zero-based position in the effect processing sequence to which to move the effect
+    */
+   moveTrackEffect(trackName, effectName, index) {
+      checkEffectIndex(index, false);
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].moveEffect(effectName, index);
+   }
+
+   /**
+    * Bypasses or re-enables the specified track effect at the specified time, crossfading
+    * between the processed and unprocessed signals to avoid audible clicks.
+    * 
+    * A bypassed effect remains in the effect processing sequence with all of its parameter
+    * values intact, but only the unprocessed signal is passed through it.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} trackName - Name of the track containing the effect
+    * @param {string} effectName - Name of the track effect to bypass
+    * @param {boolean} bypass - Whether the effect should be bypassed
+    * @param {number} [updateTime] - Global API time at which to update the bypass state
+    * @param {number} [transitionLength] - Number of seconds over which to crossfade
+    */
+   bypassTrackEffect(trackName, effectName, bypass, updateTime, transitionLength) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].updateEffectMix(effectName, { bypass: Boolean(bypass) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Updates the balance between the processed (wet) and unprocessed (dry) signals of the
+    * specified track effect at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} trackName - Name of the track containing the effect
+    * @param {string} effectName - Name of the track effect to update
+    * @param {number} mix - Proportion of the effect output taken from the processed signal between [0, 1]
+    * @param {number} [updateTime] - Global API time at which to update the mix
+    * @param {number} [transitionLength] - Number of seconds over which to update the mix
+    */
+   updateTrackEffectMix(trackName, effectName, mix, updateTime, transitionLength) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].updateEffectMix(effectName, { mix: Number(mix) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current wet/dry mix and bypass state of the specified track effect.
+    * 
+    * @param {string} trackName - Name of the track containing the effect
+    * @param {string} effectName - Name of the track effect for which to retrieve the mix
+    * @returns {Object} Object containing the current `mix` and `bypass` settings of the effect
+    */
+   getTrackEffectMix(trackName, effectName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getEffectMix(effectName);
+   }
+
+   /**
+    * Calculates the frequency response of the specified track effect at each of the specified
+    * frequencies, taking its current wet/dry mix and bypass settings into account. This is
+    * primarily useful for drawing the response curve of a {@link ParametricEqualization} effect.
+    * 
+    * @param {string} trackName - Name of the track containing the effect
+    * @param {string} effectName - Name of the track effect for which to calculate the response
+    * @param {number[]} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing the `frequencies` along with their linear `magnitudes` and `phases` in radians
+    */
+   getTrackEffectFrequencyResponse(trackName, effectName, frequencies) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      const frequencyList = getFrequencyList(frequencies);
+      return { frequencies: frequencyList, ...this.#tracks[trackName].getEffectFrequencyResponse(effectName, frequencyList) };
+   }
+
+   /**
+    * Updates the built-in mixer channel strip of the specified track at the specified time.
+    * 
+    * Every track contains a channel strip which is applied after all track effects, so no
+    * `Volume` or `Panning` effects are required to mix tracks together. The `mixerOptions`
+    * parameter may contain any of the following optional keys:
+    * 
+    * `gain`: Fader gain in decibels in the range [-96, 12]
+    * `pan`: Stereo pan position in the range [-1, 1], where -1 is fully left
+    * `mute`: Whether the track should be silenced
+    * `solo`: Whether the track should be soloed (silencing all non-soloed tracks)
+    * `phaseInvert`: Whether the polarity of the track should be inverted
+    * 
+    * Solo uses solo-in-place semantics: as long as at least one track is soloed, every track
+    * which is not soloed is silenced, with all effects and panning of the soloed tracks intact.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect, allowing all mixer parameters to be automated over time.
+    * 
+    * @param {string} trackName - Name of the track for which to update the mixer
+    * @param {Object} mixerOptions - Mixer options as described above
+    * @param {number} [updateTime] - Global API time at which to update the mixer
+    * @param {number} [transitionLength] - Number of seconds over which to update the mixer
+    */
+   updateTrackMixer(trackName, mixerOptions, updateTime, transitionLength) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      const validatedOptions = getMixerOptions(mixerOptions);
+      this.#tracks[trackName].updateMixer(validatedOptions, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+      if ('solo' in validatedOptions)
+         updateSoloState(this.#tracks, updateTime ? Number(updateTime) : undefined);
+   }
+
+   /**
+    * Returns the current state of the built-in mixer channel strip of the specified track.
+    * 
+    * @param {string} trackName - Name of the track for which to retrieve the mixer state
+    * @returns {MixerState} Object containing the current `gain`, `pan`, `mute`, `solo`, and `phaseInvert` settings
+    */
+   getTrackMixer(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getMixer();
+   }
+
+   /**
+    * Applies a new effect to the specified bus, inserting it at the specified `index` of the bus
+    * effect processing sequence, or appending it to the end if no `index` is specified. If an
+    * effect with the specified `effectName` has already been applied to the bus, it will simply
+    * be moved to the requested position in the processing sequence.
+    * 
+    * @param {string} busName - Name of the bus on which to apply the effect
+    * @param {string} effectName - User-defined name to associate with the bus effect
+    * @param {number} effectType - {@link module:Constants.EffectType EffectType} to apply
+    * @param {number} [index] - Zero-based position in the effect processing sequence at which to insert the effect
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   async applyBusEffect(busName, effectName, effectType, index) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      if (!Object.values(EffectType).includes(Number(effectType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target effect type identifier (${effectType}) does not exist`);
+      checkEffectIndex(index, true);
+      await this.#buses[busName].applyEffect(effectName, Number(effectType), index);
+   }
+
+   /**
+    * Updates the parameters of a bus effect at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} busName - Name of the bus for which to update the effect
+    * @param {string} effectName - Name of the bus effect to be updated
+    * @param {Object} effectOptions - Effect-specific options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @param {number} [updateTime] - Global API time at which to update the effect
+    * @param {number} [transitionLength] - Number of seconds over which to update the effect
+    */
+   async updateBusEffect(busName, effectName, effectOptions, updateTime, transitionLength) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      await this.#buses[busName].updateEffect(effectName, resolveEffectParameters(effectOptions, this.#impulseListing), updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current parameter settings for the specified bus effect.
+    * 
+    * @param {string} busName - Name of the bus from which to retrieve the effect parameters
+    * @param {string} effectName - Name of the bus effect for which to retrieve current settings
+    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    */
+   getCurrentBusEffectParameters(busName, effectName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return this.#buses[busName].getCurrentEffectParameters(effectName);
+   }
+
+   /**
+    * Removes the specified effect from being applied on the corresponding bus.
+    * 
+    * @param {string} busName - Name of the bus from which to remove the effect
+    * @param {string} effectName - Name of the bus effect to be removed
+    */
+   async removeBusEffect(busName, effectName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      await this.#buses[busName].removeEffect(effectName);
+   }
+
+   /**
+    * Moves the specified bus effect to a new position within the effect processing
+    * sequence, without changing its parameter values.
+    * 
+    * @param {string} busName - Name of the bus containing the effect
+    * @param {string} effectName - Name of the bus effect to be moved
+    * @param {number} index - Zero-based position in the effect processing sequence to which to move the effect
+    */
+   moveBusEffect(busName, effectName, index) {
+      checkEffectIndex(index, false);
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#buses[busName].moveEffect(effectName, index);
+   }
+
+   /**
+    * Bypasses or re-enables the specified bus effect at the specified time, crossfading
+    * between the processed and unprocessed signals to avoid audible clicks.
+    * 
+    * A bypassed effect remains in the effect processing sequence with all of its parameter
+    * values intact, but only the unprocessed signal is passed through it.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} busName - Name of the bus containing the effect
+    * @param {string} effectName - Name of the bus effect to bypass
+    * @param {boolean} bypass - Whether the effect should be bypassed
+    * @param {number} [updateTime] - Global API time at which to update the bypass state
+    * @param {number} [transitionLength] - Number of seconds over which to crossfade
+    */
+   bypassBusEffect(busName, effectName, bypass, updateTime, transitionLength) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#buses[busName].updateEffectMix(effectName, { bypass: Boolean(bypass) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Updates the balance between the processed (wet) and unprocessed (dry) signals of the
+    * specified bus effect at the specified time.
+    * 
+    * Note that the `updateTime` parameter can be omitted to immediately cause the requested
+    * changes to take effect.
+    * 
+    * @param {string} busName - Name of the bus containing the effect
+    * @param {string} effectName - Name of the bus effect to update
+    * @param {number} mix - Proportion of the effect output taken from the processed signal between [0, 1]
+    * @param {number} [updateTime] - Global API time at which to update the mix
+    * @param {number} [transitionLength] - Number of seconds over which to update the mix
+    */
+   updateBusEffectMix(busName, effectName, mix, updateTime, transitionLength) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#buses[busName].updateEffectMix(effectName, { mix: Number(mix) }, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current wet/dry mix and bypass state of the specified bus effect.
+    * 
+    * @param {string} busName - Name of the bus containing the effect
+    * @param {string} effectName - Name of the bus effect for which to retrieve the mix
+    * @returns {Object} Object containing the current `mix` and `bypass` settings of the effect
+    */
+   getBusEffectMix(busName, effectName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return this.#buses[busName].getEffectMix(effectName);
+   }
+
+   /**
+    * Calculates the frequency response of the specified bus effect at each of the specified
+    * frequencies, taking its current wet/dry mix and bypass settings into account. This is
+    * primarily useful for drawing the response curve of a {@link ParametricEqualization} effect.
+    * 
+    * @param {string} busName - Name of the bus containing the effect
+    * @param {string} effectName - Name of the bus effect for which to calculate the response
+    * @param {number[]} frequencies - List of frequencies in Hz at which to calculate the response
+    * @returns {Object} Object containing the `frequencies` along with their linear `magnitudes` and `phases` in radians
+    */
+   getBusEffectFrequencyResponse(busName, effectName, frequencies) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      const frequencyList = getFrequencyList(frequencies);
+      return { frequencies: frequencyList, ...this.#buses[busName].getEffectFrequencyResponse(effectName, frequencyList) };
+   }
+
+   /**
+    * Updates the mixer channel strip of the specified bus at the specified time.
+    * 
+    * The `mixerOptions` parameter may contain the `gain`, `pan`, `mute`, and `phaseInvert` keys
+    * as described in {@link WebAudioAPI#updateTrackMixer updateTrackMixer()}. Buses cannot be
+    * soloed.
+    * 
+    * @param {string} busName - Name of the bus for which to update the mixer
+    * @param {Object} mixerOptions - Mixer options as described above
+    * @param {number} [updateTime] - Global API time at which to update the mixer
+    * @param {number} [transitionLength] - Number of seconds over which to update the mixer
+    */
+   updateBusMixer(busName, mixerOptions, updateTime, transitionLength) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      const validatedOptions = getMixerOptions(mixerOptions);
+      if ('solo' in validatedOptions)
+         throw new WebAudioApiErrors.WebAudioValueError(`The target bus (${busName}) cannot be soloed`);
+      this.#buses[busName].updateMixer(validatedOptions, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   }
+
+   /**
+    * Returns the current state of the mixer channel strip of the specified bus.
+    * 
+    * @param {string} busName - Name of the bus for which to retrieve the mixer state
+    * @returns {MixerState} Object containing the current `gain`, `pan`, `mute`, `solo`, and `phaseInvert` settings
+    */
+   getBusMixer(busName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return this.#buses[busName].getMixer();
+   }
+
+   /**
+    * Returns a JSON-encoded description of all master effects in processing order, including
+    * the type of each effect and every parameter value that has been explicitly set.
+    * 
+    * The returned string can be stored or shared and later restored using the
+    * {@link WebAudioAPI#importMasterEffectChain importMasterEffectChain()} function.
+    * 
+    * @returns {string} JSON-encoded {@link EffectChain} describing the master effects
+    */
+   exportMasterEffectChain() {
+      return JSON.stringify(serializeEffectChain(this.#effects));
+   }
+
+   /**
+    * Replaces all master effects with the effects described in the specified effect chain.
+    * 
+    * Each effect in the chain must contain a unique `name` and an effect `type`, given as either
+    * the numeric value or the string-based key of an {@link module:Constants.EffectType EffectType}.
+    * Effects may optionally contain the name of a factory `preset` as returned by
+    * {@link WebAudioAPI#getAvailableEffectPresets getAvailableEffectPresets()}, as well as
+    * `parameters` which override any values in the preset. The entire chain is validated and
+    * loaded before any existing effects are removed, such that an invalid chain leaves the
+    * current master effects untouched.
+    * 
+    * @param {EffectChain|string} effectChain - Effect chain or its JSON-encoded string representation
+    * @see {@link module:Constants.EffectType EffectType}
+    */
+   async importMasterEffectChain(effectChain) {
+      const newEffects = await loadEffectChain(this.#audioContext, parseEffectChain(effectChain, this.#impulseListing), this.#sidechainKeys);
+      for (const effect of this.#effects.splice(0, this.#effects.length, ...newEffects)) {
+         effect.output.disconnect();
+         if (!this.#effects.some(newEffect => newEffect.name == effect.name))
+            this.#masterAutomation.removeEffectLanes(effect.name);
+      }
+      connectEffectChain(this.#sourceSinkNode, this.#effects, this.#masterDynamicsNode);
+   }
+
+   /**
+    * Returns a JSON-encoded description of all effects on the specified track in processing
+    * order, including the type of each effect and every parameter value that has been
+    * explicitly set.
+    * 
+    * The returned string can be stored or shared and later restored on any track using the
+    * {@link WebAudioAPI#importTrackEffectChain importTrackEffectChain()} function.
+    * 
+    * @param {string} trackName - Name of the track for which to export the effect chain
+    * @returns {string} JSON-encoded {@link EffectChain} describing the track effects
+    */
+   exportTrackEffectChain(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return JSON.stringify(this.#tracks[trackName].getEffectChain());
+   }
+
+   /**
+    * Replaces all effects on the specified track with the effects described in the specified
+    * effect chain.
+    * 
+    * The format of the effect chain is described in the
+    * {@link WebAudioAPI#importMasterEffectChain importMasterEffectChain()} function. An invalid
+    * chain leaves the current track effects untouched.
+    * 
+    * @param {string} trackName - Name of the track for which to import the effect chain
+    * @param {EffectChain|string} effectChain - Effect chain or its JSON-encoded string representation
+    */
+   async importTrackEffectChain(trackName, effectChain) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      const newEffects = await loadEffectChain(this.#audioContext, parseEffectChain(effectChain, this.#impulseListing), this.#sidechainKeys);
+      await this.#tracks[trackName].replaceEffects(newEffects);
+   }
+
+   /**
+    * Returns a JSON-encoded description of all effects on the specified bus in processing
+    * order, including the type of each effect and every parameter value that has been
+    * explicitly set.
+    * 
+    * @param {string} busName - Name of the bus for which to export the effect chain
+    * @returns {string} JSON-encoded {@link EffectChain} describing the bus effects
+    */
+   exportBusEffectChain(busName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return JSON.stringify(this.#buses[busName].getEffectChain());
+   }
+
+   /**
+    * Replaces all effects on the specified bus with the effects described in the specified
+    * effect chain.
+    * 
+    * The format of the effect chain is described in the
+    * {@link WebAudioAPI#importMasterEffectChain importMasterEffectChain()} function. An invalid
+    * chain leaves the current bus effects untouched.
+    * 
+    * @param {string} busName - Name of the bus for which to import the effect chain
+    * @param {EffectChain|string} effectChain - Effect chain or its JSON-encoded string representation
+    */
+   async importBusEffectChain(busName, effectChain) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      const newEffects = await loadEffectChain(this.#audioContext, parseEffectChain(effectChain, this.#impulseListing), this.#sidechainKeys);
+      await this.#buses[busName].replaceEffects(newEffects);
+   }
+
+   /**
+    * Creates or replaces an automation lane for a numeric parameter of the specified track
+    * effect, or for the `gain` or `pan` parameter of the track mixer if `effectName` is `null`.
+    * 
+    * An automation lane is a list of {@link AutomationBreakpoint AutomationBreakpoints}, each
+    * containing a `time` in seconds relative to the start of the lane, a target `value`, and an
+    * optional {@link module:Constants.AutomationShape AutomationShape} describing how that value
+    * is reached from the value of the preceding breakpoint. For example, the following lane
+    * sweeps a filter cutoff upward over 4 seconds and then drops it back down instantly:
+    * 
+    * ```
+    * [{ time: 0, value: 200 }, { time: 4, value: 8000, shape: AutomationShape.Exponential },
+    *  { time: 4.5, value: 200, shape: AutomationShape.Step }]
+    * ```
+    * 
+    * Lanes are stored with the track and are not played until
+    * {@link WebAudioAPI#playTrackAutomation playTrackAutomation()} is called, so they may be
+    * edited and replayed any number of times. Lanes are played back as native ramps on the
+    * underlying AudioParams, so only effect parameters backed by an AudioParam may be
+    * automated. All lanes are removed when the track is cleared, and the lanes of an effect are
+    * removed along with the effect.
+    * 
+    * @param {string} trackName - Name of the track containing the parameter to automate
+    * @param {string|null} effectName - Name of the track effect to automate, or `null` to automate the track mixer
+    * @param {string} parameterName - Name of the numeric parameter to automate
+    * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints making up the automation lane
+    * @see {@link module:Constants.AutomationShape AutomationShape}
+    */
+   setTrackAutomation(trackName, effectName, parameterName, breakpoints) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].setAutomation(effectName, parameterName, breakpoints);
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified track effect or
+    * mixer parameter. The returned breakpoints may be modified and passed back to
+    * {@link WebAudioAPI#setTrackAutomation setTrackAutomation()} to edit the lane.
+    * 
+    * @param {string} trackName - Name of the track containing the automated parameter
+    * @param {string|null} effectName - Name of the automated track effect, or `null` for the track mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the automation lane, or an empty list if no such lane exists
+    */
+   getTrackAutomation(trackName, effectName, parameterName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getAutomation(effectName, parameterName);
+   }
+
+   /**
+    * Removes the automation lane for the specified track effect or mixer parameter.
+    * 
+    * @param {string} trackName - Name of the track containing the automated parameter
+    * @param {string|null} effectName - Name of the automated track effect, or `null` for the track mixer
+    * @param {string} parameterName - Name of the automated parameter
+    */
+   removeTrackAutomation(trackName, effectName, parameterName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].removeAutomation(effectName, parameterName);
+   }
+
+   /**
+    * Returns a listing of all automation lanes on the specified track.
+    * 
+    * @param {string} trackName - Name of the track for which to list all automation lanes
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    */
+   getTrackAutomationLanes(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getAutomationLanes();
+   }
+
+   /**
+    * Schedules all automation lanes on the specified track for playback beginning at the
+    * specified time.
+    * 
+    * Note that the `startTime` parameter can be omitted to immediately begin playback.
+    * 
+    * @param {string} trackName - Name of the track for which to play all automation lanes
+    * @param {number} [startTime] - Global API time at which playback of all automation lanes should begin
+    */
+   async playTrackAutomation(trackName, startTime) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      await this.#tracks[trackName].playAutomation((startTime == null) ? this.#audioContext.currentTime : Number(startTime));
+   }
+
+   /**
+    * Creates or replaces an automation lane for a numeric parameter of the specified bus
+    * effect, or for the `gain` or `pan` parameter of the bus mixer if `effectName` is `null`.
+    * Breakpoints are specified as described in
+    * {@link WebAudioAPI#setTrackAutomation setTrackAutomation()}.
+    * 
+    * @param {string} busName - Name of the bus containing the parameter to automate
+    * @param {string|null} effectName - Name of the bus effect to automate, or `null` to automate the bus mixer
+    * @param {string} parameterName - Name of the numeric parameter to automate
+    * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints making up the automation lane
+    * @see {@link module:Constants.AutomationShape AutomationShape}
+    */
+   setBusAutomation(busName, effectName, parameterName, breakpoints) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#buses[busName].setAutomation(effectName, parameterName, breakpoints);
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified bus effect or
+    * mixer parameter.
+    * 
+    * @param {string} busName - Name of the bus containing the automated parameter
+    * @param {string|null} effectName - Name of the automated bus effect, or `null` for the bus mixer
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the automation lane, or an empty list if no such lane exists
+    */
+   getBusAutomation(busName, effectName, parameterName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return this.#buses[busName].getAutomation(effectName, parameterName);
+   }
+
+   /**
+    * Removes the automation lane for the specified bus effect or mixer parameter.
+    * 
+    * @param {string} busName - Name of the bus containing the automated parameter
+    * @param {string|null} effectName - Name of the automated bus effect, or `null` for the bus mixer
+    * @param {string} parameterName - Name of the automated parameter
+    */
+   removeBusAutomation(busName, effectName, parameterName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      this.#buses[busName].removeAutomation(effectName, parameterName);
+   }
+
+   /**
+    * Returns a listing of all automation lanes on the specified bus.
+    * 
+    * @param {string} busName - Name of the bus for which to list all automation lanes
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    */
+   getBusAutomationLanes(busName) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      return this.#buses[busName].getAutomationLanes();
+   }
+
+   /**
+    * Schedules all automation lanes on the specified bus for playback beginning at the
+    * specified time.
+    * 
+    * Note that the `startTime` parameter can be omitted to immediately begin playback.
+    * 
+    * @param {string} busName - Name of the bus for which to play all automation lanes
+    * @param {number} [startTime] - Global API time at which playback of all automation lanes should begin
+    */
+   async playBusAutomation(busName, startTime) {
+      if (!(busName in this.#buses))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target bus name (${busName}) does not exist`);
+      await this.#buses[busName].playAutomation((startTime == null) ? this.#audioContext.currentTime : Number(startTime));
+   }
+
+   /**
+    * Creates or replaces an automation lane for a numeric parameter of the specified master
+    * effect. Breakpoints are specified as described in
+    * {@link WebAudioAPI#setTrackAutomation setTrackAutomation()}.
+    * 
+    * @param {string} effectName - Name of the master effect to automate
+    * @param {string} parameterName - Name of the numeric parameter to automate
+    * @param {AutomationBreakpoint[]} breakpoints - List of breakpoints making up the automation lane
+    * @see {@link module:Constants.AutomationShape AutomationShape}
+    */
+   setMasterAutomation(effectName, parameterName, breakpoints) {
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      const validatedBreakpoints = getAutomationBreakpoints(breakpoints, getNumericParameterRange(effect, parameterName));
+      if (!effect.getAudioParamTargets(parameterName).length)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The master effect parameter "${parameterName}" is not backed by an AudioParam and cannot be automated`);
+      this.#masterAutomation.setLane(effectName, parameterName, validatedBreakpoints);
+   }
+
+   /**
+    * Returns a copy of the breakpoints in the automation lane for the specified master effect
+    * parameter.
+    * 
+    * @param {string} effectName - Name of the automated master effect
+    * @param {string} parameterName - Name of the automated parameter
+    * @returns {AutomationBreakpoint[]} Breakpoints in the automation lane, or an empty list if no such lane exists
+    */
+   getMasterAutomation(effectName, parameterName) {
+      return this.#masterAutomation.getLane(effectName, parameterName);
+   }
+
+   /**
+    * Removes the automation lane for the specified master effect parameter.
+    * 
+    * @param {string} effectName - Name of the automated master effect
+    * @param {string} parameterName - Name of the automated parameter
+    */
+   removeMasterAutomation(effectName, parameterName) {
+      this.#masterAutomation.removeLane(effectName, parameterName);
+   }
+
+   /**
+    * Returns a listing of all automation lanes on the master effects.
+    * 
+    * @returns {Object[]} List of lanes, each containing an `effectName` and `parameterName`
+    */
+   getMasterAutomationLanes() {
+      return this.#masterAutomation.getLanes();
+   }
+
+   /**
+    * Schedules all master effect automation lanes for playback beginning at the specified time.
+    * 
+    * Note that the `startTime` parameter can be omitted to immediately begin playback.
+    * 
+    * @param {number} [startTime] - Global API time at which playback of all automation lanes should begin
+    */
+   async playMasterAutomation(startTime) {
+      this.#masterAutomation.schedule((startTime == null) ? this.#audioContext.currentTime : Number(startTime), effectName => {
+         const effect = this.#effects.find(effect => effect.name == effectName);
+         if (!effect)
+            throw new WebAudioApiErrors.WebAudioTargetError(`The automated master effect (${effectName}) no longer exists`);
+         return effect;
+      });
+   }
+
+   /**
+    * Creates a standalone parameter modulator which can be attached to any number of numeric
+    * effect parameters, replacing any existing modulator with the same name.
+    * 
+    * The `options` parameter may contain the following keys, depending on the
+    * {@link module:Constants.ModulatorType ModulatorType} of the modulator:
+    * 
+    * `LFO`:
+    * - `shape`: Waveform shape from ['sine', 'square', 'sawtooth', 'triangle'] (defaults to 'sine')
+    * - `rate`: Oscillation frequency in Hertz between [0.01, 50] (defaults to 1)
+    * - `syncDuration`: {@link module:Constants.Duration Duration} of one full cycle which follows the global tempo, overriding `rate` (defaults to 0, or unsynced)
+    * - `phase`: Starting phase of the waveform as a fraction of a cycle between [0, 1] (defaults to 0)
+    * 
+    * `Envelope`:
+    * - `source`: Name of the track whose notes trigger the ADSR envelope (required)
+    * - `attack`, `decay`, `release`: Stage durations in seconds between [0, 10] (default to 0.01, 0.1, and 0.2)
+    * - `sustain`: Sustain level as a fraction of the peak between [0, 1] (defaults to 0.5)
+    * 
+    * `EnvelopeFollower`:
+    * - `source`: Name of the track or bus whose output level is followed, optionally prefixed by "track:" or "bus:" (required)
+    * - `attack`, `release`: Smoothing times in seconds between [0, 10] (default to 0.01 and 0.2)
+    * - `floor`: Decibel level corresponding to no modulation between [-100, -1] (defaults to -60)
+    * 
+    * @param {string} name - Name of the newly created modulator
+    * @param {number} modulatorType - {@link module:Constants.ModulatorType ModulatorType} of modulator to create
+    * @param {Object} [options] - Modulator-specific options as described above
+    * @see {@link module:Constants.ModulatorType ModulatorType}
+    */
+   createModulator(name, modulatorType, options={}) {
+      if (!Object.values(ModulatorType).includes(Number(modulatorType)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator type identifier (${modulatorType}) does not exist`);
+      const modulatorOptions = getModulatorOptions(Number(modulatorType), options);
+      if (Number(modulatorType) != ModulatorType.LFO)
+         checkModulatorSource(Number(modulatorType), modulatorOptions.source, this.#tracks, this.#sidechainKeys);
+      this.removeModulator(name);
+      this.#modulators[name] = createModulatorImpl(this.#audioContext, this.#tempoMap, Number(modulatorType));
+      this.#modulators[name].update(modulatorOptions);
+      connectModulatorSource(this.#modulators[name], this.#tracks, this.#sidechainKeys, true);
+   }
+
+   /**
+    * Updates the settings of the specified modulator. Only those options specified in the
+    * `options` parameter will be changed, as described in
+    * {@link WebAudioAPI#createModulator createModulator()}.
     * 
-    * @param {string} trackName - Name of the track for which to update the effect
-    * @param {string} effectName - Name of the track effect to be updated
-    * @param {Object} effectOptions - Effect-specific options as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
-    * @param {number} [updateTime] - Global API time at which to update the effect
-    * @param {number} [transitionLength] - Number of seconds over which to update the effect
+    * @param {string} name - Name of the modulator to update
+    * @param {Object} options - Modulator-specific options to update
     */
-   async updateTrackEffect(trackName, effectName, effectOptions, updateTime, transitionLength) {
-      if (!(trackName in this.#tracks))
-         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      await this.#tracks[trackName].updateEffect(effectName, effectOptions, updateTime ? Number(updateTime) : undefined, transitionLength ? (0.333 * Number(transitionLength)) : undefined);
+   updateModulator(name, options) {
+      if (!(name in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${name}) does not exist`);
+      const modulator = this.#modulators[name], modulatorType = modulator.getDetails().type;
+      const modulatorOptions = getModulatorOptions(modulatorType, options);
+      if (modulatorOptions.source != null) {
+         checkModulatorSource(modulatorType, modulatorOptions.source, this.#tracks, this.#sidechainKeys);
+         connectModulatorSource(modulator, this.#tracks, this.#sidechainKeys, false);
+         modulator.update(modulatorOptions);
+         connectModulatorSource(modulator, this.#tracks, this.#sidechainKeys, true);
+      }
+      else
+         modulator.update(modulatorOptions);
    }
 
    /**
-    * Returns the current parameter settings for the specified master effect.
+    * Removes the specified modulator, detaching it from all parameters.
     * 
-    * @param {string} effectName - Name of the master effect for which to retrieve current settings
-    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @param {string} name - Name of the modulator to remove
     */
-   getCurrentMasterEffectParameters(effectName) {
-      for (const effect of this.#effects)
-         if (effect.name == effectName)
-            return effect.currentParameterValues();
-      throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+   removeModulator(name) {
+      if (name in this.#modulators) {
+         connectModulatorSource(this.#modulators[name], this.#tracks, this.#sidechainKeys, false);
+         this.#modulators[name].detachAll();
+         delete this.#modulators[name];
+      }
    }
 
    /**
-    * Returns the current parameter settings for a track-specific effect.
+    * Returns the current settings of the specified modulator, along with a listing of all
+    * parameters to which it is attached.
     * 
-    * @param {string} trackName - Name of the track for which to retrieve current effect settings
-    * @param {string} effectName - Name of the track effect for which to retrieve current settings
-    * @returns {Object} Effect-specific parameter values with keys as returned by {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()}
+    * @param {string} name - Name of the modulator for which to retrieve the settings
+    * @returns {Object} Object containing the modulator `type`, its current `options`, and its `attachments`
     */
-   getCurrentTrackEffectParameters(trackName, effectName) {
-      if (!(trackName in this.#tracks))
+   getModulator(name) {
+      if (!(name in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${name}) does not exist`);
+      return this.#modulators[name].getDetails();
+   }
+
+   /**
+    * Attaches the specified modulator to a numeric parameter of a track effect, such that the
+    * parameter continuously sweeps between `minValue` and `maxValue` as the modulator output
+    * moves between 0 and 1. Any parameter listed by
+    * {@link WebAudioAPI#getAvailableEffectParameters getAvailableEffectParameters()} with a
+    * type of "number" which is directly implemented by an AudioParam may be modulated. The
+    * modulator writes its values straight to that AudioParam, so the parameter should not be
+    * updated or automated while it is being modulated. The modulator is automatically detached
+    * if the track or effect is later removed.
+    * 
+    * @param {string} modulatorName - Name of the modulator to attach
+    * @param {string} trackName - Name of the track containing the effect to modulate
+    * @param {string} effectName - Name of the track effect to modulate
+    * @param {string} parameterName - Name of the numeric effect parameter to modulate
+    * @param {number} minValue - Parameter value corresponding to a modulator output of 0
+    * @param {number} maxValue - Parameter value corresponding to a modulator output of 1
+    */
+   attachTrackModulator(modulatorName, trackName, effectName, parameterName, minValue, maxValue) {
+      if (!(modulatorName in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${modulatorName}) does not exist`);
+      else if (!(trackName in this.#tracks))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      return this.#tracks[trackName].getCurrentEffectParameters(effectName);
+      const [min, max] = this.#tracks[trackName].getEffectParameterRange(effectName, parameterName);
+      for (const value of [minValue, maxValue])
+         if (!(Number(value) >= min) || !(Number(value) <= max))
+            throw new WebAudioApiErrors.WebAudioValueError(`The modulation value (${value}) is outside of the available range: [${min}, ${max}]`);
+      if (!this.#tracks[trackName].getEffect(effectName).getAudioParamTargets(parameterName).length)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The track effect parameter "${parameterName}" is not backed by an AudioParam and cannot be modulated`);
+      this.#modulators[modulatorName].attach({ trackName, effectName, parameterName }, Number(minValue), Number(maxValue),
+         () => ((trackName in this.#tracks) ? this.#tracks[trackName].getEffect(effectName) : null));
    }
 
    /**
-    * Removes the specified master effect from being applied.
+    * Detaches the specified modulator from a numeric parameter of a track effect.
     * 
-    * @param {string} effectName - Name of the master effect to be removed
-    * @returns {Promise<Effect|null>} The effect that was removed, if any
-    * @see {@link Effect}
+    * @param {string} modulatorName - Name of the modulator to detach
+    * @param {string} trackName - Name of the track containing the modulated effect
+    * @param {string} effectName - Name of the modulated track effect
+    * @param {string} parameterName - Name of the modulated effect parameter
     */
-   async removeMasterEffect(effectName) {
-      let existingEffect = null;
-      for (const [index, effect] of this.#effects.entries())
-         if (effect.name == effectName) {
-            existingEffect = this.#effects.splice(index, 1)[0];
-            if (index == 0) {
-               this.#sourceSinkNode.disconnect();
-               this.#sourceSinkNode.connect(this.#effects.length ? this.#effects[0].input : this.#compressorNode);
-            }
-            else {
-               this.#effects[index-1].output.disconnect();
-               this.#effects[index-1].output.connect((this.#effects.length > index) ? this.#effects[index].input : this.#compressorNode);
-            }
-            existingEffect.input.disconnect();
-            existingEffect.output.disconnect();
-            break;
-         }
-      return existingEffect;
+   detachTrackModulator(modulatorName, trackName, effectName, parameterName) {
+      if (!(modulatorName in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${modulatorName}) does not exist`);
+      this.#modulators[modulatorName].detach({ trackName, effectName, parameterName });
    }
 
    /**
-    * Removes the specified effect from being applid on the corresponding track.
+    * Attaches the specified modulator to a numeric parameter of a master effect, as described
+    * in {@link WebAudioAPI#attachTrackModulator attachTrackModulator()}.
+    * 
+    * @param {string} modulatorName - Name of the modulator to attach
+    * @param {string} effectName - Name of the master effect to modulate
+    * @param {string} parameterName - Name of the numeric effect parameter to modulate
+    * @param {number} minValue - Parameter value corresponding to a modulator output of 0
+    * @param {number} maxValue - Parameter value corresponding to a modulator output of 1
+    */
+   attachMasterModulator(modulatorName, effectName, parameterName, minValue, maxValue) {
+      if (!(modulatorName in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${modulatorName}) does not exist`);
+      const effect = this.#effects.find(effect => effect.name == effectName);
+      if (!effect)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target master effect (${effectName}) does not exist`);
+      const [min, max] = getNumericParameterRange(effect, parameterName);
+      for (const value of [minValue, maxValue])
+         if (!(Number(value) >= min) || !(Number(value) <= max))
+            throw new WebAudioApiErrors.WebAudioValueError(`The modulation value (${value}) is outside of the available range: [${min}, ${max}]`);
+      if (!effect.getAudioParamTargets(parameterName).length)
+         throw new WebAudioApiErrors.WebAudioTargetError(`The master effect parameter "${parameterName}" is not backed by an AudioParam and cannot be modulated`);
+      this.#modulators[modulatorName].attach({ trackName: null, effectName, parameterName }, Number(minValue), Number(maxValue),
+         () => this.#effects.find(effect => effect.name == effectName) || null);
+   }
+
+   /**
+    * Detaches the specified modulator from a numeric parameter of a master effect.
     * 
-    * @param {string} trackName - Name of the track from which to remove the effect
-    * @param {string} effectName - Name of the track effect to be removed
+    * @param {string} modulatorName - Name of the modulator to detach
+    * @param {string} effectName - Name of the modulated master effect
+    * @param {string} parameterName - Name of the modulated effect parameter
     */
-   async removeTrackEffect(trackName, effectName) {
-      if (!(trackName in this.#tracks))
-         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      await this.#tracks[trackName].removeEffect(effectName);
+   detachMasterModulator(modulatorName, effectName, parameterName) {
+      if (!(modulatorName in this.#modulators))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target modulator name (${modulatorName}) does not exist`);
+      this.#modulators[modulatorName].detach({ trackName: null, effectName, parameterName });
    }
 
    /**
@@ -1162,15 +2987,16 @@ export class WebAudioAPI {
     * @param {string} trackName - Name of the track on which to start playing the note
     * @param {number} note - MIDI {@link module:Constants.Note Note} number to be played
     * @param {number} [velocity=0.75] - Intensity of the note to play between [0.0, 1.0]
+    * @param {boolean} [isDrumNote] - Optional flag indicating whether this note is a drum note (i.e., not affected by tuning)
     * @returns {Promise<Object>} Reference to the newly scheduled note
     * @see {@link module:Constants.Note Note}
     */
-   async startNote(trackName, note, velocity=0.75) {
+   async startNote(trackName, note, velocity=0.75, isDrumNote=false) {
       if (!(trackName in this.#tracks))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
       if ((Number(velocity) < 0.0) || (Number(velocity) > 1.0))
          throw new WebAudioApiErrors.WebAudioValueError(`The target velocity value (${velocity}) is outside of the available range: [0.0, 1.0]`);
-      return await this.#tracks[trackName].playNoteAsync(Number(note) < 0 ? -Number(note) : Number(note), Number(velocity));
+      return await this.#tracks[trackName].playNoteAsync(Number(note) < 0 ? -Number(note) : Number(note), Number(velocity), Boolean(isDrumNote));
    }
 
    /**
@@ -1187,6 +3013,404 @@ export class WebAudioAPI {
       this.#tracks[trackName].stopNoteAsync(note);
    }
 
+   /**
+    * Applies humanization to all notes subsequently scheduled on the specified track, varying
+    * the start time and velocity of each note by a bounded, reproducible random amount.
+    *
+    * The `options` parameter may contain any of the following optional keys:
+    *
+    * `timing`: Maximum timing deviation in seconds in the range [0.0, 0.1] (defaults to 0)
+    * `velocity`: Maximum velocity deviation in the range [0.0, 1.0] (defaults to 0)
+    * `drift`: Strength of an additional deviation following the shape of each phrase in the range [0.0, 1.0] (defaults to 0)
+    * `seed`: Integer seed for the random number generator (defaults to 1)
+    * `phraseLength`: Number of measures in each phrase used for drift (defaults to 4)
+    *
+    * Humanization is applied after all note modifications, so it varies any velocity set using
+    * the `Velocity` or dynamic modifications without altering the dynamic of the track. To
+    * humanize only a single call, use the `Humanize` note modification instead.
+    *
+    * @param {string} trackName - Name of the track to humanize
+    * @param {Object} options - Humanization options as described above
+    * @see {@link module:Constants.ModificationType ModificationType}
+    */
+   updateTrackHumanization(trackName, options) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      const phraseLength = (options.phraseLength == null) ? 4 : Number(options.phraseLength);
+      if (!(phraseLength > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The phrase length (${options.phraseLength}) must be a number > 0`);
+      this.#tracks[trackName].updateHumanization({ ...getHumanizeSettings(options), phraseLength });
+   }
+
+   /**
+    * Removes any humanization from notes subsequently scheduled on the specified track.
+    *
+    * @param {string} trackName - Name of the track from which to remove humanization
+    */
+   removeTrackHumanization(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].updateHumanization(null);
+   }
+
+   /**
+    * Returns the humanization settings currently applied to the specified track.
+    *
+    * @param {string} trackName - Name of the track for which to return the humanization settings
+    * @returns {Object|null} Object containing the current `timing`, `velocity`, `drift`, `seed`, and `phraseLength`, or `null` if not humanized
+    */
+   getTrackHumanization(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getHumanization();
+   }
+
+   /**
+    * Enables lookahead scheduling for all current and future tracks.
+    * 
+    * By default, all notes are converted into audio nodes as soon as they are scheduled for
+    * playback, which can result in thousands of simultaneously allocated nodes for very long
+    * sequences. When lookahead scheduling is enabled, audio nodes are only created for notes
+    * that will start playing within `lookaheadSeconds` of the current time. All other notes
+    * remain pending and may be retrieved using {@link WebAudioAPI#getPendingNotes getPendingNotes()},
+    * edited using {@link WebAudioAPI#updatePendingNote updatePendingNote()}, or cancelled using
+    * {@link WebAudioAPI#cancelPendingNote cancelPendingNote()} until they enter the window.
+    * 
+    * Scheduling is driven by a timer running in a background Worker (when available) so that
+    * it continues to run even when the browser tab is not visible.
+    * 
+    * @param {number} [lookaheadSeconds=1.0] - Number of seconds ahead of the current time for which to create audio nodes
+    * @param {number} [intervalMilliseconds=25] - Number of milliseconds between consecutive scheduling passes
+    */
+   enableLookaheadScheduling(lookaheadSeconds=1.0, intervalMilliseconds=25) {
+      if (!(Number(lookaheadSeconds) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The lookahead window (${lookaheadSeconds}) must be a number > 0`);
+      else if (!(Number(intervalMilliseconds) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The scheduling interval (${intervalMilliseconds}) must be a number > 0`);
+      else if (1000 * Number(lookaheadSeconds) <= Number(intervalMilliseconds))
+         throw new WebAudioApiErrors.WebAudioValueError('The lookahead window must be longer than the scheduling interval');
+      this.#scheduler.enable(Number(lookaheadSeconds), Number(intervalMilliseconds));
+   }
+
+   /**
+    * Disables lookahead scheduling for all tracks. Any notes that are still pending will be
+    * immediately converted into audio nodes and scheduled for playback.
+    */
+   disableLookaheadScheduling() {
+      this.#scheduler.disable();
+   }
+
+   /**
+    * Returns a listing of all notes on the specified track that have not yet entered the
+    * lookahead scheduling window and can therefore still be edited or cancelled.
+    * 
+    * @param {string} trackName - Name of the track from which to retrieve all pending notes
+    * @returns {PendingNote[]} List of all pending notes on the specified track
+    * @see {@link WebAudioAPI#enableLookaheadScheduling enableLookaheadScheduling()}
+    */
+   getPendingNotes(trackName) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      return this.#tracks[trackName].getPendingNotes();
+   }
+
+   /**
+    * Updates the details of a note on the specified track that has not yet entered the
+    * lookahead scheduling window.
+    * 
+    * The `noteDetails` parameter may contain any subset of the `note`, `velocity`, `startTime`,
+    * and `duration` properties described in the {@link PendingNote} type. Note that the `note`
+    * value is used as-is and is not adjusted to the current key signature.
+    * 
+    * @param {string} trackName - Name of the track containing the pending note
+    * @param {number} noteId - Unique identifier of the pending note as returned by {@link WebAudioAPI#getPendingNotes getPendingNotes()}
+    * @param {Object} noteDetails - Object containing the note details to update
+    * @see {@link WebAudioAPI#enableLookaheadScheduling enableLookaheadScheduling()}
+    */
+   updatePendingNote(trackName, noteId, noteDetails) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      else if (!(noteDetails instanceof Object))
+         throw new WebAudioApiErrors.WebAudioValueError('The "noteDetails" parameter must be an object containing the note details to update');
+      this.#tracks[trackName].updatePendingNote(noteId, noteDetails);
+   }
+
+   /**
+    * Cancels a note on the specified track that has not yet entered the lookahead scheduling
+    * window so that it will never be played.
+    * 
+    * @param {string} trackName - Name of the track containing the pending note
+    * @param {number} noteId - Unique identifier of the pending note as returned by {@link WebAudioAPI#getPendingNotes getPendingNotes()}
+    * @see {@link WebAudioAPI#enableLookaheadScheduling enableLookaheadScheduling()}
+    */
+   cancelPendingNote(trackName, noteId) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      this.#tracks[trackName].cancelPendingNote(noteId);
+   }
+
+   /**
+    * Places a note on a specific track at the specified bar/beat position along the song
+    * timeline. The note will be played whenever the transport passes over its position.
+    * 
+    * Note that the `duration`, `note`, and `modifications` parameters follow the same rules as
+    * in the {@link WebAudioAPI#playNote playNote()} function.
+    * 
+    * @param {string} trackName - Name of the track on which to play the note
+    * @param {number} note - MIDI {@link module:Constants.Note Note} number to be played
+    * @param {number} bar - Bar number (starting at 1) at which to place the note
+    * @param {number} beat - Fractional beat within the bar (starting at 1) at which to place the note
+    * @param {number} duration - {@link module:Constants.Duration Duration} for which to continue playing the note
+    * @param {ModificationDetails|ModificationDetails[]} [modifications] - Optional individual or list of modifications to apply to the note
+    * @param {boolean} [isDrumNote] - Optional flag indicating whether this note is a drum note (i.e., not affected by key or duration)
+    * @returns {Promise<number>} Unique identifier of the placed note
+    * @see {@link WebAudioAPI#removePlacedContent removePlacedContent()}
+    */
+   async placeNote(trackName, note, bar, beat, duration, modifications=[], isDrumNote=false) {
+      const mods = (modifications ? (Array.isArray(modifications) ? modifications : [modifications]) : []);
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      else
+         checkModifications(mods, true);
+      return await this.#transport.placeNote(trackName, getNoteInKey(Number(note), this.#key), bar, beat, Number(duration), mods, isDrumNote);
+   }
+
+   /**
+    * Places a musical sequence on a specific track at the specified bar/beat position along the
+    * song timeline. The sequence will be played whenever the transport passes over its starting
+    * position.
+    * 
+    * Note that the `sequence` and `modifications` parameters follow the same rules as in the
+    * {@link WebAudioAPI#playSequence playSequence()} function.
+    * 
+    * @param {string} trackName - Name of the track on which to play the sequence
+    * @param {Array<Array|Array<Array>>} sequence - Array of `[note, duration, mods]` and/or chords corresponding to the sequence to be played
+    * @param {number} bar - Bar number (starting at 1) at which to place the sequence
+    * @param {number} beat - Fractional beat within the bar (starting at 1) at which to place the sequence
+    * @param {ModificationDetails[]} [modifications] - Optional individual or list of modifications to apply to the sequence
+    * @param {boolean} [areDrumNotes] - Optional flag indicating whether this sequence contains only drum notes (i.e., not affected by key or duration)
+    * @returns {Promise<number>} Unique identifier of the placed sequence
+    * @see {@link WebAudioAPI#removePlacedContent removePlacedContent()}
+    */
+   async placeSequence(trackName, sequence, bar, beat, modifications=[], areDrumNotes=false) {
+      const mods = (modifications ? (Array.isArray(modifications) ? modifications : [modifications]) : []);
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      else if (!Array.isArray(sequence) || !Array.isArray(sequence[0]))
+         throw new WebAudioApiErrors.WebAudioValueError('The "sequence" parameter must be either an array of tuples or an array of an array of tuples');
+      else
+         checkModifications(mods, false);
+      for (const sequenceItem of sequence) {
+         if (Array.isArray(sequenceItem[0])) {
+            for (const chordItem of sequenceItem)
+               chordItem[0] = getNoteInKey(Number(chordItem[0]), this.#key);
+         }
+         else
+            sequenceItem[0] = getNoteInKey(Number(sequenceItem[0]), this.#key);
+      }
+      return await this.#transport.placeSequence(trackName, sequence, bar, beat, mods, areDrumNotes);
+   }
+
+   /**
+    * Places an audio clip on a specific track at the specified bar/beat position along the song
+    * timeline. The clip will be played whenever the transport passes over its starting position.
+    * 
+    * If the `duration` parameter is not specified or is set to `null`, the audio clip will
+    * play to completion.
+    * 
+    * @param {string} trackName - Name of the track on which to play the clip
+    * @param {ArrayBuffer|AudioBuffer|Blob|MidiClip|AudioClip} audioClip - Object containing audio data to play
+    * @param {number} bar - Bar number (starting at 1) at which to place the clip
+    * @param {number} beat - Fractional beat within the bar (starting at 1) at which to place the clip
+    * @param {number} [duration] - Number of seconds for which to continue playing the clip
+    * @returns {Promise<number>} Unique identifier of the placed clip
+    * @see {@link WebAudioAPI#removePlacedContent removePlacedContent()}
+    */
+   async placeClip(trackName, audioClip, bar, beat, duration) {
+      if (!(trackName in this.#tracks))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
+      if (!(audioClip instanceof ArrayBuffer || audioClip instanceof AudioBuffer || audioClip instanceof Blob || (audioClip instanceof Object && Object.prototype.hasOwnProperty.call(audioClip, 'clipType'))))
+         throw new WebAudioApiErrors.WebAudioTrackError('The audio clip is not a known type (ArrayBuffer, AudioBuffer, Blob, MidiClip, AudioClip) and cannot be played');
+      return await this.#transport.placeClip(trackName, audioClip, bar, beat, duration ? Number(duration) : undefined);
+   }
+
+   /**
+    * Removes previously placed content from the song timeline and cancels any of its audio that
+    * is currently scheduled for playback.
+    * 
+    * @param {number} contentId - Unique identifier of the content as returned from a `place` function
+    */
+   removePlacedContent(contentId) {
+      this.#transport.removeContent(contentId);
+   }
+
+   /**
+    * Removes all placed content from the song timeline, or only the content placed on the
+    * specified track, if given.
+    * 
+    * @param {string} [trackName] - Name of the track from which to remove all placed content
+    */
+   clearPlacedContent(trackName) {
+      this.#transport.clearContent(trackName);
+   }
+
+   /**
+    * Starts playing all content placed along the song timeline from the current transport
+    * position.
+    * 
+    * Note that the {@link WebAudioAPI} library must also be started using the
+    * {@link WebAudioAPI#start start()} function in order for any audio to be heard.
+    */
+   async startTransport() {
+      await this.#transport.start();
+   }
+
+   /**
+    * Pauses playback of all content placed along the song timeline, retaining the current
+    * transport position.
+    */
+   pauseTransport() {
+      this.#transport.pause();
+   }
+
+   /**
+    * Stops playback of all content placed along the song timeline and returns the transport
+    * position to the beginning of the song.
+    */
+   stopTransport() {
+      this.#transport.stop();
+   }
+
+   /**
+    * Moves the transport to the specified bar/beat position along the song timeline. If the
+    * transport is currently playing, all placed content will be automatically rescheduled to
+    * continue playing from the new position.
+    * 
+    * @param {number} bar - Bar number (starting at 1) to which to move the transport
+    * @param {number} [beat=1] - Fractional beat within the bar (starting at 1) to which to move the transport
+    */
+   async seekTransport(bar, beat=1) {
+      await this.#transport.seek(bar, beat);
+   }
+
+   /**
+    * Sets a region of the song timeline to be looped continuously while the transport is
+    * playing. The loop region extends up to, but not including, the ending position, and any
+    * content still sounding when playback reaches the end of the loop region is faded out there.
+    * 
+    * @param {number} startBar - Bar number (starting at 1) at which the loop region begins
+    * @param {number} startBeat - Fractional beat within the bar (starting at 1) at which the loop region begins
+    * @param {number} endBar - Bar number (starting at 1) at which the loop region ends
+    * @param {number} endBeat - Fractional beat within the bar (starting at 1) at which the loop region ends
+    */
+   async setTransportLoop(startBar, startBeat, endBar, endBeat) {
+      await this.#transport.setLoop(startBar, startBeat, endBar, endBeat);
+   }
+
+   /**
+    * Removes the current transport loop region so that playback continues linearly along the
+    * song timeline.
+    */
+   async clearTransportLoop() {
+      await this.#transport.clearLoop();
+   }
+
+   /**
+    * Returns the current transport loop region, or `null` if no loop region has been set.
+    * 
+    * @returns {Object<string, number>|null} Object containing the `startBar`, `startBeat`, `endBar`, and `endBeat` of the loop region
+    */
+   getTransportLoop() {
+      return this.#transport.getLoop();
+   }
+
+   /**
+    * Returns the current position of the transport along the song timeline.
+    * 
+    * @returns {TimelinePosition} Current transport position
+    */
+   getTransportPosition() {
+      return this.#transport.getPosition();
+   }
+
+   /**
+    * Returns whether the transport is currently playing.
+    * 
+    * @returns {boolean} Whether the transport is currently playing
+    */
+   isTransportPlaying() {
+      return this.#transport.isPlaying();
+   }
+
+   /**
+    * Starts playing a metronome click on every beat of the current time signature, with the
+    * first downbeat occurring at the specified time.
+    * 
+    * The metronome follows all scheduled tempo and meter changes. Its output bypasses all
+    * tracks and effects, so it will never be included in audio produced by
+    * {@link WebAudioAPI#recordOutput recordOutput()} or {@link WebAudioAPI#renderOffline renderOffline()}.
+    * 
+    * @param {number} [startTime] - Global API time at which the first downbeat should sound (defaults to the current time)
+    */
+   startMetronome(startTime) {
+      this.#metronome.start((startTime == null) ? this.#audioContext.currentTime : Number(startTime));
+   }
+
+   /**
+    * Stops the metronome, silencing any clicks that have already been scheduled.
+    */
+   stopMetronome() {
+      this.#metronome.stop();
+   }
+
+   /**
+    * Updates the settings of the metronome, taking effect at the next click.
+    * 
+    * The `options` parameter may contain any of the following optional keys:
+    * 
+    * `sound`: {@link module:Constants.MetronomeSound MetronomeSound} to use for each click
+    * `volume`: Volume of the metronome in the range [0.0, 1.0]
+    * `accentDownbeat`: Whether the first beat of each measure should be accented
+    * 
+    * @param {Object} options - Metronome settings to update as described above
+    * @see {@link module:Constants.MetronomeSound MetronomeSound}
+    */
+   updateMetronome(options) {
+      if (!(options instanceof Object))
+         throw new WebAudioApiErrors.WebAudioValueError('The "options" parameter must be an object containing the metronome settings to update');
+      else if ((options.sound != null) && !Object.values(MetronomeSound).includes(Number(options.sound)))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target metronome sound identifier (${options.sound}) does not exist`);
+      else if ((options.volume != null) && (!(Number(options.volume) >= 0.0) || !(Number(options.volume) <= 1.0)))
+         throw new WebAudioApiErrors.WebAudioValueError(`The metronome volume (${options.volume}) is outside of the available range: [0.0, 1.0]`);
+      this.#metronome.update((options.sound == null) ? null : Number(options.sound), (options.volume == null) ? null : Number(options.volume),
+         (options.accentDownbeat == null) ? null : Boolean(options.accentDownbeat));
+   }
+
+   /**
+    * Returns the current settings of the metronome.
+    * 
+    * @returns {Object} Object containing the current metronome `sound`, `volume`, `accentDownbeat`, and `isRunning` state
+    */
+   getMetronome() {
+      return this.#metronome.getDetails();
+   }
+
+   /**
+    * Routes the metronome to the specified audio output device, independently of the device
+    * used for all other audio output. Passing `null` routes the metronome back to the same
+    * output used by the rest of the library.
+    * 
+    * The `audioOutputDeviceName` parameter must be one of the device names returned by the
+    * {@link WebAudioAPI#getAvailableAudioOutputDevices getAvailableAudioOutputDevices()} function.
+    * 
+    * @param {string|null} audioOutputDeviceName - Name of the audio output device to use for the metronome
+    */
+   async selectMetronomeOutputDevice(audioOutputDeviceName) {
+      if ((audioOutputDeviceName != null) && !(audioOutputDeviceName in this.#audioOutputDevices))
+         throw new WebAudioApiErrors.WebAudioTargetError(`The target audio output device (${audioOutputDeviceName}) does not exist`);
+      await this.#metronome.setOutputDevice((audioOutputDeviceName == null) ? null : this.#audioOutputDevices[audioOutputDeviceName]);
+   }
+
    /**
     * Schedules an audio clip to be recorded on a specific track for some duration of time.
     * 
@@ -1198,16 +3422,23 @@ export class WebAudioAPI {
     * the target track. This is so that recording on an effect-modified track and then
     * immediately playing back on the same track will not cause the effects to be doubled.
     * 
+    * If `countInMeasures` is greater than 0, the metronome will click for the specified number
+    * of measures beginning at `startTime`, and recording will begin immediately afterward.
+    * 
     * @param {string} trackName - Name of the track on which to record the audio clip
     * @param {number} startTime - Global API time at which to start recording the audio clip
     * @param {number} [duration] - Number of seconds for which to continue recording the audio clip
+    * @param {number} [countInMeasures] - Number of measures of metronome clicks to play before recording begins
     * @returns {AudioClip} Reference to an {@link AudioClip} object representing the audio data to be recorded
     * @see {@link AudioClip}
     */
-   recordAudioClip(trackName, startTime, duration) {
+   recordAudioClip(trackName, startTime, duration, countInMeasures=0) {
       if (!(trackName in this.#tracks))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      return this.#tracks[trackName].recordAudioClip(Number(startTime), duration ? Number(duration) : undefined);
+      else if (!Number.isInteger(Number(countInMeasures)) || (Number(countInMeasures) < 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The number of count-in measures (${countInMeasures}) must be a non-negative integer`);
+      const countInSeconds = this.#metronome.scheduleCountIn(Number(startTime), Number(countInMeasures));
+      return this.#tracks[trackName].recordAudioClip(Number(startTime) + countInSeconds, duration ? Number(duration) : undefined);
    }
 
    /**
@@ -1221,16 +3452,23 @@ export class WebAudioAPI {
     * the target track. This is so that recording on an effect-modified track and then
     * immediately playing back on the same track will not cause the effects to be doubled.
     * 
+    * If `countInMeasures` is greater than 0, the metronome will click for the specified number
+    * of measures beginning at `startTime`, and recording will begin immediately afterward.
+    * 
     * @param {string} trackName - Name of the track on which to record the MIDI clip
     * @param {number} startTime - Global API time at which to start recording the MIDI clip
     * @param {number} [duration] - Number of seconds for which to continue recording the MIDI clip
+    * @param {number} [countInMeasures] - Number of measures of metronome clicks to play before recording begins
     * @returns {MidiClip} Reference to a {@link MidiClip} object representing the MIDI data to be recorded
     * @see {@link MidiClip}
     */
-   recordMidiClip(trackName, startTime, duration) {
+   recordMidiClip(trackName, startTime, duration, countInMeasures=0) {
       if (!(trackName in this.#tracks))
          throw new WebAudioApiErrors.WebAudioTargetError(`The target track name (${trackName}) does not exist`);
-      return this.#tracks[trackName].recordMidiClip(Number(startTime), duration ? Number(duration) : undefined);
+      else if (!Number.isInteger(Number(countInMeasures)) || (Number(countInMeasures) < 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The number of count-in measures (${countInMeasures}) must be a non-negative integer`);
+      const countInSeconds = this.#metronome.scheduleCountIn(Number(startTime), Number(countInMeasures));
+      return this.#tracks[trackName].recordMidiClip(Number(startTime) + countInSeconds, duration ? Number(duration) : undefined);
    }
 
    /**
@@ -1410,6 +3648,64 @@ export class WebAudioAPI {
       return { getRawData, getDuration, finalize, getEncodedData, notifyWhenComplete };
    }
 
+   /**
+    * Renders all audio scheduled on every track, including all track and master effects, into
+    * an {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioBuffer AudioBuffer} faster
+    * than real time using an {@link https://developer.mozilla.org/en-US/docs/Web/API/OfflineAudioContext OfflineAudioContext}.
+    *
+    * The `options` parameter may contain any of the following optional keys:
+    *
+    * `startTime`: Global API time corresponding to the beginning of the rendering (defaults to the current time)
+    * `sampleRate`: Sample rate of the rendered audio (defaults to the sample rate of the realtime output)
+    * `numberOfChannels`: Number of audio channels to render (defaults to 2)
+    *
+    * Audio which started before `startTime` but is still sounding will be rendered from the
+    * corresponding point in its playback. Audio which has already finished playing in real time
+    * is no longer retained and will not be included, nor will audio coming from live sources,
+    * such as connected MIDI or audio input devices.
+    *
+    * The resulting audio buffer can be passed directly to the {@link WebAudioAPI#encodeAudioAs encodeAudioAs()}
+    * function to generate an encoded audio file.
+    *
+    * @param {number} durationSeconds - Number of seconds of audio to render
+    * @param {Object} [options] - Optional rendering options as described above
+    * @returns {Promise<AudioBuffer>} Audio buffer containing the fully rendered audio output
+    * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AudioBuffer AudioBuffer}
+    */
+   async renderOffline(durationSeconds, options={}) {
+      if (!(Number(durationSeconds) > 0))
+         throw new WebAudioApiErrors.WebAudioValueError(`The rendering duration (${durationSeconds}) must be a positive number of seconds`);
+      const startTime = (options?.startTime == null) ? this.#audioContext.currentTime : Number(options.startTime);
+      const sampleRate = options?.sampleRate ? Number(options.sampleRate) : this.#audioContext.sampleRate;
+      const numberOfChannels = options?.numberOfChannels ? Number(options.numberOfChannels) : 2;
+      const offlineContext = new OfflineAudioContext(numberOfChannels, Math.ceil(sampleRate * Number(durationSeconds)), sampleRate);
+      const offlineSourceSink = new GainNode(offlineContext);
+      const offlineSidechainKeys = Object.fromEntries(Object.keys(this.#sidechainKeys).map(name => [name, new GainNode(offlineContext)]));
+      this.#listener.cloneToContext(offlineContext, startTime);
+      let previousNode = offlineSourceSink;
+      for (const effect of this.#effects) {
+         const offlineEffect = await effect.cloneToContext(offlineContext, startTime, offlineSidechainKeys);
+         previousNode.connect(offlineEffect.input);
+         previousNode = offlineEffect.output;
+      }
+      const offlineLimiter = this.#masterLimiter ? await this.#masterLimiter.cloneToContext(offlineContext, startTime) : null;
+      if (offlineLimiter) {
+         previousNode.connect(offlineLimiter.input);
+         offlineLimiter.output.connect(offlineContext.destination);
+      }
+      else
+         previousNode.connect(new DynamicsCompressorNode(offlineContext)).connect(offlineContext.destination);
+      const offlineBuses = {};
+      for (const [busName, bus] of Object.entries(this.#buses))
+         offlineBuses[busName] = await bus.cloneToContext(offlineContext, startTime, offlineSidechainKeys);
+      for (const [busName, bus] of Object.entries(this.#buses))
+         offlineBuses[busName].output.connect(bus.getOutputBus() ? offlineBuses[bus.getOutputBus()].input : offlineSourceSink);
+      const offlineBusInputs = Object.fromEntries(Object.entries(offlineBuses).map(([busName, offlineBus]) => [busName, offlineBus.input]));
+      for (const track of Object.values(this.#tracks))
+         await track.renderOffline(offlineContext, track.getOutputBus() ? offlineBusInputs[track.getOutputBus()] : offlineSourceSink, startTime, offlineBusInputs, offlineSidechainKeys);
+      return await offlineContext.startRendering();
+   }
+
    /**
     * Encodes a 2D array of floating point `samples` into a {@link https://developer.mozilla.org/en-US/docs/Web/API/Blob Blob}
     * containing raw audio data according to the specified `sampleRate` and {@link module:Constants.EncodingType EncodingType}
@@ -1467,5 +3763,8 @@ export class WebAudioAPI {
    }
 }
 
+// Expose the effect base class so that custom effects can be registered at runtime
+WebAudioAPI.EffectBase = EffectBase;
+
 // Attach a WebAudioAPI reference to "window" so that it can be accessed from non-module Javascript files
 window.WebAudioAPI = WebAudioAPI;
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAudioParam } from './helpers.mjs';
+import { createAutomationPlayback, getAutomationBreakpoints, getAutomationValueAt, scheduleAutomationLane } from '../library/webaudioapi/modules/Automation.mjs';
+import { AutomationShape } from '../library/webaudioapi/modules/Constants.mjs';
+import { WebAudioTargetError, WebAudioValueError } from '../library/webaudioapi/modules/Errors.mjs';
+
+const breakpoints = getAutomationBreakpoints([
+   { time: 4, value: 8000, shape: AutomationShape.Exponential },
+   { time: 0, value: 200 },
+   { time: 4.5, value: 200, shape: AutomationShape.Step },
+   { time: 6, value: 1000, shape: AutomationShape.Curved, curvature: 2 },
+   { time: 7, value: 500 }
+]);
+
+function assertClose(actual, expected, tolerance, message) {
+   assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+test('validates and sorts automation breakpoints', () => {
+   assert.deepEqual(breakpoints.map(({ time }) => time), [0, 4, 4.5, 6, 7]);
+   assert.equal(breakpoints[4].shape, AutomationShape.Linear);
+   assert.throws(() => getAutomationBreakpoints([]), WebAudioValueError);
+   assert.throws(() => getAutomationBreakpoints([{ time: -1, value: 0 }]), WebAudioValueError);
+   assert.throws(() => getAutomationBreakpoints([{ time: 0, value: 5 }], [0, 1]), WebAudioValueError);
+   assert.throws(() => getAutomationBreakpoints([{ time: 0, value: 0 }, { time: 1, value: 1, shape: AutomationShape.Exponential }]), WebAudioValueError);
+   assert.throws(() => getAutomationBreakpoints([{ time: 0, value: 0, shape: 99 }]), WebAudioTargetError);
+});
+
+test('schedules native ramps which follow the lane values', () => {
+   const audioParam = createMockAudioParam(0);
+   scheduleAutomationLane([{ audioParam }], breakpoints, 10);
+   assert.deepEqual(audioParam.events.map(({ type }) => type), ['set', 'exponential', 'set', 'curve', 'linear']);
+   assert.equal(audioParam.getValueAt(9), 0);
+   for (const time of [10, 12, 14, 14.2, 14.5, 15.25, 16, 16.5, 17, 20])
+      assertClose(audioParam.getValueAt(time), getAutomationValueAt(breakpoints, time - 10), 0.5, `value at ${time}`);
+});
+
+test('converts values and resumes a lane part way through a segment', () => {
+   const audioParam = createMockAudioParam(0);
+   scheduleAutomationLane([{ audioParam, toParamValue: value => value / 100 }], breakpoints, -2, 0);
+   assert.equal(audioParam.events[0].time, 0);
+   assert.ok(audioParam.events.every(({ type }) => ['set', 'curve'].includes(type)));
+   for (const time of [0, 1, 2, 2.5, 3.25, 4, 4.5, 5])
+      assertClose(audioParam.getValueAt(time), getAutomationValueAt(breakpoints, time + 2) / 100, 0.05, `value at ${time}`);
+});
+
+test('replaces previously scheduled values from the start of a lane', () => {
+   const audioParam = createMockAudioParam(0);
+   scheduleAutomationLane([{ audioParam }], breakpoints, 0);
+   scheduleAutomationLane([{ audioParam }], getAutomationBreakpoints([{ time: 0, value: 1 }, { time: 1, value: 2 }]), 5);
+   for (const time of [2, 4.25, 4.75])
+      assertClose(audioParam.getValueAt(time), getAutomationValueAt(breakpoints, time), 0.5, `value at ${time}`);
+   assert.equal(audioParam.getValueAt(5.5), 1.5);
+   assert.equal(audioParam.getValueAt(20), 2);
+});
+
+test('replays recorded automation with shifted times', () => {
+   const audioParams = { cutoff: createMockAudioParam(0) }, replayedParams = { cutoff: createMockAudioParam(0) };
+   const playback = createAutomationPlayback(name => (name in audioParams) ? [{ audioParam: audioParams[name] }] : []);
+   const replayedPlayback = createAutomationPlayback(name => (name in replayedParams) ? [{ audioParam: replayedParams[name] }] : []);
+   assert.throws(() => playback.play('resonance', breakpoints, 0), WebAudioTargetError);
+   playback.play('cutoff', breakpoints, 10);
+   playback.cancel(16);
+   playback.replay(replayedPlayback, 8);
+   for (const time of [2, 4, 6, 6.5, 7.5, 8, 9])
+      assertClose(replayedParams.cutoff.getValueAt(time), audioParams.cutoff.getValueAt(time + 8), 1e-9, `value at ${time}`);
+   assert.equal(replayedParams.cutoff.getValueAt(9), 1000);
+   assert.equal(replayedParams.cutoff.events.filter(({ time }) => time > 8).length, 0);
+});
+
+test('holds the value of a ramp in progress when a new lane starts or automation is cancelled', () => {
+   const rampBreakpoints = getAutomationBreakpoints([{ time: 0, value: 0 }, { time: 10, value: 100 }]);
+   const audioParam = createMockAudioParam(0);
+   const playback = createAutomationPlayback(() => [{ audioParam }]);
+   playback.play('cutoff', rampBreakpoints, 0);
+   playback.play('cutoff', getAutomationBreakpoints([{ time: 0, value: 20 }]), 6);
+   assertClose(audioParam.getValueAt(3), 30, 1e-9, 'ramp before the new lane');
+   assert.equal(audioParam.getValueAt(7), 20);
+   playback.play('cutoff', rampBreakpoints, 10);
+   playback.cancel(15);
+   assertClose(audioParam.getValueAt(14), 40, 1e-9, 'ramp before cancellation');
+   assertClose(audioParam.getValueAt(18), 50, 1e-9, 'held value after cancellation');
+});
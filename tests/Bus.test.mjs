@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMockAudioNodes } from './helpers.mjs';
+import { createBus, createsFeedbackLoop } from '../library/webaudioapi/modules/Bus.mjs';
+
+function createBuses(names) {
+   installMockAudioNodes();
+   const audioContext = { currentTime: 0 }, masterSink = new GainNode(audioContext);
+   return Object.fromEntries(names.map(name => [name, createBus(name, audioContext, masterSink)]));
+}
+
+function routeBus(buses, busName, targetBusName) {
+   buses[busName].setOutput(buses[targetBusName].input, targetBusName);
+}
+
+test('allows nested bus routing without cycles', () => {
+   const buses = createBuses(['drums', 'rhythm', 'reverb']);
+   assert.equal(createsFeedbackLoop(buses, 'drums', 'rhythm'), false);
+   routeBus(buses, 'drums', 'rhythm');
+   assert.equal(createsFeedbackLoop(buses, 'rhythm', 'reverb'), false);
+   routeBus(buses, 'rhythm', 'reverb');
+   assert.equal(createsFeedbackLoop(buses, 'drums', null), false);
+   assert.equal(createsFeedbackLoop(buses, 'reverb', null), false);
+   assert.equal(buses.drums.getOutputBus(), 'rhythm');
+});
+
+test('rejects routing a bus into itself or into any bus that feeds it', () => {
+   const buses = createBuses(['drums', 'rhythm', 'reverb']);
+   routeBus(buses, 'drums', 'rhythm');
+   routeBus(buses, 'rhythm', 'reverb');
+   assert.equal(createsFeedbackLoop(buses, 'drums', 'drums'), true);
+   assert.equal(createsFeedbackLoop(buses, 'rhythm', 'drums'), true);
+   assert.equal(createsFeedbackLoop(buses, 'reverb', 'drums'), true);
+   assert.equal(createsFeedbackLoop(buses, 'reverb', 'rhythm'), true);
+   // Routing back to the master output breaks the chain, so the previous cycle is no longer possible
+   buses.rhythm.setOutput(new GainNode({ currentTime: 0 }), null);
+   assert.equal(createsFeedbackLoop(buses, 'reverb', 'drums'), false);
+   assert.equal(createsFeedbackLoop(buses, 'rhythm', 'drums'), true);
+});
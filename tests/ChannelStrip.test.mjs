@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMockAudioNodes } from './helpers.mjs';
+import { createChannelStrip, getMixerOptions, updateSoloState } from '../library/webaudioapi/modules/ChannelStrip.mjs';
+
+function createMixerChannels(audioContext, names) {
+   return Object.fromEntries(names.map(name => {
+      const channelStrip = createChannelStrip(audioContext);
+      return [name, { channelStrip, getMixer: channelStrip.getState, setSoloMuted: channelStrip.setSoloMuted }];
+   }));
+}
+
+function getMuteGains(channels, time) {
+   return Object.fromEntries(Object.entries(channels).map(([name, channel]) => [name, channel.channelStrip.preFader.gain.getValueAt(time)]));
+}
+
+test('validates mixer options', () => {
+   assert.deepEqual(getMixerOptions({ gain: '-6', pan: 0.5, mute: 1, solo: 0, phaseInvert: null, volume: 3 }), { gain: -6, pan: 0.5, mute: true, solo: false });
+   assert.throws(() => getMixerOptions({ gain: 13 }), /mixer gain value/);
+   assert.throws(() => getMixerOptions({ gain: 'loud' }), /mixer gain value/);
+   assert.throws(() => getMixerOptions({ pan: -1.5 }), /mixer pan value/);
+});
+
+test('silences every channel that is not soloed', () => {
+   installMockAudioNodes();
+   const audioContext = { currentTime: 0 }, channels = createMixerChannels(audioContext, ['drums', 'bass', 'piano']);
+   updateSoloState(channels);
+   assert.deepEqual(getMuteGains(channels, 0), { drums: 1, bass: 1, piano: 1 });
+   channels.bass.channelStrip.update({ solo: true }, 1);
+   updateSoloState(channels, 1);
+   assert.deepEqual(getMuteGains(channels, 1), { drums: 0, bass: 1, piano: 0 });
+   channels.piano.channelStrip.update({ solo: true }, 2);
+   updateSoloState(channels, 2);
+   assert.deepEqual(getMuteGains(channels, 2), { drums: 0, bass: 1, piano: 1 });
+   channels.bass.channelStrip.update({ solo: false }, 3);
+   channels.piano.channelStrip.update({ solo: false }, 3);
+   updateSoloState(channels, 3);
+   assert.deepEqual(getMuteGains(channels, 3), { drums: 1, bass: 1, piano: 1 });
+   assert.deepEqual(getMuteGains(channels, 1.5), { drums: 0, bass: 1, piano: 0 });
+});
+
+test('keeps soloed channels in place and honors mute independently of solo', () => {
+   installMockAudioNodes();
+   const audioContext = { currentTime: 0 }, channels = createMixerChannels(audioContext, ['drums', 'bass']);
+   channels.bass.channelStrip.update({ gain: -20, pan: -0.5, solo: true, mute: true }, 1);
+   updateSoloState(channels, 1);
+   assert.deepEqual(getMuteGains(channels, 1), { drums: 0, bass: 0 });
+   channels.bass.channelStrip.update({ mute: false }, 2);
+   assert.deepEqual(getMuteGains(channels, 2), { drums: 0, bass: 1 });
+   // Soloing a channel leaves its own fader and pan untouched
+   const [{ audioParam: faderGain }] = channels.bass.channelStrip.getAudioParamTargets('gain');
+   assert.ok(Math.abs(faderGain.getValueAt(2) - 0.1) < 1e-9);
+   assert.equal(channels.bass.channelStrip.output.pan.getValueAt(2), -0.5);
+   assert.deepEqual(channels.bass.getMixer(), { gain: -20, pan: -0.5, mute: false, solo: true, phaseInvert: false });
+   channels.drums.channelStrip.update({ mute: true }, 3);
+   channels.bass.channelStrip.update({ solo: false }, 4);
+   updateSoloState(channels, 4);
+   assert.deepEqual(getMuteGains(channels, 4), { drums: 0, bass: 1 });
+});
+
+test('replays solo muting when cloned to another context', () => {
+   installMockAudioNodes();
+   const audioContext = { currentTime: 0 }, channels = createMixerChannels(audioContext, ['drums', 'bass']);
+   channels.bass.channelStrip.update({ solo: true }, 2);
+   updateSoloState(channels, 2);
+   channels.bass.channelStrip.update({ solo: false }, 5);
+   updateSoloState(channels, 5);
+   const clonedDrums = channels.drums.channelStrip.cloneToContext({ currentTime: 0 }, 1);
+   assert.deepEqual([0.5, 1.5, 3.5, 4.5].map(time => clonedDrums.preFader.gain.getValueAt(time)), [1, 0, 0, 1]);
+});
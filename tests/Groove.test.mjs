@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGroove, createSwingGroove, extractGroove } from '../library/webaudioapi/modules/Groove.mjs';
+import { createTempoMap } from '../library/webaudioapi/modules/TempoMap.mjs';
+import { inferModificationParametersFromSequence, loadModification } from '../library/webaudioapi/modules/Modification.mjs';
+import { NoteDetails } from '../library/webaudioapi/modifications/ModificationBase.mjs';
+import { Duration, ModificationType } from '../library/webaudioapi/modules/Constants.mjs';
+
+const noteTempo = createTempoMap({ beatBase: 4, beatsPerMinute: 120, timeSignatureNumerator: 4, timeSignatureDenominator: 4 }).getNoteTempo(0);
+
+function assertClose(actual, expected, message) {
+   assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+}
+
+function getSequenceDetails(modificationType, sequence, params) {
+   return sequence.map(([note, duration], index) => {
+      const details = inferModificationParametersFromSequence(modificationType, sequence, index + 1, params);
+      return loadModification(modificationType, noteTempo, null, new NoteDetails(note, 0.5, duration)).getModifiedNoteDetails(details)[0];
+   });
+}
+
+test('converts swing percentages into groove timing offsets', () => {
+   assert.deepEqual(createSwingGroove(50, Duration.Eighth), { resolution: Duration.Eighth, timingOffsets: [0, 0], velocityScales: [1, 1] });
+   assert.deepEqual(createSwingGroove(75, Duration.Sixteenth).timingOffsets, [0, 0.5]);
+   assertClose(createSwingGroove(200 / 3, Duration.Eighth).timingOffsets[1], 1 / 3, 'triplet swing');
+   assert.throws(() => createSwingGroove(49, Duration.Eighth), /outside of the available range/);
+   assert.throws(() => createSwingGroove(76, Duration.Eighth), /outside of the available range/);
+});
+
+test('validates groove templates', () => {
+   assert.deepEqual(createGroove('8', ['0.1', -0.1], [1.5, '0.5']), { resolution: 8, timingOffsets: [0.1, -0.1], velocityScales: [1.5, 0.5] });
+   assert.throws(() => createGroove(0, [0]), /resolution/);
+   assert.throws(() => createGroove(8, []), /non-empty array/);
+   assert.throws(() => createGroove(8, [0, 0], [1]), /same length/);
+   assert.throws(() => createGroove(8, [0, 0.6]), /\[-0.5, 0.5\]/);
+   assert.throws(() => createGroove(8, [0, 'late']), /\[-0.5, 0.5\]/);
+   assert.throws(() => createGroove(8, [0, 0], [1, 2.5]), /\[0.0, 2.0\]/);
+});
+
+test('delays every other eighth note of a swung sequence', () => {
+   const sequence = [[60, Duration.Eighth], [62, Duration.Eighth], [64, Duration.Quarter], [65, Duration.Sixteenth], [67, Duration.Eighth]];
+   const [first, second, third, fourth, fifth] = getSequenceDetails(ModificationType.Swing, sequence, { implicit: 60 });
+   // At 120 bpm, an eighth note lasts 250 ms, so 60% swing delays each off-beat eighth by 50 ms
+   assert.deepEqual([first.startTimeOffset, first.duration], [0, Duration.Eighth]);
+   assertClose(second.startTimeOffset, 0.05, 'off-beat start');
+   assertClose(second.duration, -0.2, 'off-beat duration ends on the original grid');
+   assert.deepEqual([third.startTimeOffset, fourth.startTimeOffset], [0, 0]);
+   assert.deepEqual([fifth.startTimeOffset, fifth.duration], [0, Duration.Eighth]);
+   assert.deepEqual(getSequenceDetails(ModificationType.Swing, sequence, { amount: 60 }).map(note => note.startTimeOffset),
+      getSequenceDetails(ModificationType.Groove, sequence, { groove: createSwingGroove(60, Duration.Eighth) }).map(note => note.startTimeOffset));
+});
+
+test('scales velocities and offsets timing by groove position', () => {
+   const groove = createGroove(Duration.Quarter, [0, -0.2, 0.1, 0], [1.5, 0.5, 1, 1]);
+   const notes = getSequenceDetails(ModificationType.Groove, [[60, 4], [62, 4], [64, 4], [65, 4], [67, 4]], { implicit: groove });
+   assert.deepEqual(notes.map(note => note.velocity), [0.75, 0.25, 0.5, 0.5, 0.75]);
+   assertClose(notes[1].startTimeOffset, -0.1, 'early note');
+   assert.equal(notes[1].duration, Duration.Quarter);
+   assertClose(notes[2].startTimeOffset, 0.05, 'late note');
+   assertClose(notes[2].duration, -0.45, 'late note duration');
+   assert.throws(() => getSequenceDetails(ModificationType.Groove, [[60, -0.5], [62, 4]], { implicit: groove }), /durations in seconds/);
+});
+
+test('extracts a groove from the note onsets of a MIDI clip', () => {
+   const midiData = {
+      '0.0': [0x90, 60, 100], '0.2': [0x80, 60, 0], '0.3': [0x90, 62, 50], '0.4': [0x90, 62, 0],
+      '0.5': [0x90, 64, 100], '0.8': [0x90, 65, 50], '1.7': [0x90, 67, 50]
+   };
+   // At 120 bpm, each eighth-note grid step lasts 250 ms, and the early and late notes at the last step cancel out
+   const groove = extractGroove(midiData, seconds => seconds / 2.0, Duration.Eighth, 4);
+   assert.equal(groove.resolution, Duration.Eighth);
+   [0, 0.2, 0, 0].forEach((offset, index) => assertClose(groove.timingOffsets[index], offset, `offset ${index}`));
+   const averageVelocity = (100 + 50 + 100 + 50 + 50) / 5;
+   [100 / averageVelocity, 50 / averageVelocity, 100 / averageVelocity, 50 / averageVelocity].forEach((scale, index) =>
+      assertClose(groove.velocityScales[index], scale, `velocity ${index}`));
+   assert.throws(() => extractGroove({ '0.0': [0x80, 60, 0] }, seconds => seconds / 2.0, Duration.Eighth, 4), /contains no notes/);
+   assert.throws(() => extractGroove(midiData, seconds => seconds / 2.0, Duration.Eighth, 0), /positive integer/);
+});
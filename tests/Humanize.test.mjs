@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMockAudioNodes } from './helpers.mjs';
+import { getHumanizeOffsets, getHumanizeSettings, getSeededRandom } from '../library/webaudioapi/modules/Humanize.mjs';
+import { createTempoMap } from '../library/webaudioapi/modules/TempoMap.mjs';
+import { createTrack } from '../library/webaudioapi/modules/Track.mjs';
+
+function assertClose(actual, expected, message) {
+   assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+}
+
+test('generates reproducible pseudo-random values', () => {
+   const values = Array.from({ length: 1000 }, (_, index) => getSeededRandom(7, index, 0));
+   assert.deepEqual(values, Array.from({ length: 1000 }, (_, index) => getSeededRandom(7, index, 0)));
+   assert.ok(values.every(value => (value >= -1.0) && (value < 1.0)));
+   assert.ok(Math.abs(values.reduce((sum, value) => sum + value, 0) / values.length) < 0.1);
+   assert.ok(values.some(value => value < -0.9) && values.some(value => value > 0.9));
+   assert.notEqual(getSeededRandom(8, 0, 0), values[0]);
+   assert.notEqual(getSeededRandom(7, 0, 1), values[0]);
+});
+
+test('validates humanization settings', () => {
+   assert.deepEqual(getHumanizeSettings({}), { timing: 0, velocity: 0, drift: 0, seed: 1 });
+   assert.deepEqual(getHumanizeSettings({ timing: '0.02', velocity: 0.1, drift: 0.5, seed: '42' }), { timing: 0.02, velocity: 0.1, drift: 0.5, seed: 42 });
+   assert.throws(() => getHumanizeSettings({ timing: 0.2 }), /timing value/);
+   assert.throws(() => getHumanizeSettings({ velocity: -0.1 }), /velocity value/);
+   assert.throws(() => getHumanizeSettings({ drift: 'more' }), /drift value/);
+   assert.throws(() => getHumanizeSettings({ seed: 1.5 }), /must be an integer/);
+});
+
+test('moves simultaneous notes together and shapes offsets along the phrase', () => {
+   const settings = getHumanizeSettings({ timing: 0.02, velocity: 0.1, drift: 0.5, seed: 3 });
+   const lowNote = getHumanizeOffsets(settings, 4, 60, 0.0), highNote = getHumanizeOffsets(settings, 4, 64, 0.0);
+   assert.deepEqual(getHumanizeOffsets(settings, 4, 60, 0.0), lowNote);
+   assert.equal(lowNote.timingOffset, highNote.timingOffset);
+   assert.notEqual(lowNote.velocityOffset, highNote.velocityOffset);
+   assert.ok(Math.abs(lowNote.timingOffset) <= 0.02);
+   assert.ok(Math.abs(lowNote.velocityOffset) <= 0.1);
+   // The middle of a phrase is pushed earlier and louder by the full drift strength
+   const middleNote = getHumanizeOffsets(settings, 4, 60, 0.5);
+   assertClose(middleNote.timingOffset - lowNote.timingOffset, -0.02 * 0.5, 'timing drift');
+   assertClose(middleNote.velocityOffset - lowNote.velocityOffset, 0.1 * 0.5, 'velocity drift');
+   assertClose(getHumanizeOffsets(settings, 4, 60, 1.0).timingOffset, lowNote.timingOffset, 'timing at the end of the phrase');
+});
+
+test('humanizes the same sequence identically each time the settings are applied', () => {
+   const createdNodes = installMockAudioNodes(), audioContext = { currentTime: 0 };
+   const tempoMap = createTempoMap({ beatBase: 4, beatsPerMinute: 120, timeSignatureNumerator: 4, timeSignatureDenominator: 4 });
+   const track = createTrack('piano', audioContext, tempoMap, {}, new GainNode(audioContext));
+   track.updateInstrument({ getNote: () => new AudioBufferSourceNode(audioContext) });
+   const sequence = [[60, 4], [[64, 4], [67, 4]], [60, 4], [62, 4]];
+   function playHumanizedSequence(seed) {
+      track.updateHumanization({ ...getHumanizeSettings({ timing: 0.02, velocity: 0.2, drift: 0.3, seed }), phraseLength: 1 });
+      const firstNode = createdNodes.length;
+      track.playSequence(sequence, 1.0, [], false);
+      const newNodes = createdNodes.slice(firstNode);
+      return {
+         startTimes: newNodes.filter(node => node.startArguments).map(node => node.startArguments[0]),
+         gains: newNodes.map(node => JSON.stringify(node.gain.events))
+      };
+   }
+   const firstPass = playHumanizedSequence(5);
+   assert.equal(firstPass.startTimes.length, 5);
+   assert.equal(firstPass.startTimes[1], firstPass.startTimes[2]);
+   assert.notEqual(firstPass.startTimes[0], 1.0);
+   assert.deepEqual(playHumanizedSequence(5), firstPass);
+   assert.notDeepEqual(playHumanizedSequence(6).startTimes, firstPass.startTimes);
+   track.updateHumanization(null);
+   assert.equal(track.getHumanization(), null);
+});
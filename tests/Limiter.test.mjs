@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSineWave, getPeakIndex, loadWorkletProcessor, renderWorkletProcessor } from './helpers.mjs';
+import { Limiter } from '../library/webaudioapi/effects/Limiter.mjs';
+
+const sampleRate = 44100;
+
+test('never exceeds its ceiling', () => {
+   const LimiterProcessor = loadWorkletProcessor('Limiter.mjs', sampleRate);
+   const [output] = renderWorkletProcessor(LimiterProcessor, [createSineWave(440, 2, sampleRate, sampleRate)], { ceiling: -6 }, { lookahead: Limiter.lookaheadTime });
+   const peak = output.reduce((maximum, value) => Math.max(maximum, Math.abs(value)), 0);
+   assert.ok(peak <= Math.pow(10, -6 / 20) + 1e-6, `peak of ${peak}`);
+   assert.ok(peak > Math.pow(10, -6.5 / 20), `peak of ${peak}`);
+});
+
+test('delays the input by the reported effect latency', () => {
+   const LimiterProcessor = loadWorkletProcessor('Limiter.mjs', sampleRate), impulse = new Float32Array(4096);
+   impulse[1000] = 0.5;
+   const [output] = renderWorkletProcessor(LimiterProcessor, [impulse], { ceiling: 0 }, { lookahead: Limiter.lookaheadTime });
+   const reportedLatency = Limiter.prototype.getLatency.call({ audioContext: { sampleRate } });
+   assert.equal(getPeakIndex(output) - 1000, Math.round(reportedLatency * sampleRate));
+   assert.ok(Math.abs(output[getPeakIndex(output)] - 0.5) < 1e-3);
+});
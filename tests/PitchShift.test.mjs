@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSineWave, getPeakIndex, loadWorkletProcessor, renderWorkletProcessor } from './helpers.mjs';
+import { PitchShift } from '../library/webaudioapi/effects/PitchShift.mjs';
+
+const sampleRate = 44100;
+
+function getFrequency(channel) {
+   let crossings = 0;
+   for (let i = 1; i < channel.length; ++i)
+      if ((channel[i-1] < 0) && (channel[i] >= 0))
+         ++crossings;
+   return crossings * sampleRate / channel.length;
+}
+
+test('preserves the input without a shift', () => {
+   const PitchShiftProcessor = loadWorkletProcessor('PitchShift.mjs', sampleRate);
+   const [output] = renderWorkletProcessor(PitchShiftProcessor, [createSineWave(441, 0.5, sampleRate, sampleRate)], { shift: 0, formant: 0 });
+   const steadyState = output.subarray(sampleRate / 2);
+   const rms = Math.sqrt(steadyState.reduce((sum, value) => sum + (value * value), 0) / steadyState.length);
+   assert.ok(Math.abs(getFrequency(steadyState) - 441) <= 4, `frequency of ${getFrequency(steadyState)}`);
+   assert.ok(Math.abs(rms - (0.5 / Math.SQRT2)) < 0.05, `RMS of ${rms}`);
+});
+
+test('delays the input by the reported worklet latency', () => {
+   const PitchShiftProcessor = loadWorkletProcessor('PitchShift.mjs', sampleRate), impulse = new Float32Array(8192);
+   impulse[2000] = 1;
+   const [output] = renderWorkletProcessor(PitchShiftProcessor, [impulse], { shift: 0 });
+   assert.equal(getPeakIndex(output) - 2000, PitchShift.workletLatency);
+});
+
+test('transposes by octaves', () => {
+   const PitchShiftProcessor = loadWorkletProcessor('PitchShift.mjs', sampleRate), input = createSineWave(441, 0.5, sampleRate, sampleRate);
+   for (const [shift, frequency] of [[1200, 882], [-1200, 220.5]]) {
+      const [output] = renderWorkletProcessor(PitchShiftProcessor, [input], { shift, formant: 0 });
+      const measuredFrequency = getFrequency(output.subarray(sampleRate / 2));
+      assert.ok(Math.abs(measuredFrequency - frequency) <= frequency * 0.02, `frequency of ${measuredFrequency} for a shift of ${shift}`);
+   }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkEffectParameters, getEffectTypeValue, getFactoryPresets, parseEffectChain, serializeEffectChain } from '../library/webaudioapi/modules/Preset.mjs';
+import { EffectType } from '../library/webaudioapi/modules/Constants.mjs';
+import { WebAudioTargetError, WebAudioValueError } from '../library/webaudioapi/modules/Errors.mjs';
+
+test('provides factory presets which are valid for every effect type', () => {
+   for (const effectType of Object.values(EffectType)) {
+      const presets = getFactoryPresets(effectType);
+      assert.ok(Object.keys(presets).length, `factory presets for effect type ${effectType}`);
+      for (const parameters of Object.values(presets))
+         checkEffectParameters(effectType, parameters);
+   }
+   getFactoryPresets(EffectType.Reverb)['Small Room'].decay = 5;
+   assert.equal(getFactoryPresets(EffectType.Reverb)['Small Room'].decay, 0.2);
+});
+
+test('validates effect types and parameters against the effect metadata', () => {
+   assert.equal(getEffectTypeValue('Reverb'), EffectType.Reverb);
+   assert.equal(getEffectTypeValue(String(EffectType.Delay)), EffectType.Delay);
+   assert.throws(() => getEffectTypeValue('Wobble'), WebAudioTargetError);
+   checkEffectParameters(EffectType.Chorus, { shape: 'triangle' });
+   checkEffectParameters(EffectType.Equalization, { frequencyBandGains: [-6, 0, 6] });
+   assert.throws(() => checkEffectParameters(EffectType.Reverb, { size: 0.5 }), /not available/);
+   assert.throws(() => checkEffectParameters(EffectType.Reverb, { decay: 2 }), /outside of the available range/);
+   assert.throws(() => checkEffectParameters(EffectType.Reverb, { decay: '0.5' }), /outside of the available range/);
+   assert.throws(() => checkEffectParameters(EffectType.Chorus, { shape: 'noise' }), /must be one of/);
+   assert.throws(() => checkEffectParameters(EffectType.Equalization, { frequencyBandGains: [] }), /non-empty array/);
+   assert.throws(() => checkEffectParameters(EffectType.Equalization, { frequencyBandGains: [0, 50] }), /\(50\) is outside/);
+});
+
+test('parses effect chains and resolves factory presets and impulse responses', () => {
+   const chain = JSON.stringify({ effects: [
+      { name: 'room', type: 'Reverb', preset: 'Large Hall', parameters: { intensity: 0.1 }, mix: 0.25 },
+      { name: 'space', type: EffectType.ConvolutionReverb, parameters: { impulse: 'Plate', trim: 0.5 }, bypass: true },
+      { name: 'level', type: 'Volume' }
+   ] });
+   assert.deepEqual(parseEffectChain(chain, { Plate: 'https://example.com/plate.wav' }), [
+      { name: 'room', type: EffectType.Reverb, parameters: { decay: 0.8, roomSize: 0.9, intensity: 0.1 }, mix: 0.25, bypass: false },
+      { name: 'space', type: EffectType.ConvolutionReverb, parameters: { impulse: 'https://example.com/plate.wav', trim: 0.5 }, mix: 1, bypass: true },
+      { name: 'level', type: EffectType.Volume, parameters: {}, mix: 1, bypass: false }
+   ]);
+});
+
+test('rejects invalid effect chains', () => {
+   const parseEffects = effects => parseEffectChain({ effects });
+   assert.throws(() => parseEffectChain('{ "effects": ['), /not valid JSON/);
+   assert.throws(() => parseEffectChain({ effect: [] }), /"effects" array/);
+   assert.throws(() => parseEffects([{ type: 'Reverb' }]), /must contain a "name"/);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Reverb' }, { name: 'fx', type: 'Delay' }]), /more than one effect named "fx"/);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Wobble' }]), WebAudioTargetError);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Reverb', preset: 'Slapback' }]), WebAudioTargetError);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Reverb', parameters: { decay: -1 } }]), WebAudioValueError);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Reverb', mix: 1.5 }]), /mix value/);
+   assert.throws(() => parseEffects([{ name: 'fx', type: 'Reverb', bypass: 'yes' }]), /bypass value/);
+});
+
+test('serializes effect chains which parse back to the same effects', () => {
+   const effects = [
+      { name: 'room', type: EffectType.Reverb, getMix: () => ({ mix: 0.5, bypass: false }), getUpdatedParameters: () => ({ decay: 0.4, roomSize: 0.6, intensity: 0.2 }) },
+      { name: 'duck', type: EffectType.SidechainCompression, getMix: () => ({ mix: 1, bypass: true }), getUpdatedParameters: () => ({ key: 'kick', threshold: -30, keyNode: {} }) }
+   ];
+   const chain = serializeEffectChain(effects);
+   assert.deepEqual(chain.effects[1].parameters, { key: 'kick', threshold: -30 });
+   assert.deepEqual(parseEffectChain(JSON.stringify(chain)), chain.effects);
+});
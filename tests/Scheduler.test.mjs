@@ -0,0 +1,42 @@
+/* global globalThis */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTimer } from '../library/webaudioapi/modules/Scheduler.mjs';
+
+test('revokes the object URL of every timer Worker it creates', (t) => {
+   const liveUrls = new Set(), workers = [];
+   const createObjectURL = URL.createObjectURL, revokeObjectURL = URL.revokeObjectURL;
+   t.after(() => {
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = revokeObjectURL;
+      delete globalThis.Worker;
+   });
+   URL.createObjectURL = (blob) => { const url = createObjectURL(blob); liveUrls.add(url); return url; };
+   URL.revokeObjectURL = (url) => { liveUrls.delete(url); revokeObjectURL(url); };
+   globalThis.Worker = class { constructor(url) { this.url = url; this.messages = []; workers.push(this); } postMessage(message) { this.messages.push(message); } terminate() {} };
+   let ticks = 0;
+   const timer = createTimer(() => { ++ticks; });
+   for (let cycle = 0; cycle < 3; ++cycle) {
+      timer.start(25);
+      assert.ok(timer.isRunning());
+      workers[workers.length - 1].onmessage();
+      timer.stop();
+      assert.ok(!timer.isRunning());
+   }
+   assert.equal(workers.length, 3);
+   assert.deepEqual(workers.map(worker => worker.messages), [[25], [25], [25]]);
+   assert.equal(ticks, 3);
+   assert.equal(liveUrls.size, 0);
+});
+
+test('falls back to an interval timer when Workers are unavailable', async () => {
+   let ticks = 0;
+   const timer = createTimer(() => { ++ticks; });
+   timer.start(5);
+   await new Promise(resolve => setTimeout(resolve, 50));
+   timer.stop();
+   const stoppedTicks = ticks;
+   await new Promise(resolve => setTimeout(resolve, 20));
+   assert.ok(stoppedTicks > 0);
+   assert.equal(ticks, stoppedTicks);
+});
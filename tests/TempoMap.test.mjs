@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempoMap } from '../library/webaudioapi/modules/TempoMap.mjs';
+import { TempoRampType } from '../library/webaudioapi/modules/Constants.mjs';
+
+const baseTempo = { beatBase: 4, beatsPerMinute: 60, timeSignatureNumerator: 4, timeSignatureDenominator: 4 };
+
+test('converts note durations at a constant tempo', () => {
+   const tempoMap = createTempoMap(baseTempo);
+   assert.equal(tempoMap.convertNoteDurationToSeconds(4, 10), 1);
+   assert.equal(tempoMap.convertNoteDurationToSeconds(1, 0), 4);
+   assert.equal(tempoMap.convertNoteDurationToSeconds(-0.25, 0), 0.25);
+   assert.equal(tempoMap.convertSecondsToWholeNotes(2, 5), 0.5);
+});
+
+test('integrates note durations across a step tempo change', () => {
+   const tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(2, null, 120, null, null, TempoRampType.Step, 1);
+   assert.equal(tempoMap.getTempoAt(1).beatsPerMinute, 60);
+   assert.equal(tempoMap.getTempoAt(2).beatsPerMinute, 120);
+   // One whole note starting at 1 s: one quarter note at 60 bpm, then three at 120 bpm
+   assert.equal(tempoMap.convertNoteDurationToSeconds(1, 1), 2.5);
+   assert.equal(tempoMap.convertSecondsToWholeNotes(2.5, 1), 1);
+});
+
+test('integrates note durations across a linear tempo ramp', () => {
+   const tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(2, null, 90, null, null, TempoRampType.Step, 1);
+   tempoMap.addChange(6, null, 150, null, null, TempoRampType.Linear, 1);
+   assert.equal(tempoMap.getTempoAt(4).beatsPerMinute, 120);
+   // The rate rises linearly from 0.375 to 0.625 whole notes per second over 4 seconds
+   assert.ok(Math.abs(tempoMap.convertSecondsToWholeNotes(4, 2) - 2) < 1e-12);
+   assert.ok(Math.abs(tempoMap.convertNoteDurationToSeconds(1 / 2, 2) - 4) < 1e-9);
+   assert.ok(Math.abs(tempoMap.convertNoteDurationToSeconds(1, 6) - 1.6) < 1e-12);
+});
+
+test('ramps from the base tempo at time 0 when there is no preceding change', () => {
+   const tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(4, null, 120, null, null, TempoRampType.Linear, 1);
+   assert.equal(tempoMap.getTempoAt(0).beatsPerMinute, 60);
+   assert.equal(tempoMap.getTempoAt(2).beatsPerMinute, 90);
+   assert.equal(tempoMap.getTempoAt(4).beatsPerMinute, 120);
+   assert.ok(Math.abs(tempoMap.convertSecondsToWholeNotes(4, 0) - 1.5) < 1e-12);
+   assert.equal(tempoMap.convertSecondsToWholeNotes(1, -1), 0.25);
+});
+
+test('round-trips seconds and whole notes across a curved tempo ramp', () => {
+   const tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(5, null, 150, null, null, TempoRampType.Curved, 3);
+   for (const startTime of [0, 0.5, 2, 4.5, 7])
+      for (const duration of [0.25, 1, 3]) {
+         const wholeNotes = tempoMap.convertSecondsToWholeNotes(duration, startTime);
+         assert.ok(Math.abs(tempoMap.convertNoteDurationToSeconds(1 / wholeNotes, startTime) - duration) < 1e-9);
+      }
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMockAudioNodes } from './helpers.mjs';
+import { createTempoMap } from '../library/webaudioapi/modules/TempoMap.mjs';
+import { createTrack } from '../library/webaudioapi/modules/Track.mjs';
+import { createTransport } from '../library/webaudioapi/modules/Transport.mjs';
+import { TempoRampType } from '../library/webaudioapi/modules/Constants.mjs';
+
+const baseTempo = { beatBase: 4, beatsPerMinute: 100, timeSignatureNumerator: 4, timeSignatureDenominator: 4 };
+
+function assertClose(actual, expected, message) {
+   assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+}
+
+function assertPosition(position, bar, beat, seconds) {
+   assert.equal(position.bar, bar);
+   assertClose(position.beat, beat, 'beat');
+   assertClose(position.seconds, seconds, 'seconds');
+}
+
+function createMockTrack() {
+   let capture = null;
+   const playedNotes = [];
+   return {
+      playedNotes,
+      playNote: (note, startTime, duration) => { playedNotes.push({ note, startTime, duration, ...capture }); },
+      captureScheduledAudio: (captureList, cutoffTime, stopTime) => { capture = captureList ? { cutoffTime, stopTime } : null; },
+      cancelScheduledAudio: () => { playedNotes.splice(0, playedNotes.length); }
+   };
+}
+
+test('seeks to bar/beat positions at a constant tempo', async () => {
+   const transport = createTransport({ currentTime: 0 }, createTempoMap(baseTempo), {});
+   await transport.seek(3, 1);
+   assertPosition(transport.getPosition(), 3, 1, 4.8);
+   await transport.seek(1, 2.5);
+   assertPosition(transport.getPosition(), 1, 2.5, 0.9);
+});
+
+test('seeks across tempo and meter changes by integrating over the tempo map', async () => {
+   const tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(4.8, null, 120, 3, 4, TempoRampType.Step, 1);
+   const transport = createTransport({ currentTime: 0 }, tempoMap, {});
+   await transport.seek(2, 3);
+   assertPosition(transport.getPosition(), 2, 3, 3.6);
+   await transport.seek(4, 1);
+   assertPosition(transport.getPosition(), 4, 1, 6.3);
+   await transport.seek(4, 2.5);
+   assertPosition(transport.getPosition(), 4, 2.5, 7.05);
+   await transport.seek(5, 1);
+   assertPosition(transport.getPosition(), 5, 1, 7.8);
+});
+
+test('seeks through a tempo ramp beginning at the start of the song', async () => {
+   const tempoMap = createTempoMap({ ...baseTempo, beatsPerMinute: 60 });
+   tempoMap.addChange(8, null, 120, null, null, TempoRampType.Linear, 1);
+   const transport = createTransport({ currentTime: 0 }, tempoMap, {});
+   // The tempo rises from 60 bpm at time 0, so the first bar lasts less than 4 seconds
+   const barTwoTime = tempoMap.convertNoteDurationToSeconds(1, 0);
+   assert.ok((barTwoTime > 3) && (barTwoTime < 4));
+   await transport.seek(2, 1);
+   assertPosition(transport.getPosition(), 2, 1, barTwoTime);
+   await transport.seek(2, 3);
+   assertPosition(transport.getPosition(), 2, 3, barTwoTime + tempoMap.convertNoteDurationToSeconds(2, barTwoTime));
+});
+
+test('reads placed note durations from the tempo map in song time', async () => {
+   const createdNodes = installMockAudioNodes(), audioContext = { currentTime: 10 }, tempoMap = createTempoMap(baseTempo);
+   tempoMap.addChange(4.8, null, 120, null, null, TempoRampType.Step, 1);
+   const track = createTrack('piano', audioContext, tempoMap, {}, new GainNode(audioContext));
+   track.updateInstrument({ getNote: () => new AudioBufferSourceNode(audioContext) });
+   const transport = createTransport(audioContext, tempoMap, { piano: track });
+   const getStartArguments = () => createdNodes.filter(node => node.startArguments).map(node => node.startArguments);
+   await transport.placeNote('piano', 60, 2, 3, 1, [], false);
+   await transport.start();
+   // Two beats of the whole note are played at 100 bpm and two at 120 bpm, followed by a 200 ms release
+   assertClose(getStartArguments()[0][0], 10.05 + 3.6, 'note start time');
+   assertClose(getStartArguments()[0][2], 1.2 + 1.0 + 0.2, 'note duration');
+   transport.stop();
+   audioContext.currentTime = 30;
+   await transport.seek(2, 4);
+   await transport.start();
+   assertClose(getStartArguments()[1][0], 30.05, 'still-sounding note start time');
+   assertClose(getStartArguments()[1][1], 0.6, 'still-sounding note offset');
+   assertClose(getStartArguments()[1][2], 0.6 + 1.0 + 0.2, 'still-sounding note duration');
+   transport.stop();
+});
+
+test('schedules placed notes relative to the seek position', async () => {
+   const track = createMockTrack(), transport = createTransport({ currentTime: 10 }, createTempoMap(baseTempo), { piano: track });
+   await transport.placeNote('piano', 60, 1, 1, 1);
+   await transport.placeNote('piano', 62, 2, 1, 1);
+   await transport.placeNote('piano', 64, 3, 2, 4);
+   await transport.seek(2, 3);
+   await transport.start();
+   // Playback starts 50 ms after the current time, and the note at bar 1 has already ended
+   assert.deepEqual(track.playedNotes.map(({ note }) => note), [62, 64]);
+   assertClose(track.playedNotes[0].startTime, 10.05 - 1.2, 'still-sounding note');
+   assertClose(track.playedNotes[0].cutoffTime, 10.05, 'still-sounding note cutoff');
+   assertClose(track.playedNotes[1].startTime, 10.05 + 1.8, 'future note');
+   transport.pause();
+   assert.equal(track.playedNotes.length, 0);
+});
+
+test('stops content at the end of each loop pass and schedules passes from the timer', async () => {
+   const track = createMockTrack(), audioContext = { currentTime: 0 };
+   const transport = createTransport(audioContext, createTempoMap(baseTempo), { piano: track });
+   await transport.placeNote('piano', 60, 1, 1, 1);
+   await transport.placeNote('piano', 62, 2, 4, 2);
+   await transport.placeNote('piano', 64, 3, 1, 4);
+   await transport.setLoop(1, 1, 3, 1);
+   await transport.start();
+   // The half note at bar 2, beat 4 crosses the loop end, and the note at bar 3 lies beyond it
+   assert.deepEqual(track.playedNotes.map(({ note }) => note), [60, 62, 60, 62]);
+   for (const [index, passStartTime] of [[0, 0.05], [2, 4.85]]) {
+      assertClose(track.playedNotes[index].startTime, passStartTime, 'first note');
+      assertClose(track.playedNotes[index + 1].startTime, passStartTime + 4.2, 'crossing note');
+      assertClose(track.playedNotes[index + 1].stopTime, passStartTime + 4.8, 'crossing note stop time');
+   }
+   audioContext.currentTime = 4.9;
+   await new Promise(resolve => setTimeout(resolve, 100));
+   assert.deepEqual(track.playedNotes.map(({ note }) => note), [60, 62, 60, 62, 60, 62]);
+   assertClose(track.playedNotes[4].startTime, 9.65, 'first note of the third pass');
+   transport.stop();
+   assert.equal(track.playedNotes.length, 0);
+});
+
+test('skips content which ended before the start of a loop pass', async () => {
+   const track = createMockTrack(), transport = createTransport({ currentTime: 0 }, createTempoMap(baseTempo), { piano: track });
+   await transport.placeNote('piano', 60, 1, 1, 1);
+   await transport.placeNote('piano', 62, 1, 4, 2);
+   await transport.setLoop(2, 1, 3, 1);
+   await transport.seek(2, 1);
+   await transport.start();
+   // Only the tail of the half note beginning on the last beat of bar 1 is played in both passes
+   assert.deepEqual(track.playedNotes.map(({ note }) => note), [62, 62]);
+   assertClose(track.playedNotes[1].startTime, 2.45 - 0.6, 'tail of the second pass');
+   assertClose(track.playedNotes[1].cutoffTime, 2.45, 'cutoff of the second pass');
+   transport.stop();
+});
+
+test('rejects positions before the first bar or beat', async () => {
+   const transport = createTransport({ currentTime: 0 }, createTempoMap(baseTempo), {});
+   await assert.rejects(transport.seek(0, 1));
+   await assert.rejects(transport.seek(1, 0.5));
+   await assert.rejects(transport.seek('bar', 1));
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMockAudioNodes } from './helpers.mjs';
+import { createTuning } from '../library/webaudioapi/modules/Tuning.mjs';
+import { loadInstrument } from '../library/webaudioapi/modules/Instrument.mjs';
+import { createTrack } from '../library/webaudioapi/modules/Track.mjs';
+import { createTempoMap } from '../library/webaudioapi/modules/TempoMap.mjs';
+import { TuningSystem } from '../library/webaudioapi/modules/Constants.mjs';
+
+const quarterCommaScala = `! meantone.scl
+!
+Quarter-comma meantone (partial)
+ 3
+!
+ 193.157
+ 5/4
+ 2/1
+`;
+
+const quarterCommaMapping = `! meantone.kbm
+ 4
+ 0
+ 127
+ 60
+ 62
+ 300.0
+ 3
+! Mapping
+ 0
+ x
+ 1
+ 2
+`;
+
+function assertClose(actual, expected, message) {
+   assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+}
+
+test('defaults to equal temperament with A4 at 440 Hz', () => {
+   const tuning = createTuning();
+   assertClose(tuning.getFrequency(69), 440, 'A4');
+   assertClose(tuning.getFrequency(81), 880, 'A5');
+   assertClose(tuning.getFrequency(60), 440 * Math.pow(2, -9 / 12), 'C4');
+   assertClose(tuning.getDetune(64, 60), 400, 'detune of E4 from C4');
+   assert.deepEqual(tuning.getDetails(), { tuningSystem: TuningSystem.EqualTemperament, description: 'EqualTemperament', referenceNote: 69, referenceFrequency: 440 });
+});
+
+test('applies just intonation ratios relative to the root note', () => {
+   const tuning = createTuning();
+   tuning.updateTuningSystem(TuningSystem.JustIntonation, 60);
+   tuning.updateReferencePitch(264, 60);
+   assertClose(tuning.getFrequency(60), 264, 'C4');
+   assertClose(tuning.getFrequency(64), 330, 'E4');
+   assertClose(tuning.getFrequency(67), 396, 'G4');
+   assertClose(tuning.getFrequency(69), 440, 'A4');
+   assertClose(tuning.getFrequency(48), 132, 'C3');
+   assertClose(tuning.getDetune(67, 67), 1200 * Math.log2(396 / 440) + 200, 'detune of G4');
+   assert.equal(tuning.getDetails().description, 'JustIntonation');
+});
+
+test('moves the reference pitch without changing the tuning system', () => {
+   const tuning = createTuning();
+   tuning.updateReferencePitch(432, 69);
+   assertClose(tuning.getFrequency(69), 432, 'A4');
+   assertClose(tuning.getFrequency(57), 216, 'A3');
+   assertClose(tuning.getDetune(69, 69), 1200 * Math.log2(432 / 440), 'detune of A4');
+});
+
+test('loads Scala scale and keyboard mapping files', () => {
+   const tuning = createTuning();
+   tuning.loadScala(quarterCommaScala, quarterCommaMapping);
+   assert.deepEqual(tuning.getDetails(), { tuningSystem: null, description: 'Quarter-comma meantone (partial)', referenceNote: 62, referenceFrequency: 300 });
+   assertClose(tuning.getFrequency(62), 300, 'reference note');
+   assertClose(tuning.getFrequency(60), 300 * Math.pow(2, -193.157 / 1200), 'first degree');
+   assertClose(tuning.getFrequency(63), 300 * Math.pow(2, (1200 * Math.log2(5 / 4) - 193.157) / 1200), 'third degree');
+   assertClose(tuning.getFrequency(64), 2 * tuning.getFrequency(60), 'octave');
+   assert.equal(tuning.getFrequency(61), null);
+   assertClose(tuning.getDetune(61, 60), 100, 'unmapped notes fall back to equal temperament');
+});
+
+test('rejects invalid Scala files and leaves the tuning unchanged', () => {
+   const tuning = createTuning();
+   assert.throws(() => tuning.loadScala('Empty\n 0\n'), /corrupt or incomplete/);
+   assert.throws(() => tuning.loadScala('Short\n 3\n 100.0\n'), /corrupt or incomplete/);
+   assert.throws(() => tuning.loadScala('Invalid\n 1\n abc\n'), /invalid pitch value/);
+   assert.throws(() => tuning.loadScala(quarterCommaScala, ' 4\n 0\n 127\n'), /corrupt or incomplete/);
+   assert.throws(() => tuning.loadScala(quarterCommaScala, quarterCommaMapping.replace(' 62\n', ' 61\n')), /not mapped/);
+   assertClose(tuning.getFrequency(69), 440, 'A4');
+   assert.equal(tuning.getDetails().tuningSystem, TuningSystem.EqualTemperament);
+});
+
+test('does not tune drum notes or instruments with a separate buffer for every note', async (t) => {
+   installMockAudioNodes();
+   t.mock.method(console, 'log', () => {});
+   const audioContext = { currentTime: 0 }, tuning = createTuning();
+   tuning.updateReferencePitch(432, 69);
+   const synth = await loadInstrument(audioContext, 'Synth', null, tuning);
+   assertClose(synth.getNote(69).frequency.value, 432, 'tuned oscillator');
+   assertClose(synth.getNote(69, true).frequency.value, 440, 'drum oscillator');
+   const sampled = await loadInstrument(audioContext, 'Sampled', new Array(128).fill({}), tuning);
+   assert.equal(sampled.getNote(69).options.detune, undefined);
+   assert.equal(sampled.getNoteOffline(audioContext, 69).options.detune, undefined);
+   const track = createTrack('drums', audioContext, createTempoMap({ beatBase: 4, beatsPerMinute: 100, timeSignatureNumerator: 4, timeSignatureDenominator: 4 }), {}, new GainNode(audioContext));
+   track.updateInstrument(synth);
+   assertClose(track.playNoteAsync(69, 0.5).sourceNode.frequency.value, 432, 'tuned live note');
+   assertClose(track.playNoteAsync(69, 0.5, true).sourceNode.frequency.value, 440, 'live drum note');
+});
@@ -0,0 +1,172 @@
+/* global globalThis */
+/**
+ * Shared helpers for running library modules outside of a browser.
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Creates a stand-in for an AudioParam which records all scheduled automation events and can
+ * evaluate the resulting parameter value at any time. Overlapping value curves throw the same
+ * errors as a browser implementation, and `setTargetAtTime()` events are evaluated as steps.
+ * Calling `cancelAndHoldAtTime()` truncates any ramp or value curve in progress at the hold time.
+ *
+ * @param {number} [initialValue] - Value of the parameter before any events are scheduled
+ * @returns {Object} Mock AudioParam with an additional `events` list and `getValueAt()` function
+ */
+export function createMockAudioParam(initialValue=0) {
+   const events = [];
+   function checkOverlap(time, duration=0) {
+      for (const event of events) {
+         if ((event.type == 'curve') && (time > event.time) && (time < event.time + event.duration))
+            throw new Error(`An event at ${time} overlaps a value curve`);
+         else if (duration && (event.time > time) && (event.time < time + duration))
+            throw new Error(`A value curve at ${time} overlaps an existing event`);
+      }
+   }
+   function addEvent(event, duration) {
+      checkOverlap(event.time, duration);
+      events.push(event);
+      events.sort((a, b) => a.time - b.time);
+   }
+   const audioParam = {
+      events,
+      value: initialValue,
+      cancelScheduledValues(cancelTime) {
+         for (let i = events.length - 1; i >= 0; --i)
+            if (events[i].time >= cancelTime)
+               events.splice(i, 1);
+      },
+      cancelAndHoldAtTime(cancelTime) {
+         const heldValue = audioParam.getValueAt(cancelTime), nextEvent = events.find(event => event.time >= cancelTime);
+         const activeCurve = events.find(event => (event.type == 'curve') && (event.time < cancelTime) && (event.time + event.duration > cancelTime));
+         audioParam.cancelScheduledValues(cancelTime);
+         if (activeCurve) {
+            const sampleTimes = activeCurve.values.map((_, index) => activeCurve.time + ((cancelTime - activeCurve.time) * index / (activeCurve.values.length - 1)));
+            const values = sampleTimes.map(time => audioParam.getValueAt(time));
+            Object.assign(activeCurve, { values, value: heldValue, duration: cancelTime - activeCurve.time });
+         }
+         else if (nextEvent && ['linear', 'exponential'].includes(nextEvent.type) && (nextEvent.time > cancelTime))
+            events.push({ type: nextEvent.type, value: heldValue, time: cancelTime });
+      },
+      setValueAtTime(value, time) { addEvent({ type: 'set', value, time }); },
+      setTargetAtTime(value, time, timeConstant) { addEvent({ type: 'target', value, time, timeConstant }); },
+      linearRampToValueAtTime(value, time) { addEvent({ type: 'linear', value, time }); },
+      exponentialRampToValueAtTime(value, time) { addEvent({ type: 'exponential', value, time }); },
+      setValueCurveAtTime(values, time, duration) {
+         addEvent({ type: 'curve', value: values[values.length - 1], values: Array.from(values), time, duration }, duration);
+      },
+      getValueAt(time) {
+         let value = initialValue, previousTime = 0;
+         for (const event of events) {
+            if (time < event.time) {
+               if (event.type == 'linear')
+                  return value + ((event.value - value) * (time - previousTime) / (event.time - previousTime));
+               else if (event.type == 'exponential')
+                  return value * Math.pow(event.value / value, (time - previousTime) / (event.time - previousTime));
+               return value;
+            }
+            else if ((event.type == 'curve') && (time < event.time + event.duration)) {
+               const position = (event.values.length - 1) * (time - event.time) / event.duration, index = Math.floor(position);
+               return event.values[index] + ((event.values[index + 1] - event.values[index]) * (position - index));
+            }
+            value = event.value;
+            previousTime = (event.type == 'curve') ? (event.time + event.duration) : event.time;
+         }
+         return value;
+      }
+   };
+   return audioParam;
+}
+
+/**
+ * Installs stand-ins for the Web Audio API node constructors as globals, so that library modules
+ * which build audio graphs can be exercised outside of a browser. Every node records the
+ * arguments passed to `start()` and exposes its AudioParams as {@link createMockAudioParam mock AudioParams}.
+ * Unspecified AudioParams start at the usual browser defaults (e.g., unity gain and playback rate).
+ *
+ * @returns {Object[]} List into which every subsequently created node is stored
+ */
+export function installMockAudioNodes() {
+   const createdNodes = [], defaultParamValues = { gain: 1, pan: 0, detune: 0, frequency: 440, playbackRate: 1, Q: 1 };
+   class MockAudioNode {
+      constructor(context, options={}) {
+         Object.assign(this, { context, options, startArguments: null });
+         for (const [paramName, defaultValue] of Object.entries(defaultParamValues))
+            this[paramName] = createMockAudioParam(options[paramName] ?? defaultValue);
+         createdNodes.push(this);
+      }
+      connect(destination) { return destination; }
+      disconnect() {}
+      start(...startArguments) { this.startArguments = startArguments; }
+      stop() {}
+   }
+   for (const nodeType of ['AnalyserNode', 'AudioBufferSourceNode', 'BiquadFilterNode', 'DelayNode', 'GainNode', 'OscillatorNode', 'StereoPannerNode'])
+      globalThis[nodeType] = class extends MockAudioNode {};
+   return createdNodes;
+}
+
+/**
+ * Loads the audio worklet processor class embedded within an effect module, evaluating its
+ * source in the same way as `AudioWorklet.addModule()` would.
+ *
+ * @param {string} effectFileName - File name of the effect module within the library effects directory
+ * @param {number} sampleRate - Sample rate exposed to the processor as a global
+ * @returns {Function} Processor class registered by the worklet source
+ */
+export function loadWorkletProcessor(effectFileName, sampleRate) {
+   const moduleSource = readFileSync(new URL(`../library/webaudioapi/effects/${effectFileName}`, import.meta.url), 'utf8');
+   const sourceStart = moduleSource.indexOf('const processorSource = `') + 'const processorSource = `'.length;
+   const processorSource = moduleSource.slice(sourceStart, moduleSource.indexOf('`;', sourceStart));
+   let processorClass = null;
+   new Function('AudioWorkletProcessor', 'registerProcessor', 'sampleRate', processorSource)(
+      class AudioWorkletProcessor {}, (name, registeredClass) => { processorClass = registeredClass; }, sampleRate);
+   return processorClass;
+}
+
+/**
+ * Runs an audio worklet processor over the specified input channels in render quanta of 128
+ * samples, using constant values for all of its parameters.
+ *
+ * @param {Function} ProcessorClass - Processor class as returned by {@link loadWorkletProcessor}
+ * @param {Float32Array[]} input - Input audio channels
+ * @param {Object<string, number>} [parameters] - Parameter values, with unspecified parameters using their defaults
+ * @param {Object} [processorOptions] - Options passed to the processor constructor
+ * @returns {Float32Array[]} Output audio channels
+ */
+export function renderWorkletProcessor(ProcessorClass, input, parameters={}, processorOptions={}) {
+   const processor = new ProcessorClass({ processorOptions });
+   const parameterValues = Object.fromEntries(ProcessorClass.parameterDescriptors.map(descriptor =>
+      [descriptor.name, new Float32Array([parameters[descriptor.name] ?? descriptor.defaultValue])]));
+   const output = input.map(channel => new Float32Array(channel.length));
+   for (let offset = 0; offset < input[0].length; offset += 128)
+      processor.process([input.map(channel => channel.subarray(offset, offset + 128))], [output.map(channel => channel.subarray(offset, offset + 128))], parameterValues);
+   return output;
+}
+
+/**
+ * Creates a single channel of audio containing a sine wave.
+ *
+ * @param {number} frequency - Frequency of the sine wave in Hz
+ * @param {number} amplitude - Peak amplitude of the sine wave
+ * @param {number} length - Number of samples to generate
+ * @param {number} sampleRate - Sample rate of the generated audio
+ * @returns {Float32Array} Generated audio samples
+ */
+export function createSineWave(frequency, amplitude, length, sampleRate) {
+   return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+/**
+ * Returns the index of the sample with the largest magnitude in a channel of audio.
+ *
+ * @param {Float32Array} channel - Audio samples to search
+ * @returns {number} Index of the loudest sample
+ */
+export function getPeakIndex(channel) {
+   let peakIndex = 0;
+   for (let i = 1; i < channel.length; ++i)
+      if (Math.abs(channel[i]) > Math.abs(channel[peakIndex]))
+         peakIndex = i;
+   return peakIndex;
+}